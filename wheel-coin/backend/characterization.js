@@ -6,6 +6,11 @@
  * and strength calculation.
  */
 
+const { tokenize, tokenizeToken } = require('./tokenizer');
+const { getDefaultTaxonomyStore } = require('./taxonomy');
+const NarrativeNamingEngine = require('./naming');
+const { systemClock } = require('./reproducibility');
+
 class NarrativeCharacterizationEngine {
   constructor(config = {}) {
     this.config = {
@@ -18,11 +23,14 @@ class NarrativeCharacterizationEngine {
         declining: config.decliningThreshold || 40
       },
       updateInterval: config.updateInterval || 15 * 60 * 1000, // 15 minutes
+      maxProfiles: config.maxProfiles || 500, // Profiles kept in memory
       ...config
     };
     
     this.narrativeProfiles = new Map(); // Store narrative profiles over time
-    this.themeKeywords = this.initializeThemeKeywords();
+    this.taxonomy = config.taxonomy || getDefaultTaxonomyStore(); // Theme groups profiles are classified into
+    this.naming = config.naming || new NarrativeNamingEngine({ taxonomy: this.taxonomy }); // Ranks name options
+    this.clock = config.clock || systemClock; // Token ages and profile timestamps
     this.narrativeHistory = new Map(); // Track narrative evolution
   }
 
@@ -48,7 +56,7 @@ class NarrativeCharacterizationEngine {
   /**
    * Characterize multiple narratives from clusters
    * @param {Array} clusters - Array of token clusters
-   * @returns {Array} Array of characterized narratives
+   * @returns {Array} Array of characterized narratives, each with its cluster's `clusterId`
    */
   async characterizeNarratives(clusters) {
     console.log(`📝 Characterizing ${clusters.length} narrative clusters...`);
@@ -69,80 +77,11 @@ class NarrativeCharacterizationEngine {
   }
 
   /**
-   * Initialize predefined theme keywords for better classification
+   * Theme groups from the narrative taxonomy, read on every use so a reload applies
+   * @returns {Object} { [group]: { keywords, pattern, weight, ... } }
    */
-  initializeThemeKeywords() {
-    return {
-      // Animal themes
-      animals: {
-        keywords: ['dog', 'doge', 'shib', 'shiba', 'puppy', 'cat', 'kitten', 'bear', 'bull', 'tiger', 'lion', 'wolf', 'fox', 'rabbit', 'bird', 'fish', 'frog', 'pepe'],
-        patterns: /\b(dog|doge|shib|puppy|cat|kitten|bear|bull|tiger|lion|wolf|fox|rabbit|bird|fish|frog|pepe)\b/i,
-        weight: 1.0
-      },
-      
-      // AI and Technology themes
-      ai: {
-        keywords: ['ai', 'artificial', 'intelligence', 'neural', 'machine', 'learning', 'gpt', 'chat', 'bot', 'robot', 'tech', 'protocol', 'network'],
-        patterns: /\b(ai|artificial|intelligence|neural|machine|learning|gpt|chat|bot|robot|tech|protocol|network)\b/i,
-        weight: 1.2
-      },
-      
-      // Gaming and Metaverse themes
-      gaming: {
-        keywords: ['game', 'gaming', 'play', 'metaverse', 'nft', 'avatar', 'virtual', 'vr', 'ar', 'world', 'quest', 'adventure'],
-        patterns: /\b(game|gaming|play|metaverse|nft|avatar|virtual|vr|ar|world|quest|adventure)\b/i,
-        weight: 1.1
-      },
-      
-      // DeFi and Finance themes
-      defi: {
-        keywords: ['defi', 'finance', 'yield', 'farm', 'stake', 'liquidity', 'swap', 'bridge', 'lending', 'borrowing', 'treasury', 'vault'],
-        patterns: /\b(defi|finance|yield|farm|stake|liquidity|swap|bridge|lending|borrowing|treasury|vault)\b/i,
-        weight: 1.0
-      },
-      
-      // Meme and Culture themes
-      meme: {
-        keywords: ['meme', 'moon', 'rocket', 'diamond', 'hands', 'hodl', 'ape', 'chad', 'wojak', 'based', 'cringe'],
-        patterns: /\b(meme|moon|rocket|diamond|hands|hodl|ape|chad|wojak|based|cringe)\b/i,
-        weight: 0.9
-      },
-      
-      // Food themes
-      food: {
-        keywords: ['pizza', 'burger', 'taco', 'sushi', 'cake', 'cookie', 'bread', 'donut', 'sandwich', 'pasta'],
-        patterns: /\b(pizza|burger|taco|sushi|cake|cookie|bread|donut|sandwich|pasta)\b/i,
-        weight: 0.8
-      },
-      
-      // Political themes
-      political: {
-        keywords: ['trump', 'biden', 'political', 'election', 'vote', 'democracy', 'republican', 'democrat', 'president'],
-        patterns: /\b(trump|biden|political|election|vote|democracy|republican|democrat|president)\b/i,
-        weight: 1.1
-      },
-      
-      // Real World Assets
-      rwa: {
-        keywords: ['real', 'estate', 'gold', 'silver', 'commodity', 'asset', 'bond', 'treasury', 'backed', 'reserve'],
-        patterns: /\b(real|estate|gold|silver|commodity|asset|bond|treasury|backed|reserve)\b/i,
-        weight: 1.3
-      },
-      
-      // Space and Science themes
-      space: {
-        keywords: ['space', 'mars', 'moon', 'lunar', 'solar', 'galaxy', 'star', 'planet', 'cosmos', 'orbit', 'rocket'],
-        patterns: /\b(space|mars|moon|lunar|solar|galaxy|star|planet|cosmos|orbit|rocket)\b/i,
-        weight: 1.0
-      },
-      
-      // Energy and Environment themes
-      energy: {
-        keywords: ['energy', 'solar', 'wind', 'green', 'carbon', 'climate', 'renewable', 'sustainable', 'eco'],
-        patterns: /\b(energy|solar|wind|green|carbon|climate|renewable|sustainable|eco)\b/i,
-        weight: 1.1
-      }
-    };
+  get themeKeywords() {
+    return Object.fromEntries(this.taxonomy.current.groups);
   }
 
   /**
@@ -157,24 +96,28 @@ class NarrativeCharacterizationEngine {
       // Step 1: Analyze cluster content
       const contentAnalysis = this.analyzeClusterContent(cluster);
       
-      // Step 2: Generate narrative names
-      const nameOptions = this.generateNarrativeNames(contentAnalysis);
-      
-      // Step 3: Determine primary and secondary themes
+      // Step 2: Determine primary and secondary themes
       const themes = this.identifyThemes(contentAnalysis);
       
-      // Step 4: Calculate narrative characteristics
+      // Step 3: Calculate narrative characteristics
       const characteristics = this.calculateNarrativeCharacteristics(cluster, contentAnalysis);
       
-      // Step 5: Determine lifecycle stage
+      // Step 4: Determine lifecycle stage
       const lifecycle = this.determineLifecycleStage(cluster, characteristics);
       
+      // Step 5: Generate narrative names (lifecycle-aware, from the cluster's taxonomy theme)
+      const nameOptions = this.generateNarrativeNames(contentAnalysis, {
+        category: cluster.category,
+        stage: lifecycle.stage
+      });
+      
       // Step 6: Calculate overall strength
       const strength = this.calculateNarrativeStrength(cluster, themes, characteristics);
       
       // Step 7: Create comprehensive profile
       const profile = {
         id: this.generateNarrativeId(cluster, themes.primary),
+        clusterId: cluster.id ?? null,
         name: nameOptions[0].name,
         nameOptions: nameOptions,
         themes: themes,
@@ -185,14 +128,17 @@ class NarrativeCharacterizationEngine {
         tokens: cluster.tokens,
         metadata: {
           tokenCount: cluster.tokens.length,
-          createdAt: new Date().toISOString(),
-          lastUpdated: new Date().toISOString(),
+          createdAt: new Date(this.clock.now()).toISOString(),
+          lastUpdated: new Date(this.clock.now()).toISOString(),
           version: 1
         }
       };
       
-      // Step 8: Store in narrative profiles
+      // Step 8: Store in narrative profiles, dropping the oldest past the cap
       this.narrativeProfiles.set(profile.id, profile);
+      if (this.narrativeProfiles.size > this.config.maxProfiles) {
+        this.narrativeProfiles.delete(this.narrativeProfiles.keys().next().value);
+      }
       
       console.log(`✅ Characterized narrative: "${profile.name}" (${profile.strength}/100 strength)`);
       return profile;
@@ -208,7 +154,8 @@ class NarrativeCharacterizationEngine {
    */
   analyzeClusterContent(cluster) {
     const tokens = cluster.tokens;
-    const allText = tokens.map(t => `${t.name || ''} ${t.symbol || ''}`).join(' ').toLowerCase();
+    // Tokenized so tickers, emoji and leetspeak names read as plain words
+    const allText = tokens.map(t => tokenizeToken(t).join(' ')).join(' ');
     
     // Extract keywords and their frequencies
     const wordFreq = this.extractWordFrequencies(allText);
@@ -236,31 +183,36 @@ class NarrativeCharacterizationEngine {
 
   /**
    * Generate potential narrative names with confidence scores
+   * @param {Object} contentAnalysis - From analyzeClusterContent()
+   * @param {Object} context - { category, stage } of the narrative being named
+   * @returns {Array} Top options from the naming engine, best first
    */
-  generateNarrativeNames(contentAnalysis) {
-    const nameOptions = [];
+  generateNarrativeNames(contentAnalysis, { category = null, stage = 'emerging' } = {}) {
+    const candidates = [];
     
     // Method 1: Theme-based naming
     const themeNames = this.generateThemeBasedNames(contentAnalysis);
-    nameOptions.push(...themeNames);
+    candidates.push(...themeNames);
     
     // Method 2: Keyword-based naming
     const keywordNames = this.generateKeywordBasedNames(contentAnalysis);
-    nameOptions.push(...keywordNames);
+    candidates.push(...keywordNames);
     
     // Method 3: Pattern-based naming
     const patternNames = this.generatePatternBasedNames(contentAnalysis);
-    nameOptions.push(...patternNames);
+    candidates.push(...patternNames);
     
     // Method 4: Market-behavior based naming
     const behaviorNames = this.generateBehaviorBasedNames(contentAnalysis);
-    nameOptions.push(...behaviorNames);
+    candidates.push(...behaviorNames);
     
-    // Sort by confidence and return top options
-    return nameOptions
-      .sort((a, b) => b.confidence - a.confidence)
-      .slice(0, 5)
-      .map((option, index) => ({ ...option, rank: index + 1 }));
+    // Ranked against the taxonomy's name templates by the shared naming engine;
+    // every cluster word is offered so keyword rules can fire on less frequent words
+    const keywords = Array.from(contentAnalysis.wordFrequencies.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([word]) => word);
+    
+    return this.naming.generateNameOptions({ category, keywords, stage, candidates });
   }
 
   /**
@@ -280,7 +232,7 @@ class NarrativeCharacterizationEngine {
       });
       
       // Pattern matching bonus
-      const patternMatches = (contentAnalysis.rawText.match(themeData.patterns) || []).length;
+      const patternMatches = (contentAnalysis.rawText.match(themeData.pattern) || []).length;
       score += patternMatches * themeData.weight * 2;
       
       if (score > 0) {
@@ -367,10 +319,10 @@ class NarrativeCharacterizationEngine {
     const growth = characteristics.community.growth;
     const age = characteristics.temporal.age;
     
-    // Calculate lifecycle score
+    // Calculate lifecycle score; unmeasured community growth adds nothing
     let lifecycleScore = strength;
     lifecycleScore += momentum * 20;
-    lifecycleScore += growth * 15;
+    if (growth !== null) lifecycleScore += growth * 15;
     
     // Age factor
     if (age === 'new') lifecycleScore *= 0.8; // New narratives start lower
@@ -389,8 +341,8 @@ class NarrativeCharacterizationEngine {
       stage = 'peak';
       confidence = 0.9;
     } else {
-      // Check if declining
-      if (momentum < 0 && growth < 0) {
+      // Check if declining: falling momentum, with shrinking community growth when it is measured
+      if (momentum < 0 && (growth === null || growth < 0)) {
         stage = 'declining';
         confidence = 0.8;
       } else {
@@ -527,7 +479,7 @@ class NarrativeCharacterizationEngine {
     return {
       totalProfiles: updatedProfiles.size,
       significantChanges,
-      timestamp: new Date().toISOString()
+      timestamp: new Date(this.clock.now()).toISOString()
     };
   }
 
@@ -562,13 +514,11 @@ class NarrativeCharacterizationEngine {
   // Helper methods for content analysis
 
   extractWordFrequencies(text) {
-    const words = text.toLowerCase().match(/\b\w+\b/g) || [];
+    const words = tokenize(text);
     const freq = new Map();
     
     words.forEach(word => {
-      if (word.length > 2) { // Ignore very short words
-        freq.set(word, (freq.get(word) || 0) + 1);
-      }
+      freq.set(word, (freq.get(word) || 0) + 1);
     });
     
     return freq;
@@ -576,12 +526,14 @@ class NarrativeCharacterizationEngine {
 
   matchThemeKeywords(text) {
     const matches = {};
+    // Whole terms only, so 'ai' does not match inside 'chain'
+    const terms = new Set(tokenize(text));
     
     Object.entries(this.themeKeywords).forEach(([theme, themeData]) => {
       const themeMatches = [];
       
       themeData.keywords.forEach(keyword => {
-        if (text.includes(keyword)) {
+        if (terms.has(keyword)) {
           themeMatches.push(keyword);
         }
       });
@@ -651,7 +603,7 @@ class NarrativeCharacterizationEngine {
   }
 
   analyzeTemporalPatterns(tokens) {
-    const now = Date.now();
+    const now = this.clock.now();
     const ages = tokens.map(token => {
       const created = token.createdAt || token.timestamp || now;
       return now - created;
@@ -859,7 +811,7 @@ class NarrativeCharacterizationEngine {
   generateNarrativeId(cluster, primaryTheme) {
     const tokens = cluster.tokens.slice(0, 3).map(t => t.symbol || t.name).join('-');
     const theme = primaryTheme ? primaryTheme.theme : 'unknown';
-    const timestamp = Date.now().toString(36);
+    const timestamp = this.clock.now().toString(36);
     return `${theme}-${tokens}-${timestamp}`.toLowerCase().replace(/[^a-z0-9-]/g, '');
   }
 
@@ -951,8 +903,8 @@ class NarrativeCharacterizationEngine {
   }
 
   calculateCommunityGrowth(tokens) {
-    // Placeholder - needs historical data
-    return (Math.random() - 0.5) * 0.4;
+    // Not measured yet: needs historical holder and mention data
+    return null;
   }
 
   calculateAverageSentiment(tokens) {
@@ -0,0 +1,118 @@
+/**
+ * Cluster Quality Metrics
+ *
+ * Internal validity measures used to choose k for k-means and to compare
+ * the k-means, DBSCAN, hierarchical and HDBSCAN results on the same terms.
+ * All of them take one label per point; label -1 marks an outlier, which is left
+ * out of the cluster geometry and counted by outlierRatio() instead.
+ *
+ * - silhouette: how much closer each point is to its own cluster than to
+ *   the next nearest one, -1..1, higher is better
+ * - Davies–Bouldin: average worst-case ratio of cluster spread to centroid
+ *   separation, 0..∞, lower is better
+ */
+
+/**
+ * Point indices grouped by label, outliers (-1) left out
+ * @param {Array<number>} labels
+ * @returns {Map<number, Array<number>>}
+ */
+function groupByLabel(labels) {
+  const groups = new Map();
+  labels.forEach((label, index) => {
+    if (label === -1) return;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(index);
+  });
+  return groups;
+}
+
+/**
+ * Mean silhouette over the clustered points (a point alone in its cluster scores 0)
+ * @param {Array<Array<number>>} distances - Pairwise distance matrix
+ * @param {Array<number>} labels - Cluster label per point, -1 for outliers
+ * @returns {number|null} null with fewer than two clusters
+ */
+function silhouetteScore(distances, labels) {
+  const groups = Array.from(groupByLabel(labels).values());
+  if (groups.length < 2) return null;
+
+  let total = 0;
+  let count = 0;
+  groups.forEach((members, own) => {
+    members.forEach(i => {
+      count++;
+      if (members.length === 1) return;
+
+      const meanDistance = others => others.reduce((sum, j) => sum + distances[i][j], 0) / others.length;
+      const a = members.reduce((sum, j) => sum + distances[i][j], 0) / (members.length - 1);
+      let b = Infinity;
+      groups.forEach((others, other) => {
+        if (other !== own) b = Math.min(b, meanDistance(others));
+      });
+
+      const spread = Math.max(a, b);
+      if (spread > 0) total += (b - a) / spread;
+    });
+  });
+
+  return total / count;
+}
+
+/**
+ * Davies–Bouldin index over the clustered points
+ * @param {Array<Array<number>>} vectors - Feature vectors
+ * @param {Array<number>} labels - Cluster label per point, -1 for outliers
+ * @returns {number|null} null with fewer than two clusters
+ */
+function daviesBouldinIndex(vectors, labels) {
+  const groups = Array.from(groupByLabel(labels).values());
+  if (groups.length < 2) return null;
+
+  const centroids = groups.map(members => centroidOf(members.map(i => vectors[i])));
+  const spreads = groups.map((members, c) =>
+    members.reduce((sum, i) => sum + euclidean(vectors[i], centroids[c]), 0) / members.length
+  );
+
+  let total = 0;
+  groups.forEach((_, c) => {
+    let worst = 0;
+    groups.forEach((__, other) => {
+      if (other === c) return;
+      // Coinciding centroids: treat as barely separated rather than dividing by zero
+      const separation = Math.max(euclidean(centroids[c], centroids[other]), 1e-12);
+      worst = Math.max(worst, (spreads[c] + spreads[other]) / separation);
+    });
+    total += worst;
+  });
+
+  return total / groups.length;
+}
+
+/**
+ * Share of points labelled as outliers
+ * @param {Array<number>} labels
+ * @returns {number}
+ */
+function outlierRatio(labels) {
+  if (labels.length === 0) return 0;
+  return labels.filter(label => label === -1).length / labels.length;
+}
+
+function centroidOf(vectors) {
+  const centroid = new Array(vectors[0].length).fill(0);
+  vectors.forEach(vector => vector.forEach((value, dim) => { centroid[dim] += value; }));
+  return centroid.map(sum => sum / vectors.length);
+}
+
+function euclidean(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) * (a[i] - b[i]);
+  return Math.sqrt(sum);
+}
+
+module.exports = {
+  silhouetteScore,
+  daviesBouldinIndex,
+  outlierRatio
+};
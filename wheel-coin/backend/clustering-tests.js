@@ -0,0 +1,621 @@
+/**
+ * Test Suite for Token Clustering
+ *
+ * Runs TokenClusteringEngine over small synthetic token sets and checks the
+ * result shape the live pipeline and /api/clusters rely on, that the
+ * detection engine extracts narratives from precomputed clusters, that
+ * characterization profiles map back to the narratives they describe, the
+ * incremental mode's assignment and consolidation across cycles, the
+ * quality metrics behind k selection and algorithm comparison, and HDBSCAN's
+ * density clusters and soft membership.
+ */
+
+const TokenClusteringEngine = require('./clustering');
+const { silhouetteScore, daviesBouldinIndex, outlierRatio } = require('./cluster-quality');
+const { hdbscan } = require('./hdbscan');
+const { NarrativeDetectionEngine } = require('./narrative-detection');
+const NarrativeCharacterizationEngine = require('./characterization');
+const { ManualClock } = require('./reproducibility');
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2025-10-21T12:00:00.000Z');
+
+class ClusteringTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Token Clustering Test Suite\n');
+
+    const tests = [
+      { name: 'Clustering Result Shape', test: () => this.testResultShape() },
+      { name: 'Too Few Tokens', test: () => this.testTooFewTokens() },
+      { name: 'Precomputed Clusters', test: () => this.testPrecomputedClusters() },
+      { name: 'Uncovered Tokens', test: () => this.testUncoveredTokens() },
+      { name: 'Cluster Stability', test: () => this.testClusterStability() },
+      { name: 'Cluster Growth', test: () => this.testClusterGrowth() },
+      { name: 'History in Strength', test: () => this.testHistoryInStrength() },
+      { name: 'Characterization Profiles', test: () => this.testCharacterizationProfiles() },
+      { name: 'Incremental Assignment', test: () => this.testIncrementalAssignment() },
+      { name: 'Incremental Consolidation', test: () => this.testIncrementalConsolidation() },
+      { name: 'Incremental Refresh', test: () => this.testIncrementalRefresh() },
+      { name: 'Quality Metrics', test: () => this.testQualityMetrics() },
+      { name: 'K Selection', test: () => this.testKSelection() },
+      { name: 'Algorithm Comparison', test: () => this.testAlgorithmComparison() },
+      { name: 'HDBSCAN Varying Density', test: () => this.testHdbscanDensity() },
+      { name: 'Soft Membership', test: () => this.testSoftMembership() },
+      { name: 'Membership Explanation', test: () => this.testMembershipExplanation() },
+      { name: 'Measured Features Only', test: () => this.testMeasuredFeaturesOnly() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  /**
+   * Four tight, well-separated 2-D groups of `size` points (labels 0-3 in order)
+   */
+  createBlobs(size = 8) {
+    let state = 7;
+    const jitter = () => (state = (state * 16807) % 2147483647) / 2147483647 * 0.6;
+    return [[0, 0], [5, 0], [0, 5], [5, 5]].flatMap(([x, y]) =>
+      Array.from({ length: size }, () => [x + jitter(), y + jitter()])
+    );
+  }
+
+  createTokens(names) {
+    return names.map((name, index) => ({
+      address: `token_${index}`,
+      name,
+      symbol: name.split(' ')[0].toUpperCase(),
+      volume24h: 1000 * (index + 1),
+      created: Date.now()
+    }));
+  }
+
+  /**
+   * Every token ends up in a cluster or the outliers, with scores attached
+   */
+  async testResultShape() {
+    const engine = new TokenClusteringEngine({ minClusterSize: 2, maxClusters: 15 });
+    const tokens = this.createTokens([
+      'Cat Coin', 'Kitty Cat', 'Cat King', 'Doge Moon', 'Doge King', 'Shiba Dog', 'AI Agent', 'AI Bot'
+    ]);
+
+    const result = await engine.clusterTokens(tokens);
+    // Soft members (HDBSCAN) sit in more than one cluster: count distinct tokens
+    const assigned = new Set(result.clusters.flatMap(cluster => cluster.tokens)).size + result.outliers.length;
+    // No history yet: stability and growth are unknown rather than made up
+    const scored = result.clusters.every(cluster =>
+      ['strength', 'coherence'].every(field => Number.isFinite(cluster[field])) &&
+      cluster.stability === null && cluster.growth === null
+    );
+
+    const passed = result.clusters.length > 0 && assigned === tokens.length && scored &&
+      ['kmeans', 'dbscan', 'hierarchical', 'hdbscan'].includes(result.metadata.algorithmUsed) &&
+      Number.isFinite(result.metadata.silhouetteScore);
+
+    return {
+      passed,
+      details: `${result.metadata.algorithmUsed}: ${result.clusters.length} clusters, ${result.outliers.length} outliers`
+    };
+  }
+
+  /**
+   * Below the minimum cluster size nothing is clustered
+   */
+  async testTooFewTokens() {
+    const engine = new TokenClusteringEngine({ minClusterSize: 3 });
+    const result = await engine.clusterTokens(this.createTokens(['Cat Coin', 'Dog Coin']));
+
+    const passed = result.clusters.length === 0 && result.outliers.length === 2 &&
+      result.metadata.algorithmUsed === 'none';
+
+    return { passed, details: result.metadata.reason };
+  }
+
+  /**
+   * processTokens() extracts one narrative per precomputed cluster
+   */
+  async testPrecomputedClusters() {
+    const engine = new NarrativeDetectionEngine({ minNarrativeStrength: 0, noveltyThreshold: 0 });
+    const tokens = this.createTokens(['Cat Coin', 'Kitty Cat', 'Cat King', 'Doge Moon', 'Doge King', 'Shiba Dog']);
+    const clusters = [
+      { id: 0, tokens: tokens.slice(0, 3) },
+      { id: 1, tokens: tokens.slice(3) }
+    ];
+
+    const result = await engine.processTokens(tokens, { clusters });
+    const sizes = result.narratives.map(n => n.tokens.length).sort();
+
+    const passed = result.clustersFound === 2 && JSON.stringify(sizes) === '[3,3]';
+    return { passed, details: `${result.clustersFound} clusters, narrative sizes ${sizes.join(', ')}` };
+  }
+
+  /**
+   * Tokens left out of the precomputed clusters are still clustered by similarity
+   */
+  async testUncoveredTokens() {
+    const engine = new NarrativeDetectionEngine({ minClusterSize: 1 });
+    const tokens = this.createTokens(['Cat Coin', 'Kitty Cat', 'Cat King', 'Doge Moon', 'Doge King', 'Shiba Dog']);
+
+    const clusters = await engine.buildClusters(tokens, [{ id: 0, tokens: tokens.slice(0, 3) }]);
+    const covered = clusters.flatMap(cluster => cluster.tokens.map(t => t.address));
+    const ids = clusters.map(cluster => cluster.id);
+
+    const passed = clusters[0].id === 0 && clusters.length > 1 &&
+      tokens.every(token => covered.includes(token.address)) &&
+      new Set(ids).size === ids.length;
+
+    return { passed, details: `${clusters.length} clusters: ${ids.join(', ')}` };
+  }
+
+  /**
+   * Stability averages membership overlap over the snapshots in the window
+   */
+  async testClusterStability() {
+    const engine = new TokenClusteringEngine({ stabilityWindowMs: 10 * MINUTE });
+    const tokens = this.createTokens(['A', 'B', 'C', 'D']);
+
+    engine.trackClusterEvolution([{ tokens: tokens.slice(0, 2) }], START - 20 * MINUTE); // Outside the window
+    engine.trackClusterEvolution([{ tokens: tokens.slice(0, 4) }], START - 8 * MINUTE);
+    engine.trackClusterEvolution([{ tokens: tokens.slice(0, 2) }, { tokens: tokens.slice(2, 3) }], START - 4 * MINUTE);
+    engine.trackClusterEvolution([{ tokens: tokens.slice(0, 4) }], START);
+
+    // Jaccard 1 against the first snapshot in the window, 0.5 against the second
+    const stability = engine.calculateClusterStability({ tokens: tokens.slice(0, 4) }, START);
+    const repeated = engine.calculateClusterStability({ tokens: tokens.slice(0, 4) }, START);
+    const unseen = engine.calculateClusterStability({ tokens: [{ address: 'x' }] }, START);
+
+    const passed = stability === 0.75 && repeated === stability && unseen === 0;
+    return { passed, details: `stability ${stability}, unseen ${unseen}` };
+  }
+
+  /**
+   * Growth compares token count, volume and holders to the window's oldest snapshot
+   */
+  async testClusterGrowth() {
+    const engine = new TokenClusteringEngine({ growthWindowMs: 15 * MINUTE });
+    const before = [
+      { address: 'a', volume24h: 1000, holders: 100 },
+      { address: 'b', volume24h: 1000 }
+    ];
+    const after = [
+      { address: 'a', volume24h: 3000, holders: 150 },
+      { address: 'b', volume24h: 1000 },
+      { address: 'c', volume24h: 2000 }
+    ];
+
+    engine.trackClusterEvolution([{ tokens: before }], START - 10 * MINUTE);
+    engine.trackClusterEvolution([{ tokens: after.slice(0, 2) }], START - 5 * MINUTE);
+    const { growth, growthDetails } = engine.calculateClusterGrowth({ tokens: after }, START);
+    const empty = new TokenClusteringEngine().calculateClusterGrowth({ tokens: after }, START);
+
+    // Token count +50%, volume +200%, holders +50%
+    const passed = growthDetails.tokenCount === 0.5 && growthDetails.volume === 2 &&
+      growthDetails.holders === 0.5 && growth === 1 &&
+      growthDetails.since === new Date(START - 10 * MINUTE).toISOString() &&
+      empty.growth === null;
+
+    return { passed, details: `growth ${growth} (${JSON.stringify(growthDetails)})` };
+  }
+
+  /**
+   * Stable, growing clusters gain strength and churning, shrinking ones lose it; no history is neutral
+   */
+  async testHistoryInStrength() {
+    const engine = new TokenClusteringEngine();
+    const features = [{
+      market: { volume24h: 50000, priceChange24h: 20 },
+      onchain: { holderCount: 400 },
+      social: { mentionCount: 30 }
+    }];
+    const strength = history => engine.calculateClusterStrength({}, features, history);
+
+    const base = strength();
+    const unknown = strength({ stability: null, growth: null });
+    const rising = strength({ stability: 1, growth: 3 });
+    const fading = strength({ stability: 0, growth: -0.5 });
+
+    const passed = unknown === base &&
+      Math.abs(rising - base * 1.4) < 1e-9 &&
+      Math.abs(fading - base * 0.7) < 1e-9 &&
+      strength({ stability: 0.5, growth: 0 }) === base;
+
+    return { passed, details: `base ${base.toFixed(1)}, stable and growing ${rising.toFixed(1)}, churning and shrinking ${fading.toFixed(1)}` };
+  }
+
+  /**
+   * Each profile carries its narrative's id; stored profiles stay under the cap
+   */
+  async testCharacterizationProfiles() {
+    const engine = new NarrativeCharacterizationEngine({ maxProfiles: 1 });
+    const tokens = this.createTokens(['Cat Coin', 'Kitty Cat', 'Cat King', 'AI Agent', 'AI Bot', 'GPT Agent']);
+    const narratives = [
+      { id: 'narrative_cats', tokens: tokens.slice(0, 3), strength: 40 },
+      { id: 'narrative_ai', tokens: tokens.slice(3), strength: 60 }
+    ];
+
+    const profiles = await engine.characterizeNarratives(narratives);
+    const cats = profiles.find(profile => profile.clusterId === 'narrative_cats');
+    const ai = profiles.find(profile => profile.clusterId === 'narrative_ai');
+
+    // Community growth is not measured: it stays out of the lifecycle score
+    const fading = { community: { growth: null }, temporal: { momentum: -0.5, age: 'established' } };
+    const declining = engine.determineLifecycleStage({ strength: 95 }, fading);
+    const rising = engine.determineLifecycleStage({ strength: 50 }, { ...fading, temporal: { momentum: 0.4, age: 'established' } });
+
+    const passed = profiles.length === 2 && cats && ai &&
+      cats.themes.primary.theme === 'animals' && ai.themes.primary.theme === 'ai' &&
+      typeof ai.lifecycle.stage === 'string' && typeof ai.lifecycle.description === 'string' &&
+      engine.narrativeProfiles.size === 1 &&
+      cats.characteristics.community.growth === null && cats.lifecycle.factors.growth === null &&
+      declining.stage === 'declining' && declining.score === 85 &&
+      rising.stage === 'growing' && rising.score === 58;
+
+    return {
+      passed,
+      details: profiles.map(profile => `${profile.clusterId}: ${profile.themes.primary?.theme}/${profile.lifecycle.stage}`).join(', ')
+    };
+  }
+
+  /**
+   * New tokens join the nearest cluster, which keeps its id; unrelated ones spawn micro-clusters
+   */
+  async testIncrementalAssignment() {
+    const engine = new TokenClusteringEngine({ mode: 'incremental', minClusterSize: 2, consolidateEvery: 100 });
+    const tokens = this.createTokens([
+      'Pepe Frog', 'Pepe Frog King', 'Pepe Frog Army', 'Quantum Zebra', 'Pepe Frog Coin'
+    ]);
+
+    const first = await engine.clusterTokens(tokens.slice(0, 2));
+    const pepeId = first.clusters[0]?.id;
+    // Already-placed tokens come back alongside the new ones
+    const second = await engine.clusterTokens(tokens.slice(0, 4));
+    const third = await engine.clusterTokens(tokens.slice(4));
+
+    const pepe = third.clusters.find(cluster => cluster.id === pepeId);
+    const info = second.metadata.incremental;
+    const passed = first.clusters.length === 1 && first.metadata.algorithmUsed === 'incremental' &&
+      info.newTokens === 2 && info.refreshed === 2 && info.assigned === 1 && info.spawned === 1 &&
+      second.outliers.map(t => t.name).join() === 'Quantum Zebra' &&
+      pepe && pepe.tokens.length === 4 && third.outliers.length === 0 &&
+      engine.streamClusters.size === 2;
+
+    return {
+      passed,
+      details: `cluster ${pepeId}: ${pepe ? pepe.tokens.length : 0} tokens after 3 cycles, ${engine.streamClusters.size} live clusters`
+    };
+  }
+
+  /**
+   * Consolidation expires unseen members, merges close clusters, dissolves stale micro-clusters and bounds the count
+   */
+  async testIncrementalConsolidation() {
+    const engine = new TokenClusteringEngine({
+      mode: 'incremental',
+      minClusterSize: 2,
+      consolidateEvery: 100,
+      assignDistance: 0.01, // Every token spawns its own micro-cluster
+      tokenTtlMs: 30 * MINUTE,
+      microClusterTtlMs: 20 * MINUTE
+    });
+    const tokens = this.createTokens(['Cat Coin', 'Cat King', 'Doge Moon', 'AI Agent']);
+
+    await engine.clusterTokensIncremental(tokens.slice(0, 3), START - 40 * MINUTE);
+    await engine.clusterTokensIncremental(tokens.slice(0, 2).concat(tokens[3]), START - 10 * MINUTE);
+
+    // Doge Moon unseen for 40 minutes; AI Agent alone for 10; the two cats merge
+    engine.config.mergeDistance = engine.euclideanDistance(
+      engine.streamClusters.get(0).centroid, engine.streamClusters.get(1).centroid
+    ) + 0.01;
+    const consolidated = await engine.consolidateStream(START);
+    const cats = engine.streamClusters.get(0);
+
+    const merged = consolidated.expired === 1 && consolidated.merged.length === 1 &&
+      cats?.members.size === 2 && engine.streamAssignments.get('token_1') === 0 &&
+      consolidated.dissolved === 0 && engine.streamClusters.size === 2;
+
+    // Twenty minutes on, AI Agent is still a micro-cluster and dissolves; then cap the count
+    const later = await engine.consolidateStream(START + 15 * MINUTE);
+    engine.config.maxStreamClusters = 0;
+    const bounded = await engine.consolidateStream(START + 15 * MINUTE);
+
+    const passed = merged && later.dissolved === 1 && engine.streamAssignments.size === 0 &&
+      bounded.evicted === 1 && engine.streamClusters.size === 0;
+
+    return {
+      passed,
+      details: `expired ${consolidated.expired}, merged ${consolidated.merged.map(m => `${m.from}->${m.into}`).join(', ')}, dissolved ${later.dissolved}, evicted ${bounded.evicted}`
+    };
+  }
+
+  /**
+   * Each cycle re-embeds live members with the new tokens under one fit and refreshes returning members
+   */
+  async testIncrementalRefresh() {
+    const engine = new TokenClusteringEngine({ mode: 'incremental', minClusterSize: 2, consolidateEvery: 100 });
+    const tokens = this.createTokens(['Pepe Frog', 'Pepe Frog King', 'Pepe Frog Army']);
+
+    const featurized = [];
+    const extract = engine.extractAllFeatures.bind(engine);
+    engine.extractAllFeatures = (batch, options) => {
+      featurized.push(batch.length);
+      return extract(batch, options);
+    };
+
+    await engine.clusterTokensIncremental(tokens.slice(0, 2), START);
+    const returning = { ...tokens[0], volume: 90000 };
+    await engine.clusterTokensIncremental([returning, tokens[2]], START + MINUTE);
+
+    const cluster = engine.streamClusters.get(engine.streamAssignments.get('token_0'));
+    const member = cluster.members.get('token_0');
+    const centroid = engine.calculateCentroid(Array.from(cluster.members.values(), m => m.features.vector));
+    const centroidTracked = cluster.centroid.every((value, dim) => Math.abs(value - centroid[dim]) < 1e-12);
+    const fittedBefore = engine.embeddingModel.documentCount;
+
+    await engine.consolidateStream(START + MINUTE);
+
+    // The second cycle featurizes its two tokens under the first cycle's fit; consolidation refits on all three
+    const passed = JSON.stringify(featurized) === '[2,2,3]' &&
+      fittedBefore === 2 && engine.embeddingModel.documentCount === 3 &&
+      member.token === returning && member.features.onchain.volume24h === 90000 &&
+      cluster.members.size === 3 && centroidTracked;
+
+    return {
+      passed,
+      details: `featurized ${featurized.join(', ')} tokens per batch, fitted on ${fittedBefore} then ${engine.embeddingModel.documentCount} names`
+    };
+  }
+
+  /**
+   * Silhouette and Davies–Bouldin rank a true partition above a scrambled one; outliers stay out
+   */
+  async testQualityMetrics() {
+    const engine = new TokenClusteringEngine();
+    const vectors = this.createBlobs();
+    const distances = engine.calculateDistanceMatrix(vectors);
+    const truth = vectors.map((_, i) => Math.floor(i / 8));
+    const scrambled = vectors.map((_, i) => i % 4);
+    const withOutliers = truth.map((label, i) => (i % 8 === 0 ? -1 : label));
+
+    const good = { silhouette: silhouetteScore(distances, truth), daviesBouldin: daviesBouldinIndex(vectors, truth) };
+    const bad = { silhouette: silhouetteScore(distances, scrambled), daviesBouldin: daviesBouldinIndex(vectors, scrambled) };
+
+    const passed = good.silhouette > 0.8 && bad.silhouette < 0.1 &&
+      good.daviesBouldin < 0.3 && bad.daviesBouldin > good.daviesBouldin * 10 &&
+      silhouetteScore(distances, withOutliers) > 0.8 && outlierRatio(withOutliers) === 0.125 &&
+      silhouetteScore(distances, truth.map(() => 0)) === null &&
+      daviesBouldinIndex(vectors, truth.map(() => 0)) === null;
+
+    return {
+      passed,
+      details: `silhouette ${good.silhouette.toFixed(2)} vs ${bad.silhouette.toFixed(2)}, Davies–Bouldin ${good.daviesBouldin.toFixed(2)} vs ${bad.daviesBouldin.toFixed(2)}`
+    };
+  }
+
+  /**
+   * Both the silhouette and the gap statistic sweeps find the four groups
+   */
+  async testKSelection() {
+    const vectors = this.createBlobs();
+    const picks = ['silhouette', 'gap'].map(kSelection => {
+      const engine = new TokenClusteringEngine({ kSelection, seed: 'k-selection' });
+      const selection = engine.selectK(vectors, 8, engine.calculateDistanceMatrix(vectors));
+      const pure = selection.result.labels.every((label, i) => label === selection.result.labels[i - (i % 8)]);
+      return { kSelection, k: selection.k, sweep: selection.sweep.length, pure };
+    });
+
+    const passed = picks.every(pick => pick.k === 4 && pick.sweep === 7 && pick.pure);
+
+    return {
+      passed,
+      details: picks.map(pick => `${pick.kSelection}: k=${pick.k} of ${pick.sweep} swept`).join(', ')
+    };
+  }
+
+  /**
+   * All three algorithms are assessed on the same metrics; the best-separated, fullest result wins
+   */
+  async testAlgorithmComparison() {
+    const engine = new TokenClusteringEngine({ minClusterSize: 2 });
+    const vectors = this.createBlobs(4);
+    const tokens = vectors.map((_, i) => ({ address: `blob_${i}` }));
+    const features = vectors.map((vector, i) => ({ token: tokens[i], vector }));
+    const group = (indices, id) => ({ id, tokens: indices.map(i => tokens[i]) });
+    const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+    const results = [
+      // Two groups per cluster: clustered, but poorly separated
+      { algorithm: 'kmeans', clusters: [group(range(0, 8), 0), group(range(8, 16), 1)], outliers: [] },
+      // The right clusters, but half the tokens left out
+      { algorithm: 'dbscan', clusters: [group(range(0, 4), 0), group(range(4, 8), 1)], outliers: range(8, 16).map(i => tokens[i]) },
+      { algorithm: 'hierarchical', clusters: [0, 1, 2, 3].map(c => group(range(c * 4, c * 4 + 4), c)), outliers: [] }
+    ];
+    const best = engine.selectBestClustering(results, tokens, features, engine.calculateDistanceMatrix(vectors));
+
+    // End to end, the report covers every algorithm and marks the one used
+    const live = await new TokenClusteringEngine({ minClusterSize: 2, seed: 'comparison' }).clusterTokens(this.createTokens([
+      'Cat Coin', 'Kitty Cat', 'Cat King', 'Doge Moon', 'Doge King', 'Shiba Dog', 'AI Agent', 'AI Bot'
+    ]));
+    const report = live.metadata.quality;
+    const selected = report.algorithms.filter(entry => entry.selected);
+
+    const passed = best.algorithm === 'hierarchical' && best.comparison.length === 3 &&
+      best.comparison.every(entry => entry.score < best.quality.score || entry.selected) &&
+      best.comparison[1].outlierRatio === 0.5 &&
+      report.algorithms.map(entry => entry.algorithm).join() === 'kmeans,dbscan,hierarchical,hdbscan' &&
+      selected.length === 1 && selected[0].algorithm === live.metadata.algorithmUsed &&
+      report.selected === live.metadata.algorithmUsed && report.kSelection?.sweep.length > 0;
+
+    return {
+      passed,
+      details: best.comparison.map(entry => `${entry.algorithm} ${entry.score.toFixed(2)}`).join(', ') +
+        `; live run chose ${report.selected} (k-means k=${report.kSelection?.k})`
+    };
+  }
+
+  /**
+   * A tight group, a ten times sparser one and a distant point: no single DBSCAN eps fits, HDBSCAN finds both
+   */
+  async testHdbscanDensity() {
+    let state = 11;
+    const jitter = spread => (state = (state * 16807) % 2147483647) / 2147483647 * spread;
+    const vectors = [
+      ...Array.from({ length: 10 }, () => [jitter(0.3), jitter(0.3)]),
+      ...Array.from({ length: 10 }, () => [10 + jitter(3), jitter(3)]),
+      [30, 30]
+    ];
+    const engine = new TokenClusteringEngine();
+    const result = hdbscan(engine.calculateDistanceMatrix(vectors), { minClusterSize: 4, minSamples: 3 });
+
+    const dense = new Set(result.labels.slice(0, 10));
+    const sparse = new Set(result.labels.slice(10, 20));
+    const dbscanSparse = new Set(engine.dbscan(vectors, 0.5, 3).labels.slice(10, 20));
+
+    const passed = result.clusters.length === 2 && dense.size === 1 && sparse.size === 1 &&
+      !dense.has(-1) && !sparse.has(-1) && [...dense][0] !== [...sparse][0] &&
+      result.labels[20] === -1 && result.probabilities[20] === 0 &&
+      result.probabilities.slice(0, 20).every(p => p > 0 && p <= 1) &&
+      result.clusters.every(cluster => cluster.exemplars.length > 0 && cluster.stability > 0) &&
+      dbscanSparse.has(-1);
+
+    return {
+      passed,
+      details: `labels ${result.labels.join('')}, DBSCAN eps 0.5 leaves the sparse group as noise: ${dbscanSparse.has(-1)}`
+    };
+  }
+
+  /**
+   * A token between two groups is reported in both clusters and both narratives
+   */
+  async testSoftMembership() {
+    const engine = new TokenClusteringEngine({ minClusterSize: 3, hdbscanMinSamples: 2 });
+    const names = ['AI Agent', 'AI Bot', 'GPT Agent', 'AI Brain', 'Cat Coin', 'Kitty Cat', 'Cat King', 'Cat Army', 'AI Cat'];
+    const tokens = this.createTokens(names);
+    const points = [[0, 0], [0.2, 0], [0, 0.2], [0.2, 0.2], [2, 0], [2.2, 0], [2, 0.2], [2.2, 0.2], [1.1, 0.1]];
+    const features = points.map((vector, i) => ({ token: tokens[i], vector }));
+
+    const result = engine.performHDBSCANClustering(tokens, features);
+    const clusters = engine.addSoftMembers(result);
+    const aiCat = tokens[8];
+    const holding = clusters.filter(cluster => cluster.tokens.includes(aiCat));
+    const entries = holding.map(cluster => cluster.membership.find(entry => entry.address === aiCat.address));
+    const core = clusters[0].membership.find(entry => entry.address === 'token_0');
+
+    const detection = new NarrativeDetectionEngine({ minClusterSize: 1, minNarrativeStrength: 0 });
+    const { narratives } = await detection.processTokens(tokens, { clusters });
+    const inNarratives = narratives.filter(narrative => narrative.tokens.includes(aiCat) &&
+      narrative.membership.some(entry => entry.address === aiCat.address));
+
+    const passed = clusters.length === 2 && holding.length === 2 &&
+      entries.filter(entry => entry.soft).length === 1 &&
+      entries.every(entry => entry.probability > 0) &&
+      entries.reduce((sum, entry) => sum + entry.probability, 0) <= 1 + 1e-9 &&
+      core.probability > 0.9 && !core.soft && result.softMembers.length === 1 &&
+      inNarratives.length === 2;
+
+    return {
+      passed,
+      details: `AI Cat in ${holding.length} clusters (${entries.map(entry => `${entry.probability.toFixed(2)}${entry.soft ? ' soft' : ''}`).join(', ')}), ${inNarratives.length} narratives`
+    };
+  }
+
+  /**
+   * A cat token is explained by its shared keywords and its fellow cat tokens
+   */
+  async testMembershipExplanation() {
+    const engine = new TokenClusteringEngine({ minClusterSize: 2, maxClusters: 5 });
+    const tokens = this.createTokens([
+      'Cat Coin', 'Kitty Cat', 'Cat King', 'Doge Moon', 'Doge King', 'Shiba Dog', 'AI Agent', 'AI Bot', 'GPT Agent'
+    ]);
+    await engine.clusterTokens(tokens);
+
+    const members = ['token_0', 'token_1', 'token_2'];
+    const explanation = engine.explainMembership('token_0', members, { limit: 4 });
+    const animals = explanation.keywords.find(keyword => keyword.group === 'animals');
+    const shares = explanation.contributions.map(entry => entry.share);
+    const neighbors = [...explanation.neighbors.embedding, ...explanation.neighbors.market];
+
+    const passed = animals && animals.matched.includes('cat') && animals.sharedWith === 2 &&
+      explanation.contributions.length > 0 && explanation.contributions.length <= 4 &&
+      explanation.contributions.every((entry, i, list) => entry.contribution > 0 && (i === 0 || list[i - 1].contribution >= entry.contribution)) &&
+      shares.reduce((a, b) => a + b, 0) <= 1 + 1e-9 &&
+      explanation.distance.members < explanation.distance.average &&
+      neighbors.length > 0 && neighbors.every(neighbor => members.slice(1).includes(neighbor.address)) &&
+      engine.explainMembership('unknown', members) === null;
+
+    return {
+      passed,
+      details: `top: ${explanation.contributions.map(entry => `${entry.label} ${(entry.share * 100).toFixed(0)}%`).join(', ')}`
+    };
+  }
+
+  /**
+   * Feature vectors hold no invented numbers: differently seeded engines agree
+   */
+  async testMeasuredFeaturesOnly() {
+    const tokens = this.createTokens(['Cat Coin', 'Doge Moon', 'AI Agent']);
+    const vectors = async seed => {
+      const engine = new TokenClusteringEngine({ seed, clock: new ManualClock(START) });
+      return (await engine.extractAllFeatures(tokens)).map(features => features.vector);
+    };
+
+    const first = await vectors(1);
+    const second = await vectors(2);
+    const social = new TokenClusteringEngine().extractSocialFeatures(tokens[0]);
+
+    const passed = JSON.stringify(first) === JSON.stringify(second) &&
+      social.mentionGrowth === null && social.sentimentVolatility === null;
+
+    return { passed, details: `${first[0].length}-dimension vectors identical across seeds: ${JSON.stringify(first) === JSON.stringify(second)}` };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 TOKEN CLUSTERING TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runClusteringTests() {
+  const tester = new ClusteringTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  ClusteringTester,
+  runClusteringTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runClusteringTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
@@ -4,8 +4,35 @@
  * Implements advanced clustering algorithms to group similar tokens
  * and identify potential narratives through feature extraction and
  * machine learning techniques.
+ *
+ * Two modes (CLUSTERING_MODE):
+ * - batch (default): every cycle re-clusters its tokens from scratch with
+ *   k-means (k picked by a silhouette or gap statistic sweep), DBSCAN,
+ *   hierarchical clustering and HDBSCAN (hdbscan.js), scores them on the
+ *   same quality metrics (cluster-quality.js) and keeps the best result.
+ *   When HDBSCAN wins, tokens straddling two clusters are reported in both,
+ *   each cluster listing its members' membership probabilities
+ * - incremental: clusters persist across cycles. Every cycle only this
+ *   cycle's tokens are featurized, under the embedding fit of the last
+ *   consolidation: members seen again move their cluster's centroid by the
+ *   change in their features, and each new token joins the cluster with the
+ *   nearest centroid within `assignDistance`, or spawns a micro-cluster of
+ *   its own. Every `consolidateEvery` cycles the embedding is refitted on all
+ *   live members, which are re-embedded, centroids recomputed, close
+ *   clusters merged, and expired members, stale micro-clusters and surplus
+ *   clusters dropped. Per-cycle cost is linear in this cycle's tokens x live
+ *   clusters, and cluster ids stay stable.
  */
 
+const { linkGenerations } = require('./lineage');
+const { toMetric, sumMetric, averageMetric } = require('./provenance');
+const { NgramTfidfModel, tokenText, cosineSimilarity } = require('./embeddings');
+const { tokenizeToken } = require('./tokenizer');
+const { getDefaultTaxonomyStore } = require('./taxonomy');
+const { createRandom, systemClock } = require('./reproducibility');
+const { silhouetteScore, daviesBouldinIndex, outlierRatio } = require('./cluster-quality');
+const { hdbscan, softMemberships } = require('./hdbscan');
+
 class TokenClusteringEngine {
   constructor(config = {}) {
     this.config = {
@@ -14,6 +41,26 @@ class TokenClusteringEngine {
       dbscanEps: config.dbscanEps || 0.5,
       dbscanMinPts: config.dbscanMinPts || 3,
       hierarchicalThreshold: config.hierarchicalThreshold || 0.7,
+      kSelection: config.kSelection || 'silhouette', // silhouette | gap: how k-means picks k from 2..maxClusters
+      gapReferences: config.gapReferences || 5, // Gap statistic: uniform reference datasets per k
+      algorithms: config.algorithms || (process.env.CLUSTERING_ALGORITHMS || 'kmeans,dbscan,hierarchical,hdbscan').split(','), // Batch: compared each cycle
+      hdbscanMinClusterSize: config.hdbscanMinClusterSize || config.minClusterSize || 3,
+      hdbscanMinSamples: config.hdbscanMinSamples || null, // Neighbours behind a token's core distance (defaults to hdbscanMinClusterSize)
+      softMembershipThreshold: config.softMembershipThreshold || 0.3, // HDBSCAN: share of a token's pull that also puts it in another cluster
+      lineageMinJaccard: config.lineageMinJaccard || 0.2,
+      historySize: config.historySize || 60, // Cluster snapshots kept for evolution metrics
+      stabilityWindowMs: config.stabilityWindowMs || 30 * 60 * 1000, // Look-back for membership persistence
+      growthWindowMs: config.growthWindowMs || 15 * 60 * 1000, // Look-back for token count/volume/holder growth
+      stabilityWeight: config.stabilityWeight ?? 0.2, // Share of cluster strength gained (fully stable) or lost (all new members)
+      growthWeight: config.growthWeight ?? 0.2, // Share of cluster strength gained (doubling) or lost (emptied)
+      mode: config.mode || process.env.CLUSTERING_MODE || 'batch', // batch | incremental
+      assignDistance: config.assignDistance || 0.35, // Incremental: max distance to a centroid for a new token to join
+      mergeDistance: config.mergeDistance || 0.2, // Incremental: centroids this close merge on consolidation
+      consolidateEvery: config.consolidateEvery || 10, // Incremental: cycles between consolidations
+      tokenTtlMs: config.tokenTtlMs || 6 * 60 * 60 * 1000, // Incremental: members unseen this long leave their cluster
+      microClusterTtlMs: config.microClusterTtlMs || 60 * 60 * 1000, // Incremental: clusters still below minClusterSize after this dissolve
+      maxStreamClusters: config.maxStreamClusters || 500, // Incremental: least recently updated clusters beyond this are dropped
+      coherenceSampleSize: config.coherenceSampleSize || 100, // Members of a larger cluster behind its pairwise coherence
       featureWeights: {
         textual: config.textualWeight || 0.3,
         onchain: config.onchainWeight || 0.3,
@@ -25,6 +72,19 @@ class TokenClusteringEngine {
     
     this.clusterHistory = new Map(); // Track cluster evolution
     this.featureCache = new Map(); // Cache extracted features
+    this.latestFeatures = new Map(); // Token key -> features of the latest cycle's tokens (membership explanations)
+    this.metricsStore = config.metricsStore || null; // Per-token time series (TokenMetricsStore)
+    this.embeddingModel = config.embeddingModel || new NgramTfidfModel(); // Name/description embeddings
+    this.taxonomy = config.taxonomy || getDefaultTaxonomyStore(); // Theme keywords behind the keyword features
+    this.random = createRandom(config.seed); // k-means initialization and placeholder features; seeded for reproducible runs
+    this.clock = config.clock || systemClock; // Token ages and history timestamps
+    
+    // Incremental mode state
+    this.streamClusters = new Map(); // Cluster id -> { id, members: Map(token key -> { token, features, lastSeen }), centroid, createdAt, updatedAt }
+    this.streamAssignments = new Map(); // Token key -> cluster id
+    this.streamCycle = 0;
+    this.streamRevision = null; // Taxonomy revision the centroids were computed under
+    this.nextStreamClusterId = 0;
   }
 
   /**
@@ -54,6 +114,10 @@ class TokenClusteringEngine {
    * @returns {Object} Clustering results with clusters and metadata
    */
   async clusterTokens(tokens) {
+    if (this.config.mode === 'incremental') {
+      return this.clusterTokensIncremental(tokens);
+    }
+    
     console.log(`🔬 Starting clustering analysis for ${tokens.length} tokens...`);
     
     if (tokens.length < this.config.minClusterSize) {
@@ -71,20 +135,31 @@ class TokenClusteringEngine {
     try {
       // Step 1: Extract features for all tokens
       const features = await this.extractAllFeatures(tokens);
+      const distances = this.calculateDistanceMatrix(features.map(f => f.vector));
+      this.latestFeatures = new Map(features.map(f => [clusterTokenKey(f.token), f]));
       
       // Step 2: Run multiple clustering algorithms
-      const kmeansResult = this.performKMeansClustering(tokens, features);
-      const dbscanResult = this.performDBSCANClustering(tokens, features);
-      const hierarchicalResult = this.performHierarchicalClustering(tokens, features);
+      const runners = {
+        kmeans: () => this.performKMeansClustering(tokens, features, distances),
+        dbscan: () => this.performDBSCANClustering(tokens, features),
+        hierarchical: () => this.performHierarchicalClustering(tokens, features, distances),
+        hdbscan: () => this.performHDBSCANClustering(tokens, features, distances)
+      };
+      const algorithms = this.config.algorithms.map(name => name.trim()).filter(name => runners[name]);
+      if (algorithms.length === 0) {
+        throw new Error(`No known clustering algorithm in: ${this.config.algorithms.join(', ')}`);
+      }
+      const results = algorithms.map(name => runners[name]());
       
-      // Step 3: Select best clustering result
-      const bestResult = this.selectBestClustering([kmeansResult, dbscanResult, hierarchicalResult]);
+      // Step 3: Select best clustering result on the shared quality metrics
+      const bestResult = this.selectBestClustering(results, tokens, features, distances);
+      const clusters = this.addSoftMembers(bestResult);
       
       // Step 4: Track cluster evolution
-      this.trackClusterEvolution(bestResult.clusters);
+      const timestamp = this.trackClusterEvolution(clusters);
       
       // Step 5: Calculate cluster strength scores
-      const clustersWithScores = this.calculateClusterStrengths(bestResult.clusters, features);
+      const clustersWithScores = this.calculateClusterStrengths(clusters, features, timestamp);
       
       console.log(`✅ Clustering complete: ${clustersWithScores.length} clusters, ${bestResult.outliers.length} outliers`);
       
@@ -95,8 +170,14 @@ class TokenClusteringEngine {
           totalTokens: tokens.length,
           algorithmUsed: bestResult.algorithm,
           clusterCount: clustersWithScores.length,
-          silhouetteScore: this.calculateSilhouetteScore(clustersWithScores, features),
-          timestamp: new Date().toISOString()
+          silhouetteScore: bestResult.quality.silhouette,
+          softMembers: bestResult.softMembers ? bestResult.softMembers.length : 0,
+          timestamp: new Date(this.clock.now()).toISOString(),
+          quality: this.buildQualityReport(
+            bestResult.quality,
+            bestResult.comparison,
+            results.find(result => result.algorithm === 'kmeans')?.kSelection || null
+          )
         }
       };
       
@@ -110,14 +191,320 @@ class TokenClusteringEngine {
     }
   }
 
+  /**
+   * Incremental clustering: place this cycle's new tokens into the persistent
+   * clusters, refresh the ones already placed, and consolidate when due
+   * @param {Array} tokens - This cycle's tokens
+   * @param {number} now - Cycle time
+   * @returns {Object} Same shape as the batch result; clusters are the live
+   *   clusters of at least minClusterSize (members from earlier cycles included),
+   *   outliers the tokens of this cycle not in one
+   */
+  async clusterTokensIncremental(tokens, now = this.clock.now()) {
+    console.log(`🔬 Incremental clustering: ${tokens.length} tokens, ${this.streamClusters.size} live clusters...`);
+    
+    try {
+      this.streamCycle++;
+      const stats = { newTokens: 0, refreshed: 0, assigned: 0, spawned: 0, consolidation: null };
+      
+      // Tokens already placed keep their cluster; their snapshot is refreshed
+      const returning = new Map();
+      const fresh = [];
+      const freshKeys = new Set();
+      tokens.forEach(token => {
+        const key = clusterTokenKey(token);
+        const member = this.streamClusters.get(this.streamAssignments.get(key))?.members.get(key);
+        if (member) {
+          member.token = token;
+          member.lastSeen = now;
+          returning.set(key, member);
+        } else if (!freshKeys.has(key)) {
+          freshKeys.add(key);
+          fresh.push(token);
+        }
+      });
+      stats.newTokens = fresh.length;
+      stats.refreshed = returning.size;
+      
+      // Keyword features change shape when the taxonomy is reloaded: re-embed the clusters first
+      const revision = this.taxonomy.current.revision;
+      if (this.streamRevision !== null && this.streamRevision !== revision) {
+        stats.consolidation = await this.consolidateStream(now);
+      }
+      
+      // Only an empty stream fits the embedding here; otherwise new vectors must stay
+      // comparable with the live centroids until the next consolidation refits
+      const members = Array.from(returning.values());
+      const features = await this.extractAllFeatures(
+        members.map(member => member.token).concat(fresh),
+        { fit: this.streamAssignments.size === 0 }
+      );
+      this.streamRevision = revision;
+      members.forEach((member, index) => this.updateStreamMember(member, features[index]));
+      features.slice(members.length).forEach(tokenFeatures => {
+        stats[this.placeStreamToken(tokenFeatures, now)]++;
+      });
+      
+      if (!stats.consolidation && (this.streamCycle % this.config.consolidateEvery === 0 ||
+          this.streamClusters.size > this.config.maxStreamClusters)) {
+        stats.consolidation = await this.consolidateStream(now);
+      }
+      
+      const reported = Array.from(this.streamClusters.values())
+        .filter(cluster => cluster.members.size >= this.config.minClusterSize);
+      const clusters = reported.map(cluster => ({
+        id: cluster.id,
+        tokens: Array.from(cluster.members.values(), member => member.token),
+        createdAt: new Date(cluster.createdAt).toISOString()
+      }));
+      const memberFeatures = reported.flatMap(cluster => Array.from(cluster.members.values(), member => member.features));
+      this.latestFeatures = new Map();
+      this.streamClusters.forEach(cluster => cluster.members.forEach((member, key) => this.latestFeatures.set(key, member.features)));
+      
+      const clustered = new Set(clusters.flatMap(cluster => cluster.tokens.map(clusterTokenKey)));
+      const outliers = tokens.filter(token => !clustered.has(clusterTokenKey(token)));
+      
+      // Silhouette is quadratic in live members, so only the linear metrics are reported
+      const quality = this.assessClustering(
+        'incremental',
+        memberFeatures.map(f => f.vector),
+        reported.flatMap((cluster, index) => Array.from(cluster.members.values(), () => index))
+      );
+      quality.outlierRatio = tokens.length > 0 ? outliers.length / tokens.length : 0;
+      
+      const timestamp = this.trackClusterEvolution(clusters, now);
+      const clustersWithScores = this.calculateClusterStrengths(clusters, memberFeatures, timestamp);
+      
+      console.log(`✅ Incremental clustering: ${stats.assigned} assigned, ${stats.spawned} new micro-clusters, ${clustersWithScores.length} clusters reported${stats.consolidation ? ' (consolidated)' : ''}`);
+      
+      return {
+        clusters: clustersWithScores,
+        outliers,
+        metadata: {
+          totalTokens: tokens.length,
+          algorithmUsed: 'incremental',
+          clusterCount: clustersWithScores.length,
+          silhouetteScore: null, // Quadratic in live members; not computed per cycle
+          timestamp: new Date(now).toISOString(),
+          quality: this.buildQualityReport(quality, [{ ...quality, selected: true }], null),
+          incremental: {
+            cycle: this.streamCycle,
+            ...stats,
+            liveClusters: this.streamClusters.size,
+            liveTokens: this.streamAssignments.size
+          }
+        }
+      };
+      
+    } catch (error) {
+      console.error('❌ Error in incremental clustering:', error);
+      return {
+        clusters: [],
+        outliers: tokens,
+        metadata: { error: error.message }
+      };
+    }
+  }
+
+  /**
+   * Refit the embedding on every live member and re-extract their features in
+   * one batch, so the fit covers the whole live vocabulary rather than the
+   * first cycle's names, then recompute the centroids
+   */
+  async reembedStream() {
+    const members = Array.from(this.streamClusters.values()).flatMap(cluster => Array.from(cluster.members.values()));
+    if (members.length === 0) return;
+    
+    const features = await this.extractAllFeatures(members.map(member => member.token));
+    members.forEach((member, index) => {
+      member.features = features[index];
+    });
+    this.streamClusters.forEach(cluster => {
+      cluster.centroid = this.calculateCentroid(Array.from(cluster.members.values(), member => member.features.vector));
+    });
+  }
+
+  /**
+   * Give a member seen again this cycle's features, moving its cluster's
+   * centroid by the change instead of revisiting the other members
+   */
+  updateStreamMember(member, tokenFeatures) {
+    const cluster = this.streamClusters.get(this.streamAssignments.get(clusterTokenKey(member.token)));
+    const count = cluster.members.size;
+    
+    tokenFeatures.vector.forEach((value, dim) => {
+      cluster.centroid[dim] += (value - member.features.vector[dim]) / count;
+    });
+    member.features = tokenFeatures;
+  }
+
+  /**
+   * Put one new token in the nearest live cluster within assignDistance, or a new micro-cluster
+   * @returns {string} 'assigned' or 'spawned'
+   */
+  placeStreamToken(tokenFeatures, now = this.clock.now()) {
+    const nearest = this.findNearestStreamCluster(tokenFeatures.vector);
+    
+    if (nearest && nearest.distance <= this.config.assignDistance) {
+      this.addStreamMember(nearest.cluster, tokenFeatures, now);
+      return 'assigned';
+    }
+    
+    const cluster = {
+      id: this.nextStreamClusterId++,
+      members: new Map(),
+      centroid: new Array(tokenFeatures.vector.length).fill(0),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.streamClusters.set(cluster.id, cluster);
+    this.addStreamMember(cluster, tokenFeatures, now);
+    return 'spawned';
+  }
+
+  /**
+   * Live cluster whose centroid is closest to `vector`
+   * @returns {Object|null} { cluster, distance }
+   */
+  findNearestStreamCluster(vector) {
+    let nearest = null;
+    
+    this.streamClusters.forEach(cluster => {
+      const distance = this.euclideanDistance(vector, cluster.centroid);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { cluster, distance };
+      }
+    });
+    
+    return nearest;
+  }
+
+  addStreamMember(cluster, tokenFeatures, now) {
+    const key = clusterTokenKey(tokenFeatures.token);
+    cluster.members.set(key, { token: tokenFeatures.token, features: tokenFeatures, lastSeen: now });
+    cluster.updatedAt = now;
+    this.streamAssignments.set(key, cluster.id);
+    
+    // Running mean keeps the centroid current without revisiting members
+    const count = cluster.members.size;
+    tokenFeatures.vector.forEach((value, dim) => {
+      cluster.centroid[dim] += (value - cluster.centroid[dim]) / count;
+    });
+  }
+
+  /**
+   * Periodic clean-up of the live clusters:
+   * 1. members not seen within tokenTtlMs leave their cluster
+   * 2. the embedding is refitted on the rest, which are re-embedded in one
+   *    batch (current taxonomy) and centroids recomputed
+   * 3. clusters whose centroids are within mergeDistance merge; the larger
+   *    (then older) keeps its id
+   * 4. micro-clusters older than microClusterTtlMs and still below
+   *    minClusterSize dissolve
+   * 5. the least recently updated clusters beyond maxStreamClusters are dropped
+   * @returns {Promise<Object>} { expired, merged, dissolved, evicted }
+   */
+  async consolidateStream(now = this.clock.now()) {
+    const result = { expired: 0, merged: [], dissolved: 0, evicted: 0 };
+    
+    // 1. Expire
+    this.streamClusters.forEach(cluster => {
+      cluster.members.forEach((member, key) => {
+        if (now - member.lastSeen > this.config.tokenTtlMs) {
+          cluster.members.delete(key);
+          this.streamAssignments.delete(key);
+          result.expired++;
+        }
+      });
+      if (cluster.members.size === 0) this.streamClusters.delete(cluster.id);
+    });
+    
+    // 2. Refit, re-embed and recompute centroids
+    await this.reembedStream();
+    this.streamRevision = this.taxonomy.current.revision;
+    
+    // 3. Merge, largest clusters first so they absorb the smaller ones
+    const ordered = Array.from(this.streamClusters.values())
+      .sort((a, b) => b.members.size - a.members.size || a.createdAt - b.createdAt);
+    const kept = [];
+    ordered.forEach(cluster => {
+      const target = kept.find(candidate =>
+        this.euclideanDistance(candidate.centroid, cluster.centroid) <= this.config.mergeDistance
+      );
+      if (!target) {
+        kept.push(cluster);
+        return;
+      }
+      
+      const total = target.members.size + cluster.members.size;
+      target.centroid = target.centroid.map((value, dim) =>
+        (value * target.members.size + cluster.centroid[dim] * cluster.members.size) / total
+      );
+      cluster.members.forEach((member, key) => {
+        target.members.set(key, member);
+        this.streamAssignments.set(key, target.id);
+      });
+      target.updatedAt = Math.max(target.updatedAt, cluster.updatedAt);
+      this.streamClusters.delete(cluster.id);
+      result.merged.push({ from: cluster.id, into: target.id });
+    });
+    
+    // 4. Dissolve stale micro-clusters
+    this.streamClusters.forEach(cluster => {
+      if (cluster.members.size < this.config.minClusterSize && now - cluster.createdAt > this.config.microClusterTtlMs) {
+        this.dropStreamCluster(cluster);
+        result.dissolved++;
+      }
+    });
+    
+    // 5. Bound the number of live clusters
+    if (this.streamClusters.size > this.config.maxStreamClusters) {
+      Array.from(this.streamClusters.values())
+        .sort((a, b) => a.updatedAt - b.updatedAt)
+        .slice(0, this.streamClusters.size - this.config.maxStreamClusters)
+        .forEach(cluster => {
+          this.dropStreamCluster(cluster);
+          result.evicted++;
+        });
+    }
+    
+    console.log(`🧹 Consolidated clusters: ${result.merged.length} merged, ${result.expired} members expired, ${result.dissolved} dissolved, ${result.evicted} evicted`);
+    return result;
+  }
+
+  dropStreamCluster(cluster) {
+    cluster.members.forEach((member, key) => this.streamAssignments.delete(key));
+    this.streamClusters.delete(cluster.id);
+  }
+
+  calculateCentroid(vectors) {
+    const centroid = new Array(vectors[0].length).fill(0);
+    vectors.forEach(vector => {
+      vector.forEach((value, dim) => {
+        centroid[dim] += value / vectors.length;
+      });
+    });
+    return centroid;
+  }
+
   /**
    * Extract comprehensive features for all tokens
+   * @param {Array} tokens - Tokens to featurize
+   * @param {Object} options - { fit }: fit false embeds under the current embedding fit
    */
-  async extractAllFeatures(tokens) {
+  async extractAllFeatures(tokens, { fit = true } = {}) {
     const features = [];
     
+    // Fit the text embeddings on this batch before any token is embedded;
+    // features cached under an earlier fit embed names differently
+    await this.embeddingModel.prepare(tokens.map(tokenText), { fit });
+    if (fit) this.featureCache.clear();
+    
+    // Keyword features change shape when the taxonomy is reloaded
+    const taxonomyRevision = this.taxonomy.current.revision;
+    
     for (const token of tokens) {
-      const cacheKey = `${token.address}_${token.updatedAt || Date.now()}`;
+      const cacheKey = `${token.address}_${token.updatedAt || this.clock.now()}_${taxonomyRevision}`;
       
       if (this.featureCache.has(cacheKey)) {
         features.push(this.featureCache.get(cacheKey));
@@ -149,6 +536,8 @@ class TokenClusteringEngine {
     const name = (token.name || '').toLowerCase();
     const symbol = (token.symbol || '').toLowerCase();
     const combined = `${name} ${symbol}`;
+    // Keyword tests run on tokenized terms, so AIDOGE, 🐶 and D0GE count as dog
+    const terms = tokenizeToken(token);
     
     return {
       // Length features
@@ -160,32 +549,11 @@ class TokenClusteringEngine {
       hasSpecialChars: /[^a-z0-9\s]/.test(combined),
       upperCaseRatio: (token.name || '').replace(/[^A-Z]/g, '').length / Math.max(1, (token.name || '').length),
       
-      // Keyword features (boolean indicators)
-      keywords: {
-        // Animal themes
-        isDog: /dog|doge|shib|puppy|canine/.test(combined),
-        isCat: /cat|kitten|feline|meow/.test(combined),
-        isAnimal: /dog|cat|bird|fish|bear|bull|tiger|lion|wolf|fox|rabbit/.test(combined),
-        
-        // AI themes
-        isAI: /ai|artificial|intelligence|neural|machine|learning|gpt|chat|bot/.test(combined),
-        isTech: /tech|protocol|network|chain|crypto|defi|web3/.test(combined),
-        
-        // Meme themes
-        isMeme: /meme|pepe|wojak|chad|moon|rocket|diamond|hands/.test(combined),
-        isFood: /pizza|burger|taco|sushi|cake|cookie|bread/.test(combined),
-        
-        // Utility themes
-        isUtility: /utility|tool|service|platform|infrastructure/.test(combined),
-        isGaming: /game|gaming|play|metaverse|nft|avatar/.test(combined),
-        
-        // Market themes
-        isPolitical: /trump|biden|political|election|vote/.test(combined),
-        isFinance: /finance|bank|treasury|yield|stake|farm/.test(combined)
-      },
+      // Keyword features (boolean indicators), one per taxonomy group
+      keywords: this.taxonomy.current.matchGroups(terms),
       
-      // Semantic similarity (simplified)
-      tokenEmbedding: this.createSimpleEmbedding(combined)
+      // Semantic embedding of name, symbol and description
+      tokenEmbedding: this.embeddingModel.embed(tokenText(token))
     };
   }
 
@@ -290,90 +658,175 @@ class TokenClusteringEngine {
    * Combine all features into a single normalized vector
    */
   combineFeatures(tokenFeatures) {
+    return this.describeFeatures(tokenFeatures).map(entry => entry.value);
+  }
+
+  /**
+   * The combined feature vector as named entries { group, feature, value },
+   * in vector order; `value` is normalized and weighted by its group
+   */
+  describeFeatures(tokenFeatures) {
     const { textual, onchain, social, market } = tokenFeatures;
-    const weights = this.config.featureWeights;
-    
-    // Create feature vector
-    const vector = [];
+    const entries = [];
+    const add = (group, feature, value) => entries.push({ group, feature, value: value * this.config.featureWeights[group] });
     
     // Textual features (normalized)
-    const textualVector = [
-      this.normalize(textual.nameLength, 0, 50),
-      this.normalize(textual.symbolLength, 0, 20),
-      textual.hasNumbers ? 1 : 0,
-      textual.hasSpecialChars ? 1 : 0,
-      textual.upperCaseRatio,
-      // Keywords as binary features
-      ...Object.values(textual.keywords).map(v => v ? 1 : 0),
-      // Simplified embedding
-      ...textual.tokenEmbedding
-    ];
+    add('textual', 'nameLength', this.normalize(textual.nameLength, 0, 50));
+    add('textual', 'symbolLength', this.normalize(textual.symbolLength, 0, 20));
+    add('textual', 'hasNumbers', textual.hasNumbers ? 1 : 0);
+    add('textual', 'hasSpecialChars', textual.hasSpecialChars ? 1 : 0);
+    add('textual', 'upperCaseRatio', textual.upperCaseRatio);
+    // Keywords as binary features
+    Object.entries(textual.keywords).forEach(([group, matched]) => add('textual', `keyword:${group}`, matched ? 1 : 0));
+    // Text embedding
+    textual.tokenEmbedding.forEach((value, index) => add('textual', `embedding:${index}`, value));
     
     // On-chain features (normalized)
-    const onchainVector = [
-      this.normalize(Math.log(onchain.holderCount + 1), 0, 15),
-      this.normalize(onchain.holderConcentration, 0, 1),
-      this.normalize(onchain.holderGrowthRate, -1, 1),
-      this.normalize(Math.log(onchain.liquidityUSD + 1), 0, 20),
-      this.normalize(onchain.liquidityRatio, 0, 1),
-      this.normalize(Math.log(onchain.volume24h + 1), 0, 20),
-      this.normalize(onchain.volumeToLiquidityRatio, 0, 10),
-      this.normalize(onchain.transactionFrequency, 0, 100),
-      this.normalize(onchain.tokenAge, 0, 30 * 24 * 60 * 60 * 1000),
-      onchain.isNewToken ? 1 : 0
-    ];
-    
-    // Social features (normalized)
-    const socialVector = [
-      this.normalize(Math.log(social.mentionCount + 1), 0, 15),
-      this.normalize(social.mentionVelocity, 0, 100),
-      this.normalize(social.mentionGrowth, -1, 5),
-      this.normalize(social.sentimentScore, -1, 1),
-      this.normalize(social.sentimentVolatility, 0, 1),
-      this.normalize(social.engagementRate, 0, 1),
-      this.normalize(social.viralityScore, 0, 1),
-      this.normalize(social.communityStrength, 0, 1)
-    ];
+    add('onchain', 'holderCount', this.normalize(Math.log(onchain.holderCount + 1), 0, 15));
+    add('onchain', 'holderConcentration', this.normalize(onchain.holderConcentration, 0, 1));
+    add('onchain', 'holderGrowthRate', this.normalize(onchain.holderGrowthRate, -1, 1));
+    add('onchain', 'liquidityUSD', this.normalize(Math.log(onchain.liquidityUSD + 1), 0, 20));
+    add('onchain', 'liquidityRatio', this.normalize(onchain.liquidityRatio, 0, 1));
+    add('onchain', 'volume24h', this.normalize(Math.log(onchain.volume24h + 1), 0, 20));
+    add('onchain', 'volumeToLiquidityRatio', this.normalize(onchain.volumeToLiquidityRatio, 0, 10));
+    add('onchain', 'transactionFrequency', this.normalize(onchain.transactionFrequency, 0, 100));
+    add('onchain', 'tokenAge', this.normalize(onchain.tokenAge, 0, 30 * 24 * 60 * 60 * 1000));
+    add('onchain', 'isNewToken', onchain.isNewToken ? 1 : 0);
+    
+    // Social features (normalized); mention growth and sentiment volatility
+    // stay out of the vector until they are measured
+    add('social', 'mentionCount', this.normalize(Math.log(social.mentionCount + 1), 0, 15));
+    add('social', 'mentionVelocity', this.normalize(social.mentionVelocity, 0, 100));
+    add('social', 'sentimentScore', this.normalize(social.sentimentScore, -1, 1));
+    add('social', 'engagementRate', this.normalize(social.engagementRate, 0, 1));
+    add('social', 'viralityScore', this.normalize(social.viralityScore, 0, 1));
+    add('social', 'communityStrength', this.normalize(social.communityStrength, 0, 1));
     
     // Market features (normalized)
-    const marketVector = [
-      this.normalize(Math.log(market.currentPrice * 1000000 + 1), 0, 20),
-      this.normalize(market.priceChange24h, -100, 1000),
-      this.normalize(market.priceVolatility, 0, 2),
-      this.normalize(Math.log(market.volume24h + 1), 0, 20),
-      this.normalize(market.volumeSpike, 0, 5),
-      this.normalize(Math.log(market.marketCap + 1), 0, 25),
-      this.normalize(market.performance1h, -50, 200),
-      this.normalize(market.performance7d, -90, 500),
-      this.normalize(market.rsi, 0, 100)
-    ];
+    add('market', 'currentPrice', this.normalize(Math.log(market.currentPrice * 1000000 + 1), 0, 20));
+    add('market', 'priceChange24h', this.normalize(market.priceChange24h, -100, 1000));
+    add('market', 'priceVolatility', this.normalize(market.priceVolatility, 0, 2));
+    add('market', 'volume24h', this.normalize(Math.log(market.volume24h + 1), 0, 20));
+    add('market', 'volumeSpike', this.normalize(market.volumeSpike, 0, 5));
+    add('market', 'marketCap', this.normalize(Math.log(market.marketCap + 1), 0, 25));
+    add('market', 'performance1h', this.normalize(market.performance1h, -50, 200));
+    add('market', 'performance7d', this.normalize(market.performance7d, -90, 500));
+    add('market', 'rsi', this.normalize(market.rsi, 0, 100));
+    
+    return entries;
+  }
+
+  /**
+   * Why a token sits with the other members of its cluster or narrative.
+   * Each feature's contribution is how much closer it puts the token to the
+   * other members' centroid than to the average token of the latest cycle,
+   * (x - average)^2 - (x - centroid)^2 per dimension, so the contributions
+   * sum to the difference of the squared distances. Embedding dimensions are
+   * summed into one `embedding` entry; the others carry the token's value and
+   * the members' mean (normalized, before group weights). A keyword the token
+   * lacks can contribute too, when the other members lack it as well.
+   * @param {string} key - Token address
+   * @param {Array<string>} memberKeys - Addresses of the cluster's or narrative's tokens
+   * @param {Object} options - { limit: number of contributions to return }
+   * @returns {Object|null} null when the latest cycle has no features for the token
+   */
+  explainMembership(key, memberKeys, { limit = 8 } = {}) {
+    const subject = this.latestFeatures.get(key);
+    if (!subject) return null;
+    
+    const others = memberKeys.filter(memberKey => memberKey !== key)
+      .map(memberKey => this.latestFeatures.get(memberKey))
+      .filter(Boolean);
+    const centroid = this.calculateCentroid((others.length > 0 ? others : [subject]).map(f => f.vector));
+    const average = this.calculateCentroid(Array.from(this.latestFeatures.values(), f => f.vector));
+    const entries = this.describeFeatures(subject);
+    const groups = this.taxonomy.current.groups;
     
-    // Combine with weights
-    vector.push(...textualVector.map(v => v * weights.textual));
-    vector.push(...onchainVector.map(v => v * weights.onchain));
-    vector.push(...socialVector.map(v => v * weights.social));
-    vector.push(...marketVector.map(v => v * weights.market));
+    const contributions = new Map();
+    entries.forEach((entry, dim) => {
+      const embedding = entry.feature.startsWith('embedding:');
+      const feature = embedding ? 'embedding' : entry.feature;
+      const contribution = Math.pow(entry.value - average[dim], 2) - Math.pow(entry.value - centroid[dim], 2);
+      // On-chain and market features share some names (volume24h)
+      const id = `${entry.group}/${feature}`;
+      const weight = this.config.featureWeights[entry.group];
+      const current = contributions.get(id) || {
+        feature,
+        group: entry.group,
+        label: featureLabel(feature, groups, entry.value > 0),
+        value: embedding ? null : entry.value / weight,
+        membersValue: embedding ? null : centroid[dim] / weight,
+        contribution: 0
+      };
+      current.contribution += contribution;
+      contributions.set(id, current);
+    });
     
-    return vector;
+    const ranked = Array.from(contributions.values()).sort((a, b) => b.contribution - a.contribution);
+    const positive = ranked.filter(entry => entry.contribution > 0);
+    const positiveTotal = positive.reduce((sum, entry) => sum + entry.contribution, 0);
+    const groupTotals = {};
+    ranked.forEach(entry => { groupTotals[entry.group] = (groupTotals[entry.group] || 0) + entry.contribution; });
+    
+    // Matched keywords, and how many other members share each group
+    const matched = this.taxonomy.current.matchKeywords(tokenizeToken(subject.token));
+    const keywords = Object.entries(matched).filter(([, found]) => found.length > 0).map(([group, found]) => ({
+      group,
+      label: groups.get(group)?.label || group,
+      matched: found,
+      sharedWith: others.filter(other => other.textual.keywords[group]).length
+    }));
+    
+    // Closest members by name embedding and by market behaviour (on-chain and market features)
+    const behaviourDims = entries.map((entry, dim) => (entry.group === 'onchain' || entry.group === 'market' ? dim : -1)).filter(dim => dim !== -1);
+    const behaviourRange = Math.sqrt(behaviourDims.reduce((sum, dim) => sum + Math.pow(this.config.featureWeights[entries[dim].group], 2), 0));
+    const describe = other => ({ address: other.token.address, symbol: other.token.symbol, name: other.token.name });
+    const embeddingNeighbors = others.map(other => ({
+      ...describe(other),
+      similarity: Math.max(0, cosineSimilarity(subject.textual.tokenEmbedding, other.textual.tokenEmbedding))
+    }));
+    const marketNeighbors = others.map(other => {
+      const distance = Math.sqrt(behaviourDims.reduce((sum, dim) => sum + Math.pow(subject.vector[dim] - other.vector[dim], 2), 0));
+      return { ...describe(other), similarity: 1 - distance / behaviourRange };
+    });
+    const top = list => list.sort((a, b) => b.similarity - a.similarity).slice(0, 3);
+    
+    return {
+      address: subject.token.address,
+      distance: {
+        members: this.euclideanDistance(subject.vector, centroid),
+        average: this.euclideanDistance(subject.vector, average)
+      },
+      contributions: positive.slice(0, limit).map(entry => ({ ...entry, share: entry.contribution / positiveTotal })),
+      groups: groupTotals,
+      keywords,
+      neighbors: {
+        embedding: top(embeddingNeighbors),
+        market: top(marketNeighbors)
+      }
+    };
   }
 
   /**
-   * Perform K-means clustering
+   * Perform K-means clustering, with k chosen by sweeping 2..maxK (see selectK)
+   * @param {Array<Array<number>>} distances - Pairwise feature distances (computed when omitted)
    */
-  performKMeansClustering(tokens, features) {
+  performKMeansClustering(tokens, features, distances = null) {
     const vectors = features.map(f => f.vector);
-    const k = Math.min(this.config.maxClusters, Math.floor(tokens.length / this.config.minClusterSize));
+    const maxK = Math.min(this.config.maxClusters, Math.floor(tokens.length / this.config.minClusterSize));
     
-    if (k < 2) {
+    if (maxK < 2) {
       return {
         algorithm: 'kmeans',
         clusters: [],
         outliers: tokens,
-        score: 0
+        score: 0,
+        kSelection: null
       };
     }
     
-    const result = this.kMeans(vectors, k);
+    const selection = this.selectK(vectors, maxK, distances || this.calculateDistanceMatrix(vectors));
+    const result = selection.result;
     const clusters = this.groupTokensByClusters(tokens, result.labels);
     
     return {
@@ -382,10 +835,64 @@ class TokenClusteringEngine {
       outliers: clusters.filter(cluster => cluster.tokens.length < this.config.minClusterSize)
         .flatMap(cluster => cluster.tokens),
       score: result.inertia,
-      centroids: result.centroids
+      centroids: result.centroids,
+      kSelection: { method: this.config.kSelection, k: selection.k, sweep: selection.sweep }
     };
   }
 
+  /**
+   * Run k-means for every k in 2..maxK and pick one:
+   * - silhouette: the k with the highest mean silhouette
+   * - gap: the smallest k whose gap statistic is within one standard error
+   *   of the next k's (Tibshirani et al.), else the k with the largest gap
+   * @returns {Object} { k, result, sweep: [{ k, silhouette, inertia, gap, gapError }] }
+   */
+  selectK(vectors, maxK, distances) {
+    const runs = new Map();
+    const sweep = [];
+    
+    for (let k = 2; k <= maxK; k++) {
+      const run = this.kMeans(vectors, k);
+      runs.set(k, run);
+      sweep.push({ k, silhouette: silhouetteScore(distances, run.labels), inertia: run.inertia, gap: null, gapError: null });
+    }
+    
+    let chosen;
+    if (this.config.kSelection === 'gap') {
+      this.addGapStatistics(vectors, sweep);
+      chosen = sweep.find((entry, index) => index < sweep.length - 1 &&
+        entry.gap >= sweep[index + 1].gap - sweep[index + 1].gapError);
+      chosen = chosen || sweep.reduce((best, entry) => (entry.gap > best.gap ? entry : best));
+    } else {
+      // Ties go to the smaller k
+      chosen = sweep.reduce((best, entry) => ((entry.silhouette ?? -Infinity) > (best.silhouette ?? -Infinity) ? entry : best));
+    }
+    
+    return { k: chosen.k, result: runs.get(chosen.k), sweep };
+  }
+
+  /**
+   * Gap statistic for each sweep entry: mean log within-cluster dispersion
+   * of k-means on uniform reference data (same bounding box, seeded) minus
+   * the log dispersion on the real data
+   */
+  addGapStatistics(vectors, sweep) {
+    const dims = vectors[0].length;
+    const low = Array.from({ length: dims }, (_, dim) => Math.min(...vectors.map(v => v[dim])));
+    const high = Array.from({ length: dims }, (_, dim) => Math.max(...vectors.map(v => v[dim])));
+    const references = Array.from({ length: this.config.gapReferences }, () =>
+      vectors.map(() => low.map((min, dim) => min + this.random() * (high[dim] - min)))
+    );
+    const logDispersion = inertia => Math.log(Math.max(inertia, 1e-12));
+    
+    sweep.forEach(entry => {
+      const referenceLogs = references.map(reference => logDispersion(this.kMeans(reference, entry.k).inertia));
+      const mean = referenceLogs.reduce((a, b) => a + b, 0) / referenceLogs.length;
+      entry.gap = mean - logDispersion(entry.inertia);
+      entry.gapError = Math.sqrt(this.calculateVariance(referenceLogs)) * Math.sqrt(1 + 1 / referenceLogs.length);
+    });
+  }
+
   /**
    * Perform DBSCAN clustering
    */
@@ -408,10 +915,12 @@ class TokenClusteringEngine {
 
   /**
    * Perform hierarchical clustering
+   * @param {Array<Array<number>>} distances - Pairwise feature distances (computed when omitted)
    */
-  performHierarchicalClustering(tokens, features) {
+  performHierarchicalClustering(tokens, features, distances = null) {
     const vectors = features.map(f => f.vector);
-    const distanceMatrix = this.calculateDistanceMatrix(vectors);
+    // hierarchicalClustering() overwrites its matrix as clusters merge
+    const distanceMatrix = distances ? distances.map(row => row.slice()) : this.calculateDistanceMatrix(vectors);
     const result = this.hierarchicalClustering(distanceMatrix, this.config.hierarchicalThreshold);
     const clusters = this.groupTokensByClusters(tokens, result.labels);
     
@@ -426,42 +935,156 @@ class TokenClusteringEngine {
   }
 
   /**
-   * Select the best clustering result based on multiple criteria
+   * Perform HDBSCAN clustering: density clusters without a global eps, and
+   * per-token membership probabilities
+   * @param {Array<Array<number>>} distances - Pairwise feature distances (computed when omitted)
+   * @returns {Object} The usual result, clusters carrying `membership`
+   *   ([{ address, probability, soft }]) and `softMembers` listing the tokens
+   *   that also belong to another cluster (added by addSoftMembers())
    */
-  selectBestClustering(results) {
-    const validResults = results.filter(r => r.clusters.length > 0);
-    
-    if (validResults.length === 0) {
-      return results[0]; // Return first result even if no valid clusters
-    }
+  performHDBSCANClustering(tokens, features, distances = null) {
+    const matrix = distances || this.calculateDistanceMatrix(features.map(f => f.vector));
+    const result = hdbscan(matrix, {
+      minClusterSize: this.config.hdbscanMinClusterSize,
+      minSamples: this.config.hdbscanMinSamples
+    });
+    const shares = softMemberships(matrix, result);
     
-    // Score each result based on multiple criteria
-    const scoredResults = validResults.map(result => {
-      const clusterSizes = result.clusters.map(c => c.tokens.length);
-      const avgClusterSize = clusterSizes.reduce((a, b) => a + b, 0) / clusterSizes.length;
-      const clusterSizeVariance = this.calculateVariance(clusterSizes);
+    // Probability in a cluster = the token's HDBSCAN probability x its share of pull toward that cluster
+    const clusters = result.clusters.map(cluster => ({ id: cluster.label, tokens: [], membership: [] }));
+    const softMembers = [];
+    result.labels.forEach((label, index) => {
+      if (label === -1) return;
+      const token = tokens[index];
+      clusters[label].tokens.push(token);
+      clusters[label].membership.push({ address: token.address, probability: result.probabilities[index] * shares[index][label], soft: false });
       
-      const totalTokens = result.clusters.reduce((sum, cluster) => sum + cluster.tokens.length, 0) + result.outliers.length;
-      const compositeScore = 
-        result.clusters.length * 0.3 + // Favor more clusters
-        avgClusterSize * 0.2 + // Favor larger clusters
-        (1 / (clusterSizeVariance + 1)) * 0.2 + // Favor balanced cluster sizes
-        (result.outliers.length / totalTokens) * -0.3; // Penalize many outliers
+      shares[index].forEach((share, other) => {
+        if (other !== label && share >= this.config.softMembershipThreshold) {
+          softMembers.push({ cluster: other, token, probability: result.probabilities[index] * share });
+        }
+      });
+    });
+    
+    return {
+      algorithm: 'hdbscan',
+      clusters,
+      outliers: tokens.filter((_, index) => result.labels[index] === -1),
+      score: result.clusters.reduce((sum, cluster) => sum + cluster.stability, 0),
+      softMembers
+    };
+  }
+
+  /**
+   * Clusters of a result with its soft members added to the other clusters
+   * they straddle (results without soft members come back unchanged)
+   */
+  addSoftMembers(result) {
+    if (!result.softMembers || result.softMembers.length === 0) return result.clusters;
+    
+    return result.clusters.map((cluster, index) => {
+      const extra = result.softMembers.filter(member => member.cluster === index);
+      if (extra.length === 0) return cluster;
       
-      return { ...result, compositeScore };
+      return {
+        ...cluster,
+        tokens: [...cluster.tokens, ...extra.map(member => member.token)],
+        membership: [
+          ...cluster.membership,
+          ...extra.map(member => ({ address: member.token.address, probability: member.probability, soft: true }))
+        ]
+      };
+    });
+  }
+
+  /**
+   * Select the best clustering result: every result is assessed on the same
+   * metrics (assessClustering) and the highest score wins, ties going to the
+   * lower Davies–Bouldin index
+   * @returns {Object} The winning result with `quality` (its assessment) and
+   *   `comparison` (every result's assessment, the winner marked `selected`)
+   */
+  selectBestClustering(results, tokens, features, distances = null) {
+    const vectors = features.map(f => f.vector);
+    const index = new Map(tokens.map((token, i) => [token, i]));
+    
+    const assessed = results.map(result => {
+      const labels = new Array(tokens.length).fill(-1);
+      result.clusters.forEach((cluster, label) => {
+        cluster.tokens.forEach(token => { labels[index.get(token)] = label; });
+      });
+      return { result, quality: this.assessClustering(result.algorithm, vectors, labels, distances) };
     });
     
-    // Return the highest scoring result
-    return scoredResults.reduce((best, current) => 
-      current.compositeScore > best.compositeScore ? current : best
+    const eligible = assessed.filter(entry => entry.quality.score !== null);
+    const daviesBouldin = entry => entry.quality.daviesBouldin ?? Infinity;
+    // Return the first result even if none has clusters
+    const best = eligible.length === 0 ? assessed[0] : eligible.reduce((best, current) =>
+      current.quality.score > best.quality.score ||
+      (current.quality.score === best.quality.score && daviesBouldin(current) < daviesBouldin(best))
+        ? current : best
     );
+    
+    return {
+      ...best.result,
+      quality: best.quality,
+      comparison: assessed.map(entry => ({ ...entry.quality, selected: entry === best }))
+    };
+  }
+
+  /**
+   * Quality metrics of one clustering
+   * @param {string} algorithm
+   * @param {Array<Array<number>>} vectors - Feature vectors
+   * @param {Array<number>} labels - Cluster label per vector, -1 for outliers
+   * @param {Array<Array<number>>|null} distances - Pairwise distances; without them silhouette is null
+   * @returns {Object} { algorithm, clusterCount, outlierRatio, silhouette, daviesBouldin, score }
+   *   score is the mean silhouette over all tokens with outliers counting 0
+   *   (leaving tokens unclustered earns nothing); 0 for a single cluster,
+   *   null with no clusters or no silhouette
+   */
+  assessClustering(algorithm, vectors, labels, distances = null) {
+    const clusterCount = new Set(labels.filter(label => label !== -1)).size;
+    const silhouette = distances ? silhouetteScore(distances, labels) : null;
+    const ratio = outlierRatio(labels);
+    
+    let score = null;
+    if (clusterCount === 1) score = 0;
+    else if (clusterCount > 1 && silhouette !== null) score = silhouette * (1 - ratio);
+    
+    return {
+      algorithm,
+      clusterCount,
+      outlierRatio: ratio,
+      silhouette,
+      daviesBouldin: daviesBouldinIndex(vectors, labels),
+      score
+    };
+  }
+
+  /**
+   * Quality report for a clustering run (metadata.quality, GET /api/clusters/quality)
+   * @param {Object} quality - The selected result's assessment
+   * @param {Array<Object>} algorithms - Every algorithm's assessment
+   * @param {Object|null} kSelection - The k-means k sweep
+   */
+  buildQualityReport(quality, algorithms, kSelection) {
+    return {
+      selected: quality.algorithm,
+      silhouette: quality.silhouette,
+      daviesBouldin: quality.daviesBouldin,
+      outlierRatio: quality.outlierRatio,
+      clusterCount: quality.clusterCount,
+      kSelection,
+      algorithms
+    };
   }
 
   /**
    * Track cluster evolution over time
+   * @returns {number} The timestamp the clusters were recorded under
    */
-  trackClusterEvolution(clusters) {
-    const timestamp = Date.now();
+  trackClusterEvolution(clusters, timestamp = this.clock.now()) {
     const currentClusters = new Map();
     
     // Create cluster signatures for tracking
@@ -479,33 +1102,42 @@ class TokenClusteringEngine {
     if (this.clusterHistory.size > 0) {
       const evolution = this.analyzeClusterEvolution(this.clusterHistory, currentClusters);
       console.log(`📈 Cluster evolution: ${evolution.splits} splits, ${evolution.merges} merges, ${evolution.new} new clusters`);
+      this.lastEvolution = { timestamp, ...evolution };
     }
     
-    // Update history (keep last 10 snapshots)
+    // Update history (keep the last historySize snapshots)
     this.clusterHistory.set(timestamp, currentClusters);
     const timestamps = Array.from(this.clusterHistory.keys()).sort((a, b) => b - a);
-    if (timestamps.length > 10) {
-      timestamps.slice(10).forEach(ts => this.clusterHistory.delete(ts));
+    if (timestamps.length > this.config.historySize) {
+      timestamps.slice(this.config.historySize).forEach(ts => this.clusterHistory.delete(ts));
     }
+    
+    return timestamp;
   }
 
   /**
    * Calculate cluster strength scores
    */
-  calculateClusterStrengths(clusters, features) {
+  calculateClusterStrengths(clusters, features, timestamp = this.clock.now()) {
+    const featuresByAddress = new Map();
+    features.forEach(f => {
+      if (!featuresByAddress.has(f.token.address)) featuresByAddress.set(f.token.address, f);
+    });
+    
     return clusters.map(cluster => {
       const clusterFeatures = cluster.tokens.map(token => 
-        features.find(f => f.token.address === token.address)
+        featuresByAddress.get(token.address)
       ).filter(Boolean);
       
-      const strength = this.calculateClusterStrength(cluster, clusterFeatures);
+      const stability = this.calculateClusterStability(cluster, timestamp);
+      const growth = this.calculateClusterGrowth(cluster, timestamp);
       
       return {
         ...cluster,
-        strength,
+        strength: this.calculateClusterStrength(cluster, clusterFeatures, { stability, growth: growth.growth }),
         coherence: this.calculateClusterCoherence(clusterFeatures),
-        stability: this.calculateClusterStability(cluster),
-        growth: this.calculateClusterGrowth(cluster)
+        stability,
+        ...growth
       };
     });
   }
@@ -516,20 +1148,6 @@ class TokenClusteringEngine {
     return Math.max(0, Math.min(1, (value - min) / Math.max(1, max - min)));
   }
   
-  createSimpleEmbedding(text) {
-    // Simplified text embedding (in production, use proper embeddings)
-    const words = text.split(/\s+/);
-    const embedding = new Array(10).fill(0);
-    
-    words.forEach((word, i) => {
-      const hash = this.simpleHash(word);
-      embedding[hash % 10] += 1;
-    });
-    
-    const sum = embedding.reduce((a, b) => a + b, 0);
-    return sum > 0 ? embedding.map(v => v / sum) : embedding;
-  }
-  
   simpleHash(str) {
     let hash = 0;
     for (let i = 0; i < str.length; i++) {
@@ -550,23 +1168,35 @@ class TokenClusteringEngine {
   }
   
   calculateHolderGrowth(token) {
-    // Placeholder - needs historical data
-    return (Math.random() - 0.5) * 0.2;
+    // Relative holder change over the last hour, clamped to [-1, 1]
+    const holders = this.getTokenSeries(token, 'holders', '1h');
+    if (holders.length < 2 || holders[0] === 0) return 0;
+    
+    const growth = (holders[holders.length - 1] - holders[0]) / holders[0];
+    return Math.max(-1, Math.min(1, growth));
   }
   
   calculateTokenAge(token) {
-    const created = token.createdAt || token.timestamp || Date.now();
-    return Date.now() - created;
+    const created = token.createdAt || token.timestamp || this.clock.now();
+    return this.clock.now() - created;
   }
   
   calculateLiquidityStability(token) {
-    // Placeholder - needs historical liquidity data
-    return Math.random() * 0.5 + 0.5;
+    return this.calculateSeriesStability(this.getTokenSeries(token, 'liquidity', '6h'));
   }
   
   calculateHolderStability(token) {
-    // Placeholder - needs historical holder data
-    return Math.random() * 0.5 + 0.5;
+    return this.calculateSeriesStability(this.getTokenSeries(token, 'holders', '6h'));
+  }
+  
+  calculateSeriesStability(values) {
+    // 1 minus the coefficient of variation; a flat (or unknown) series is fully stable
+    if (values.length < 2) return 1;
+    
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    if (mean === 0) return 1;
+    
+    return Math.max(0, 1 - Math.sqrt(this.calculateVariance(values)) / mean);
   }
   
   calculateMentionVelocity(token) {
@@ -575,13 +1205,13 @@ class TokenClusteringEngine {
   }
   
   calculateMentionGrowth(token) {
-    // Placeholder - needs historical mention data
-    return (Math.random() - 0.3) * 2;
+    // Not measured yet: needs historical mention data
+    return null;
   }
   
   calculateSentimentVolatility(token) {
-    // Placeholder - sentiment change over time
-    return Math.random() * 0.3;
+    // Not measured yet: needs sentiment over time
+    return null;
   }
   
   calculateViralityScore(token) {
@@ -598,23 +1228,34 @@ class TokenClusteringEngine {
   
   calculateInfluencerAttention(token) {
     // Placeholder - needs influencer tracking
-    return Math.random() * 0.5;
+    return this.random() * 0.5;
   }
   
   calculatePriceVolatility(token) {
-    // Simplified volatility calculation
-    const change = Math.abs(token.priceChange24h || 0);
-    return Math.min(2, change / 100);
+    // Price range over the last 24h relative to its mean; the reported 24h change without history
+    const prices = this.getTokenSeries(token, 'price', '24h');
+    if (prices.length < 2) {
+      return Math.min(2, Math.abs(token.priceChange24h || 0) / 100);
+    }
+    
+    const mean = prices.reduce((a, b) => a + b, 0) / prices.length;
+    if (mean === 0) return 0;
+    
+    return Math.min(2, (Math.max(...prices) - Math.min(...prices)) / mean);
   }
   
-  calculateVolumeMA(token) {
-    // Placeholder - needs historical volume data
-    return token.volume || 0;
+  calculateVolumeMA(token, window = '6h') {
+    // Moving average of sampled 24h volume; the current volume without history
+    const volumes = this.getTokenSeries(token, 'volume', window);
+    if (volumes.length === 0) return token.volume || 0;
+    
+    return volumes.reduce((a, b) => a + b, 0) / volumes.length;
   }
   
   detectVolumeSpike(token) {
+    // Current volume against its 24h moving average (1 = no spike)
     const current = token.volume || 0;
-    const average = this.calculateVolumeMA(token);
+    const average = this.calculateVolumeMA(token, '24h');
     return current / Math.max(1, average);
   }
   
@@ -630,20 +1271,44 @@ class TokenClusteringEngine {
   
   calculateBidAskSpread(token) {
     // Placeholder - needs order book data
-    return Math.random() * 0.05;
+    return this.random() * 0.05;
   }
   
   calculateLiquidityDepth(token) {
     return Math.log(Math.max(1, token.liquidity || 0));
   }
   
-  calculateRSI(token) {
-    // Simplified RSI calculation
-    const change = token.priceChange24h || 0;
-    if (change > 50) return 70 + Math.random() * 20;
-    if (change > 0) return 50 + Math.random() * 20;
-    if (change > -50) return 30 + Math.random() * 20;
-    return 10 + Math.random() * 20;
+  calculateRSI(token, periods = 14) {
+    // RSI over the last `periods` price moves in the 24h window
+    const prices = this.getTokenSeries(token, 'price', '24h').slice(-(periods + 1));
+    
+    if (prices.length < 2) {
+      // No history: bucket the reported 24h change
+      const change = token.priceChange24h || 0;
+      if (change > 50) return 80;
+      if (change > 0) return 60;
+      if (change > -50) return 40;
+      return 20;
+    }
+    
+    let gains = 0;
+    let losses = 0;
+    for (let i = 1; i < prices.length; i++) {
+      const move = prices[i] - prices[i - 1];
+      if (move > 0) gains += move;
+      else losses -= move;
+    }
+    
+    if (gains + losses === 0) return 50;
+    return 100 * gains / (gains + losses);
+  }
+  
+  /**
+   * Sampled values of one metric for a token from the metrics store ([] without one)
+   */
+  getTokenSeries(token, metric, window) {
+    if (!this.metricsStore || !token.address) return [];
+    return this.metricsStore.getSeries(token.address, metric, window);
   }
   
   // Clustering algorithm implementations
@@ -652,11 +1317,7 @@ class TokenClusteringEngine {
     const n = vectors.length;
     const d = vectors[0].length;
     
-    // Initialize centroids randomly
-    let centroids = [];
-    for (let i = 0; i < k; i++) {
-      centroids.push(vectors[Math.floor(Math.random() * n)].slice());
-    }
+    let centroids = this.initializeCentroids(vectors, k);
     
     let labels = new Array(n);
     let prevInertia = Infinity;
@@ -702,6 +1363,42 @@ class TokenClusteringEngine {
     return { labels, centroids, inertia: prevInertia };
   }
   
+  /**
+   * k-means++ seeding: the first centroid is a random point, each next one a
+   * point drawn with probability proportional to its squared distance from
+   * the nearest centroid so far
+   */
+  initializeCentroids(vectors, k) {
+    const n = vectors.length;
+    const centroids = [vectors[Math.floor(this.random() * n)].slice()];
+    const nearest = vectors.map(vector => Math.pow(this.euclideanDistance(vector, centroids[0]), 2));
+    
+    while (centroids.length < k) {
+      const total = nearest.reduce((a, b) => a + b, 0);
+      
+      let index;
+      if (total === 0) {
+        // Every point already sits on a centroid (duplicates)
+        index = Math.floor(this.random() * n);
+      } else {
+        let target = this.random() * total;
+        index = 0;
+        while (index < n - 1 && target >= nearest[index]) {
+          target -= nearest[index];
+          index++;
+        }
+      }
+      
+      const centroid = vectors[index].slice();
+      centroids.push(centroid);
+      vectors.forEach((vector, i) => {
+        nearest[i] = Math.min(nearest[i], Math.pow(this.euclideanDistance(vector, centroid), 2));
+      });
+    }
+    
+    return centroids;
+  }
+  
   dbscan(vectors, eps, minPts) {
     const n = vectors.length;
     const labels = new Array(n).fill(-1); // -1 means noise
@@ -845,58 +1542,6 @@ class TokenClusteringEngine {
     return values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
   }
   
-  calculateSilhouetteScore(clusters, features) {
-    // Simplified silhouette score calculation
-    if (clusters.length < 2) return 0;
-    
-    let totalScore = 0;
-    let totalPoints = 0;
-    
-    clusters.forEach(cluster => {
-      cluster.tokens.forEach(token => {
-        const tokenFeatures = features.find(f => f.token.address === token.address);
-        if (!tokenFeatures) return;
-        
-        // Calculate average intra-cluster distance
-        const intraDistances = cluster.tokens
-          .filter(t => t.address !== token.address)
-          .map(t => {
-            const otherFeatures = features.find(f => f.token.address === t.address);
-            return otherFeatures ? this.euclideanDistance(tokenFeatures.vector, otherFeatures.vector) : 0;
-          });
-        
-        const avgIntraDist = intraDistances.length > 0 
-          ? intraDistances.reduce((a, b) => a + b, 0) / intraDistances.length 
-          : 0;
-        
-        // Calculate minimum average inter-cluster distance
-        let minInterDist = Infinity;
-        clusters.forEach(otherCluster => {
-          if (otherCluster.id === cluster.id) return;
-          
-          const interDistances = otherCluster.tokens.map(t => {
-            const otherFeatures = features.find(f => f.token.address === t.address);
-            return otherFeatures ? this.euclideanDistance(tokenFeatures.vector, otherFeatures.vector) : 0;
-          });
-          
-          const avgInterDist = interDistances.length > 0 
-            ? interDistances.reduce((a, b) => a + b, 0) / interDistances.length 
-            : 0;
-            
-          minInterDist = Math.min(minInterDist, avgInterDist);
-        });
-        
-        if (minInterDist !== Infinity && Math.max(avgIntraDist, minInterDist) > 0) {
-          const silhouette = (minInterDist - avgIntraDist) / Math.max(avgIntraDist, minInterDist);
-          totalScore += silhouette;
-          totalPoints++;
-        }
-      });
-    });
-    
-    return totalPoints > 0 ? totalScore / totalPoints : 0;
-  }
-  
   calculateDBSCANScore(clusters) {
     // Simple scoring based on cluster count and average cluster size
     const totalTokens = clusters.reduce((sum, c) => sum + c.tokens.length, 0);
@@ -919,36 +1564,33 @@ class TokenClusteringEngine {
   }
   
   analyzeClusterEvolution(previousClusters, currentClusters) {
-    // Analyze how clusters have changed
-    const evolution = { splits: 0, merges: 0, new: 0, disappeared: 0 };
-    
-    const prevSignatures = new Set();
-    previousClusters.forEach(clusters => {
-      clusters.forEach((cluster, signature) => {
-        prevSignatures.add(signature);
-      });
-    });
-    
-    const currentSignatures = new Set(currentClusters.keys());
+    // Compare against the most recent snapshot, linking clusters by token Jaccard
+    const latest = Math.max(...previousClusters.keys());
+    const toGroups = clusters => Array.from(clusters.values()).map(cluster => ({
+      id: cluster.signature,
+      tokens: cluster.tokens.map(clusterTokenKey)
+    }));
     
-    // Count new clusters
-    currentSignatures.forEach(sig => {
-      if (!prevSignatures.has(sig)) {
-        evolution.new++;
-      }
+    const lineage = linkGenerations(toGroups(previousClusters.get(latest)), toGroups(currentClusters), {
+      minJaccard: this.config.lineageMinJaccard
     });
     
-    // Count disappeared clusters
-    prevSignatures.forEach(sig => {
-      if (!currentSignatures.has(sig)) {
-        evolution.disappeared++;
-      }
-    });
-    
-    return evolution;
+    return {
+      splits: lineage.splits.length,
+      merges: lineage.merges.length,
+      new: lineage.born.length,
+      disappeared: lineage.ended.length,
+      lineage
+    };
   }
   
-  calculateClusterStrength(cluster, clusterFeatures) {
+  /**
+   * Market and social strength of a cluster (0-100), scaled by its history:
+   * stability above 0.5 and positive growth raise it, churn and shrinking
+   * lower it. Null stability or growth (no history yet) leaves it unchanged.
+   * @param {Object} history - { stability, growth } from calculateClusterStability/Growth
+   */
+  calculateClusterStrength(cluster, clusterFeatures, { stability = null, growth = null } = {}) {
     if (clusterFeatures.length === 0) return 0;
     
     // Combine various strength indicators
@@ -962,13 +1604,25 @@ class TokenClusteringEngine {
     const holderScore = Math.min(100, Math.log(avgHolders + 1) * 10);
     const momentumScore = Math.min(100, avgPriceChange);
     const socialScore = Math.min(100, Math.log(avgSocialMentions + 1) * 10);
+    const strength = (volumeScore + holderScore + momentumScore + socialScore) / 4;
     
-    return (volumeScore + holderScore + momentumScore + socialScore) / 4;
+    let historyFactor = 1;
+    if (stability !== null) historyFactor += this.config.stabilityWeight * (stability - 0.5) * 2;
+    if (growth !== null) historyFactor += this.config.growthWeight * Math.max(-1, Math.min(1, growth));
+    
+    return Math.max(0, Math.min(100, strength * historyFactor));
   }
   
   calculateClusterCoherence(clusterFeatures) {
     if (clusterFeatures.length < 2) return 1;
     
+    // Pairs grow quadratically: large clusters are measured on evenly spaced members
+    const sampleSize = this.config.coherenceSampleSize;
+    if (clusterFeatures.length > sampleSize) {
+      const step = clusterFeatures.length / sampleSize;
+      clusterFeatures = Array.from({ length: sampleSize }, (_, i) => clusterFeatures[Math.floor(i * step)]);
+    }
+    
     // Calculate average pairwise similarity within cluster
     let totalSimilarity = 0;
     let pairs = 0;
@@ -984,15 +1638,144 @@ class TokenClusteringEngine {
     return pairs > 0 ? totalSimilarity / pairs : 0;
   }
   
-  calculateClusterStability(cluster) {
-    // Placeholder - needs historical cluster data
-    return Math.random() * 0.5 + 0.5;
+  /**
+   * Membership persistence: average best token Jaccard against every earlier
+   * snapshot in the stability window. Null without history.
+   */
+  calculateClusterStability(cluster, timestamp = this.clock.now()) {
+    const snapshots = this.getHistoryWindow(timestamp, this.config.stabilityWindowMs);
+    if (snapshots.length === 0) return null;
+    
+    const tokens = new Set(cluster.tokens.map(clusterTokenKey));
+    const overlaps = snapshots.map(({ clusters }) => {
+      const match = this.findHistoricalMatch(tokens, clusters);
+      return match ? match.jaccard : 0;
+    });
+    
+    return overlaps.reduce((a, b) => a + b, 0) / overlaps.length;
   }
   
-  calculateClusterGrowth(cluster) {
-    // Placeholder - needs historical cluster data
-    return (Math.random() - 0.5) * 0.4;
+  /**
+   * Relative change in token count, volume and holders since the oldest
+   * snapshot in the growth window, against the best-matching cluster there.
+   * `growth` averages whichever of the three could be measured (null if none).
+   */
+  calculateClusterGrowth(cluster, timestamp = this.clock.now()) {
+    const [baseline] = this.getHistoryWindow(timestamp, this.config.growthWindowMs);
+    const tokens = new Set(cluster.tokens.map(clusterTokenKey));
+    const match = baseline ? this.findHistoricalMatch(tokens, baseline.clusters) : null;
+    
+    if (!match) {
+      return {
+        growth: null,
+        growthDetails: { since: null, tokenCount: null, volume: null, holders: null }
+      };
+    }
+    
+    const before = match.cluster.tokens;
+    const details = {
+      since: new Date(baseline.timestamp).toISOString(),
+      tokenCount: relativeChange(before.length, cluster.tokens.length),
+      volume: relativeChange(sumTokenMetric(before, 'volume'), sumTokenMetric(cluster.tokens, 'volume')),
+      holders: relativeChange(sumTokenMetric(before, 'holders'), sumTokenMetric(cluster.tokens, 'holders'))
+    };
+    
+    return {
+      growth: averageMetric([details.tokenCount, details.volume, details.holders]),
+      growthDetails: details
+    };
   }
+  
+  /**
+   * Earlier snapshots within `windowMs` before `timestamp`, oldest first
+   */
+  getHistoryWindow(timestamp, windowMs) {
+    return Array.from(this.clusterHistory.entries())
+      .filter(([time]) => time < timestamp && time >= timestamp - windowMs)
+      .sort((a, b) => a[0] - b[0])
+      .map(([time, clusters]) => ({ timestamp: time, clusters }));
+  }
+  
+  /**
+   * Cluster in a history snapshot sharing the most tokens (by Jaccard) with `tokens`
+   */
+  findHistoricalMatch(tokens, clusters) {
+    let best = null;
+    
+    clusters.forEach(candidate => {
+      const candidateTokens = new Set(candidate.tokens.map(clusterTokenKey));
+      let shared = 0;
+      candidateTokens.forEach(token => {
+        if (tokens.has(token)) shared++;
+      });
+      if (shared === 0) return;
+      
+      const jaccard = shared / (tokens.size + candidateTokens.size - shared);
+      if (!best || jaccard > best.jaccard) {
+        best = { cluster: candidate, jaccard };
+      }
+    });
+    
+    return best;
+  }
+}
+
+// Display names of the combined features (describeFeatures)
+const FEATURE_LABELS = {
+  nameLength: 'Name length',
+  symbolLength: 'Symbol length',
+  hasNumbers: 'Digits in name',
+  hasSpecialChars: 'Special characters in name',
+  upperCaseRatio: 'Upper-case ratio',
+  embedding: 'Name embedding',
+  holderCount: 'Holders',
+  holderConcentration: 'Holder concentration',
+  holderGrowthRate: 'Holder growth',
+  liquidityUSD: 'Liquidity',
+  liquidityRatio: 'Liquidity / market cap',
+  volume24h: '24h volume',
+  volumeToLiquidityRatio: 'Volume / liquidity',
+  transactionFrequency: 'Transaction frequency',
+  tokenAge: 'Token age',
+  isNewToken: 'New token (< 24h)',
+  mentionCount: 'Social mentions',
+  mentionVelocity: 'Mention velocity',
+  sentimentScore: 'Sentiment',
+  engagementRate: 'Engagement',
+  viralityScore: 'Virality',
+  communityStrength: 'Community strength',
+  currentPrice: 'Price',
+  priceChange24h: '24h price change',
+  priceVolatility: 'Price volatility',
+  volumeSpike: 'Volume spike',
+  marketCap: 'Market cap',
+  performance1h: '1h performance',
+  performance7d: '7d performance',
+  rsi: 'RSI'
+};
+
+function featureLabel(feature, groups, present = true) {
+  if (feature.startsWith('keyword:')) {
+    const group = feature.slice('keyword:'.length);
+    return `${present ? 'Keyword' : 'No keyword'}: ${groups.get(group)?.label || group}`;
+  }
+  return FEATURE_LABELS[feature] || feature;
+}
+
+function clusterTokenKey(token) {
+  return token.address || token.name || token.symbol;
+}
+
+function sumTokenMetric(tokens, metric) {
+  const values = metric === 'volume'
+    ? tokens.map(t => toMetric(t.volume ?? t.volume24h))
+    : tokens.map(t => toMetric(t[metric]));
+  return sumMetric(values);
+}
+
+function relativeChange(before, after) {
+  if (before === null || after === null || before === 0) return null;
+  return (after - before) / before;
 }
 
 module.exports = TokenClusteringEngine;
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * Test Suite for Text Embeddings
+ *
+ * Checks ticker splitting, that the TF-IDF model matches concatenated
+ * tickers to their spelled-out names, the dense vectors fed to clustering,
+ * the model factory and its transformer fallback, and that both engines
+ * score text through the shared model.
+ */
+
+const {
+  NgramTfidfModel,
+  TransformerEmbeddingModel,
+  createEmbeddingModel,
+  cosineSimilarity,
+  tokenText
+} = require('./embeddings');
+const { tokenize } = require('./tokenizer');
+const TokenClusteringEngine = require('./clustering');
+const { NarrativeDetectionEngine } = require('./narrative-detection');
+
+class EmbeddingsTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Text Embeddings Test Suite\n');
+
+    const tests = [
+      { name: 'Ticker Splitting', test: () => this.testTickerSplitting() },
+      { name: 'Concatenated Names', test: () => this.testConcatenatedNames() },
+      { name: 'IDF Weighting', test: () => this.testIdfWeighting() },
+      { name: 'Dense Embeddings', test: () => this.testDenseEmbeddings() },
+      { name: 'Model Factory', test: () => this.testModelFactory() },
+      { name: 'Engine Similarity', test: () => this.testEngineSimilarity() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  /**
+   * Tickers split at case, digit and vocabulary boundaries; ordinary words stay whole
+   */
+  async testTickerSplitting() {
+    const cases = {
+      AIPEPE: 'ai pepe',
+      DOGEKING: 'doge king',
+      BabyDoge2: 'baby doge 2',
+      dogwifhat: 'dog wif hat',
+      PEPECoin: 'pepe coin',
+      '$BONKINU': 'bonk inu',
+      catalyst: 'catalyst',
+      online: 'online',
+      NYANCAT: 'nyancat'
+    };
+
+    const failures = Object.entries(cases)
+      .filter(([input, expected]) => tokenize(input).join(' ') !== expected)
+      .map(([input]) => `${input} -> ${tokenize(input).join(' ')}`);
+
+    return {
+      passed: failures.length === 0,
+      details: failures.length === 0 ? `${Object.keys(cases).length} names split as expected` : failures.join(', ')
+    };
+  }
+
+  /**
+   * DOGEKING matches "Doge King"; unrelated names do not
+   */
+  async testConcatenatedNames() {
+    const model = new NgramTfidfModel();
+    await model.prepare(['Doge King', 'DOGEKING', 'AI Pepe', 'AIPEPE', 'GPT Agent', 'Cat Coin']);
+
+    const doge = model.similarity('Doge King', 'DOGEKING');
+    const pepe = model.similarity('AI Pepe', 'AIPEPE');
+    const unrelated = model.similarity('Doge King', 'GPT Agent');
+
+    const passed = doge > 0.99 && pepe > 0.99 && unrelated < 0.2;
+    return { passed, details: `doge ${doge.toFixed(2)}, pepe ${pepe.toFixed(2)}, unrelated ${unrelated.toFixed(2)}` };
+  }
+
+  /**
+   * Fragments shared by the whole batch count for less than distinctive ones
+   */
+  async testIdfWeighting() {
+    const model = new NgramTfidfModel();
+    const texts = ['Cat Coin', 'Dog Coin', 'Frog Coin', 'Moon Coin', 'Cat King'];
+
+    const before = model.similarity('Cat Coin', 'Dog Coin');
+    await model.prepare(texts);
+    const sharedSuffix = model.similarity('Cat Coin', 'Dog Coin');
+    const sharedTheme = model.similarity('Cat Coin', 'Cat King');
+
+    const passed = sharedSuffix < before && sharedTheme > sharedSuffix;
+    return {
+      passed,
+      details: `"Cat Coin"/"Dog Coin" ${before.toFixed(2)} -> ${sharedSuffix.toFixed(2)}, "Cat Coin"/"Cat King" ${sharedTheme.toFixed(2)}`
+    };
+  }
+
+  /**
+   * Dense vectors have a fixed length, unit norm, and keep the sparse ranking
+   */
+  async testDenseEmbeddings() {
+    const model = new NgramTfidfModel({ dimensions: 16 });
+    await model.prepare(['Doge King', 'DOGEKING', 'GPT Agent']);
+
+    const doge = model.embed('Doge King');
+    const norm = Math.sqrt(doge.reduce((sum, value) => sum + value * value, 0));
+    const same = cosineSimilarity(doge, model.embed('DOGEKING'));
+    const different = cosineSimilarity(doge, model.embed('GPT Agent'));
+    const empty = model.embed('');
+
+    const passed = doge.length === 16 && Math.abs(norm - 1) < 1e-9 &&
+      same > different && JSON.stringify(doge) === JSON.stringify(model.embed('Doge King')) &&
+      empty.every(value => value === 0);
+
+    return { passed, details: `${doge.length} dims, same ${same.toFixed(2)}, different ${different.toFixed(2)}` };
+  }
+
+  /**
+   * The factory rejects unknown models; transformers fall back to TF-IDF when unavailable
+   */
+  async testModelFactory() {
+    const tfidf = createEmbeddingModel({ model: 'tfidf' });
+
+    let rejected = false;
+    try {
+      createEmbeddingModel({ model: 'word2vec' });
+    } catch (error) {
+      rejected = true;
+    }
+
+    // @xenova/transformers is not a dependency, so this model must degrade
+    const transformer = createEmbeddingModel({ model: 'transformers', modelName: 'missing/model' });
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      await transformer.prepare(['Doge King', 'DOGEKING']);
+    } finally {
+      console.warn = originalWarn;
+    }
+
+    const passed = tfidf instanceof NgramTfidfModel && rejected &&
+      transformer instanceof TransformerEmbeddingModel && transformer.fallback !== null &&
+      transformer.similarity('Doge King', 'DOGEKING') > 0.99 &&
+      transformer.embed('Doge King').length === transformer.dimensions;
+
+    return { passed, details: `transformers fallback: ${transformer.fallback ? transformer.fallback.name : 'none'}` };
+  }
+
+  /**
+   * Both engines score names through the shared model
+   */
+  async testEngineSimilarity() {
+    const embeddingModel = new NgramTfidfModel();
+    const detection = new NarrativeDetectionEngine({ embeddingModel });
+    const clustering = new TokenClusteringEngine({ embeddingModel });
+    const tokens = [
+      { address: 'a', name: 'Doge King', symbol: 'DK' },
+      { address: 'b', name: 'DOGEKING', symbol: 'DK' },
+      { address: 'c', name: 'GPT Agent', symbol: 'GPT', description: 'Autonomous AI agent' }
+    ];
+
+    const matrix = await detection.calculateSimilarityMatrix(tokens);
+    const features = await clustering.extractAllFeatures(tokens);
+    const [doge, dogeKing, agent] = features.map(f => f.textual.tokenEmbedding);
+
+    const passed = matrix.get(0, 1) > matrix.get(0, 2) &&
+      detection.calculateTextSimilarity('Doge King', 'DOGEKING') > 0.99 &&
+      cosineSimilarity(doge, dogeKing) > cosineSimilarity(doge, agent) &&
+      doge.length === embeddingModel.dimensions &&
+      tokenText(tokens[2]) === 'GPT Agent GPT Autonomous AI agent';
+
+    return {
+      passed,
+      details: `token similarity ${matrix.get(0, 1).toFixed(2)} vs ${matrix.get(0, 2).toFixed(2)}, ${doge.length}-dim embeddings`
+    };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 TEXT EMBEDDINGS TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runEmbeddingsTests() {
+  const tester = new EmbeddingsTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  EmbeddingsTester,
+  runEmbeddingsTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runEmbeddingsTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
@@ -0,0 +1,84 @@
+/**
+ * Embedding Model
+ *
+ * Base class for the text embedding backends shared by the clustering and
+ * narrative detection engines. A model is prepared once per batch of token
+ * texts (fitting statistics or precomputing vectors) and then embeds and
+ * compares texts synchronously inside the feature and similarity loops.
+ */
+
+/**
+ * Cosine similarity of two dense vectors of equal length
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+class EmbeddingModel {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = { ...config };
+  }
+
+  /**
+   * Length of the vectors returned by embed()
+   */
+  get dimensions() {
+    throw new Error(`Embedding model "${this.name}" does not implement dimensions`);
+  }
+
+  /**
+   * Fit or precompute for the texts about to be embedded
+   * @param {Array<string>} texts - Texts of the current batch
+   * @param {Object} options - { fit }: fit false embeds the texts under the
+   *   existing fit, so vectors from earlier batches stay comparable
+   */
+  async prepare(texts, options = {}) {}
+
+  /**
+   * Dense, L2-normalized vector for a text
+   * @param {string} text
+   * @returns {Array<number>}
+   */
+  embed(text) {
+    throw new Error(`Embedding model "${this.name}" does not implement embed()`);
+  }
+
+  /**
+   * Semantic similarity of two texts in [0, 1]
+   */
+  similarity(text1, text2) {
+    return Math.max(0, cosineSimilarity(this.embed(text1), this.embed(text2)));
+  }
+
+  /**
+   * Similarities of many text pairs at once, embedding each text only once
+   * @param {Array<string>} texts - Texts of the batch
+   * @param {Int32Array} left - Index into texts of each pair's first text
+   * @param {Int32Array} right - Index into texts of each pair's second text
+   * @returns {Float64Array} similarity[p] of texts[left[p]] and texts[right[p]]
+   */
+  pairwiseSimilarity(texts, left, right) {
+    const vectors = texts.map(text => this.embed(text));
+    const result = new Float64Array(left.length);
+
+    for (let p = 0; p < left.length; p++) {
+      result[p] = Math.max(0, cosineSimilarity(vectors[left[p]], vectors[right[p]]));
+    }
+
+    return result;
+  }
+}
+
+module.exports = EmbeddingModel;
+module.exports.cosineSimilarity = cosineSimilarity;
@@ -0,0 +1,57 @@
+/**
+ * Text Embeddings
+ *
+ * Entry point for the offline embedding subsystem shared by the clustering
+ * and narrative detection engines. `createEmbeddingModel()` picks the backend
+ * from config `model` or the EMBEDDING_MODEL env var (tfidf by default, or
+ * transformers for an optional CPU sentence-embedding model).
+ */
+
+const EmbeddingModel = require('./embedding-model');
+const NgramTfidfModel = require('./tfidf-model');
+const TransformerEmbeddingModel = require('./transformer-model');
+
+const EMBEDDING_MODELS = {
+  tfidf: config => new NgramTfidfModel(config),
+  transformers: config => new TransformerEmbeddingModel(config)
+};
+
+/**
+ * Create the configured embedding model
+ * @param {Object} config - { model, modelName, dimensions, ... }
+ * @returns {EmbeddingModel}
+ */
+function createEmbeddingModel(config = {}) {
+  const { model: modelName = process.env.EMBEDDING_MODEL || 'tfidf', ...modelConfig } = config;
+
+  if (!EMBEDDING_MODELS[modelName]) {
+    throw new Error(`Unknown embedding model "${modelName}" (expected ${Object.keys(EMBEDDING_MODELS).join(', ')})`);
+  }
+
+  if (process.env.EMBEDDING_MODEL_NAME && !modelConfig.modelName) {
+    modelConfig.modelName = process.env.EMBEDDING_MODEL_NAME;
+  }
+
+  return EMBEDDING_MODELS[modelName](modelConfig);
+}
+
+/**
+ * Text a token is embedded by: name, symbol and description
+ * @param {Object} token - Normalized token
+ * @returns {string}
+ */
+function tokenText(token) {
+  return [token.name, token.symbol, token.description]
+    .filter(part => typeof part === 'string' && part.trim())
+    .join(' ');
+}
+
+module.exports = {
+  EmbeddingModel,
+  NgramTfidfModel,
+  TransformerEmbeddingModel,
+  EMBEDDING_MODELS,
+  createEmbeddingModel,
+  cosineSimilarity: EmbeddingModel.cosineSimilarity,
+  tokenText
+};
@@ -0,0 +1,190 @@
+/**
+ * Character N-gram TF-IDF Embedding Model
+ *
+ * Offline default embedding. Texts are split into terms by the shared
+ * tokenizer (concatenated tickers segmented, so DOGEKING reads as
+ * "doge king"; emoji and leetspeak decoded), each term is broken
+ * into padded character n-grams, and n-grams are weighted by TF-IDF fitted
+ * on the current batch so ubiquitous fragments like "coin" count for less.
+ * Similarity is the exact sparse cosine; embed() hashes the sparse vector
+ * into a small dense one (signed feature hashing, so unrelated texts stay
+ * near orthogonal) for the clustering feature vector.
+ */
+
+const EmbeddingModel = require('./embedding-model');
+const { tokenize } = require('../tokenizer');
+
+/**
+ * 32-bit FNV-1a hash, used to bucket and sign n-grams in dense vectors
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class NgramTfidfModel extends EmbeddingModel {
+  /**
+   * @param {Object} config - { minN, maxN, dimensions, cacheSize }
+   */
+  constructor(config = {}) {
+    super('tfidf', {
+      minN: 2,          // Shortest character n-gram
+      maxN: 4,          // Longest character n-gram
+      dimensions: 32,   // Length of dense vectors from embed()
+      cacheSize: 5000,  // Sparse vectors kept between calls
+      ...config
+    });
+
+    this.documentFrequency = new Map();
+    this.documentCount = 0;
+    this.cache = new Map();
+  }
+
+  get dimensions() {
+    return this.config.dimensions;
+  }
+
+  /**
+   * Padded character n-grams of every word, with repeats
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  ngrams(text) {
+    const { minN, maxN } = this.config;
+    const grams = [];
+
+    tokenize(text).forEach(word => {
+      const padded = ` ${word} `;
+      for (let n = minN; n <= maxN; n++) {
+        for (let i = 0; i + n <= padded.length; i++) {
+          grams.push(padded.slice(i, i + n));
+        }
+      }
+    });
+
+    return grams;
+  }
+
+  /**
+   * Fit document frequencies on the batch about to be compared
+   */
+  async prepare(texts, { fit = true } = {}) {
+    if (!fit) return;
+
+    this.documentFrequency = new Map();
+    this.documentCount = texts.length;
+    this.cache.clear();
+
+    texts.forEach(text => {
+      new Set(this.ngrams(text)).forEach(gram => {
+        this.documentFrequency.set(gram, (this.documentFrequency.get(gram) || 0) + 1);
+      });
+    });
+  }
+
+  /**
+   * Smoothed inverse document frequency; unseen n-grams get the maximum
+   */
+  idf(gram) {
+    const df = this.documentFrequency.get(gram) || 0;
+    return Math.log((1 + this.documentCount) / (1 + df)) + 1;
+  }
+
+  /**
+   * L2-normalized sparse TF-IDF vector
+   * @param {string} text
+   * @returns {Map<string, number>} n-gram -> weight
+   */
+  vectorize(text) {
+    const key = text || '';
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const counts = new Map();
+    this.ngrams(key).forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((count, gram) => {
+      const weight = (1 + Math.log(count)) * this.idf(gram);
+      vector.set(gram, weight);
+      norm += weight * weight;
+    });
+
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      vector.forEach((weight, gram) => vector.set(gram, weight / norm));
+    }
+
+    // Room for the whole batch, so vectors are not recomputed mid-batch
+    if (this.cache.size >= Math.max(this.config.cacheSize, this.documentCount)) this.cache.clear();
+    this.cache.set(key, vector);
+    return vector;
+  }
+
+  embed(text) {
+    const dense = new Array(this.config.dimensions).fill(0);
+
+    this.vectorize(text).forEach((weight, gram) => {
+      const hash = fnv1a(gram);
+      dense[hash % dense.length] += hash & 0x80000000 ? -weight : weight;
+    });
+
+    const norm = Math.sqrt(dense.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? dense.map(value => value / norm) : dense;
+  }
+
+  similarity(text1, text2) {
+    const a = this.vectorize(text1);
+    const b = this.vectorize(text2);
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+
+    let dot = 0;
+    smaller.forEach((weight, gram) => {
+      if (larger.has(gram)) dot += weight * larger.get(gram);
+    });
+
+    return Math.min(1, dot);
+  }
+
+  /**
+   * Exact sparse cosine for many pairs: n-grams are numbered once and each
+   * vector becomes sorted id/weight arrays, so a pair is a linear merge
+   */
+  pairwiseSimilarity(texts, left, right) {
+    const gramIds = new Map();
+    const vectors = texts.map(text => {
+      const entries = [...this.vectorize(text)].map(([gram, weight]) => {
+        if (!gramIds.has(gram)) gramIds.set(gram, gramIds.size);
+        return [gramIds.get(gram), weight];
+      }).sort((a, b) => a[0] - b[0]);
+
+      return {
+        ids: Int32Array.from(entries, entry => entry[0]),
+        weights: Float64Array.from(entries, entry => entry[1])
+      };
+    });
+
+    const result = new Float64Array(left.length);
+    for (let p = 0; p < left.length; p++) {
+      const a = vectors[left[p]];
+      const b = vectors[right[p]];
+      let dot = 0;
+      let i = 0;
+      let j = 0;
+      while (i < a.ids.length && j < b.ids.length) {
+        if (a.ids[i] === b.ids[j]) dot += a.weights[i++] * b.weights[j++];
+        else if (a.ids[i] < b.ids[j]) i++;
+        else j++;
+      }
+      result[p] = Math.min(1, dot);
+    }
+
+    return result;
+  }
+}
+
+module.exports = NgramTfidfModel;
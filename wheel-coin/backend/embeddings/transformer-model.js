@@ -0,0 +1,118 @@
+/**
+ * Transformer Embedding Model
+ *
+ * Optional sentence-embedding backend that runs a small transformer
+ * (all-MiniLM-L6-v2 by default) on the CPU through @xenova/transformers.
+ * The package is loaded lazily so the default TF-IDF model needs nothing
+ * extra; install it with `npm install @xenova/transformers` before selecting
+ * this model. Vectors are computed in prepare() for the whole batch and
+ * cached. If the package or the model cannot be loaded, the model logs a
+ * warning and serves every call from the TF-IDF model instead.
+ */
+
+const EmbeddingModel = require('./embedding-model');
+const NgramTfidfModel = require('./tfidf-model');
+const { tokenize } = require('../tokenizer');
+
+class TransformerEmbeddingModel extends EmbeddingModel {
+  /**
+   * @param {Object} config - { modelName, batchSize, cacheSize }
+   */
+  constructor(config = {}) {
+    super('transformers', {
+      modelName: 'Xenova/all-MiniLM-L6-v2',
+      batchSize: 32,     // Texts per forward pass
+      cacheSize: 5000,   // Embedded texts kept between batches
+      ...config
+    });
+
+    this.extractor = null;
+    this.loading = null;
+    this.fallback = null;
+    this.vectorDimensions = null;
+    this.cache = new Map();
+    // Scores pairs that were never embedded (e.g. names compared outside a batch)
+    this.lexical = new NgramTfidfModel();
+  }
+
+  get dimensions() {
+    return this.fallback ? this.fallback.dimensions : this.vectorDimensions;
+  }
+
+  /**
+   * Load the feature-extraction pipeline once; fall back to TF-IDF on failure
+   */
+  async load() {
+    if (this.extractor || this.fallback) return;
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const { pipeline } = await import('@xenova/transformers');
+          this.extractor = await pipeline('feature-extraction', this.config.modelName);
+          console.log(`🧠 Loaded embedding model ${this.config.modelName}`);
+        } catch (error) {
+          console.warn(`⚠️ Transformer embeddings unavailable (${error.message}), using TF-IDF embeddings`);
+          this.fallback = this.lexical;
+        }
+      })();
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Models read whole words, so tickers, emoji and leetspeak are decoded first
+   */
+  normalize(text) {
+    return tokenize(text).join(' ');
+  }
+
+  async prepare(texts, { fit = true } = {}) {
+    await this.load();
+    await this.lexical.prepare(texts, { fit });
+    if (this.fallback) return;
+
+    const pending = Array.from(new Set(texts.map(text => this.normalize(text))))
+      .filter(text => !this.cache.has(text));
+
+    if (this.cache.size + pending.length > this.config.cacheSize) this.cache.clear();
+
+    for (let i = 0; i < pending.length; i += this.config.batchSize) {
+      const batch = pending.slice(i, i + this.config.batchSize);
+      const output = await this.extractor(batch, { pooling: 'mean', normalize: true });
+      output.tolist().forEach((vector, index) => this.cache.set(batch[index], vector));
+      this.vectorDimensions = output.dims[output.dims.length - 1];
+    }
+  }
+
+  embed(text) {
+    if (this.fallback) return this.fallback.embed(text);
+
+    const vector = this.cache.get(this.normalize(text));
+    if (!vector) {
+      throw new Error('Text was not embedded; call prepare() with the batch first');
+    }
+    return vector;
+  }
+
+  similarity(text1, text2) {
+    if (this.fallback) return this.fallback.similarity(text1, text2);
+
+    const a = this.cache.get(this.normalize(text1));
+    const b = this.cache.get(this.normalize(text2));
+    return a && b ? super.similarity(text1, text2) : this.lexical.similarity(text1, text2);
+  }
+
+  pairwiseSimilarity(texts, left, right) {
+    if (this.fallback) return this.fallback.pairwiseSimilarity(texts, left, right);
+    if (texts.every(text => this.cache.has(this.normalize(text)))) return super.pairwiseSimilarity(texts, left, right);
+
+    // Some texts missed prepare(): score pair by pair so those fall back to lexical similarity
+    const result = new Float64Array(left.length);
+    for (let p = 0; p < left.length; p++) result[p] = this.similarity(texts[left[p]], texts[right[p]]);
+    return result;
+  }
+}
+
+module.exports = TransformerEmbeddingModel;
@@ -0,0 +1,65 @@
+/**
+ * Fixture Stub Server
+ *
+ * Serves recorded upstream API responses from backend/fixtures so source
+ * adapters can be exercised without network access. Run it directly to point
+ * a development server at the fixtures:
+ *
+ *   node backend/fixtures/stub-server.js 4010
+ *   PUMPFUN_API_URL=http://localhost:4010/pumpfun npm start
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Request path (query string ignored) -> fixture file
+const DEFAULT_ROUTES = {
+  '/pumpfun/coins': 'pumpfun/new-coins.json',
+  '/pumpfun/coins/trending': 'pumpfun/trending.json'
+};
+
+/**
+ * Start the stub server
+ * @param {Object} options - { port, routes }
+ * @returns {Promise<Object>} { server, url, close }
+ */
+function startStubServer({ port = 0, routes = DEFAULT_ROUTES } = {}) {
+  const server = http.createServer((req, res) => {
+    const pathname = req.url.split('?')[0];
+    const fixture = routes[pathname];
+
+    if (!fixture) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `No fixture for ${pathname}` }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    fs.createReadStream(path.join(__dirname, fixture)).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        server,
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_ROUTES,
+  startStubServer
+};
+
+// Serve fixtures if this file is executed directly
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || '4010', 10);
+  startStubServer({ port }).then(({ url }) => {
+    console.log(`🧪 Fixture stub server listening on ${url}`);
+  });
+}
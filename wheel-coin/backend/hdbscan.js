@@ -0,0 +1,297 @@
+/**
+ * HDBSCAN: Hierarchical Density-Based Clustering
+ *
+ * DBSCAN with a single global `eps` either merges everything during a launch
+ * frenzy or finds nothing in a quiet hour. HDBSCAN (Campello, Moulavi and
+ * Sander) instead builds the whole density hierarchy and keeps the clusters
+ * that persist longest across it:
+ *
+ * 1. core distance: distance to a point's `minSamples`-th nearest neighbour
+ *    (counting itself), i.e. how sparse its neighbourhood is
+ * 2. mutual reachability: max(core a, core b, distance a-b), which pushes
+ *    sparse points away from everything
+ * 3. minimum spanning tree of the mutual reachability graph, read as a
+ *    single-linkage hierarchy
+ * 4. condensed tree: walking down from the root (lambda = 1 / distance),
+ *    a split only creates clusters when both sides have `minClusterSize`
+ *    points; smaller sides are points falling out of their cluster
+ * 5. stability-based extraction: a cluster is kept when its stability (sum
+ *    over its points of lambda at leaving minus lambda at birth) is at least
+ *    the combined stability of its descendants
+ *
+ * Each clustered point also gets a probability: how far into its cluster's
+ * lifetime it stayed (1 for the cluster's densest core, lower at the fringe,
+ * 0 for noise).
+ */
+
+const MIN_DISTANCE = 1e-10; // Duplicate points: keep lambda = 1 / distance finite
+
+/**
+ * Cluster points from their pairwise distances
+ * @param {Array<Array<number>>} distances - Symmetric distance matrix
+ * @param {Object} options - { minClusterSize, minSamples (defaults to minClusterSize) }
+ * @returns {Object} {
+ *   labels: cluster index per point, -1 for noise,
+ *   probabilities: membership strength per point in its cluster (0 for noise),
+ *   clusters: [{ label, stability, exemplars: point indices with probability 1 }],
+ *   coreDistances
+ * }
+ */
+function hdbscan(distances, { minClusterSize = 5, minSamples = null } = {}) {
+  const n = distances.length;
+  const clusterSize = Math.max(2, minClusterSize);
+  const samples = Math.max(1, Math.min(minSamples || clusterSize, n));
+
+  if (n < clusterSize) {
+    return { labels: new Array(n).fill(-1), probabilities: new Array(n).fill(0), clusters: [], coreDistances: [] };
+  }
+
+  const coreDistances = distances.map(row => [...row].sort((a, b) => a - b)[samples - 1]);
+  const reachability = (a, b) => Math.max(coreDistances[a], coreDistances[b], distances[a][b]);
+
+  const hierarchy = singleLinkage(minimumSpanningTree(n, reachability), n);
+  const condensed = condenseTree(hierarchy, n, clusterSize);
+  const selected = selectClusters(condensed);
+  return labelPoints(condensed, selected, n, coreDistances);
+}
+
+/**
+ * Prim's algorithm on the complete graph: n - 1 edges { a, b, weight }
+ */
+function minimumSpanningTree(n, weight) {
+  const inTree = new Array(n).fill(false);
+  const best = new Array(n).fill(Infinity);
+  const from = new Array(n).fill(-1);
+  const edges = [];
+
+  let current = 0;
+  inTree[0] = true;
+  for (let added = 1; added < n; added++) {
+    let next = -1;
+    for (let i = 0; i < n; i++) {
+      if (inTree[i]) continue;
+      const w = weight(current, i);
+      if (w < best[i]) {
+        best[i] = w;
+        from[i] = current;
+      }
+      if (next === -1 || best[i] < best[next]) next = i;
+    }
+    edges.push({ a: from[next], b: next, weight: best[next] });
+    inTree[next] = true;
+    current = next;
+  }
+
+  return edges;
+}
+
+/**
+ * Merge order of the MST edges: node n + m is the m-th merge, of `left` and `right`
+ */
+function singleLinkage(edges, n) {
+  const parent = Array.from({ length: 2 * n - 1 }, (_, i) => i);
+  const find = node => {
+    while (parent[node] !== node) {
+      parent[node] = parent[parent[node]];
+      node = parent[node];
+    }
+    return node;
+  };
+
+  const sizes = new Array(2 * n - 1).fill(1);
+  const merges = [];
+  [...edges].sort((x, y) => x.weight - y.weight).forEach((edge, m) => {
+    const left = find(edge.a);
+    const right = find(edge.b);
+    const node = n + m;
+    parent[left] = parent[right] = node;
+    sizes[node] = sizes[left] + sizes[right];
+    merges.push({ left, right, distance: edge.weight });
+  });
+
+  return { merges, sizes };
+}
+
+/**
+ * Condensed tree entries { parent, child, lambda, size }: child is a cluster
+ * id (>= n, root = n) when a split creates clusters, else a point falling out
+ */
+function condenseTree({ merges, sizes }, n, minClusterSize) {
+  const root = 2 * n - 2;
+  const children = node => (node < n ? [] : [merges[node - n].left, merges[node - n].right]);
+  const pointsUnder = node => {
+    const points = [];
+    const stack = [node];
+    while (stack.length > 0) {
+      const next = stack.pop();
+      if (next < n) points.push(next);
+      else stack.push(...children(next));
+    }
+    return points;
+  };
+
+  const entries = [];
+  const clusterOf = new Map([[root, n]]);
+  let nextCluster = n + 1;
+  const queue = [root];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    const cluster = clusterOf.get(node);
+    const { left, right, distance } = merges[node - n];
+    const lambda = 1 / Math.max(distance, MIN_DISTANCE);
+    const big = [left, right].filter(child => sizes[child] >= minClusterSize);
+
+    if (big.length === 2) {
+      // A true split: two new clusters
+      big.forEach(child => {
+        clusterOf.set(child, nextCluster);
+        entries.push({ parent: cluster, child: nextCluster++, lambda, size: sizes[child] });
+      });
+    } else {
+      // Small sides fall out of the cluster; a big side carries it on
+      [left, right].filter(child => sizes[child] < minClusterSize).forEach(child => {
+        pointsUnder(child).forEach(point => entries.push({ parent: cluster, child: point, lambda, size: 1 }));
+      });
+      big.forEach(child => clusterOf.set(child, cluster));
+    }
+
+    big.filter(child => child >= n).forEach(child => queue.push(child));
+  }
+
+  return { entries, root: n, clusterCount: nextCluster - n };
+}
+
+/**
+ * Excess-of-mass selection: keep a cluster when it is at least as stable as
+ * its selected descendants together (never the root)
+ * @returns {Object} { selected: Set of cluster ids, stability: Map }
+ */
+function selectClusters({ entries, root, clusterCount }) {
+  const birth = new Map([[root, 0]]);
+  const childClusters = new Map();
+  entries.forEach(entry => {
+    if (entry.child >= root) {
+      birth.set(entry.child, entry.lambda);
+      if (!childClusters.has(entry.parent)) childClusters.set(entry.parent, []);
+      childClusters.get(entry.parent).push(entry.child);
+    }
+  });
+
+  const stability = new Map();
+  entries.forEach(entry => {
+    const gain = (entry.lambda - birth.get(entry.parent)) * entry.size;
+    stability.set(entry.parent, (stability.get(entry.parent) || 0) + gain);
+  });
+
+  const selected = new Set();
+  const subtreeStability = new Map();
+  // Children always have larger ids than their parent: walk bottom-up
+  for (let cluster = root + clusterCount - 1; cluster >= root; cluster--) {
+    const own = stability.get(cluster) || 0;
+    const kids = childClusters.get(cluster) || [];
+    if (kids.length === 0) {
+      selected.add(cluster);
+      subtreeStability.set(cluster, own);
+      continue;
+    }
+
+    const kidsTotal = kids.reduce((sum, kid) => sum + subtreeStability.get(kid), 0);
+    if (own >= kidsTotal && cluster !== root) {
+      descendants(cluster, childClusters).forEach(descendant => selected.delete(descendant));
+      selected.add(cluster);
+      subtreeStability.set(cluster, own);
+    } else {
+      subtreeStability.set(cluster, kidsTotal);
+    }
+  }
+
+  // The root alone would put every point in one cluster
+  selected.delete(root);
+  return { selected, stability };
+}
+
+function descendants(cluster, childClusters) {
+  const result = [];
+  const stack = [...(childClusters.get(cluster) || [])];
+  while (stack.length > 0) {
+    const next = stack.pop();
+    result.push(next);
+    stack.push(...(childClusters.get(next) || []));
+  }
+  return result;
+}
+
+/**
+ * Labels, probabilities and exemplars from the selected clusters
+ */
+function labelPoints({ entries, root }, { selected, stability }, n, coreDistances) {
+  const parentOf = new Map();
+  const leftAt = new Array(n).fill(0);
+  const leftFrom = new Array(n).fill(root);
+  entries.forEach(entry => {
+    if (entry.child >= root) parentOf.set(entry.child, entry.parent);
+    else {
+      leftAt[entry.child] = entry.lambda;
+      leftFrom[entry.child] = entry.parent;
+    }
+  });
+
+  // Selected clusters in id order become labels 0, 1, ...
+  const order = [...selected].sort((a, b) => a - b);
+  const labelOf = new Map(order.map((cluster, label) => [cluster, label]));
+
+  const labels = new Array(n).fill(-1);
+  for (let point = 0; point < n; point++) {
+    let cluster = leftFrom[point];
+    while (cluster !== undefined && !labelOf.has(cluster)) cluster = parentOf.get(cluster);
+    if (cluster !== undefined) labels[point] = labelOf.get(cluster);
+  }
+
+  const maxLambda = new Array(order.length).fill(0);
+  labels.forEach((label, point) => {
+    if (label !== -1) maxLambda[label] = Math.max(maxLambda[label], leftAt[point]);
+  });
+  const probabilities = labels.map((label, point) =>
+    label === -1 || maxLambda[label] === 0 ? 0 : Math.min(leftAt[point], maxLambda[label]) / maxLambda[label]
+  );
+
+  const clusters = order.map((cluster, label) => ({
+    label,
+    stability: stability.get(cluster) || 0,
+    exemplars: labels.map((l, point) => (l === label && probabilities[point] === 1 ? point : -1)).filter(point => point !== -1)
+  }));
+
+  return { labels, probabilities, clusters, coreDistances };
+}
+
+/**
+ * Soft membership of every clustered point in every cluster. Each cluster's
+ * pull on a point decays with the point's distance to the cluster's nearest
+ * exemplar, measured in the point's own core distance: clusters about as
+ * close as the nearest one share the point, clusters many neighbourhoods
+ * away get almost nothing. Pulls are normalized to shares summing to 1
+ * (all 0 for noise); share times the point's probability is the probability
+ * that it belongs to that cluster.
+ * @param {Array<Array<number>>} distances - The matrix hdbscan() was given
+ * @param {Object} result - hdbscan() result
+ * @returns {Array<Array<number>>} Share per point, per cluster label
+ */
+function softMemberships(distances, { probabilities, clusters, coreDistances }) {
+  return probabilities.map((probability, point) => {
+    if (probability === 0 || clusters.length === 0) return clusters.map(() => 0);
+
+    const toCluster = clusters.map(cluster => Math.min(...cluster.exemplars.map(exemplar => distances[point][exemplar])));
+    const nearest = Math.min(...toCluster);
+    const scale = Math.max(coreDistances[point], MIN_DISTANCE);
+    const pulls = toCluster.map(distance => Math.exp(-(distance - nearest) / scale));
+    const total = pulls.reduce((a, b) => a + b, 0);
+
+    return pulls.map(pull => pull / total);
+  });
+}
+
+module.exports = {
+  hdbscan,
+  softMemberships
+};
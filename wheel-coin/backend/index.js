@@ -7,14 +7,75 @@ const fetch = require('node-fetch');
 // Import the AI narrative detection system
 const { NarrativeDetectionEngine } = require('./narrative-detection');
 const TokenClusteringEngine = require('./clustering');
+const NarrativeCharacterizationEngine = require('./characterization');
 const AdaptiveNarrativeScoringEngine = require('./scorer');
+const NarrativeNamingEngine = require('./naming');
+const { createSourceRegistry } = require('./sources');
+const { createEmbeddingModel } = require('./embeddings');
+const { TaxonomyStore, TaxonomyAuditLog, createTaxonomyAdminRouter } = require('./taxonomy');
+const { toMetric, sumMetric, averageMetric, derivedTag } = require('./provenance');
+const { formatScoreBreakdown } = require('./score-breakdown');
+const {
+  TokenMetricsStore,
+  createSnapshotStore,
+  buildSnapshot,
+  parseTimestamp,
+  parseHistoryQuery,
+  getNarrativeHistory,
+  getNarrativeLineage
+} = require('./storage');
+const { SseBroadcaster, WebSocketHub, diffNarratives } = require('./realtime');
+const { ManualClock, systemClock } = require('./reproducibility');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Reproducible mode (REPRODUCIBLE=true): engines seeded with SEED and a clock that starts at
+// REPRODUCIBLE_START and moves one minute per aggregation cycle, so the same token feed gives
+// byte-identical /api/wheel-state output. SEED alone seeds the engines on the wall clock.
+const reproducible = process.env.REPRODUCIBLE === 'true';
+const engineSeed = process.env.SEED || (reproducible ? 'wheel-coin' : null);
+const clock = reproducible
+  ? new ManualClock(process.env.REPRODUCIBLE_START || '2025-01-01T00:00:00.000Z')
+  : systemClock;
+const CYCLE_MS = 60 * 1000; // Aggregation interval (cron below)
+let aggregationCycles = 0;
+
+// Token feeds enabled for this deployment (TOKEN_SOURCES=dexscreener-boosts,...)
+const tokenSources = createSourceRegistry();
+
+// Live wheel updates over server-sent events
+const wheelStream = new SseBroadcaster();
+
+// Topic subscriptions over WebSocket (/api/ws)
+const wheelSocket = new WebSocketHub();
+
+// Rolling per-token price/volume/holder/liquidity series for the feature extractors
+const tokenMetrics = new TokenMetricsStore();
+
+// Narrative themes, keywords and scoring multipliers (TAXONOMY_PATH); an invalid file stops startup
+const narrativeTaxonomy = new TaxonomyStore();
+try {
+  const taxonomy = narrativeTaxonomy.load();
+  console.log(`🗂️ Narrative taxonomy v${taxonomy.version} loaded (${taxonomy.themes.size} themes, ${taxonomy.groups.size} groups)`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Template-driven narrative names, shared by detection and characterization
+const narrativeNaming = new NarrativeNamingEngine({ taxonomy: narrativeTaxonomy });
+
+// Who changed which theme through the admin API (TAXONOMY_AUDIT_LOG)
+const taxonomyAuditLog = new TaxonomyAuditLog();
+
+// Wheel history (SNAPSHOT_STORE=jsonl|sqlite|none)
+let snapshotStore = null;
+
 // Initialize AI engines
 let narrativeEngine;
 let clusteringEngine;
+let characterizationEngine;
 let scoringEngine;
 
 // Middleware
@@ -26,40 +87,68 @@ app.use('/frontend', express.static(path.join(__dirname, '../frontend')));
 // Store wheel state in memory
 let wheelState = {
   status: 'spinning',
-  lastUpdate: new Date().toISOString(),
+  lastUpdate: new Date(clock.now()).toISOString(),
+  dataSource: 'fallback', // 'ai' when narratives come from live token data
   narratives: {},
   clusters: [],
   tokenData: {
     totalTokens: 0,
     narrativeCount: 0,
-    avgConfidence: 85.0
+    avgConfidence: null
   }
 };
 
+// Latest TokenClusteringEngine run (null until a cycle has clustered live tokens)
+let latestClustering = null;
+let latestClusteringQuality = null; // Its quality report (null when the run produced none)
+
 // Initialize AI engines
 async function initializeAIEngines() {
   console.log('🤖 Initializing AI narrative detection system...');
   
   try {
+    // Token name/description embeddings (EMBEDDING_MODEL=tfidf|transformers). Each engine fits
+    // its own instance on the tokens it compares, so one engine's fit never shifts the other's vectors
     narrativeEngine = new NarrativeDetectionEngine({
       minClusterSize: 1,
       similarityThreshold: 0.3,
-      minNarrativeStrength: 30
+      minNarrativeStrength: 30,
+      sourceRegistry: tokenSources,
+      embeddingModel: createEmbeddingModel(),
+      taxonomy: narrativeTaxonomy,
+      naming: narrativeNaming,
+      seed: engineSeed,
+      clock
     });
     
     clusteringEngine = new TokenClusteringEngine({
       minClusterSize: 2,
-      maxClusters: 15
+      maxClusters: 15,
+      metricsStore: tokenMetrics,
+      embeddingModel: createEmbeddingModel(),
+      taxonomy: narrativeTaxonomy,
+      seed: engineSeed,
+      clock
+    });
+    
+    characterizationEngine = new NarrativeCharacterizationEngine({
+      taxonomy: narrativeTaxonomy,
+      naming: narrativeNaming,
+      clock
     });
     
     scoringEngine = new AdaptiveNarrativeScoringEngine({
       volumeWeight: 0.35,
       socialWeight: 0.25,
-      liquidityWeight: 0.20
+      liquidityWeight: 0.20,
+      taxonomy: narrativeTaxonomy,
+      seed: engineSeed,
+      clock
     });
     
     await narrativeEngine.initialize?.();
     await clusteringEngine.initialize?.();
+    await characterizationEngine.initialize?.();
     await scoringEngine.initialize?.();
     
     console.log('✅ AI engines initialized successfully!');
@@ -70,13 +159,78 @@ async function initializeAIEngines() {
   }
 }
 
+// Open the snapshot store; history is disabled if it cannot be opened
+async function initializeSnapshotStore() {
+  try {
+    snapshotStore = createSnapshotStore();
+    if (!snapshotStore) {
+      console.log('📼 Snapshot history disabled');
+      return;
+    }
+    
+    await snapshotStore.init();
+    console.log(`📼 Recording wheel snapshots (${snapshotStore.name} store)`);
+    
+  } catch (error) {
+    console.error('❌ Error opening snapshot store:', error.message);
+    snapshotStore = null;
+  }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
-    timestamp: new Date().toISOString(),
+    timestamp: new Date(clock.now()).toISOString(),
     uptime: process.uptime(),
-    aiEnginesActive: !!(narrativeEngine && clusteringEngine && scoringEngine)
+    aiEnginesActive: !!(narrativeEngine && clusteringEngine && characterizationEngine && scoringEngine)
+  });
+});
+
+// Runtime theme management (Authorization: Bearer ADMIN_API_TOKEN); changes apply from the next cycle
+app.use('/api/admin/taxonomy', createTaxonomyAdminRouter({
+  store: narrativeTaxonomy,
+  auditLog: taxonomyAuditLog
+}));
+
+// Token source health endpoint
+app.get('/api/sources', (req, res) => {
+  res.json({
+    success: true,
+    data: tokenSources.getHealth(),
+    timestamp: new Date(clock.now()).toISOString()
+  });
+});
+
+// Token clusters from the latest aggregation cycle
+app.get('/api/clusters', (req, res) => {
+  if (!latestClustering) {
+    return res.status(503).json({
+      success: false,
+      error: 'No clustering results yet'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: latestClustering,
+    timestamp: new Date(clock.now()).toISOString()
+  });
+});
+
+// Quality of the latest clustering: how well separated the clusters are and how each algorithm scored
+app.get('/api/clusters/quality', (req, res) => {
+  if (!latestClustering) {
+    return res.status(503).json({
+      success: false,
+      error: 'No clustering results yet'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: latestClusteringQuality,
+    timestamp: new Date(clock.now()).toISOString()
   });
 });
 
@@ -85,59 +239,254 @@ app.get('/api/wheel-state', (req, res) => {
   res.json({
     success: true,
     data: wheelState,
-    timestamp: new Date().toISOString()
+    timestamp: new Date(clock.now()).toISOString()
+  });
+});
+
+// Live wheel stream: full state on connect, then diffs after each cycle
+app.get('/api/stream', (req, res) => {
+  wheelStream.handleRequest(req, res);
+});
+
+// Connected live clients
+app.get('/api/realtime', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      stream: wheelStream.getStats(),
+      websocket: wheelSocket.getStats()
+    },
+    timestamp: new Date(clock.now()).toISOString()
+  });
+});
+
+// Narrative lineage DAG (splits and merges between cycles) from stored snapshots
+app.get('/api/narratives/lineage', async (req, res) => {
+  if (!snapshotStore) {
+    return res.status(503).json({
+      success: false,
+      error: 'Snapshot history not available'
+    });
+  }
+  
+  let query;
+  let minJaccard;
+  try {
+    query = parseHistoryQuery({ from: clock.now() - 60 * 60 * 1000, ...req.query }, clock.now());
+    minJaccard = req.query.minJaccard !== undefined ? parseFloat(req.query.minJaccard) : undefined;
+    if (minJaccard !== undefined && !(minJaccard > 0 && minJaccard <= 1)) {
+      throw new Error('minJaccard must be between 0 and 1');
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  try {
+    const lineage = await getNarrativeLineage(snapshotStore, query, { minJaccard });
+    
+    res.json({
+      success: true,
+      data: {
+        from: new Date(query.from).toISOString(),
+        to: new Date(query.to).toISOString(),
+        resolution: query.resolution,
+        ...lineage,
+        identityEvents: narrativeEngine?.identityResolver.getEvents({ since: query.from }) || []
+      },
+      timestamp: new Date(clock.now()).toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error building narrative lineage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build narrative lineage'
+    });
+  }
+});
+
+// Narrative time series from stored snapshots
+app.get('/api/narratives/:name/history', async (req, res) => {
+  if (!snapshotStore) {
+    return res.status(503).json({
+      success: false,
+      error: 'Snapshot history not available'
+    });
+  }
+  
+  let query;
+  try {
+    query = parseHistoryQuery(req.query, clock.now());
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  try {
+    const points = await getNarrativeHistory(snapshotStore, req.params.name, query);
+    
+    res.json({
+      success: true,
+      data: {
+        narrative: req.params.name,
+        from: new Date(query.from).toISOString(),
+        to: new Date(query.to).toISOString(),
+        resolution: query.resolution,
+        points
+      },
+      timestamp: new Date(clock.now()).toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error reading narrative history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read narrative history'
+    });
+  }
+});
+
+// Why a token belongs to a wheel narrative: the clustering features that pull it toward the other members
+app.get('/api/narratives/:id/tokens/:address/explain', (req, res) => {
+  const narrative = Object.values(wheelState.narratives || {}).find(n => n.id === req.params.id);
+  const token = narrative ? (narrative.tokens || []).find(t => t.address === req.params.address) : null;
+  if (!token) {
+    return res.status(404).json({
+      success: false,
+      error: narrative ? 'Token not found in narrative' : 'Narrative not found'
+    });
+  }
+  
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 8;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be an integer between 1 and 50'
+    });
+  }
+  
+  const explanation = clusteringEngine
+    ? clusteringEngine.explainMembership(token.address, narrative.tokens.map(t => t.address), { limit })
+    : null;
+  if (!explanation) {
+    return res.status(503).json({
+      success: false,
+      error: 'No clustering features for this token in the latest cycle'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: formatTokenExplanation(narrative, token, explanation),
+    timestamp: new Date(clock.now()).toISOString()
   });
 });
 
-// AI-powered narrative generation
-async function generateAINarratives() {
-  if (!narrativeEngine || !clusteringEngine || !scoringEngine) {
+// Full wheel as it stood at a past moment
+app.get('/api/history/snapshots/:timestamp', async (req, res) => {
+  if (!snapshotStore) {
+    return res.status(503).json({
+      success: false,
+      error: 'Snapshot history not available'
+    });
+  }
+  
+  const time = parseTimestamp(req.params.timestamp);
+  if (time === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'timestamp must be an ISO date or epoch milliseconds'
+    });
+  }
+  
+  try {
+    const snapshot = await snapshotStore.getSnapshotAt(time);
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: `No snapshot at or before ${new Date(time).toISOString()}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: snapshot,
+      timestamp: new Date(clock.now()).toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error reading snapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read snapshot'
+    });
+  }
+});
+
+// AI-powered narrative generation from this cycle's tokens
+async function generateAINarratives(tokens) {
+  if (!narrativeEngine || !clusteringEngine || !characterizationEngine || !scoringEngine) {
     console.log('⚠️ AI engines not available, using fallback narratives...');
     return await generateFallbackNarratives();
   }
   
   try {
     console.log('🧠 Generating AI-powered narratives...');
+    latestClustering = null;
+    latestClusteringQuality = null;
     
-    // Step 1: Get real token data
-    const tokens = await fetchRealTrendingTokens();
+    // Step 1: This cycle's real token data
     console.log(`📊 Processing ${tokens.length} tokens with AI...`);
     
     if (tokens.length === 0) {
       return await generateFallbackNarratives();
     }
     
-    // Step 2: Process tokens through narrative detection
-    const narrativeResults = await narrativeEngine.processTokens(tokens);
+    // Step 2: Sample token metrics, then cluster (k-means, DBSCAN, hierarchical, HDBSCAN; best result wins),
+    // or with CLUSTERING_MODE=incremental place the new tokens into the clusters kept from earlier cycles
+    tokenMetrics.record(tokens, clock.now());
+    const clusteringResults = await clusteringEngine.clusterTokens(tokens);
+    latestClustering = formatClusteringResults(clusteringResults, clusteringEngine.lastEvolution);
+    latestClusteringQuality = formatClusteringQuality(clusteringResults);
+    
+    // Step 3: Extract narratives from the clusters
+    const narrativeResults = await narrativeEngine.processTokens(tokens, {
+      clusters: clusteringResults.clusters
+    });
     
     if (narrativeResults.narratives.length === 0) {
       console.log('⚠️ No AI narratives detected, using fallback...');
       return await generateFallbackNarratives();
     }
     
-    // Step 3: Score narratives with adaptive scoring
+    // Step 4: Characterize narratives; the profile's lifecycle drives the scorer's lifecycle adjustments
+    // and, with the profile's name options, the final names (unique across the wheel), which
+    // replace the names the identity resolver recorded during detection
+    await attachNarrativeProfiles(narrativeResults.narratives);
+    narrativeNaming.assignNames(narrativeResults.narratives);
+    narrativeEngine.identityResolver.syncNames(narrativeResults.narratives);
+    
+    // Step 5: Score narratives with adaptive scoring
     const scoringResults = await scoringEngine.calculateNarrativeScores(narrativeResults.narratives);
     
-    // Step 4: Format for wheel display
+    // Step 6: Format for wheel display
     const wheelNarratives = {};
     
-    for (let index = 0; index < Math.min(scoringResults.rankedNarratives.length, 7); index++) {
-      const narrative = scoringResults.rankedNarratives[index];
+    // Narratives with no measurable component have no score and stay off the wheel
+    const scoredNarratives = scoringResults.rankedNarratives.filter(n => n.finalScore !== null);
+    
+    for (let index = 0; index < Math.min(scoredNarratives.length, 7); index++) {
+      const narrative = scoredNarratives[index];
       const coinData = narrative.topCoin || await getRealCoinDataForNarrative(narrative.name);
+      const entry = formatWheelNarrative(narrative);
       
-      wheelNarratives[narrative.name] = {
-        name: narrative.name,
-        score: Math.round(narrative.finalScore || narrative.strength || 70 + Math.random() * 25),
-        mentions: narrative.metrics?.tokenCount * 100 || Math.floor(Math.random() * 1000) + 200,
-        strength: (narrative.finalScore || narrative.strength || 70) / 100,
-        confidence: (narrative.confidence || 80) / 100,
-        lifecycle: narrative.lifecycle || 'emerging',
-        volume: narrative.metrics?.totalVolume || Math.floor(Math.random() * 30000000) + 5000000,
-        liquidity: Math.floor((narrative.metrics?.totalVolume || 10000000) * 0.05),
-        socialScore: Math.min(99, Math.round((narrative.finalScore || 70) + Math.random() * 15)),
-        trending: narrative.finalScore > 85 ? 'hot' : narrative.finalScore > 70 ? 'rising' : 'moderate',
-        topCoin: coinData
-      };
+      wheelNarratives[narrative.name] = { ...entry, topCoin: coinData };
     }
     
     console.log(`🎯 Generated ${Object.keys(wheelNarratives).length} AI narratives`);
@@ -149,6 +498,209 @@ async function generateAINarratives() {
   }
 }
 
+// Attach a characterization profile (themes, names, characteristics, lifecycle) to each narrative
+async function attachNarrativeProfiles(narratives) {
+  const profiles = await characterizationEngine.characterizeNarratives(narratives);
+  const profilesById = new Map(profiles.map(profile => [profile.clusterId, profile]));
+  
+  narratives.forEach(narrative => {
+    const profile = profilesById.get(narrative.id);
+    if (!profile) return;
+    
+    narrative.profile = profile;
+    narrative.lifecycle = profile.lifecycle;
+  });
+}
+
+// Wheel-sized view of a characterization profile
+function formatNarrativeProfile(profile) {
+  const formatTheme = theme => ({ theme: theme.theme, score: Math.round(theme.score * 10) / 10 });
+  
+  return {
+    themes: {
+      primary: profile.themes.primary ? formatTheme(profile.themes.primary) : null,
+      secondary: profile.themes.secondary.map(formatTheme)
+    },
+    nameOptions: profile.nameOptions.map(({ name, confidence, source }) => ({ name, confidence, source })),
+    characteristics: profile.characteristics,
+    lifecycle: {
+      stage: profile.lifecycle.stage,
+      confidence: profile.lifecycle.confidence,
+      score: Math.round(profile.lifecycle.score),
+      description: profile.lifecycle.description
+    },
+    confidence: profile.confidence
+  };
+}
+
+// Map a scored narrative onto a wheel entry, keeping missing metrics as null
+function formatWheelNarrative(narrative) {
+  const score = narrative.finalScore === null ? null : Math.round(narrative.finalScore);
+  const mentions = sumMetric((narrative.tokens || []).map(t => toMetric(t.socialMentions)));
+  const confidence = toMetric(narrative.confidence);
+  const volume = narrative.metrics?.totalVolume ?? null;
+  const liquidity = narrative.metrics?.totalLiquidity ?? null;
+  const social = narrative.components?.social ?? null;
+  
+  return {
+    id: narrative.id,
+    name: narrative.name,
+    score,
+    mentions,
+    strength: score === null ? null : score / 100,
+    confidence: confidence === null ? null : confidence / 100,
+    lifecycle: narrative.lifecycle?.stage || narrative.lifecycle || 'emerging',
+    volume,
+    liquidity,
+    socialScore: social === null ? null : Math.round(social * 100),
+    trending: score === null ? null : score > 85 ? 'hot' : score > 70 ? 'rising' : 'moderate',
+    color: narrativeTaxonomy.current.getTheme(narrative.category)?.color || null, // Wheel color set in the taxonomy
+    tokens: (narrative.tokens || []).map(t => ({
+      address: t.address,
+      symbol: t.symbol,
+      name: t.name,
+      source: t.source,
+      ...formatMembership(narrative.membership, t)
+    })),
+    profile: narrative.profile ? formatNarrativeProfile(narrative.profile) : null,
+    scoreBreakdown: formatScoreBreakdown(narrative.scoreBreakdown, narrative.components),
+    provenance: {
+      score: derivedTag(score),
+      mentions: derivedTag(mentions),
+      strength: derivedTag(score),
+      confidence: derivedTag(confidence),
+      volume: derivedTag(volume),
+      liquidity: derivedTag(liquidity),
+      socialScore: derivedTag(social),
+      trending: derivedTag(score)
+    }
+  };
+}
+
+// A token's membership probability in a cluster or narrative (null unless HDBSCAN
+// clustered it) and whether it is a soft member whose main cluster is another one
+function formatMembership(membership, token) {
+  const entry = membership ? membership.find(m => m.address === token.address) : null;
+  return {
+    probability: entry ? Math.round(entry.probability * 1000) / 1000 : null,
+    soft: entry ? entry.soft : false
+  };
+}
+
+// Summarize a clusterTokens() result for the API and wheel state
+function formatClusteringResults(results, evolution) {
+  const round = value => (Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null);
+  
+  return {
+    algorithm: results.metadata.algorithmUsed || null,
+    silhouetteScore: round(results.metadata.silhouetteScore),
+    totalTokens: results.metadata.totalTokens ?? null,
+    clusterCount: results.clusters.length,
+    outlierCount: results.outliers.length,
+    softMemberCount: results.metadata.softMembers ?? 0,
+    evolution: evolution ? {
+      splits: evolution.splits,
+      merges: evolution.merges,
+      new: evolution.new,
+      disappeared: evolution.disappeared
+    } : null,
+    incremental: results.metadata.incremental ? {
+      cycle: results.metadata.incremental.cycle,
+      newTokens: results.metadata.incremental.newTokens,
+      assigned: results.metadata.incremental.assigned,
+      spawned: results.metadata.incremental.spawned,
+      consolidated: !!results.metadata.incremental.consolidation,
+      liveClusters: results.metadata.incremental.liveClusters,
+      liveTokens: results.metadata.incremental.liveTokens
+    } : null,
+    error: results.metadata.error || null,
+    clusters: results.clusters.map(cluster => ({
+      id: cluster.id,
+      size: cluster.tokens.length,
+      strength: round(cluster.strength),
+      coherence: round(cluster.coherence),
+      stability: round(cluster.stability),
+      growth: round(cluster.growth),
+      growthDetails: {
+        since: cluster.growthDetails.since,
+        tokenCount: round(cluster.growthDetails.tokenCount),
+        volume: round(cluster.growthDetails.volume),
+        holders: round(cluster.growthDetails.holders)
+      },
+      tokens: cluster.tokens.map(t => ({ address: t.address, symbol: t.symbol, name: t.name, ...formatMembership(cluster.membership, t) }))
+    })),
+    updatedAt: results.metadata.timestamp || new Date(clock.now()).toISOString()
+  };
+}
+
+// Summarize a clusterTokens() quality report for the API (null when the run had none)
+function formatClusteringQuality(results) {
+  const quality = results.metadata.quality;
+  if (!quality) return null;
+  
+  const round = value => (Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null);
+  const metrics = entry => ({
+    clusterCount: entry.clusterCount,
+    silhouette: round(entry.silhouette),
+    daviesBouldin: round(entry.daviesBouldin),
+    outlierRatio: round(entry.outlierRatio)
+  });
+  
+  return {
+    selected: quality.selected,
+    ...metrics(quality),
+    kSelection: quality.kSelection ? {
+      method: quality.kSelection.method,
+      k: quality.kSelection.k,
+      sweep: quality.kSelection.sweep.map(entry => ({
+        k: entry.k,
+        silhouette: round(entry.silhouette),
+        gap: round(entry.gap),
+        gapError: round(entry.gapError)
+      }))
+    } : null,
+    algorithms: quality.algorithms.map(entry => ({
+      algorithm: entry.algorithm,
+      ...metrics(entry),
+      score: round(entry.score),
+      selected: entry.selected
+    })),
+    updatedAt: results.metadata.timestamp || new Date(clock.now()).toISOString()
+  };
+}
+
+// Summarize an explainMembership() result for the API
+function formatTokenExplanation(narrative, token, explanation) {
+  const round = (value, digits = 3) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+  const neighbor = entry => ({ address: entry.address, symbol: entry.symbol, name: entry.name, similarity: round(entry.similarity) });
+  const groups = {};
+  Object.entries(explanation.groups).forEach(([group, total]) => { groups[group] = round(total, 6); });
+  
+  return {
+    narrative: { id: narrative.id, name: narrative.name },
+    token: { address: token.address, symbol: token.symbol, name: token.name, probability: token.probability ?? null, soft: !!token.soft },
+    distance: {
+      members: round(explanation.distance.members),
+      average: round(explanation.distance.average)
+    },
+    contributions: explanation.contributions.map(entry => ({
+      feature: entry.feature,
+      group: entry.group,
+      label: entry.label,
+      value: round(entry.value),
+      membersValue: round(entry.membersValue),
+      contribution: round(entry.contribution, 6),
+      share: round(entry.share)
+    })),
+    groups,
+    keywords: explanation.keywords,
+    neighbors: {
+      embedding: explanation.neighbors.embedding.map(neighbor),
+      market: explanation.neighbors.market.map(neighbor)
+    }
+  };
+}
+
 // Fetch REAL live coin data from CoinGecko
 async function fetchLiveCoinData(coinId) {
   try {
@@ -204,6 +756,9 @@ async function getRealCoinDataForNarrative(narrativeName) {
   
   const coinId = narrativeCoinMappings[narrativeName];
   
+  // Reproducible runs read nothing but the token feed: live prices would change the output
+  if (reproducible) return null;
+  
   if (coinId) {
     console.log(`🪙 Fetching live data for ${narrativeName} -> ${coinId}...`);
     const liveData = await fetchLiveCoinData(coinId);
@@ -213,17 +768,8 @@ async function getRealCoinDataForNarrative(narrativeName) {
     }
   }
   
-  // Fallback to mock data if real data unavailable
-  const symbols = ['$MEME', '$TREND', '$META', '$VIRAL', '$PUMP', '$MOON', '$CHAD', '$BASED'];
-  const randomSymbol = symbols[Math.floor(Math.random() * symbols.length)];
-  const change = (Math.random() - 0.3) * 200; // Bias toward positive
-  
-  return {
-    symbol: randomSymbol,
-    name: narrativeName.split(' ')[0] + ' Token',
-    change24h: `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`,
-    marketCap: formatMarketCap(Math.random() * 1000000000 + 10000000)
-  };
+  // No live data - report it as missing rather than inventing a coin
+  return null;
 }
 
 // Fallback narratives when AI is unavailable - NOW WITH REAL COIN DATA!
@@ -337,44 +883,16 @@ function formatMarketCap(value) {
   return `$${value.toFixed(0)}`;
 }
 
-// Fetch real tokens from DexScreener
+// Fetch real tokens from every enabled token source
 async function fetchRealTrendingTokens() {
   try {
-    console.log('🚀 Fetching real boosted tokens from DexScreener...');
+    console.log('🚀 Fetching real tokens from enabled sources...');
     
-    const response = await fetch('https://api.dexscreener.com/token-boosts/latest/v1', {
-      timeout: 8000,
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'TrendWheel/1.0'
-      }
-    });
-    
-    if (!response.ok) {
-      console.warn('⚠️ DexScreener API unavailable, using fallback');
-      return [];
-    }
-    
-    const boostedTokens = await response.json();
-    console.log(`✅ Found ${boostedTokens.length} boosted tokens`);
-    
-    // Convert to format expected by AI engines
-    return boostedTokens.slice(0, 15).map(token => ({
-      address: token.tokenAddress || `token_${Date.now()}_${Math.random()}`,
-      name: token.tokenName || 'Unknown Token',
-      symbol: token.tokenSymbol || 'UNK',
-      price: token.priceUsd || 0,
-      volume24h: token.volume24h || 0,
-      marketCap: token.marketCap || 0,
-      priceChange24h: token.priceChange24h || 0,
-      holders: token.holders || Math.floor(Math.random() * 1000) + 50,
-      liquidity: token.liquidity || Math.floor(Math.random() * 100000) + 10000,
-      socialMentions: Math.floor(Math.random() * 100) + 5,
-      created: Date.now() - Math.random() * 24 * 60 * 60 * 1000
-    }));
+    const tokens = await tokenSources.collectTokens();
+    return narrativeEngine ? narrativeEngine.deduplicateTokens(tokens) : tokens;
     
   } catch (error) {
-    console.error('❌ Error fetching boosted tokens:', error.message);
+    console.error('❌ Error fetching tokens:', error.message);
     return [];
   }
 }
@@ -383,25 +901,37 @@ async function fetchRealTrendingTokens() {
 async function aggregateData() {
   console.log('🔄 Updating wheel with AI-powered narrative detection...');
   
+  // Reproducible mode: every cycle runs one interval after the previous one on the manual clock
+  if (reproducible && aggregationCycles > 0) clock.advance(CYCLE_MS);
+  aggregationCycles++;
+  
   try {
-    // Generate AI-powered narratives
-    const narratives = await generateAINarratives();
-    
-    // Get real boosted tokens for metrics
+    // Fetch the sources once per cycle: narratives and token metrics share the tokens
     const tokens = await fetchRealTrendingTokens();
     
+    // Generate AI-powered narratives
+    const narratives = await generateAINarratives(tokens);
+    
     // Update wheel state
+    const entries = Object.values(narratives);
+    const avgConfidence = averageMetric(entries.map(n => toMetric(n.confidence)));
+    const changes = diffNarratives(wheelState.narratives, narratives);
+    
     wheelState.narratives = narratives;
+    wheelState.clusters = latestClustering ? latestClustering.clusters : [];
+    wheelState.dataSource = entries.some(n => n.provenance) ? 'ai' : 'fallback';
     wheelState.tokenData = {
       totalTokens: tokens.length,
-      narrativeCount: Object.keys(narratives).length,
-      avgConfidence: 87.5
+      narrativeCount: entries.length,
+      avgConfidence: avgConfidence === null ? null : Math.round(avgConfidence * 1000) / 10
     };
     
     // Determine status based on narrative activity
-    const avgScore = Object.values(narratives).reduce((sum, n) => sum + n.score, 0) / Object.keys(narratives).length;
+    const avgScore = averageMetric(entries.map(n => n.score));
     
-    if (avgScore >= 80) {
+    if (avgScore === null) {
+      wheelState.status = 'slow';
+    } else if (avgScore >= 80) {
       wheelState.status = 'active';
     } else if (avgScore >= 60) {
       wheelState.status = 'spinning';
@@ -409,7 +939,7 @@ async function aggregateData() {
       wheelState.status = 'slow';
     }
     
-    wheelState.lastUpdate = new Date().toISOString();
+    wheelState.lastUpdate = new Date(clock.now()).toISOString();
     
     const topNarratives = Object.entries(narratives)
       .sort((a, b) => b[1].score - a[1].score)
@@ -419,13 +949,26 @@ async function aggregateData() {
     
     console.log(`✅ AI Wheel updated - Status: ${wheelState.status}, Top: ${topNarratives}, Tokens: ${tokens.length}`);
     
+    wheelStream.publishUpdate(wheelState, changes);
+    wheelSocket.publishUpdate(wheelState, changes);
+    
+    if (snapshotStore) {
+      await snapshotStore.append(buildSnapshot(wheelState, Date.parse(wheelState.lastUpdate)));
+    }
+    
   } catch (error) {
     console.error('❌ Error in AI aggregation:', error);
   }
 }
 
-// Update data every 60 seconds (AI processing takes longer)
-cron.schedule('0 * * * * *', aggregateData);
+// Update data every 60 seconds (AI processing takes longer); reproducible runs count
+// cycles from startup instead, so the Nth cycle does not depend on when the server started
+if (!reproducible) {
+  cron.schedule('0 * * * * *', aggregateData);
+}
+
+// Apply snapshot retention and compaction hourly
+cron.schedule('0 5 * * * *', () => snapshotStore?.runMaintenance(clock.now()));
 
 // Serve frontend
 app.get('/', (req, res) => {
@@ -445,19 +988,30 @@ app.get('/public', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', async () => {
+const server = app.listen(PORT, '0.0.0.0', async () => {
   console.log(`🚀 Sol TrendWheel AI server running on port ${PORT}`);
   console.log(`🎡 Access on your phone: http://10.0.0.90:${PORT}`);
   console.log(`📱 Frontend: http://10.0.0.90:${PORT}`);
   console.log(`🔄 Public: http://10.0.0.90:${PORT}/public`);
   console.log(`📊 API: http://10.0.0.90:${PORT}/api/wheel-state`);
   console.log(`🤖 AI-powered narrative detection: ENABLED`);
+  if (reproducible) {
+    console.log(`🎲 Reproducible mode: seed "${engineSeed}", clock starts ${new Date(clock.now()).toISOString()}`);
+  }
   
-  // Initialize AI engines
+  // Initialize AI engines, history and the live stream
   await initializeAIEngines();
+  await initializeSnapshotStore();
+  wheelStream.start();
+  narrativeTaxonomy.watch();
   
   // Run initial data aggregation
-  setTimeout(aggregateData, 3000);
+  setTimeout(() => {
+    aggregateData();
+    if (reproducible) setInterval(aggregateData, CYCLE_MS);
+  }, 3000);
 });
 
+wheelSocket.attach(server);
+
 module.exports = app;
\ No newline at end of file
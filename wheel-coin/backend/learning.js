@@ -5,6 +5,8 @@
  * and continuous improvement for the narrative detection system.
  */
 
+const { createRandom, systemClock } = require('./reproducibility');
+
 class ContinuousLearningEngine {
   constructor(config = {}) {
     this.config = {
@@ -31,6 +33,8 @@ class ContinuousLearningEngine {
     this.modelPerformance = new Map(); // Track model performance over time
     this.experimentResults = new Map(); // Store experiment results
     this.adaptationLog = []; // Log of all adaptations made
+    this.random = createRandom(config.seed); // A/B variant assignment and ids; seeded for reproducible runs
+    this.clock = config.clock || systemClock;
   }
 
   /**
@@ -61,7 +65,7 @@ class ContinuousLearningEngine {
     
     const feedbackEntry = {
       id: this.generateId(),
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       type: feedback.type, // 'narrative_relevance', 'classification_accuracy', 'ranking_quality'
       narrativeId: feedback.narrativeId,
       narrativeName: feedback.narrativeName,
@@ -93,7 +97,7 @@ class ContinuousLearningEngine {
   trackInteraction(interaction) {
     const interactionEntry = {
       id: this.generateId(),
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       type: interaction.type, // 'segment_click', 'segment_hover', 'modal_open', 'tooltip_view'
       narrativeId: interaction.narrativeId,
       narrativeName: interaction.narrativeName,
@@ -125,7 +129,7 @@ class ContinuousLearningEngine {
         clusteringUpdates: {},
         characterizationUpdates: {},
         scoringUpdates: {},
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.clock.now()).toISOString()
       };
       
       // Update clustering parameters
@@ -163,8 +167,8 @@ class ContinuousLearningEngine {
       id: this.generateId(),
       name: experiment.name,
       description: experiment.description,
-      startTime: Date.now(),
-      endTime: Date.now() + this.config.abTestDuration,
+      startTime: this.clock.now(),
+      endTime: this.clock.now() + this.config.abTestDuration,
       variants: experiment.variants, // Array of different configurations
       metrics: experiment.metrics || ['user_engagement', 'feedback_rating', 'interaction_time'],
       status: 'active',
@@ -185,7 +189,7 @@ class ContinuousLearningEngine {
    */
   assignToVariant(userSession, testId) {
     const test = this.abTestExperiments.get(testId);
-    if (!test || test.status !== 'active' || Date.now() > test.endTime) {
+    if (!test || test.status !== 'active' || this.clock.now() > test.endTime) {
       return null;
     }
     
@@ -195,13 +199,13 @@ class ContinuousLearningEngine {
     }
     
     // Randomly assign to variant
-    const variantIndex = Math.floor(Math.random() * test.variants.length);
+    const variantIndex = Math.floor(this.random() * test.variants.length);
     const variant = test.variants[variantIndex];
     
     test.participants.set(userSession, {
       variantIndex,
       variant: variant.name,
-      assignedAt: Date.now()
+      assignedAt: this.clock.now()
     });
     
     return variant;
@@ -220,13 +224,13 @@ class ContinuousLearningEngine {
     const participant = test.participants.get(userSession);
     if (!participant) return;
     
-    const resultKey = `${userSession}_${Date.now()}`;
+    const resultKey = `${userSession}_${this.clock.now()}`;
     test.results.set(resultKey, {
       userSession,
       variant: participant.variant,
       variantIndex: participant.variantIndex,
       result,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     console.log(`📊 Recorded A/B test result for ${test.name}, variant: ${participant.variant}`);
@@ -245,7 +249,7 @@ class ContinuousLearningEngine {
     const analysis = {
       testId,
       testName: test.name,
-      duration: Date.now() - test.startTime,
+      duration: this.clock.now() - test.startTime,
       participants: test.participants.size,
       results: test.results.size,
       variants: {},
@@ -312,7 +316,7 @@ class ContinuousLearningEngine {
     console.log('🎯 Analyzing detection accuracy...');
     
     const analysis = {
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       totalPredictions: 0,
       accurateDetections: 0,
       falsePositives: 0,
@@ -536,7 +540,7 @@ class ContinuousLearningEngine {
           calculatedMetrics[metric] = this.calculateInteractionTimeMetric(results);
           break;
         default:
-          calculatedMetrics[metric] = Math.random(); // Placeholder
+          calculatedMetrics[metric] = this.random(); // Placeholder
       }
     });
     
@@ -621,7 +625,7 @@ class ContinuousLearningEngine {
 
   logAdaptation(type, data) {
     this.adaptationLog.push({
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       type,
       data,
       id: this.generateId()
@@ -634,7 +638,7 @@ class ContinuousLearningEngine {
   }
 
   generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    return this.clock.now().toString(36) + this.random().toString(36).substr(2);
   }
 
   /**
@@ -663,7 +667,7 @@ class ContinuousLearningEngine {
         ...(this.feedbackHistory.size < 50 ? ['Collect more user feedback for better learning'] : [])
       ],
       
-      timestamp: new Date().toISOString()
+      timestamp: new Date(this.clock.now()).toISOString()
     };
   }
 }
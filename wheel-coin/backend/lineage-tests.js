@@ -0,0 +1,210 @@
+/**
+ * Test Suite for Narrative Lineage
+ *
+ * Checks that consecutive generations of token groups are linked into
+ * continuations, splits and merges, that the lineage DAG is time-ordered,
+ * and that cluster evolution reports real split and merge counts.
+ */
+
+const { linkGenerations, buildLineageDag } = require('./lineage');
+const { getNarrativeLineage } = require('./storage');
+const TokenClusteringEngine = require('./clustering');
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2025-10-21T12:00:00.000Z');
+
+class LineageTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Narrative Lineage Test Suite\n');
+
+    const tests = [
+      { name: 'Continuation', test: () => this.testContinuation() },
+      { name: 'Split', test: () => this.testSplit() },
+      { name: 'Merge', test: () => this.testMerge() },
+      { name: 'Lineage DAG', test: () => this.testLineageDag() },
+      { name: 'Snapshot Lineage', test: () => this.testSnapshotLineage() },
+      { name: 'Cluster Evolution', test: () => this.testClusterEvolution() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  /**
+   * Overlapping groups continue; unmatched ones are born or end
+   */
+  async testContinuation() {
+    const result = linkGenerations(
+      [{ id: 'cat', tokens: ['a', 'b', 'c'] }, { id: 'dog', tokens: ['d1', 'd2'] }],
+      [{ id: 'cat', tokens: ['a', 'b', 'e'] }, { id: 'frog', tokens: ['f1'] }]
+    );
+
+    const [link] = result.links;
+    const passed = result.links.length === 1 &&
+      link.type === 'continue' && link.shared === 2 && link.jaccard === 0.5 &&
+      JSON.stringify(result.born) === '["frog"]' &&
+      JSON.stringify(result.ended) === '["dog"]' &&
+      result.splits.length === 0 && result.merges.length === 0;
+
+    return { passed, details: `${result.links.length} link, born ${result.born}, ended ${result.ended}` };
+  }
+
+  /**
+   * One group flowing into two is a split
+   */
+  async testSplit() {
+    const result = linkGenerations(
+      [{ id: 'ai', tokens: ['a1', 'a2', 'b1', 'b2'] }],
+      [{ id: 'agents', tokens: ['a1', 'a2'] }, { id: 'bots', tokens: ['b1', 'b2'] }]
+    );
+
+    const [split] = result.splits;
+    const passed = result.splits.length === 1 &&
+      split.from === 'ai' && split.into.length === 2 &&
+      result.links.every(link => link.type === 'split') &&
+      result.born.length === 0;
+
+    return { passed, details: split ? `${split.from} split into ${split.into.join(', ')}` : 'No split found' };
+  }
+
+  /**
+   * Two groups flowing into one is a merge; weak overlaps are ignored
+   */
+  async testMerge() {
+    const result = linkGenerations(
+      [{ id: 'dog', tokens: ['d1', 'd2'] }, { id: 'shib', tokens: ['s1', 's2'] }, { id: 'misc', tokens: ['m1', 'm2', 'm3', 'm4', 'm5', 'd3'] }],
+      [{ id: 'dogs', tokens: ['d1', 'd2', 's1', 's2', 'd3'] }]
+    );
+
+    const [merge] = result.merges;
+    const passed = result.merges.length === 1 &&
+      merge.into === 'dogs' && merge.from.length === 2 && !merge.from.includes('misc') &&
+      result.links.every(link => link.type === 'merge') &&
+      JSON.stringify(result.ended) === '["misc"]';
+
+    return { passed, details: merge ? `${merge.from.join(', ')} merged into ${merge.into}` : 'No merge found' };
+  }
+
+  /**
+   * Links only ever point from one generation to the next
+   */
+  async testLineageDag() {
+    const generations = [
+      { time: START, groups: [{ id: 'ai', name: 'AI', tokens: ['a1', 'a2', 'b1', 'b2'], score: 80 }] },
+      { time: START + MINUTE, groups: [{ id: 'ai', name: 'AI', tokens: ['a1', 'a2'] }, { id: 'bots', name: 'BOTS', tokens: ['b1', 'b2'] }] },
+      { time: START + 2 * MINUTE, groups: [{ id: 'ai', name: 'AI', tokens: ['a1', 'a2', 'b1', 'b2'] }] }
+    ];
+
+    const dag = buildLineageDag(generations);
+    const nodeTimes = new Map(dag.nodes.map(node => [node.id, node.time]));
+    const forward = dag.links.every(link => nodeTimes.get(link.source) < nodeTimes.get(link.target));
+
+    const passed = dag.nodes.length === 4 && dag.links.length === 4 && forward &&
+      dag.nodes[0].id === `ai@${new Date(START).toISOString()}` && dag.nodes[0].score === 80 &&
+      JSON.stringify(dag.events.map(event => event.type)) === '["split","merge"]';
+
+    return { passed, details: `${dag.nodes.length} nodes, ${dag.links.length} links, events ${dag.events.map(e => e.type)}` };
+  }
+
+  /**
+   * Stored snapshots are bucketed into one generation each
+   */
+  async testSnapshotLineage() {
+    const snapshot = (offset, narratives) => ({ time: START + offset, narratives });
+    const snapshots = [
+      snapshot(0, [{ id: 'n1', name: 'CAT', tokens: ['c1', 'c2'], score: 50 }]),
+      snapshot(MINUTE, [{ id: 'n1', name: 'CAT', tokens: ['c1', 'c2', 'c3'], score: 55 }]),
+      snapshot(5 * MINUTE, [{ id: 'n1', name: 'CAT', tokens: ['c1', 'c3'], score: 60 }, { name: 'DOG', tokens: ['d1'], score: 40 }])
+    ];
+    const store = {
+      getSnapshots: async ({ from, to }) => snapshots.filter(s => s.time >= from && s.time <= to)
+    };
+
+    const dag = await getNarrativeLineage(store, { from: START, to: START + 10 * MINUTE, bucketMs: 5 * MINUTE });
+
+    const passed = dag.nodes.length === 3 && dag.links.length === 1 &&
+      dag.nodes[0].score === 55 &&
+      dag.nodes.some(node => node.narrativeId === 'DOG');
+
+    return { passed, details: `${dag.nodes.length} nodes from ${snapshots.length} snapshots` };
+  }
+
+  /**
+   * analyzeClusterEvolution() counts real splits and merges
+   */
+  async testClusterEvolution() {
+    const engine = new TokenClusteringEngine();
+    const cluster = (signature, addresses) => [signature, { signature, tokens: addresses.map(address => ({ address })) }];
+
+    const history = new Map([
+      [START - MINUTE, new Map([cluster('old', ['x1', 'x2'])])],
+      [START, new Map([cluster('ai', ['a1', 'a2', 'b1', 'b2']), cluster('dog', ['d1', 'd2']), cluster('shib', ['s1', 's2'])])]
+    ]);
+    const current = new Map([
+      cluster('agents', ['a1', 'a2']),
+      cluster('bots', ['b1', 'b2']),
+      cluster('dogs', ['d1', 'd2', 's1', 's2']),
+      cluster('frog', ['f1'])
+    ]);
+
+    const evolution = engine.analyzeClusterEvolution(history, current);
+    const passed = evolution.splits === 1 && evolution.merges === 1 &&
+      evolution.new === 1 && evolution.disappeared === 0;
+
+    return {
+      passed,
+      details: `${evolution.splits} splits, ${evolution.merges} merges, ${evolution.new} new, ${evolution.disappeared} disappeared`
+    };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 NARRATIVE LINEAGE TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runLineageTests() {
+  const tester = new LineageTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  LineageTester,
+  runLineageTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runLineageTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
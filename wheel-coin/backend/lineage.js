@@ -0,0 +1,128 @@
+/**
+ * Narrative Lineage
+ *
+ * Links the token groups (clusters or narratives) of one generation to those
+ * of the next by token Jaccard similarity. A group with two or more
+ * successors split; a group with two or more predecessors is a merge. Chained
+ * over many generations this gives a time-ordered DAG that renders directly
+ * as a Sankey flow.
+ */
+
+/**
+ * Link two consecutive generations of token groups
+ * @param {Array} previousGroups - [{ id, tokens: Array|Set of token keys }]
+ * @param {Array} currentGroups - [{ id, tokens: Array|Set of token keys }]
+ * @param {Object} options - { minJaccard }
+ * @returns {Object} { links, splits, merges, born, ended }
+ */
+function linkGenerations(previousGroups, currentGroups, { minJaccard = 0.2 } = {}) {
+  const previous = previousGroups.map(group => ({ id: group.id, tokens: new Set(group.tokens) }));
+  const current = currentGroups.map(group => ({ id: group.id, tokens: new Set(group.tokens) }));
+  const links = [];
+
+  previous.forEach(before => {
+    current.forEach(after => {
+      const shared = countShared(before.tokens, after.tokens);
+      if (shared === 0) return;
+
+      const jaccard = shared / (before.tokens.size + after.tokens.size - shared);
+      if (jaccard >= minJaccard) {
+        links.push({ from: before.id, to: after.id, shared, jaccard: Math.round(jaccard * 1000) / 1000 });
+      }
+    });
+  });
+
+  const successors = groupBy(links, 'from', 'to');
+  const predecessors = groupBy(links, 'to', 'from');
+
+  links.forEach(link => {
+    link.type = predecessors.get(link.to).length > 1 ? 'merge'
+      : successors.get(link.from).length > 1 ? 'split'
+      : 'continue';
+  });
+
+  return {
+    links,
+    splits: Array.from(successors.entries())
+      .filter(([, into]) => into.length > 1)
+      .map(([from, into]) => ({ from, into })),
+    merges: Array.from(predecessors.entries())
+      .filter(([, from]) => from.length > 1)
+      .map(([into, from]) => ({ from, into })),
+    born: current.filter(group => !predecessors.has(group.id)).map(group => group.id),
+    ended: previous.filter(group => !successors.has(group.id)).map(group => group.id)
+  };
+}
+
+/**
+ * Build a lineage DAG over a series of generations
+ * @param {Array} generations - [{ time, groups: [{ id, name, tokens, score }] }], oldest first
+ * @param {Object} options - { minJaccard }
+ * @returns {Object} { nodes, links, events } - node ids are `${groupId}@${time}`
+ */
+function buildLineageDag(generations, options = {}) {
+  const nodes = [];
+  const links = [];
+  const events = [];
+
+  generations.forEach((generation, index) => {
+    const time = new Date(generation.time).toISOString();
+
+    generation.groups.forEach(group => {
+      nodes.push({
+        id: nodeId(group.id, generation.time),
+        narrativeId: group.id,
+        name: group.name || group.id,
+        time,
+        tokenCount: (group.tokens || []).length,
+        score: group.score ?? null
+      });
+    });
+
+    if (index === 0) return;
+
+    const previous = generations[index - 1];
+    const step = linkGenerations(previous.groups, generation.groups, options);
+
+    step.links.forEach(link => {
+      links.push({
+        source: nodeId(link.from, previous.time),
+        target: nodeId(link.to, generation.time),
+        value: link.shared,
+        jaccard: link.jaccard,
+        type: link.type
+      });
+    });
+
+    step.splits.forEach(split => events.push({ type: 'split', time, from: split.from, into: split.into }));
+    step.merges.forEach(merge => events.push({ type: 'merge', time, from: merge.from, into: merge.into }));
+  });
+
+  return { nodes, links, events };
+}
+
+function nodeId(groupId, time) {
+  return `${groupId}@${new Date(time).toISOString()}`;
+}
+
+function countShared(a, b) {
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return shared;
+}
+
+function groupBy(links, keyField, valueField) {
+  const groups = new Map();
+  links.forEach(link => {
+    if (!groups.has(link[keyField])) groups.set(link[keyField], []);
+    groups.get(link[keyField]).push(link[valueField]);
+  });
+  return groups;
+}
+
+module.exports = {
+  linkGenerations,
+  buildLineageDag
+};
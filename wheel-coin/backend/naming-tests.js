@@ -0,0 +1,291 @@
+/**
+ * Test Suite for the Narrative Naming Engine
+ *
+ * Checks that names come from the taxonomy's per-theme rules and templates,
+ * that template slots and lifecycle adjectives render, that choices are
+ * stable for a keyword set, that no two narratives in a cycle share a name,
+ * and that detection and characterization both name through the engine.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NarrativeNamingEngine = require('./naming');
+const { TaxonomyStore, validateTaxonomy } = require('./taxonomy');
+const { NarrativeDetectionEngine } = require('./narrative-detection');
+const NarrativeCharacterizationEngine = require('./characterization');
+
+// One theme whose names are easy to tell apart
+const ARCTIC_TAXONOMY = {
+  version: 1,
+  groups: {
+    arctic: { label: 'Arctic', weight: 1 }
+  },
+  themes: {
+    penguin: {
+      label: 'Penguin',
+      group: 'arctic',
+      keywords: ['penguin', 'pingu', 'iceberg', 'emperor'],
+      naming: {
+        rules: { emperor: 'Emperor {Theme} March', pingu: 'Pingu Army' },
+        templates: ['Ice Age Meta', '{Stage} Penguin Season', '{Keyword} Colony']
+      }
+    }
+  }
+};
+
+class NamingTester {
+  constructor() {
+    this.testResults = [];
+    this.tempDir = null;
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Narrative Naming Test Suite\n');
+
+    this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wheel-naming-'));
+
+    const tests = [
+      { name: 'Theme Rules', test: () => this.testThemeRules() },
+      { name: 'Template Slots', test: () => this.testTemplateSlots() },
+      { name: 'Lifecycle Adjectives', test: () => this.testLifecycleAdjectives() },
+      { name: 'Deterministic Choice', test: () => this.testDeterministicChoice() },
+      { name: 'Collision Avoidance', test: () => this.testCollisionAvoidance() },
+      { name: 'Template Validation', test: () => this.testTemplateValidation() },
+      { name: 'Characterization Candidates', test: () => this.testCharacterizationCandidates() },
+      { name: 'Detection Names Unique', test: () => this.testDetectionNamesUnique() }
+    ];
+
+    try {
+      for (const { name, test } of tests) {
+        try {
+          const result = await test();
+          this.testResults.push({ name, ...result });
+          console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+        } catch (error) {
+          this.testResults.push({ name, passed: false, details: error.message });
+          console.error(`❌ ${name}: ERROR - ${error.message}`);
+        }
+      }
+    } finally {
+      fs.rmSync(this.tempDir, { recursive: true, force: true });
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  createTaxonomy(name, doc = ARCTIC_TAXONOMY) {
+    const file = path.join(this.tempDir, name);
+    fs.writeFileSync(file, JSON.stringify(doc, null, 2));
+    return new TaxonomyStore({ path: file });
+  }
+
+  /**
+   * Matching keyword rules rank first, in taxonomy order; the bundled dog theme keeps its old names
+   */
+  async testThemeRules() {
+    const engine = new NarrativeNamingEngine({ taxonomy: this.createTaxonomy('rules.json') });
+    const both = engine.generateNameOptions({ category: 'penguin', keywords: ['pingu', 'emperor'] });
+    const bundled = new NarrativeNamingEngine();
+    const shiba = bundled.nameNarrative({ category: 'dog', keywords: ['shib', 'moon'] });
+    const doge = bundled.nameNarrative({ category: 'dog', keywords: ['doge', 'king'] });
+
+    const passed = both[0].name === 'Emperor Penguin March' && both[0].source === 'theme-rule' &&
+      both[1].name === 'Pingu Army' && both[2].source === 'theme-template' &&
+      shiba === 'Shiba Army' && doge === 'Doge Dynasty';
+
+    return { passed, details: `[${both.slice(0, 3).map(o => o.name).join(', ')}], dog: "${shiba}", "${doge}"` };
+  }
+
+  /**
+   * Slots fill from the narrative; a template whose slot has no value is skipped
+   */
+  async testTemplateSlots() {
+    const engine = new NarrativeNamingEngine({ taxonomy: this.createTaxonomy('slots.json') });
+    const slots = { keyword: 'iceberg', keywords: ['iceberg', 'cold'], theme: 'Penguin', stage: 'growing', seed: 0 };
+
+    const keyword = engine.renderTemplate('{Keyword} Colony', slots);
+    const keywords = engine.renderTemplate('{Keywords} Movement', slots);
+    const theme = engine.renderTemplate('Emperor {Theme} March', slots);
+    const stage = engine.renderTemplate('{Stage} Penguin Season', slots);
+    const missing = engine.renderTemplate('{Keyword} Colony', { keywords: [] });
+    const options = engine.generateNameOptions({ category: 'penguin', keywords: ['iceberg', 'cold'] });
+
+    const passed = keyword === 'Iceberg Colony' && keywords === 'Iceberg Cold Movement' &&
+      theme === 'Emperor Penguin March' && stage === 'Surging Penguin Season' && missing === null &&
+      options.some(o => o.name === 'Iceberg Colony') && !options.some(o => o.name.includes('{'));
+
+    return { passed, details: `"${keyword}", "${keywords}", "${theme}", "${stage}", empty keywords -> ${missing}` };
+  }
+
+  /**
+   * {Stage} follows the lifecycle stage it is given
+   */
+  async testLifecycleAdjectives() {
+    const engine = new NarrativeNamingEngine({ taxonomy: this.createTaxonomy('stages.json') });
+    const seasonFor = stage => engine.generateNameOptions({ category: 'penguin', keywords: ['iceberg'], stage, limit: 20 })
+      .find(option => option.template === '{Stage} Penguin Season').name;
+
+    const names = ['emerging', 'growing', 'peak', 'declining'].map(seasonFor);
+    const adjectives = engine.config.lifecycleAdjectives;
+    const passed = new Set(names).size === 4 &&
+      ['emerging', 'growing', 'peak', 'declining'].every((stage, i) =>
+        adjectives[stage].some(adjective => names[i] === `${adjective} Penguin Season`));
+
+    return { passed, details: names.join(', ') };
+  }
+
+  /**
+   * The same keywords always give the same name; different keyword sets spread over the templates
+   */
+  async testDeterministicChoice() {
+    const first = new NarrativeNamingEngine();
+    const second = new NarrativeNamingEngine();
+    const keywordSets = [['kitty'], ['meow'], ['purr', 'moon'], ['kitten'], ['tiger', 'king'], ['lion'], ['feline', 'cat']];
+
+    const stable = keywordSets.every(keywords =>
+      first.nameNarrative({ category: 'cat', keywords }) === second.nameNarrative({ category: 'cat', keywords }) &&
+      first.nameNarrative({ category: 'cat', keywords }) === first.nameNarrative({ category: 'cat', keywords })
+    );
+    const distinct = new Set(keywordSets.map(keywords => first.nameNarrative({ category: 'cat', keywords })));
+
+    const passed = stable && distinct.size >= 3;
+    return { passed, details: `stable ${stable}, ${distinct.size} distinct names for ${keywordSets.length} keyword sets` };
+  }
+
+  /**
+   * Narratives sharing every option still get distinct names, best-ranked first
+   */
+  async testCollisionAvoidance() {
+    const engine = new NarrativeNamingEngine();
+    const cats = Array.from({ length: 6 }, () => ({ category: 'cat', keywords: ['kitty'], lifecycle: 'emerging' }));
+    engine.assignNames(cats);
+    const best = engine.nameNarrative({ category: 'cat', keywords: ['kitty'] });
+
+    // One option each: the lifecycle adjective, then a number
+    const single = Array.from({ length: 5 }, () => ({ nameOptions: [{ name: 'Ice Age Meta' }], lifecycle: { stage: 'peak' } }));
+    engine.assignNames(single, { reserved: ['Peak Ice Age Meta'] });
+
+    const catNames = cats.map(n => n.name);
+    const singleNames = single.map(n => n.name);
+    const passed = new Set(catNames).size === cats.length && catNames[0] === best &&
+      JSON.stringify(singleNames) === JSON.stringify(['Ice Age Meta', 'Prime Ice Age Meta', 'Hot Ice Age Meta', 'Ice Age Meta 2', 'Ice Age Meta 3']);
+
+    return { passed, details: `cats [${catNames.join(', ')}]; exhausted [${singleNames.join(', ')}]` };
+  }
+
+  /**
+   * Unknown slots, bad rule keywords and unbalanced braces are rejected with their path
+   */
+  async testTemplateValidation() {
+    const doc = JSON.parse(JSON.stringify(ARCTIC_TAXONOMY));
+    doc.themes.penguin.naming = {
+      rules: { 'Emperor Penguin': 'Emperor March' },
+      templates: ['{Animal} Season', 'Ice {Age Meta', ''],
+      style: 'title'
+    };
+
+    const errors = validateTaxonomy(doc);
+    const expected = [
+      'themes.penguin.naming.style: unknown field (expected rules, templates)',
+      'themes.penguin.naming.rules.Emperor Penguin: "Emperor Penguin" is not a single lowercase term (tokenizes to "emperor penguin")',
+      'themes.penguin.naming.templates[0]: unknown slot {Animal} (expected {Keyword}, {Keywords}, {Theme}, {Stage})',
+      'themes.penguin.naming.templates[1]: unbalanced braces in "Ice {Age Meta"',
+      'themes.penguin.naming.templates[2]: must be a non-empty string'
+    ];
+    const missing = expected.filter(error => !errors.includes(error));
+
+    const passed = missing.length === 0 && validateTaxonomy(ARCTIC_TAXONOMY).length === 0;
+    return { passed, details: missing.length === 0 ? `${errors.length} errors reported` : `missing: ${missing.join('; ')}` };
+  }
+
+  /**
+   * Characterization's own candidates are ranked with the theme's names by the same engine
+   */
+  async testCharacterizationCandidates() {
+    const taxonomy = this.createTaxonomy('characterization.json');
+    const naming = new NarrativeNamingEngine({ taxonomy });
+    const engine = new NarrativeCharacterizationEngine({ taxonomy, naming });
+
+    const profile = await engine.characterizeNarrative({
+      id: 'c1',
+      category: 'penguin',
+      tokens: [
+        { address: 'a', name: 'Pingu Iceberg', symbol: 'PINGU', volume: 1000 },
+        { address: 'b', name: 'Pingu Party', symbol: 'PPARTY', volume: 2000 },
+        { address: 'c', name: 'Iceberg Pingu', symbol: 'ICEP', volume: 3000 }
+      ]
+    });
+
+    const sources = profile.nameOptions.map(option => option.source);
+    const candidates = naming.generateNameOptions({
+      category: 'penguin',
+      keywords: ['pingu', 'iceberg'],
+      candidates: engine.generateThemeBasedNames(engine.analyzeClusterContent({ tokens: [{ name: 'Pingu', symbol: 'PINGU' }] })),
+      limit: 20
+    });
+
+    const passed = profile.name === 'Pingu Army' && profile.nameOptions[0].name === profile.name &&
+      sources[0] === 'theme-rule' && profile.nameOptions.every((option, i) => option.rank === i + 1) &&
+      candidates.some(option => option.source === 'theme-basic' && option.name === 'Arctic Narrative');
+
+    return { passed, details: `"${profile.name}" from [${sources.join(', ')}]` };
+  }
+
+  /**
+   * Detection never hands two narratives of one run the same name
+   */
+  async testDetectionNamesUnique() {
+    const engine = new NarrativeDetectionEngine({ minNarrativeStrength: 0 });
+    const tokens = ['Kitty', 'Meow', 'Kitten', 'Feline', 'Purr', 'Tiger'].map((name, i) => ({
+      address: `cat${i}`, name, symbol: name.toUpperCase(), volume: 10000
+    }));
+    // One cluster per token, all of the cat theme
+    const clusters = tokens.map((token, i) => ({ id: i, tokens: [token] }));
+
+    const result = await engine.processTokens(tokens, { clusters });
+    const names = result.narratives.map(n => n.name);
+
+    const passed = names.length === tokens.length && new Set(names).size === names.length &&
+      result.narratives.every(n => n.category === 'cat' && n.nameOptions.length > 0);
+
+    return { passed, details: `[${names.join(', ')}]` };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 NARRATIVE NAMING TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runNamingTests() {
+  const tester = new NamingTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  NamingTester,
+  runNamingTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runNamingTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
@@ -0,0 +1,248 @@
+/**
+ * Narrative Naming Engine
+ *
+ * Turns a narrative's theme, keywords and lifecycle stage into ranked name
+ * options, driven by each theme's `naming` block in the taxonomy
+ * (taxonomy/narratives.json):
+ *
+ *   "naming": {
+ *     "rules": { "shib": "Shiba Army", "doge": "{Keyword} Dynasty" },
+ *     "templates": ["Dog Meta Revival", "{Stage} Dog Season", "{Keyword} Pack"]
+ *   }
+ *
+ * Rules fire when a narrative keyword matches their keyword; templates are
+ * the theme's general names. Templates fill the slots {Keyword} (the keyword
+ * that matched), {Keywords} (the top two keywords), {Theme} (the theme label)
+ * and {Stage} (a lifecycle adjective such as "Rising" or "Fading"). Choices
+ * are deterministic per keyword set, so the same narrative keeps its name
+ * from one cycle to the next. `assignNames()` then gives every narrative in
+ * a cycle its best name no other narrative has taken.
+ */
+
+const { getDefaultTaxonomyStore, matchesKeyword } = require('./taxonomy');
+
+const SLOT_PATTERN = /\{(Keyword|Keywords|Theme|Stage)\}/g;
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// FNV-1a: a stable, well-spread index into a template list
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class NarrativeNamingEngine {
+  constructor(config = {}) {
+    const { taxonomy, ...options } = config;
+
+    this.config = {
+      // Adjectives {Stage} picks from, per lifecycle stage
+      lifecycleAdjectives: {
+        emerging: ['Rising', 'Early', 'New'],
+        growing: ['Surging', 'Growing', 'Breakout'],
+        peak: ['Peak', 'Prime', 'Hot'],
+        mature: ['Established', 'Veteran'],
+        declining: ['Fading', 'Cooling', 'Late']
+      },
+
+      // Names for narratives that match no theme, and the last resort for every narrative
+      fallbackTemplates: [
+        '{Keywords} Movement',
+        'Underground {Keyword}',
+        'Stealth {Keyword} Launch',
+        'Hidden {Keyword} Gems',
+        'Dark Horse {Keyword}',
+        '{Keyword} Breakout'
+      ],
+
+      // Confidence of each kind of option; later options of a kind rank slightly lower
+      confidence: {
+        displayName: 1,
+        rule: 0.95,
+        template: 0.85,
+        fallback: 0.5
+      },
+      candidateWeight: 0.8, // Scales outside candidates (characterization) below the taxonomy's own names
+      maxOptions: 5,        // Options kept on a narrative
+      ...options
+    };
+
+    this.taxonomy = taxonomy || getDefaultTaxonomyStore();
+  }
+
+  /**
+   * Ranked name options for one narrative
+   * @param {Object} context - { category, keywords, stage, candidates, limit }
+   *   category: taxonomy theme id; keywords: narrative keywords, most frequent first;
+   *   stage: lifecycle stage; candidates: extra { name, confidence, source } options
+   * @returns {Array<Object>} { name, confidence, source, template, rank }, best first
+   */
+  generateNameOptions({ category = null, keywords = [], stage = 'emerging', candidates = [], limit = this.config.maxOptions } = {}) {
+    const theme = category ? this.taxonomy.current.getTheme(category) : null;
+    const seed = hashString(keywords.join(' '));
+    const options = [];
+
+    const add = (template, source, confidence, slots) => {
+      const name = this.renderTemplate(template, slots);
+      if (name) options.push({ name, confidence, source, template });
+    };
+
+    const slots = {
+      keyword: this.findThemeKeyword(theme, keywords),
+      keywords,
+      theme: theme ? theme.label : null,
+      stage,
+      seed
+    };
+
+    if (theme?.displayName) {
+      add(theme.displayName, 'display-name', this.config.confidence.displayName, slots);
+    }
+
+    if (theme) {
+      // Rules in taxonomy order, so the earliest matching rule is the preferred name
+      Object.entries(theme.naming.rules)
+        .map(([ruleKeyword, template]) => ({ template, matched: keywords.find(keyword => matchesKeyword(keyword, ruleKeyword)) }))
+        .filter(({ matched }) => matched)
+        .forEach(({ template, matched }, index) => {
+          add(template, 'theme-rule', this.config.confidence.rule - index * 0.01, { ...slots, keyword: matched });
+        });
+
+      this.rotate(theme.naming.templates, seed).forEach((template, index) => {
+        add(template, 'theme-template', this.config.confidence.template - index * 0.01, slots);
+      });
+    }
+
+    candidates.forEach(candidate => {
+      options.push({
+        ...candidate,
+        confidence: (candidate.confidence || 0) * this.config.candidateWeight,
+        source: candidate.source || 'candidate',
+        template: null
+      });
+    });
+
+    this.rotate(this.config.fallbackTemplates, seed).forEach((template, index) => {
+      add(template, 'fallback', this.config.confidence.fallback - index * 0.01, slots);
+    });
+
+    // Highest confidence first; a name offered twice keeps its best-ranked entry
+    const seen = new Set();
+    return options
+      .map((option, index) => ({ option, index }))
+      .sort((a, b) => b.option.confidence - a.option.confidence || a.index - b.index)
+      .map(({ option }) => option)
+      .filter(option => {
+        const key = option.name.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit)
+      .map((option, index) => ({ ...option, rank: index + 1 }));
+  }
+
+  /**
+   * Best name for one narrative, ignoring the rest of the cycle
+   * @returns {string}
+   */
+  nameNarrative(context) {
+    return this.generateNameOptions({ ...context, limit: 1 })[0]?.name || 'Unknown Narrative';
+  }
+
+  /**
+   * Give each narrative a name no other narrative in the set has. Narratives
+   * earlier in the list (the higher-ranked ones) get first pick; a narrative
+   * whose options are all taken gets its best name with a lifecycle
+   * adjective, then a number.
+   * @param {Array<Object>} narratives - Narratives with `nameOptions` (or a profile carrying them); renamed in place
+   * @param {Object} options - { reserved: names already in use elsewhere }
+   * @returns {Array<Object>} The same narratives
+   */
+  assignNames(narratives, { reserved = [] } = {}) {
+    const taken = new Set(reserved.map(name => name.toLowerCase()));
+
+    narratives.forEach(narrative => {
+      const options = this.getNameOptions(narrative);
+      let name = options.find(option => !taken.has(option.name.toLowerCase()))?.name;
+
+      if (!name) {
+        const base = options[0]?.name || narrative.name || 'Unknown Narrative';
+        const stage = narrative.lifecycle?.stage || narrative.lifecycle || 'emerging';
+        const qualified = (this.config.lifecycleAdjectives[stage] || [])
+          .map(adjective => `${adjective} ${base}`)
+          .concat(Array.from({ length: narratives.length + reserved.length }, (_, i) => `${base} ${i + 2}`));
+        name = qualified.find(candidate => !taken.has(candidate.toLowerCase()));
+      }
+
+      taken.add(name.toLowerCase());
+      narrative.name = name;
+    });
+
+    return narratives;
+  }
+
+  /**
+   * A narrative's ranked options: its characterization profile's, else its own, else generated
+   */
+  getNameOptions(narrative) {
+    if (narrative.profile?.nameOptions?.length) return narrative.profile.nameOptions;
+    if (narrative.nameOptions?.length) return narrative.nameOptions;
+
+    return this.generateNameOptions({
+      category: narrative.category,
+      keywords: narrative.keywords || [],
+      stage: narrative.lifecycle?.stage || narrative.lifecycle
+    });
+  }
+
+  /**
+   * Fill a template's slots; null when a slot it needs has no value
+   * @param {string} template - e.g. "{Stage} {Keyword} Season"
+   * @param {Object} slots - { keyword, keywords, theme, stage, seed }
+   * @returns {string|null}
+   */
+  renderTemplate(template, { keyword = null, keywords = [], theme = null, stage = 'emerging', seed = 0 } = {}) {
+    const adjectives = this.config.lifecycleAdjectives[stage] || [];
+    const lead = keyword || keywords[0];
+    const values = {
+      Keyword: lead ? capitalize(lead) : null,
+      Keywords: keywords.length > 0 ? keywords.slice(0, 2).map(capitalize).join(' ') : null,
+      Theme: theme,
+      Stage: adjectives.length > 0 ? adjectives[seed % adjectives.length] : null
+    };
+
+    let missing = false;
+    const name = template.replace(SLOT_PATTERN, (match, slot) => {
+      if (!values[slot]) missing = true;
+      return values[slot] || '';
+    });
+
+    return missing ? null : name.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * First narrative keyword matching one of the theme's keywords
+   */
+  findThemeKeyword(theme, keywords) {
+    if (!theme) return null;
+    return keywords.find(keyword => theme.keywords.some(themeKeyword => matchesKeyword(keyword, themeKeyword))) || null;
+  }
+
+  /**
+   * The list starting at a seed-chosen entry, so different keyword sets lead with different templates
+   */
+  rotate(list, seed) {
+    if (list.length === 0) return [];
+    const start = seed % list.length;
+    return [...list.slice(start), ...list.slice(0, start)];
+  }
+}
+
+module.exports = NarrativeNamingEngine;
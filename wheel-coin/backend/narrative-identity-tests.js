@@ -0,0 +1,251 @@
+/**
+ * Test Suite for Narrative Identity Resolution
+ *
+ * Runs the resolver over scripted sequences of detection cycles and checks
+ * that ids stay stable and births, merges, splits and deaths are recorded.
+ */
+
+const NarrativeIdentityResolver = require('./narrative-identity');
+const { NarrativeDetectionEngine } = require('./narrative-detection');
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2025-10-21T12:00:00.000Z');
+
+class NarrativeIdentityTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Narrative Identity Test Suite\n');
+
+    const tests = [
+      { name: 'Stable Ids', test: () => this.testStableIds() },
+      { name: 'Keyword Continuity', test: () => this.testKeywordContinuity() },
+      { name: 'Birth and Death', test: () => this.testBirthAndDeath() },
+      { name: 'Merge', test: () => this.testMerge() },
+      { name: 'Split', test: () => this.testSplit() },
+      { name: 'Engine Integration', test: () => this.testEngineIntegration() },
+      { name: 'Ended Identities Evicted', test: () => this.testEndedEviction() },
+      { name: 'Late Renames', test: () => this.testLateRenames() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  /**
+   * Narrative as produced by extractNarrativeFromCluster()
+   */
+  createNarrative(name, addresses, keywords = []) {
+    return {
+      id: `narrative_0_${Date.now()}`,
+      name,
+      keywords,
+      tokens: addresses.map(address => ({ address, symbol: address.toUpperCase() }))
+    };
+  }
+
+  cycle(resolver, index, narratives) {
+    return resolver.resolve(narratives, START + index * MINUTE);
+  }
+
+  /**
+   * Same tokens next cycle keep the same id, despite token churn
+   */
+  async testStableIds() {
+    const resolver = new NarrativeIdentityResolver();
+    const [first] = this.cycle(resolver, 0, [this.createNarrative('CAT META RISE', ['a', 'b', 'c', 'd'], ['cat'])]);
+    const [second] = this.cycle(resolver, 1, [this.createNarrative('CAT META RISE', ['a', 'b', 'c', 'e'], ['cat'])]);
+    const [third] = this.cycle(resolver, 2, [this.createNarrative('CAT SEASON', ['b', 'c', 'e', 'f'], ['cat'])]);
+
+    const passed = first.id === second.id && second.id === third.id &&
+      third.identity.cyclesSeen === 3 &&
+      third.emergenceTime === new Date(START).toISOString() &&
+      resolver.getEvents({ type: 'birth' }).length === 1;
+
+    return { passed, details: `Id ${third.id} held for ${third.identity.cyclesSeen} cycles` };
+  }
+
+  /**
+   * Full token turnover still matches when keywords carry over
+   */
+  async testKeywordContinuity() {
+    const resolver = new NarrativeIdentityResolver({ matchThreshold: 0.25 });
+    const [before] = this.cycle(resolver, 0, [this.createNarrative('AI AGENTS', ['a', 'b'], ['agent', 'ai', 'bot'])]);
+    const [after] = this.cycle(resolver, 1, [this.createNarrative('AI AGENTS', ['x', 'y'], ['agent', 'ai', 'bot'])]);
+
+    const passed = before.id === after.id;
+    return { passed, details: `Keyword-only match kept id: ${passed}` };
+  }
+
+  /**
+   * Unmatched narratives are born; missing ones die after the grace period
+   */
+  async testBirthAndDeath() {
+    const resolver = new NarrativeIdentityResolver({ deathGraceCycles: 2 });
+    const [dog] = this.cycle(resolver, 0, [this.createNarrative('DOG META', ['d1', 'd2'], ['dog'])]);
+    this.cycle(resolver, 1, [this.createNarrative('FROG SUMMER', ['f1', 'f2'], ['frog'])]);
+    const afterOneMiss = resolver.getIdentity(dog.id).status;
+    this.cycle(resolver, 2, [this.createNarrative('FROG SUMMER', ['f1', 'f2'], ['frog'])]);
+
+    const deaths = resolver.getEvents({ type: 'death' });
+    const passed = afterOneMiss === 'active' &&
+      resolver.getEvents({ type: 'birth' }).length === 2 &&
+      deaths.length === 1 && deaths[0].id === dog.id &&
+      resolver.getIdentity(dog.id).status === 'dead';
+
+    return { passed, details: `${resolver.getEvents().map(e => e.type).join(', ')}` };
+  }
+
+  /**
+   * Two narratives becoming one keeps the stronger id and absorbs the other
+   */
+  async testMerge() {
+    const resolver = new NarrativeIdentityResolver();
+    const [dogs, shibs] = this.cycle(resolver, 0, [
+      this.createNarrative('DOG META', ['d1', 'd2', 'd3'], ['dog']),
+      this.createNarrative('SHIB ARMY', ['s1', 's2'], ['shib'])
+    ]);
+    const [merged] = this.cycle(resolver, 1, [
+      this.createNarrative('DOG META', ['d1', 'd2', 'd3', 's1', 's2'], ['dog', 'shib'])
+    ]);
+
+    const [merge] = resolver.getEvents({ type: 'merge' });
+    const passed = merged.id === dogs.id && merge &&
+      merge.into === dogs.id && merge.from.includes(shibs.id) &&
+      resolver.getIdentity(shibs.id).status === 'merged' &&
+      resolver.getEvents({ type: 'death' }).length === 0;
+
+    return { passed, details: merge ? `Merged [${merge.from.length} ids] into ${merge.into}` : 'No merge recorded' };
+  }
+
+  /**
+   * One narrative becoming two: the closer child keeps the id
+   */
+  async testSplit() {
+    const resolver = new NarrativeIdentityResolver();
+    const [ai] = this.cycle(resolver, 0, [
+      this.createNarrative('AI AGENT REVOLUTION', ['a1', 'a2', 'a3', 'a4', 'b1', 'b2'], ['agent', 'ai'])
+    ]);
+    const [agents, bots] = this.cycle(resolver, 1, [
+      this.createNarrative('AI AGENT REVOLUTION', ['a1', 'a2', 'a3', 'a4'], ['agent', 'ai']),
+      this.createNarrative('AI BOTS', ['b1', 'b2'], ['ai', 'bot'])
+    ]);
+
+    const [split] = resolver.getEvents({ type: 'split' });
+    const passed = agents.id === ai.id && bots.id !== ai.id &&
+      bots.identity.parents[0] === ai.id &&
+      split && split.from === ai.id && split.into.includes(bots.id) &&
+      resolver.getEvents({ type: 'birth' }).length === 1;
+
+    return { passed, details: split ? `${split.from} split into ${split.into.length}` : 'No split recorded' };
+  }
+
+  /**
+   * processTokens() hands out the same id for the same tokens on the next run
+   */
+  async testEngineIntegration() {
+    const engine = new NarrativeDetectionEngine({ minNarrativeStrength: 0 });
+    const tokens = [
+      { address: 'cat1', name: 'Cat Coin', symbol: 'CAT', volume24h: 1000, created: Date.now() },
+      { address: 'dog1', name: 'Doge King', symbol: 'DOGK', volume24h: 2000, created: Date.now() }
+    ];
+
+    const first = await engine.processTokens(tokens);
+    const second = await engine.processTokens(tokens);
+    const firstIds = first.narratives.map(n => n.id).sort();
+    const secondIds = second.narratives.map(n => n.id).sort();
+
+    const passed = firstIds.length === 2 && JSON.stringify(firstIds) === JSON.stringify(secondIds);
+    return { passed, details: `Ids across runs: ${secondIds.join(', ')}` };
+  }
+
+  /**
+   * Dead narratives are kept for lookups only up to maxEndedIdentities
+   */
+  async testEndedEviction() {
+    const resolver = new NarrativeIdentityResolver({ deathGraceCycles: 1, maxEndedIdentities: 3 });
+    const ids = [];
+    for (let index = 0; index < 10; index++) {
+      const [narrative] = this.cycle(resolver, index, [this.createNarrative(`META ${index}`, [`t${index}`], [`k${index}`])]);
+      ids.push(narrative.id);
+    }
+
+    // Nine narratives died along the way; only the last three are still known
+    const known = ids.filter(id => resolver.getIdentity(id));
+    const passed = resolver.identities.size === 4 && known.length === 4 &&
+      resolver.getIdentity(ids[9]).status === 'active' &&
+      resolver.getIdentity(ids[8]).status === 'dead' &&
+      resolver.getIdentity(ids[0]) === null &&
+      resolver.getEvents({ type: 'death' }).length === 9;
+
+    return { passed, details: `${resolver.identities.size} identities held after 9 deaths` };
+  }
+
+  /**
+   * Names assigned after resolve() reach the identity and this cycle's birth event
+   */
+  async testLateRenames() {
+    const resolver = new NarrativeIdentityResolver();
+    const [first] = this.cycle(resolver, 0, [this.createNarrative('Cat Coins', ['a', 'b', 'c'], ['cat'])]);
+    first.name = 'Cat Meta Rise';
+    resolver.syncNames([first]);
+
+    const [second] = this.cycle(resolver, 1, [this.createNarrative('Cat Coins', ['a', 'b', 'c'], ['cat'])]);
+    second.name = 'Cat Season';
+    resolver.syncNames([second]);
+
+    const [birth] = resolver.getEvents({ type: 'birth' });
+    const passed = resolver.getIdentity(first.id).name === 'Cat Season' && birth.name === 'Cat Meta Rise';
+
+    return { passed, details: `identity "${resolver.getIdentity(first.id).name}", born as "${birth.name}"` };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 NARRATIVE IDENTITY TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runNarrativeIdentityTests() {
+  const tester = new NarrativeIdentityTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  NarrativeIdentityTester,
+  runNarrativeIdentityTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runNarrativeIdentityTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
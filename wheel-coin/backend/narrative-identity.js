@@ -0,0 +1,305 @@
+/**
+ * Narrative Identity Resolver
+ *
+ * Clustering runs from scratch every aggregation cycle, so the narratives it
+ * produces have no memory of the previous run. This resolver matches each new
+ * narrative to the narratives seen before by token overlap and keyword
+ * similarity, hands out persistent ids, and records the lifecycle events
+ * between cycles: births, merges (several narratives becoming one), splits
+ * (one becoming several) and deaths.
+ */
+
+class NarrativeIdentityResolver {
+  constructor(config = {}) {
+    this.config = {
+      tokenWeight: 0.7,     // Share of the match score from token Jaccard
+      keywordWeight: 0.3,   // Share from keyword Jaccard
+      matchThreshold: 0.35, // Minimum match score to be the same narrative
+      lineageThreshold: 0.6, // Share of tokens inherited to count as a split or merge
+      deathGraceCycles: 3,  // Cycles a narrative may be missing before it dies
+      maxEvents: 1000,      // Lifecycle events kept in memory
+      maxEndedIdentities: 200, // Dead and merged identities kept for lookups, oldest evicted first
+      ...config
+    };
+
+    this.identities = new Map(); // id -> identity record (active ones, plus the latest ended ones)
+    this.ended = [];             // Ids of ended identities still in the map, oldest first
+    this.events = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Assign persistent ids to this cycle's narratives (mutates them)
+   * @param {Array} narratives - Narratives from the detection engine
+   * @param {number} time - Cycle time in epoch milliseconds
+   * @returns {Array} The same narratives with stable `id` and `identity` fields
+   */
+  resolve(narratives, time = Date.now()) {
+    const active = Array.from(this.identities.values()).filter(identity => identity.status === 'active');
+    const candidates = narratives.map(narrative => ({
+      narrative,
+      tokens: tokenKeys(narrative),
+      keywords: new Set((narrative.keywords || []).map(k => k.toLowerCase()))
+    }));
+
+    // Every candidate/identity pair similar enough to be the same narrative
+    const pairs = [];
+    candidates.forEach((candidate, candidateIndex) => {
+      active.forEach(identity => {
+        const score = this.calculateMatchScore(candidate, identity);
+        if (score >= this.config.matchThreshold) {
+          pairs.push({ candidateIndex, identity, score });
+        }
+      });
+    });
+
+    // Greedy one-to-one continuation, strongest matches first
+    pairs.sort((a, b) => b.score - a.score);
+    const assigned = new Map(); // candidate index -> identity
+    const claimed = new Set();  // identity ids continued or absorbed this cycle
+
+    pairs.forEach(({ candidateIndex, identity }) => {
+      if (assigned.has(candidateIndex) || claimed.has(identity.id)) return;
+      assigned.set(candidateIndex, identity);
+      claimed.add(identity.id);
+    });
+
+    const splits = new Map(); // parent id -> new child ids
+
+    candidates.forEach((candidate, candidateIndex) => {
+      if (assigned.has(candidateIndex)) return;
+
+      // Mostly made of one earlier narrative's tokens: it shrank, or split off from it
+      const parent = this.findContainingIdentity(candidate.tokens, active);
+
+      if (parent && !claimed.has(parent.id)) {
+        assigned.set(candidateIndex, parent);
+        claimed.add(parent.id);
+        return;
+      }
+
+      const identity = this.createIdentity(candidate, time);
+      assigned.set(candidateIndex, identity);
+
+      if (parent) {
+        identity.parents = [parent.id];
+        if (!splits.has(parent.id)) splits.set(parent.id, []);
+        splits.get(parent.id).push(identity.id);
+      } else {
+        this.recordEvent({ type: 'birth', id: identity.id, name: identity.name, time });
+      }
+    });
+
+    // Earlier narratives whose tokens now mostly sit inside one narrative merged into it
+    const merges = new Map(); // surviving id -> absorbed ids
+
+    active
+      .filter(identity => !claimed.has(identity.id))
+      .forEach(identity => {
+        const survivorIndex = candidates.findIndex(candidate =>
+          containment(identity.tokens, candidate.tokens) >= this.config.lineageThreshold
+        );
+        if (survivorIndex === -1) return;
+
+        const survivorId = assigned.get(survivorIndex).id;
+        claimed.add(identity.id);
+        identity.mergedInto = survivorId;
+        this.endIdentity(identity, 'merged', time);
+
+        if (!merges.has(survivorId)) merges.set(survivorId, []);
+        merges.get(survivorId).push(identity.id);
+      });
+
+    candidates.forEach((candidate, candidateIndex) => {
+      const identity = assigned.get(candidateIndex);
+      this.updateIdentity(identity, candidate, time);
+      this.applyIdentity(candidate.narrative, identity);
+    });
+
+    splits.forEach((children, parentId) => {
+      this.recordEvent({ type: 'split', from: parentId, into: [parentId, ...children], time });
+    });
+
+    merges.forEach((absorbed, survivorId) => {
+      this.recordEvent({ type: 'merge', from: [survivorId, ...absorbed], into: survivorId, time });
+    });
+
+    // Identities nobody matched are missing; after the grace period they die
+    active
+      .filter(identity => !claimed.has(identity.id))
+      .forEach(identity => {
+        identity.missedCycles++;
+        if (identity.missedCycles >= this.config.deathGraceCycles) {
+          this.endIdentity(identity, 'dead', time);
+          this.recordEvent({ type: 'death', id: identity.id, name: identity.name, time });
+        }
+      });
+
+    return narratives;
+  }
+
+  /**
+   * Carry names given after resolve() (the wheel renames narratives once their
+   * characterization profiles are in) over to their identities and to the
+   * birth events of this cycle
+   * @param {Array} narratives - Narratives resolve() gave ids to
+   */
+  syncNames(narratives) {
+    narratives.forEach(narrative => {
+      const identity = this.identities.get(narrative.id);
+      if (!identity || identity.name === narrative.name) return;
+
+      this.events.forEach(event => {
+        if (event.type === 'birth' && event.id === identity.id && event.time === identity.lastSeen) {
+          event.name = narrative.name;
+        }
+      });
+      identity.name = narrative.name;
+    });
+  }
+
+  /**
+   * Mark an identity dead or merged; only the latest maxEndedIdentities stay
+   * in memory, so a long-running server does not grow without bound
+   */
+  endIdentity(identity, status, time) {
+    identity.status = status;
+    identity.endedAt = time;
+    this.ended.push(identity.id);
+
+    while (this.ended.length > this.config.maxEndedIdentities) {
+      this.identities.delete(this.ended.shift());
+    }
+  }
+
+  /**
+   * Earlier narrative holding most of these tokens, if any
+   */
+  findContainingIdentity(tokens, identities) {
+    let best = null;
+    let bestShare = this.config.lineageThreshold;
+
+    identities.forEach(identity => {
+      const share = containment(tokens, identity.tokens);
+      if (share >= bestShare) {
+        best = identity;
+        bestShare = share;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Weighted Jaccard similarity of tokens and keywords
+   */
+  calculateMatchScore(candidate, identity) {
+    return this.config.tokenWeight * jaccard(candidate.tokens, identity.tokens) +
+      this.config.keywordWeight * jaccard(candidate.keywords, identity.keywords);
+  }
+
+  createIdentity(candidate, time) {
+    const identity = {
+      id: `narrative_${time.toString(36)}_${(++this.sequence).toString(36)}`,
+      name: candidate.narrative.name,
+      status: 'active',
+      bornAt: time,
+      lastSeen: time,
+      endedAt: null,
+      missedCycles: 0,
+      cyclesSeen: 0,
+      parents: [],
+      mergedInto: null,
+      tokens: new Set(),
+      keywords: new Set()
+    };
+
+    this.identities.set(identity.id, identity);
+    return identity;
+  }
+
+  updateIdentity(identity, candidate, time) {
+    identity.name = candidate.narrative.name;
+    identity.tokens = candidate.tokens;
+    identity.keywords = candidate.keywords;
+    identity.lastSeen = time;
+    identity.missedCycles = 0;
+    identity.cyclesSeen++;
+  }
+
+  applyIdentity(narrative, identity) {
+    narrative.clusterId = narrative.id;
+    narrative.id = identity.id;
+    narrative.emergenceTime = new Date(identity.bornAt).toISOString();
+    narrative.identity = {
+      id: identity.id,
+      bornAt: new Date(identity.bornAt).toISOString(),
+      cyclesSeen: identity.cyclesSeen,
+      parents: identity.parents
+    };
+  }
+
+  recordEvent(event) {
+    this.events.push(event);
+    if (this.events.length > this.config.maxEvents) {
+      this.events.shift();
+    }
+  }
+
+  /**
+   * Lifecycle events, oldest first
+   * @param {Object} options - { since: epoch milliseconds, type }
+   */
+  getEvents({ since = 0, type = null } = {}) {
+    return this.events.filter(event => event.time >= since && (!type || event.type === type));
+  }
+
+  /**
+   * Serializable view of one identity
+   */
+  getIdentity(id) {
+    const identity = this.identities.get(id);
+    if (!identity) return null;
+
+    return {
+      ...identity,
+      tokens: Array.from(identity.tokens),
+      keywords: Array.from(identity.keywords)
+    };
+  }
+}
+
+/**
+ * Token keys of a narrative (address, falling back to symbol)
+ */
+function tokenKeys(narrative) {
+  return new Set((narrative.tokens || []).map(token => token.address || token.symbol).filter(Boolean));
+}
+
+/**
+ * Share of `a` that is also in `b`
+ */
+function containment(a, b) {
+  if (a.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+
+  return shared / a.size;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+
+  let intersection = 0;
+  a.forEach(item => {
+    if (b.has(item)) intersection++;
+  });
+
+  return intersection / (a.size + b.size - intersection);
+}
+
+module.exports = NarrativeIdentityResolver;
+module.exports.jaccard = jaccard;
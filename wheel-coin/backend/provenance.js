@@ -0,0 +1,98 @@
+/**
+ * Data Provenance
+ *
+ * Every metric on a token, narrative and wheel entry carries a source tag so
+ * consumers can tell numbers read from an API apart from numbers we computed,
+ * and both apart from numbers we simply do not have. Missing values are null,
+ * never zero and never invented.
+ */
+
+const PROVENANCE = {
+  MEASURED: 'measured', // Read directly from an upstream API
+  DERIVED: 'derived',   // Computed from measured values
+  MISSING: 'missing'    // Not available - value is null
+};
+
+// Token metrics tracked with provenance
+const TOKEN_METRICS = [
+  'price',
+  'volume24h',
+  'marketCap',
+  'priceChange24h',
+  'holders',
+  'liquidity',
+  'socialMentions',
+  'created'
+];
+
+/**
+ * Coerce an upstream value into a finite number, or null when absent
+ * @param {*} value - Raw value (number, numeric string, null, undefined)
+ * @returns {number|null}
+ */
+function toMetric(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Build the provenance map for a token's metrics
+ * @param {Object} token - Token with metric fields (null when missing)
+ * @param {Array<string>} derivedFields - Metrics computed rather than read
+ * @returns {Object} { [metric]: 'measured' | 'derived' | 'missing' }
+ */
+function tagTokenMetrics(token, derivedFields = []) {
+  const provenance = {};
+
+  TOKEN_METRICS.forEach(metric => {
+    if (token[metric] === null || token[metric] === undefined) {
+      provenance[metric] = PROVENANCE.MISSING;
+    } else if (derivedFields.includes(metric)) {
+      provenance[metric] = PROVENANCE.DERIVED;
+    } else {
+      provenance[metric] = PROVENANCE.MEASURED;
+    }
+  });
+
+  return provenance;
+}
+
+/**
+ * Null-aware sum: null when no value is present
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+function sumMetric(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  return present.length > 0 ? present.reduce((sum, v) => sum + v, 0) : null;
+}
+
+/**
+ * Null-aware mean: null when no value is present
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+function averageMetric(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  return present.length > 0 ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+}
+
+/**
+ * Tag for a value computed from other values
+ * @param {number|null} value
+ * @returns {string} 'derived' or 'missing'
+ */
+function derivedTag(value) {
+  return value === null || value === undefined ? PROVENANCE.MISSING : PROVENANCE.DERIVED;
+}
+
+module.exports = {
+  PROVENANCE,
+  TOKEN_METRICS,
+  toMetric,
+  tagTokenMetrics,
+  sumMetric,
+  averageMetric,
+  derivedTag
+};
@@ -0,0 +1,333 @@
+/**
+ * Test Suite for Realtime Wheel Updates
+ *
+ * Covers wheel diffing, the server-sent events stream (full state on
+ * connect, diffs after each cycle, heartbeats and Last-Event-ID resume) and
+ * the WebSocket topic hub.
+ */
+
+const http = require('http');
+const { WebSocket } = require('ws');
+const {
+  SseBroadcaster,
+  WebSocketHub,
+  diffNarratives,
+  applyNarrativeChanges,
+  buildAlerts
+} = require('./realtime');
+
+class RealtimeTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Realtime Test Suite\n');
+
+    const tests = [
+      { name: 'Narrative Diff', test: () => this.testNarrativeDiff() },
+      { name: 'Apply Diff', test: () => this.testApplyDiff() },
+      { name: 'Last-Event-ID Replay', test: () => this.testReplay() },
+      { name: 'SSE Stream', test: () => this.testSseStream() },
+      { name: 'Alerts', test: () => this.testAlerts() },
+      { name: 'WebSocket Topics', test: () => this.testWebSocketTopics() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  createState(narratives, lastUpdate = '2025-10-21T15:30:00.000Z', clusters = []) {
+    return { status: 'active', lastUpdate, dataSource: 'ai', tokenData: {}, clusters, narratives };
+  }
+
+  /**
+   * Added, removed, score, lifecycle and other field changes are reported
+   */
+  async testNarrativeDiff() {
+    const previous = {
+      'CAT META RISE': { name: 'CAT META RISE', score: 70, lifecycle: 'emerging', volume: 100 },
+      'DOG META REVIVAL': { name: 'DOG META REVIVAL', score: 60, lifecycle: 'growing', volume: 200 },
+      'PEPE RENAISSANCE': { name: 'PEPE RENAISSANCE', score: 50, lifecycle: 'peak', volume: 300 },
+      'AI AGENT REVOLUTION': { name: 'AI AGENT REVOLUTION', score: 40, lifecycle: 'peak', volume: 400 }
+    };
+    const next = {
+      'CAT META RISE': { name: 'CAT META RISE', score: 74, lifecycle: 'growing', volume: 100 },
+      'DOG META REVIVAL': { name: 'DOG META REVIVAL', score: 60, lifecycle: 'growing', volume: 250 },
+      'PEPE RENAISSANCE': { name: 'PEPE RENAISSANCE', score: 50, lifecycle: 'peak', volume: 300 },
+      'FROG SUMMER': { name: 'FROG SUMMER', score: 30, lifecycle: 'emerging', volume: 10 }
+    };
+
+    const changes = diffNarratives(previous, next);
+    const types = changes.map(c => `${c.type}:${c.name}`).sort();
+    const scoreChange = changes.find(c => c.type === 'score_changed');
+
+    const passed = JSON.stringify(types) === JSON.stringify([
+      'lifecycle_changed:CAT META RISE',
+      'narrative_added:FROG SUMMER',
+      'narrative_removed:AI AGENT REVOLUTION',
+      'narrative_updated:DOG META REVIVAL',
+      'score_changed:CAT META RISE'
+    ]) && scoreChange.previous === 70 && scoreChange.score === 74;
+
+    return { passed, details: `${changes.length} changes: ${types.join(', ')}` };
+  }
+
+  /**
+   * Applying a diff to the old state reproduces the new state
+   */
+  async testApplyDiff() {
+    const previous = {
+      A: { name: 'A', score: 10 },
+      B: { name: 'B', score: 20 }
+    };
+    const next = {
+      B: { name: 'B', score: 25 },
+      C: { name: 'C', score: 5 }
+    };
+
+    const patched = applyNarrativeChanges(JSON.parse(JSON.stringify(previous)), diffNarratives(previous, next));
+    const passed = JSON.stringify(patched) === JSON.stringify(next);
+
+    return { passed, details: `Patched narratives: ${Object.keys(patched).join(', ')}` };
+  }
+
+  /**
+   * Reconnecting clients get only missed events, or a full state when too far behind
+   */
+  async testReplay() {
+    const broadcaster = new SseBroadcaster({ replayBufferSize: 3 });
+    for (let i = 0; i < 5; i++) {
+      broadcaster.publishUpdate(this.createState({ A: { name: 'A', score: i } }), []);
+    }
+
+    const recent = broadcaster.getEventsSince(3);
+    const current = broadcaster.getEventsSince(5);
+    const tooOld = broadcaster.getEventsSince(1);
+    const noId = broadcaster.getEventsSince(NaN);
+
+    const passed = recent.map(e => e.id).join(',') === '4,5' &&
+      current.length === 0 && tooOld === null && noId === null &&
+      broadcaster.events[0].id === 3;
+
+    return { passed, details: `Resume from 3 replays [${recent.map(e => e.id)}]; from 1 needs full state` };
+  }
+
+  /**
+   * End to end over HTTP: state on connect, diff after update, heartbeat, resume
+   */
+  async testSseStream() {
+    const broadcaster = new SseBroadcaster({ heartbeatInterval: 50 });
+    const server = http.createServer((req, res) => broadcaster.handleRequest(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/api/stream`;
+
+    try {
+      broadcaster.start();
+      broadcaster.publishUpdate(this.createState({ A: { name: 'A', score: 10 } }), []);
+
+      const first = await this.readEvents(url, {}, 3, () => {
+        const next = { A: { name: 'A', score: 12 } };
+        const clusters = [{ id: 'cluster_0', size: 1 }];
+        broadcaster.publishUpdate(this.createState(next, undefined, clusters), diffNarratives({ A: { name: 'A', score: 10 } }, next));
+      });
+      const resumed = await this.readEvents(url, { 'Last-Event-ID': '1' }, 1);
+
+      const diff = first.find(e => e.event === 'diff');
+      const passed = first[0].event === 'state' && first[0].id === '1' &&
+        diff.id === '2' && JSON.parse(diff.data).changes[0].score === 12 &&
+        JSON.parse(diff.data).clusters[0].id === 'cluster_0' &&
+        first.some(e => e.event === 'heartbeat') &&
+        resumed[0].event === 'diff' && resumed[0].id === '2';
+
+      return { passed, details: `Received ${first.map(e => e.event).join(', ')}; resume got ${resumed[0].event}` };
+    } finally {
+      broadcaster.stop();
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  /**
+   * Only big moves, entries, exits, lifecycle and status changes alert
+   */
+  async testAlerts() {
+    const alerts = buildAlerts([
+      { type: 'score_changed', name: 'A', previous: 50, score: 65 },
+      { type: 'score_changed', name: 'B', previous: 50, score: 55 },
+      { type: 'narrative_added', name: 'C', narrative: { score: 40 } },
+      { type: 'lifecycle_changed', name: 'D', previous: 'growing', lifecycle: 'peak' },
+      { type: 'narrative_updated', name: 'E' }
+    ], { previous: 'active', current: 'slow' });
+
+    const types = alerts.map(a => a.type).join(',');
+    const passed = types === 'score_spike,narrative_entered,lifecycle_changed,status_changed' &&
+      alerts[0].delta === 15 && alerts[3].level === 'warning';
+
+    return { passed, details: `Alerts: ${types}` };
+  }
+
+  /**
+   * Clients only receive events for the topics they subscribed to
+   */
+  async testWebSocketTopics() {
+    const hub = new WebSocketHub();
+    const server = http.createServer();
+    hub.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `ws://127.0.0.1:${server.address().port}/api/ws`;
+
+    const cat = { name: 'CAT META RISE', score: 70, lifecycle: 'emerging', tokens: [{ address: 'cat1' }] };
+    const dog = { name: 'DOG META REVIVAL', score: 60, lifecycle: 'growing', tokens: [{ address: 'dog1' }] };
+    const first = { 'CAT META RISE': cat, 'DOG META REVIVAL': dog };
+    hub.publishUpdate(this.createState(first), diffNarratives({}, first));
+
+    const narrativeClient = await this.openSocket(url, ['narrative:cat meta rise']);
+    const tokenClient = await this.openSocket(url, ['token:dog1', 'alerts']);
+    const badClient = await this.openSocket(url, ['bogus']);
+    const wheelClient = await this.openSocket(url, ['wheel']);
+
+    try {
+      const next = {
+        'CAT META RISE': { ...cat, score: 85 },
+        'DOG META REVIVAL': { ...dog, tokens: [] }
+      };
+      const clusters = [{ id: 'cluster_0', size: 2 }];
+      hub.publishUpdate(this.createState(next, '2025-10-21T15:31:00.000Z', clusters), diffNarratives(first, next));
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const narrativeEvents = narrativeClient.events.map(m => m.event);
+      const tokenEvents = tokenClient.events.map(m => m.event);
+      const alert = tokenClient.events.find(m => m.topic === 'alerts');
+      const wheelDiff = wheelClient.events.find(m => m.event === 'diff');
+
+      const passed = JSON.stringify(narrativeEvents) === JSON.stringify(['narrative', 'score_changed']) &&
+        narrativeClient.events[0].data.score === 70 &&
+        tokenEvents.includes('token_left') && !tokenEvents.includes('score_changed') &&
+        alert && alert.data.type === 'score_spike' &&
+        badClient.errors.length === 1 &&
+        wheelDiff && wheelDiff.data.clusters[0].size === 2 &&
+        hub.getStats().topics['narrative:CAT META RISE'] === 1;
+
+      return { passed, details: `narrative: [${narrativeEvents}], token+alerts: [${tokenEvents}]` };
+    } finally {
+      [narrativeClient, tokenClient, badClient, wheelClient].forEach(client => client.socket.close());
+      hub.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  /**
+   * Connect, subscribe and collect event and error messages
+   */
+  openSocket(url, topics) {
+    return new Promise((resolve, reject) => {
+      const client = { socket: new WebSocket(url), events: [], errors: [] };
+
+      client.socket.on('error', reject);
+      client.socket.on('open', () => {
+        client.socket.send(JSON.stringify({ type: 'subscribe', topics }));
+      });
+      client.socket.on('message', raw => {
+        const message = JSON.parse(raw.toString());
+        if (message.type === 'event') client.events.push(message);
+        if (message.type === 'error') client.errors.push(message);
+        if (message.type === 'subscribed' || message.type === 'error') {
+          // Let the current-value events arrive before the test publishes
+          setTimeout(() => resolve(client), 50);
+        }
+      });
+    });
+  }
+
+  /**
+   * Read events from an SSE endpoint until `count` have arrived
+   */
+  readEvents(url, headers, count, onFirstEvent = null) {
+    return new Promise((resolve, reject) => {
+      const events = [];
+      const timeout = setTimeout(() => {
+        req.destroy();
+        reject(new Error(`Timed out after ${events.length} events`));
+      }, 5000);
+
+      const req = http.get(url, { headers }, res => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+
+          blocks.forEach(block => {
+            const event = {};
+            block.split('\n').forEach(line => {
+              const separator = line.indexOf(': ');
+              if (separator > 0) event[line.slice(0, separator)] = line.slice(separator + 2);
+            });
+            if (!event.event) return;
+
+            events.push(event);
+            if (events.length === 1 && onFirstEvent) onFirstEvent();
+          });
+
+          if (events.length >= count) {
+            clearTimeout(timeout);
+            req.destroy();
+            resolve(events);
+          }
+        });
+      });
+
+      req.on('error', error => {
+        if (events.length < count) reject(error);
+      });
+    });
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 REALTIME TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runRealtimeTests() {
+  const tester = new RealtimeTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  RealtimeTester,
+  runRealtimeTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runRealtimeTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
@@ -0,0 +1,74 @@
+/**
+ * Wheel Alerts
+ *
+ * Turns the changes of one aggregation cycle into the short list of events
+ * worth interrupting someone for: new narratives, big score moves, lifecycle
+ * transitions and wheel status changes.
+ */
+
+const DEFAULT_ALERT_CONFIG = {
+  scoreDeltaThreshold: 10 // Points of score movement in one cycle
+};
+
+/**
+ * Build alerts for one cycle
+ * @param {Array} changes - Changes from diffNarratives()
+ * @param {Object} status - { previous, current } wheel status
+ * @param {Object} config - { scoreDeltaThreshold }
+ * @returns {Array} Alerts, each { type, level, message, narrative?, ... }
+ */
+function buildAlerts(changes, status = {}, config = {}) {
+  const { scoreDeltaThreshold } = { ...DEFAULT_ALERT_CONFIG, ...config };
+  const alerts = [];
+
+  changes.forEach(change => {
+    if (change.type === 'narrative_added') {
+      alerts.push({
+        type: 'narrative_entered',
+        level: 'info',
+        narrative: change.name,
+        message: `${change.name} entered the wheel at ${change.narrative.score}`
+      });
+    } else if (change.type === 'narrative_removed') {
+      alerts.push({
+        type: 'narrative_left',
+        level: 'info',
+        narrative: change.name,
+        message: `${change.name} left the wheel`
+      });
+    } else if (change.type === 'score_changed' && change.previous !== null && change.score !== null) {
+      const delta = change.score - change.previous;
+      if (Math.abs(delta) >= scoreDeltaThreshold) {
+        alerts.push({
+          type: delta > 0 ? 'score_spike' : 'score_drop',
+          level: 'warning',
+          narrative: change.name,
+          delta,
+          message: `${change.name} ${delta > 0 ? 'up' : 'down'} ${Math.abs(delta)} points to ${change.score}`
+        });
+      }
+    } else if (change.type === 'lifecycle_changed') {
+      alerts.push({
+        type: 'lifecycle_changed',
+        level: 'info',
+        narrative: change.name,
+        message: `${change.name} moved from ${change.previous} to ${change.lifecycle}`
+      });
+    }
+  });
+
+  if (status.previous && status.previous !== status.current) {
+    alerts.push({
+      type: 'status_changed',
+      level: status.current === 'slow' ? 'warning' : 'info',
+      message: `Wheel status changed from ${status.previous} to ${status.current}`
+    });
+  }
+
+  return alerts;
+}
+
+module.exports = {
+  DEFAULT_ALERT_CONFIG,
+  buildAlerts
+};
@@ -0,0 +1,20 @@
+/**
+ * Realtime
+ *
+ * Live push of wheel updates to connected clients, over server-sent events
+ * (whole wheel) or WebSocket topics (just the parts a client asks for).
+ */
+
+const SseBroadcaster = require('./sse-broadcaster');
+const WebSocketHub = require('./websocket-hub');
+const { diffNarratives, applyNarrativeChanges, buildWheelDiff } = require('./wheel-diff');
+const { buildAlerts } = require('./alerts');
+
+module.exports = {
+  SseBroadcaster,
+  WebSocketHub,
+  diffNarratives,
+  applyNarrativeChanges,
+  buildWheelDiff,
+  buildAlerts
+};
@@ -0,0 +1,139 @@
+/**
+ * Server-Sent Events Broadcaster
+ *
+ * Serves GET /api/stream. A new client receives the full wheel state, then a
+ * `diff` event after every aggregation cycle. Events are numbered and the
+ * most recent ones kept in a replay buffer, so a client that reconnects with
+ * Last-Event-ID only receives what it missed. Heartbeats keep idle
+ * connections open through proxies.
+ */
+
+const { buildWheelDiff } = require('./wheel-diff');
+
+class SseBroadcaster {
+  /**
+   * @param {Object} config - { heartbeatInterval, replayBufferSize, retryMs }
+   */
+  constructor(config = {}) {
+    this.config = {
+      heartbeatInterval: 15000,
+      replayBufferSize: 100,
+      retryMs: 5000,
+      ...config
+    };
+
+    this.clients = new Set();
+    this.events = [];       // Replay buffer, oldest first
+    this.lastEventId = 0;
+    this.currentState = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Begin sending heartbeats to connected clients
+   */
+  start() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.config.heartbeatInterval);
+    this.heartbeatTimer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+  }
+
+  /**
+   * Express handler for GET /api/stream
+   */
+  handleRequest(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.config.retryMs}\n\n`);
+
+    const resumeFrom = parseInt(req.headers['last-event-id'] || req.query?.lastEventId, 10);
+    const missed = this.getEventsSince(resumeFrom);
+
+    if (missed) {
+      missed.forEach(event => this.writeEvent(res, event));
+    } else if (this.currentState) {
+      this.writeEvent(res, { id: this.lastEventId, type: 'state', data: this.currentState });
+    }
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Record a new wheel state and push the diff to every client
+   * @param {Object} state - Full wheel state
+   * @param {Array} changes - Changes from diffNarratives()
+   */
+  publishUpdate(state, changes) {
+    const isFirstState = this.currentState === null;
+    this.currentState = state;
+
+    if (isFirstState) {
+      this.publish('state', state);
+      return;
+    }
+
+    this.publish('diff', buildWheelDiff(state, changes));
+  }
+
+  /**
+   * Number, buffer and broadcast one event
+   */
+  publish(type, data) {
+    const event = { id: ++this.lastEventId, type, data };
+
+    this.events.push(event);
+    if (this.events.length > this.config.replayBufferSize) {
+      this.events.shift();
+    }
+
+    this.clients.forEach(res => this.writeEvent(res, event));
+    return event;
+  }
+
+  /**
+   * Events after a client's Last-Event-ID, or null when the client must
+   * start over from a full state (no id, or id already out of the buffer)
+   */
+  getEventsSince(eventId) {
+    if (!Number.isFinite(eventId) || eventId > this.lastEventId) return null;
+    if (eventId === this.lastEventId) return [];
+
+    const oldest = this.events[0];
+    if (!oldest || oldest.id > eventId + 1) return null;
+
+    return this.events.filter(event => event.id > eventId);
+  }
+
+  sendHeartbeat() {
+    const payload = `event: heartbeat\ndata: ${JSON.stringify({ time: new Date().toISOString() })}\n\n`;
+    this.clients.forEach(res => res.write(payload));
+  }
+
+  writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  getStats() {
+    return {
+      clients: this.clients.size,
+      lastEventId: this.lastEventId,
+      bufferedEvents: this.events.length
+    };
+  }
+}
+
+module.exports = SseBroadcaster;
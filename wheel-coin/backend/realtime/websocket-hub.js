@@ -0,0 +1,258 @@
+/**
+ * WebSocket Hub
+ *
+ * Topic-based WebSocket API on /api/ws for clients that only want part of
+ * the wheel. Clients send JSON messages:
+ *
+ *   { "type": "subscribe", "topics": ["narrative:CAT META RISE", "alerts"] }
+ *   { "type": "unsubscribe", "topics": ["alerts"] }
+ *   { "type": "ping" }
+ *
+ * and receive { type: 'event', topic, event, data, time } messages for their
+ * topics:
+ *   wheel              - `state` on subscribe, then `diff` every cycle
+ *   narrative:<name>   - `narrative` on subscribe, then that narrative's changes
+ *   token:<address>    - `token_joined` / `token_left` and changes of the
+ *                        narratives the token belongs to
+ *   alerts             - `alert` events from buildAlerts()
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { buildAlerts } = require('./alerts');
+const { buildWheelDiff } = require('./wheel-diff');
+
+const TOPIC_PATTERN = /^(wheel|alerts|narrative:.+|token:[A-Za-z0-9]+)$/;
+
+class WebSocketHub {
+  /**
+   * @param {Object} config - { path, heartbeatInterval, maxTopicsPerClient, alerts }
+   */
+  constructor(config = {}) {
+    this.config = {
+      path: '/api/ws',
+      heartbeatInterval: 30000,
+      maxTopicsPerClient: 50,
+      alerts: {},
+      ...config
+    };
+
+    this.wss = new WebSocketServer({ noServer: true });
+    this.subscriptions = new Map(); // socket -> Set of topics
+    this.currentState = null;
+    this.tokenMembership = new Map(); // token address -> Set of narrative names
+    this.heartbeatTimer = null;
+
+    this.wss.on('connection', socket => this.handleConnection(socket));
+  }
+
+  /**
+   * Accept upgrades on the hub path of an http server
+   * @param {http.Server} server - Server returned by app.listen()
+   */
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      if (req.url.split('?')[0] !== this.config.path) return;
+
+      this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req));
+    });
+
+    this.heartbeatTimer = setInterval(() => this.checkConnections(), this.config.heartbeatInterval);
+    this.heartbeatTimer.unref?.();
+  }
+
+  close() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    this.wss.clients.forEach(socket => socket.terminate());
+    this.wss.close();
+  }
+
+  handleConnection(socket) {
+    socket.isAlive = true;
+    this.subscriptions.set(socket, new Set());
+
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', raw => this.handleMessage(socket, raw));
+    socket.on('close', () => this.subscriptions.delete(socket));
+
+    this.send(socket, { type: 'welcome', topics: ['wheel', 'narrative:<name>', 'token:<address>', 'alerts'] });
+  }
+
+  handleMessage(socket, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.send(socket, { type: 'error', error: 'Messages must be JSON' });
+    }
+
+    if (message.type === 'ping') {
+      return this.send(socket, { type: 'pong', time: new Date().toISOString() });
+    }
+
+    if (message.type !== 'subscribe' && message.type !== 'unsubscribe') {
+      return this.send(socket, { type: 'error', error: `Unknown message type "${message.type}"` });
+    }
+
+    const topics = (Array.isArray(message.topics) ? message.topics : [message.topic])
+      .filter(topic => typeof topic === 'string')
+      .map(normalizeTopic);
+    const invalid = topics.filter(topic => !TOPIC_PATTERN.test(topic));
+
+    if (topics.length === 0 || invalid.length > 0) {
+      return this.send(socket, { type: 'error', error: `Invalid topics: ${invalid.join(', ') || 'none given'}` });
+    }
+
+    const subscribed = this.subscriptions.get(socket);
+
+    if (message.type === 'unsubscribe') {
+      topics.forEach(topic => subscribed.delete(topic));
+      return this.send(socket, { type: 'unsubscribed', topics });
+    }
+
+    if (subscribed.size + topics.filter(t => !subscribed.has(t)).length > this.config.maxTopicsPerClient) {
+      return this.send(socket, { type: 'error', error: `At most ${this.config.maxTopicsPerClient} topics per connection` });
+    }
+
+    topics.forEach(topic => subscribed.add(topic));
+    this.send(socket, { type: 'subscribed', topics: Array.from(subscribed) });
+    topics.forEach(topic => this.sendCurrent(socket, topic));
+  }
+
+  /**
+   * Send the current value of a topic to a new subscriber
+   */
+  sendCurrent(socket, topic) {
+    if (!this.currentState) return;
+
+    if (topic === 'wheel') {
+      this.sendEvent(socket, topic, 'state', this.currentState);
+    } else if (topic.startsWith('narrative:')) {
+      const narrative = findNarrative(this.currentState.narratives, topic.slice('narrative:'.length));
+      this.sendEvent(socket, topic, 'narrative', narrative || null);
+    }
+  }
+
+  /**
+   * Publish one aggregation cycle to every topic it touches
+   * @param {Object} state - Full wheel state
+   * @param {Array} changes - Changes from diffNarratives()
+   */
+  publishUpdate(state, changes) {
+    const previousStatus = this.currentState ? this.currentState.status : null;
+    const isFirstState = this.currentState === null;
+    this.currentState = state;
+
+    if (isFirstState) {
+      this.publish('wheel', 'state', state);
+    } else {
+      this.publish('wheel', 'diff', buildWheelDiff(state, changes));
+    }
+
+    changes.forEach(change => {
+      this.publish(`narrative:${change.name.toUpperCase()}`, change.type, change);
+    });
+
+    this.publishTokenEvents(state, changes);
+
+    if (!isFirstState) {
+      buildAlerts(changes, { previous: previousStatus, current: state.status }, this.config.alerts)
+        .forEach(alert => this.publish('alerts', 'alert', alert));
+    }
+  }
+
+  /**
+   * Membership changes and narrative changes for token topics
+   */
+  publishTokenEvents(state, changes) {
+    const membership = new Map();
+
+    Object.values(state.narratives || {}).forEach(narrative => {
+      (narrative.tokens || []).forEach(token => {
+        if (!token.address) return;
+        if (!membership.has(token.address)) membership.set(token.address, new Set());
+        membership.get(token.address).add(narrative.name);
+      });
+    });
+
+    const addresses = new Set([...membership.keys(), ...this.tokenMembership.keys()]);
+    const changesByNarrative = new Map(changes.map(change => [change.name, change]));
+
+    addresses.forEach(address => {
+      const topic = `token:${address}`;
+      const before = this.tokenMembership.get(address) || new Set();
+      const after = membership.get(address) || new Set();
+
+      after.forEach(name => {
+        if (!before.has(name)) this.publish(topic, 'token_joined', { address, narrative: name });
+      });
+      before.forEach(name => {
+        if (!after.has(name)) this.publish(topic, 'token_left', { address, narrative: name });
+      });
+
+      after.forEach(name => {
+        const change = changesByNarrative.get(name);
+        if (change && change.type !== 'narrative_added') this.publish(topic, change.type, { address, ...change });
+      });
+    });
+
+    this.tokenMembership = membership;
+  }
+
+  publish(topic, event, data) {
+    this.subscriptions.forEach((topics, socket) => {
+      if (topics.has(topic)) this.sendEvent(socket, topic, event, data);
+    });
+  }
+
+  sendEvent(socket, topic, event, data) {
+    this.send(socket, { type: 'event', topic, event, data, time: new Date().toISOString() });
+  }
+
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Drop connections that missed the last ping
+   */
+  checkConnections() {
+    this.wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }
+
+  getStats() {
+    const topicCounts = {};
+    this.subscriptions.forEach(topics => {
+      topics.forEach(topic => { topicCounts[topic] = (topicCounts[topic] || 0) + 1; });
+    });
+
+    return { clients: this.subscriptions.size, topics: topicCounts };
+  }
+}
+
+/**
+ * Narrative topics are case-insensitive: "narrative:cat meta rise" and
+ * "narrative:CAT META RISE" are the same topic
+ */
+function normalizeTopic(topic) {
+  const trimmed = topic.trim();
+  return trimmed.toLowerCase().startsWith('narrative:')
+    ? `narrative:${trimmed.slice('narrative:'.length).trim().toUpperCase()}`
+    : trimmed;
+}
+
+function findNarrative(narratives = {}, name) {
+  return Object.values(narratives).find(n => n.name.toUpperCase() === name) || null;
+}
+
+module.exports = WebSocketHub;
@@ -0,0 +1,88 @@
+/**
+ * Wheel Diff
+ *
+ * Compares two wheel states and lists what changed between aggregation
+ * cycles, so live clients receive small updates instead of the full state.
+ */
+
+/**
+ * Changes between two narrative maps
+ * @param {Object} previous - Previous wheelState.narratives
+ * @param {Object} next - Current wheelState.narratives
+ * @returns {Array} Changes, each { type, name, ... }. Every change except
+ *   narrative_removed carries the full current `narrative` entry.
+ */
+function diffNarratives(previous = {}, next = {}) {
+  const changes = [];
+
+  Object.entries(next).forEach(([name, narrative]) => {
+    const before = previous[name];
+
+    if (!before) {
+      changes.push({ type: 'narrative_added', name, narrative });
+      return;
+    }
+
+    if (before.score !== narrative.score) {
+      changes.push({ type: 'score_changed', name, previous: before.score, score: narrative.score, narrative });
+    }
+
+    if (before.lifecycle !== narrative.lifecycle) {
+      changes.push({ type: 'lifecycle_changed', name, previous: before.lifecycle, lifecycle: narrative.lifecycle, narrative });
+    }
+
+    // Any other field (volume, top coin, member tokens...) changed
+    if (before.score === narrative.score && before.lifecycle === narrative.lifecycle &&
+        JSON.stringify(before) !== JSON.stringify(narrative)) {
+      changes.push({ type: 'narrative_updated', name, narrative });
+    }
+  });
+
+  Object.keys(previous)
+    .filter(name => !next[name])
+    .forEach(name => changes.push({ type: 'narrative_removed', name }));
+
+  return changes;
+}
+
+/**
+ * Apply changes from diffNarratives() to a narrative map
+ * @param {Object} narratives - Narrative map to update in place
+ * @param {Array} changes - Changes to apply
+ * @returns {Object} The updated narrative map
+ */
+function applyNarrativeChanges(narratives, changes) {
+  changes.forEach(change => {
+    if (change.type === 'narrative_removed') {
+      delete narratives[change.name];
+    } else {
+      narratives[change.name] = change.narrative;
+    }
+  });
+
+  return narratives;
+}
+
+/**
+ * The `diff` event sent after an aggregation cycle: the narrative changes
+ * plus the state fields that are replaced whole each cycle
+ * @param {Object} state - Full wheel state
+ * @param {Array} changes - Changes from diffNarratives()
+ * @returns {Object} Diff payload
+ */
+function buildWheelDiff(state, changes) {
+  return {
+    lastUpdate: state.lastUpdate,
+    status: state.status,
+    dataSource: state.dataSource,
+    tokenData: state.tokenData,
+    clusters: state.clusters,
+    changes
+  };
+}
+
+module.exports = {
+  diffNarratives,
+  applyNarrativeChanges,
+  buildWheelDiff
+};
@@ -0,0 +1,242 @@
+/**
+ * Test Suite for Reproducible Runs
+ *
+ * Checks the seeded random source and manual clock, k-means++ seeding, and
+ * that the clustering, detection, characterization and scoring engines
+ * give identical output for identical tokens, seed and clock.
+ */
+
+const { createRandom, ManualClock } = require('./reproducibility');
+const TokenClusteringEngine = require('./clustering');
+const { NarrativeDetectionEngine } = require('./narrative-detection');
+const NarrativeCharacterizationEngine = require('./characterization');
+const AdaptiveNarrativeScoringEngine = require('./scorer');
+const NarrativeNamingEngine = require('./naming');
+
+const START = '2025-10-21T12:00:00.000Z';
+
+class ReproducibilityTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Reproducibility Test Suite\n');
+
+    const tests = [
+      { name: 'Seeded Random', test: () => this.testSeededRandom() },
+      { name: 'Manual Clock', test: () => this.testManualClock() },
+      { name: 'K-Means++ Seeding', test: () => this.testKMeansPlusPlus() },
+      { name: 'Reproducible Clustering', test: () => this.testReproducibleClustering() },
+      { name: 'Reproducible Pipeline', test: () => this.testReproduciblePipeline() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  createTokens() {
+    const names = [
+      'Cat Coin', 'Kitty Cat', 'Cat King', 'Doge Moon', 'Doge King', 'Shiba Dog',
+      'AI Agent', 'AI Bot', 'GPT Agent', 'Pepe Frog', 'Pepe King', 'Frog Army'
+    ];
+    const created = Date.parse(START) - 6 * 60 * 60 * 1000;
+
+    return names.map((name, index) => ({
+      address: `token_${index}`,
+      name,
+      symbol: name.replace(/\s/g, '').toUpperCase().slice(0, 8),
+      price: 0.001 * (index + 1),
+      volume: 5000 * (index + 1),
+      marketCap: 20000 * (index + 1),
+      liquidity: 8000 + 1000 * index,
+      holders: 50 + 10 * index,
+      priceChange24h: (index % 5) * 12 - 20,
+      createdAt: created + index * 60 * 1000
+    }));
+  }
+
+  /**
+   * Same seed, same sequence; strings seed too; no seed falls back to Math.random
+   */
+  async testSeededRandom() {
+    const draw = (random, count = 5) => Array.from({ length: count }, () => random());
+    const a = draw(createRandom(42));
+    const b = draw(createRandom(42));
+    const c = draw(createRandom(43));
+    const named = draw(createRandom('regression-1'));
+
+    const passed = JSON.stringify(a) === JSON.stringify(b) &&
+      JSON.stringify(a) !== JSON.stringify(c) &&
+      JSON.stringify(named) === JSON.stringify(draw(createRandom('regression-1'))) &&
+      a.concat(c, named).every(value => value >= 0 && value < 1) &&
+      createRandom(null) === Math.random;
+
+    return { passed, details: `seed 42 -> ${a.slice(0, 3).map(v => v.toFixed(4)).join(', ')}` };
+  }
+
+  /**
+   * The manual clock only moves when advanced
+   */
+  async testManualClock() {
+    const clock = new ManualClock(START);
+    const first = clock.now();
+    const second = clock.now();
+    clock.advance(60 * 1000);
+
+    let rejected = false;
+    try {
+      new ManualClock('not a date');
+    } catch (error) {
+      rejected = true;
+    }
+
+    const passed = first === Date.parse(START) && second === first &&
+      clock.now() === first + 60 * 1000 && rejected;
+
+    return { passed, details: `${new Date(first).toISOString()} -> ${new Date(clock.now()).toISOString()}` };
+  }
+
+  /**
+   * k-means++ puts one initial centroid in each well-separated group
+   */
+  async testKMeansPlusPlus() {
+    const groups = [[0, 0], [10, 0], [0, 10]];
+    const vectors = groups.flatMap(([x, y]) =>
+      [[x, y], [x + 0.1, y], [x, y + 0.1], [x + 0.1, y + 0.1]]
+    );
+
+    let spread = 0;
+    for (let seed = 1; seed <= 20; seed++) {
+      const engine = new TokenClusteringEngine({ seed });
+      const centroids = engine.initializeCentroids(vectors, 3);
+      const covered = new Set(centroids.map(([x, y]) => `${Math.round(x / 10)},${Math.round(y / 10)}`));
+      if (covered.size === 3) spread++;
+    }
+
+    const labels = seed => new TokenClusteringEngine({ seed }).kMeans(vectors, 3).labels.join('');
+    const passed = spread >= 19 && labels(7) === labels(7);
+
+    return { passed, details: `${spread}/20 seeds start with one centroid per group` };
+  }
+
+  /**
+   * Two engines with the same seed and clock cluster identically
+   */
+  async testReproducibleClustering() {
+    const run = async () => {
+      const engine = new TokenClusteringEngine({ minClusterSize: 2, maxClusters: 5, seed: 'clusters', clock: new ManualClock(START) });
+      return JSON.stringify(await engine.clusterTokens(this.createTokens()));
+    };
+
+    const first = await run();
+    const second = await run();
+    const result = JSON.parse(first);
+
+    return {
+      passed: first === second && result.clusters.length > 0,
+      details: `${result.metadata.algorithmUsed}: ${result.clusters.length} clusters, ${first.length} bytes identical: ${first === second}`
+    };
+  }
+
+  /**
+   * Cluster, detect, characterize, name and score twice: byte-identical results
+   */
+  async testReproduciblePipeline() {
+    const run = async () => {
+      const seed = 'pipeline';
+      const clock = new ManualClock(START);
+      const naming = new NarrativeNamingEngine();
+      const clustering = new TokenClusteringEngine({ minClusterSize: 2, maxClusters: 5, seed, clock });
+      const detection = new NarrativeDetectionEngine({ minClusterSize: 1, minNarrativeStrength: 0, naming, seed, clock });
+      const characterization = new NarrativeCharacterizationEngine({ naming, clock });
+      const scoring = new AdaptiveNarrativeScoringEngine({ seed, clock });
+
+      const tokens = this.createTokens();
+      const output = [];
+      // Two cycles, so history-based metrics are exercised too
+      for (let cycle = 0; cycle < 2; cycle++) {
+        const clusters = await clustering.clusterTokens(tokens);
+        const { narratives } = await detection.processTokens(tokens, { clusters: clusters.clusters });
+        const profiles = await characterization.characterizeNarratives(narratives);
+        narratives.forEach(narrative => {
+          narrative.profile = profiles.find(profile => profile.clusterId === narrative.id);
+          narrative.lifecycle = narrative.profile?.lifecycle || narrative.lifecycle;
+        });
+        naming.assignNames(narratives);
+        const scores = await scoring.calculateNarrativeScores(narratives);
+
+        output.push(scores.rankedNarratives.map(narrative => ({
+          id: narrative.id,
+          name: narrative.name,
+          score: narrative.finalScore,
+          tokens: narrative.tokens.map(token => token.address),
+          profile: narrative.profile ? {
+            characteristics: narrative.profile.characteristics,
+            lifecycle: narrative.profile.lifecycle,
+            metadata: narrative.profile.metadata
+          } : null
+        })), clusters);
+        clock.advance(60 * 1000);
+      }
+
+      return JSON.stringify(output);
+    };
+
+    const first = await run();
+    const second = await run();
+    const narratives = JSON.parse(first)[0];
+
+    return {
+      passed: first === second && narratives.length > 0,
+      details: `${narratives.length} narratives (${narratives.map(n => n.name).join(', ')}), ${first.length} bytes identical: ${first === second}`
+    };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 REPRODUCIBILITY TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runReproducibilityTests() {
+  const tester = new ReproducibilityTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  ReproducibilityTester,
+  runReproducibilityTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runReproducibilityTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
@@ -0,0 +1,82 @@
+/**
+ * Seeded Randomness and Clocks
+ *
+ * Engines draw random numbers from `this.random` and read the time from
+ * `this.clock` rather than calling Math.random() and Date.now() directly.
+ * With a `seed` the random numbers come from a seeded PRNG, so the same
+ * tokens give the same clusters, names and scores run after run. With a
+ * ManualClock (the server's reproducible mode) the timestamps and ages in
+ * their output repeat as well.
+ */
+
+/**
+ * 32-bit seed from a number or a string
+ */
+function seedToInt(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+  // FNV-1a over the string form ("regression-1", "42", ...)
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Random number source in [0, 1)
+ * @param {number|string|null} seed - null or undefined for Math.random
+ * @returns {Function}
+ */
+function createRandom(seed = null) {
+  if (seed === null || seed === undefined || seed === '') return Math.random;
+
+  // mulberry32: small, fast and well distributed for simulation use
+  let state = seedToInt(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Wall-clock time
+const systemClock = {
+  now: () => Date.now()
+};
+
+/**
+ * Clock that only moves when told to: the server advances it once per
+ * aggregation cycle in reproducible mode
+ */
+class ManualClock {
+  /**
+   * @param {number|string} start - Start time (ms or ISO string)
+   */
+  constructor(start = 0) {
+    this.time = typeof start === 'string' ? Date.parse(start) : start;
+    if (!Number.isFinite(this.time)) {
+      throw new Error(`Invalid clock start time: ${start}`);
+    }
+  }
+
+  now() {
+    return this.time;
+  }
+
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+}
+
+module.exports = {
+  createRandom,
+  seedToInt,
+  systemClock,
+  ManualClock
+};
@@ -0,0 +1,167 @@
+/**
+ * Test Suite for the Score Breakdown
+ *
+ * Checks the waterfall the wheel API reports for each narrative: steps that
+ * add up to the final score, adjustments cut short by the 0-100 clamp,
+ * unmeasured components, and narratives with no score at all.
+ */
+
+const { formatScoreBreakdown } = require('./score-breakdown');
+
+const WEIGHTS = { social: 0.25, volume: 0.3, momentum: 0.2, diversity: 0.25 };
+
+class ScoreBreakdownTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Score Breakdown Test Suite\n');
+
+    const tests = [
+      { name: 'Steps Sum to Final', test: () => this.testStepsSumToFinal() },
+      { name: 'Clamp-Cut Changes', test: () => this.testClampCutChanges() },
+      { name: 'Null Components', test: () => this.testNullComponents() },
+      { name: 'Missing Base', test: () => this.testMissingBase() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  /**
+   * Scorer breakdown with every adjustment applied in turn
+   */
+  breakdown(overrides = {}) {
+    return {
+      base: 52.34,
+      themeAdjusted: 55.06,
+      lifecycleAdjusted: 60.56,
+      whaleBonus: 4.44,
+      whaleAdjusted: 65.0,
+      correlationPenalty: 3.04,
+      final: 61.96,
+      lifecycleMultiplier: 1.1,
+      componentWeights: WEIGHTS,
+      ...overrides
+    };
+  }
+
+  /**
+   * The step changes add up to the reported final score, despite rounding
+   */
+  async testStepsSumToFinal() {
+    const result = formatScoreBreakdown(this.breakdown(), { social: 0.5, volume: 0.6, momentum: 0.4, diversity: 0.5 });
+    const sum = result.steps.reduce((total, step) => total + step.change, 0);
+
+    const passed = JSON.stringify(result.steps.map(step => step.step)) ===
+        '["base","theme","lifecycle","whale","correlation"]' &&
+      Math.abs(sum - result.final) < 1e-9 && result.final === 62 &&
+      result.steps[result.steps.length - 1].total === result.final;
+
+    return { passed, details: `changes ${result.steps.map(step => step.change).join(' + ')} = ${sum.toFixed(1)}, final ${result.final}` };
+  }
+
+  /**
+   * An adjustment cut short by the clamp shows what it added, not what it asked for
+   */
+  async testClampCutChanges() {
+    const result = formatScoreBreakdown(this.breakdown({
+      base: 96,
+      themeAdjusted: 100,
+      lifecycleAdjusted: 100,
+      whaleBonus: 8,
+      whaleAdjusted: 100,
+      correlationPenalty: 5,
+      final: 95
+    }), {});
+    const changes = Object.fromEntries(result.steps.map(step => [step.step, step.change]));
+
+    const passed = changes.base === 96 && changes.theme === 4 && changes.lifecycle === 0 &&
+      changes.whale === 0 && changes.correlation === -5 &&
+      result.whaleBonus === 8 && result.final === 95;
+
+    return { passed, details: `changes ${JSON.stringify(changes)}, whale bonus ${result.whaleBonus}` };
+  }
+
+  /**
+   * Unmeasured components keep null values and points; a missing weight leaves points null
+   */
+  async testNullComponents() {
+    const result = formatScoreBreakdown(
+      this.breakdown({ componentWeights: { social: null, volume: 0.4, momentum: 0.6 } }),
+      { social: null, volume: 0.5, momentum: 0.25, diversity: 0.7 }
+    );
+    const { social, volume, momentum, diversity } = result.components;
+
+    const passed = social.value === null && social.weight === null && social.points === null &&
+      volume.points === 20 && momentum.points === 15 &&
+      diversity.value === 0.7 && diversity.weight === null && diversity.points === null &&
+      JSON.stringify(formatScoreBreakdown(this.breakdown(), null).components) === '{}';
+
+    return { passed, details: `points ${Object.values(result.components).map(c => c.points).join(', ')}` };
+  }
+
+  /**
+   * No breakdown, no base or no final score means no breakdown
+   */
+  async testMissingBase() {
+    const results = [
+      formatScoreBreakdown(null, {}),
+      formatScoreBreakdown(undefined, {}),
+      formatScoreBreakdown(this.breakdown({ base: null }), {}),
+      formatScoreBreakdown(this.breakdown({ final: null }), {})
+    ];
+
+    const passed = results.every(result => result === null);
+
+    return { passed, details: `results ${results.map(String).join(', ')}` };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 SCORE BREAKDOWN TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runScoreBreakdownTests() {
+  const tester = new ScoreBreakdownTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  ScoreBreakdownTester,
+  runScoreBreakdownTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runScoreBreakdownTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
@@ -0,0 +1,53 @@
+/**
+ * Score Breakdown
+ *
+ * Shapes the scorer's score breakdown for the wheel API: the weighted
+ * components behind a narrative's base score, then each adjustment as a
+ * waterfall step from the base score to the final score.
+ */
+
+const round = (value, digits = 1) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * Format a narrative's score breakdown. Steps are read off the rounded running
+ * totals, so an adjustment cut short by the 0-100 clamp shows what it added and
+ * the step changes always add up to the final score.
+ * @param {Object} breakdown - scoreBreakdown from AdaptiveNarrativeScoringEngine.rankNarratives
+ * @param {Object} components - Narrative component values (0-1, null when unmeasured)
+ * @returns {Object|null} Breakdown, or null when there is no base or final score
+ */
+function formatScoreBreakdown(breakdown, components) {
+  if (!breakdown || breakdown.base === null || breakdown.final === null) return null;
+
+  const weights = breakdown.componentWeights || {};
+  const totals = [
+    { step: 'base', label: 'Base score', total: round(breakdown.base) },
+    { step: 'theme', label: 'Theme adjustment', total: round(breakdown.themeAdjusted) },
+    { step: 'lifecycle', label: 'Lifecycle adjustment', total: round(breakdown.lifecycleAdjusted) },
+    { step: 'whale', label: 'Whale activity', total: round(breakdown.whaleAdjusted) },
+    { step: 'correlation', label: 'Correlation penalty', total: round(breakdown.final) }
+  ];
+
+  return {
+    base: round(breakdown.base),
+    themeAdjusted: round(breakdown.themeAdjusted),
+    lifecycleAdjusted: round(breakdown.lifecycleAdjusted),
+    whaleBonus: round(breakdown.whaleBonus),
+    correlationPenalty: round(breakdown.correlationPenalty),
+    final: round(breakdown.final),
+    lifecycleMultiplier: round(breakdown.lifecycleMultiplier, 2),
+    components: Object.fromEntries(Object.entries(components || {}).map(([key, value]) => [key, {
+      value: round(value, 3),
+      weight: round(weights[key] ?? null, 3),
+      points: value === null || !Number.isFinite(weights[key]) ? null : round(value * weights[key] * 100)
+    }])),
+    steps: totals.map((entry, index) => ({
+      ...entry,
+      change: index === 0 ? entry.total : round(entry.total - totals[index - 1].total)
+    }))
+  };
+}
+
+module.exports = {
+  formatScoreBreakdown
+};
@@ -5,6 +5,10 @@
  * lifecycle stage, and market dynamics with adaptive weighting and correlation analysis.
  */
 
+const { PROVENANCE, toMetric, sumMetric, averageMetric } = require('./provenance');
+const { getDefaultTaxonomyStore } = require('./taxonomy');
+const { createRandom, systemClock } = require('./reproducibility');
+
 class AdaptiveNarrativeScoringEngine {
   constructor(config = {}) {
     this.config = {
@@ -23,30 +27,6 @@ class AdaptiveNarrativeScoringEngine {
       maxWeight: config.maxWeight || 0.5,
       correlationThreshold: config.correlationThreshold || 0.7,
       
-      // REAL meme coin theme multipliers (no boring DeFi crap)
-      themeMultipliers: {
-        'DOGE EMPIRE': { social: 1.8, volume: 1.6, community: 1.7, volatility: 1.4 },
-        'PEPE NATION': { social: 1.9, volatility: 1.7, community: 1.6, volume: 1.5 },
-        'CAT MAFIA': { social: 1.6, community: 1.5, volume: 1.4, novelty: 1.3 },
-        'WOJAK WORLD': { social: 1.7, community: 1.6, volatility: 1.5, novelty: 1.4 },
-        'CHAD ENERGY': { social: 1.8, volatility: 1.6, volume: 1.5, community: 1.4 },
-        'MOON MISSION': { volatility: 1.8, volume: 1.7, social: 1.6, community: 1.4 },
-        'APE TOGETHER': { community: 1.7, volume: 1.6, social: 1.5, volatility: 1.4 },
-        'POLITICAL MEMES': { social: 2.0, volatility: 1.8, volume: 1.6, community: 1.5 },
-        'ANIME DEGENERATES': { community: 1.6, social: 1.5, novelty: 1.4, volume: 1.3 },
-        'MEME NUMBERS': { social: 1.5, volatility: 1.4, community: 1.3, novelty: 1.3 },
-        'SMOL BEANS': { community: 1.4, social: 1.4, novelty: 1.3, volume: 1.2 },
-        'GIGACHAD SIZE': { volatility: 1.6, volume: 1.5, social: 1.4, community: 1.3 },
-        'HOLIDAY HYPE': { social: 1.5, community: 1.4, volatility: 1.3, novelty: 1.3 },
-        'TENDIE TOWN': { community: 1.4, social: 1.3, volume: 1.2, novelty: 1.2 },
-        'AI OVERLORDS': { novelty: 1.5, volume: 1.4, social: 1.3, volatility: 1.3 },
-        'SPACE CADETS': { novelty: 1.5, volume: 1.4, social: 1.3, volatility: 1.3 },
-        'GAMER FUEL': { community: 1.5, social: 1.4, volume: 1.3, novelty: 1.2 },
-        'GENERIC MEMES': { social: 1.2, volume: 1.1, community: 1.1, volatility: 1.1 },
-        'NUMBER MEMES': { volatility: 1.3, social: 1.2, volume: 1.1, novelty: 1.1 },
-        'MYSTERY MEME': { social: 1.1, volume: 1.0, community: 1.0, volatility: 1.0 }
-      },
-      
       // Meme coin lifecycle multipliers (shorter cycles, higher volatility)
       lifecycleMultipliers: {
         emerging: { social: 1.6, volume: 1.4, novelty: 1.5, volatility: 1.3 },
@@ -59,6 +39,9 @@ class AdaptiveNarrativeScoringEngine {
       ...config
     };
     
+    this.taxonomy = config.taxonomy || getDefaultTaxonomyStore(); // Per-theme multipliers
+    this.random = createRandom(config.seed); // Scoring is deterministic today; takes `seed` like the other engines
+    this.clock = config.clock || systemClock; // Result timestamps
     this.weightHistory = new Map(); // Track weight evolution
     this.correlationMatrix = new Map(); // Track narrative correlations
     this.performanceMetrics = new Map(); // Track scoring performance
@@ -98,7 +81,7 @@ class AdaptiveNarrativeScoringEngine {
         rankedNarratives: [],
         correlations: {},
         weightAdjustments: {},
-        metadata: { totalNarratives: 0, timestamp: new Date().toISOString() }
+        metadata: { totalNarratives: 0, timestamp: new Date(this.clock.now()).toISOString() }
       };
     }
     
@@ -143,9 +126,9 @@ class AdaptiveNarrativeScoringEngine {
         metadata: {
           totalNarratives: narratives.length,
           adaptedWeights: { ...this.config.baseWeights },
-          avgScore: rankedNarratives.reduce((sum, n) => sum + n.finalScore, 0) / rankedNarratives.length,
+          avgScore: averageMetric(rankedNarratives.map(n => n.finalScore)),
           marketConditions: marketData,
-          timestamp: new Date().toISOString()
+          timestamp: new Date(this.clock.now()).toISOString()
         }
       };
       
@@ -189,20 +172,29 @@ class AdaptiveNarrativeScoringEngine {
       const holders = this.calculateHoldersScore(narrative, maxHolders);
       const priceVolatility = this.calculateVolatilityScore(narrative, maxPriceChange);
       
-      // Calculate weighted base score
-      const baseScore = 
-        volume * weights.volume +
-        social * weights.social +
-        liquidity * weights.liquidity +
-        holders * weights.holders +
-        priceVolatility * weights.priceVolatility;
+      const components = { volume, social, liquidity, holders, priceVolatility };
+      
+      // Weighted base score over the components with data; missing ones are
+      // left out and the remaining weights rescaled
+      const available = Object.keys(components).filter(key => components[key] !== null);
+      const availableWeight = available.reduce((sum, key) => sum + weights[key], 0);
+      const baseScore = availableWeight > 0
+        ? available.reduce((sum, key) => sum + components[key] * weights[key], 0) / availableWeight
+        : null;
       
       // Scale to 0-100 range
-      const finalBaseScore = Math.max(5, Math.min(95, baseScore * 100)); // Ensure minimum visibility
+      const finalBaseScore = baseScore === null ? null : Math.max(5, Math.min(95, baseScore * 100)); // Ensure minimum visibility
       
       return {
         narrative,
-        components: { volume, social, liquidity, holders, priceVolatility },
+        components,
+        componentProvenance: Object.fromEntries(Object.entries(components).map(([key, value]) =>
+          [key, value === null ? PROVENANCE.MISSING : PROVENANCE.DERIVED]
+        )),
+        // Share of the base score each component carried this cycle (weights adapt between cycles)
+        componentWeights: Object.fromEntries(Object.keys(components).map(key =>
+          [key, components[key] === null ? null : weights[key] / availableWeight]
+        )),
         baseScore: finalBaseScore
       };
     });
@@ -216,33 +208,35 @@ class AdaptiveNarrativeScoringEngine {
     
     return baseScores.map(scoreData => {
       const narrative = scoreData.narrative;
-      const primaryTheme = narrative.themes?.primary?.theme;
+      // Detection's category is a taxonomy theme; profiles fall back to their primary theme
+      const primaryTheme = narrative.category || narrative.themes?.primary?.theme;
+      const multipliers = primaryTheme ? this.taxonomy.current.getMultipliers(primaryTheme) : null;
       
-      if (!primaryTheme || !this.config.themeMultipliers[primaryTheme]) {
+      if (scoreData.baseScore === null || !multipliers) {
         return { ...scoreData, themeAdjustedScore: scoreData.baseScore };
       }
       
-      const multipliers = this.config.themeMultipliers[primaryTheme];
       let adjustedScore = scoreData.baseScore;
+      const characteristics = narrative.characteristics || narrative.profile?.characteristics;
       
       // Apply theme-specific multipliers based on narrative characteristics
-      if (multipliers.volatility && narrative.characteristics?.volatility) {
-        const volatilityBonus = this.getVolatilityBonus(narrative.characteristics.volatility) * multipliers.volatility;
+      if (multipliers.volatility && characteristics?.volatility) {
+        const volatilityBonus = this.getVolatilityBonus(characteristics.volatility) * multipliers.volatility;
         adjustedScore += volatilityBonus;
       }
       
-      if (multipliers.social && narrative.characteristics?.social) {
-        const socialBonus = this.getSocialBonus(narrative.characteristics.social) * multipliers.social;
+      if (multipliers.social && characteristics?.social) {
+        const socialBonus = this.getSocialBonus(characteristics.social) * multipliers.social;
         adjustedScore += socialBonus;
       }
       
-      if (multipliers.community && narrative.characteristics?.community) {
-        const communityBonus = this.getCommunityBonus(narrative.characteristics.community) * multipliers.community;
+      if (multipliers.community && characteristics?.community) {
+        const communityBonus = this.getCommunityBonus(characteristics.community) * multipliers.community;
         adjustedScore += communityBonus;
       }
       
-      if (multipliers.growth && narrative.characteristics?.temporal) {
-        const growthBonus = this.getGrowthBonus(narrative.characteristics.temporal) * multipliers.growth;
+      if (multipliers.growth && characteristics?.temporal) {
+        const growthBonus = this.getGrowthBonus(characteristics.temporal) * multipliers.growth;
         adjustedScore += growthBonus;
       }
       
@@ -264,11 +258,15 @@ class AdaptiveNarrativeScoringEngine {
       const lifecycle = scoreData.narrative.lifecycle?.stage || 'stable';
       const multipliers = this.config.lifecycleMultipliers[lifecycle] || {};
       
+      if (scoreData.themeAdjustedScore === null) {
+        return { ...scoreData, lifecycleAdjustedScore: null, lifecycleMultiplier: null };
+      }
+      
       let adjustedScore = scoreData.themeAdjustedScore;
       
       // Apply lifecycle-specific component adjustments
       Object.entries(multipliers).forEach(([component, multiplier]) => {
-        if (scoreData.components[component] !== undefined) {
+        if (scoreData.components[component] !== undefined && scoreData.components[component] !== null) {
           const adjustment = scoreData.components[component] * (multiplier - 1) * 0.1; // 10% of component impact
           adjustedScore += adjustment;
         }
@@ -327,7 +325,9 @@ class AdaptiveNarrativeScoringEngine {
       // Cap whale bonus at 5 points
       whaleBonus = Math.min(5, whaleBonus);
       
-      const whaleAdjustedScore = Math.max(0, Math.min(100, scoreData.lifecycleAdjustedScore + whaleBonus));
+      const whaleAdjustedScore = scoreData.lifecycleAdjustedScore === null
+        ? null
+        : Math.max(0, Math.min(100, scoreData.lifecycleAdjustedScore + whaleBonus));
       
       return {
         ...scoreData,
@@ -394,7 +394,9 @@ class AdaptiveNarrativeScoringEngine {
         }
       });
       
-      const finalScore = Math.max(0, Math.min(100, scoreData.whaleAdjustedScore - correlationPenalty));
+      const finalScore = scoreData.whaleAdjustedScore === null
+        ? null
+        : Math.max(0, Math.min(100, scoreData.whaleAdjustedScore - correlationPenalty));
       
       return {
         ...scoreData,
@@ -410,6 +412,11 @@ class AdaptiveNarrativeScoringEngine {
   calculateDeltaScores(correlationScores, narratives) {
     return correlationScores.map(scoreData => {
       const narrative = scoreData.narrative;
+      
+      if (scoreData.finalScore === null) {
+        return { ...scoreData, deltaScore: null, deltaPercent: null, trend: null };
+      }
+      
       const previousScore = this.lastScores.get(narrative.id) || scoreData.finalScore;
       const deltaScore = scoreData.finalScore - previousScore;
       const deltaPercent = previousScore > 0 ? (deltaScore / previousScore) * 100 : 0;
@@ -427,13 +434,15 @@ class AdaptiveNarrativeScoringEngine {
    * Rank narratives by final score
    */
   rankNarratives(scoresWithDeltas, narratives) {
+    // Narratives without any measurable component rank last
     return scoresWithDeltas
-      .sort((a, b) => b.finalScore - a.finalScore)
+      .sort((a, b) => (b.finalScore ?? -1) - (a.finalScore ?? -1))
       .map((scoreData, index) => ({
         ...scoreData.narrative,
         finalScore: scoreData.finalScore,
         rank: index + 1,
         components: scoreData.components,
+        componentProvenance: scoreData.componentProvenance,
         deltaScore: scoreData.deltaScore,
         deltaPercent: scoreData.deltaPercent,
         trend: scoreData.trend,
@@ -442,7 +451,11 @@ class AdaptiveNarrativeScoringEngine {
           themeAdjusted: scoreData.themeAdjustedScore,
           lifecycleAdjusted: scoreData.lifecycleAdjustedScore,
           whaleBonus: scoreData.whaleBonus || 0,
-          correlationPenalty: scoreData.correlationPenalty || 0
+          whaleAdjusted: scoreData.whaleAdjustedScore,
+          correlationPenalty: scoreData.correlationPenalty || 0,
+          final: scoreData.finalScore,
+          lifecycleMultiplier: scoreData.lifecycleMultiplier ?? null,
+          componentWeights: scoreData.componentWeights
         }
       }));
   }
@@ -531,21 +544,23 @@ class AdaptiveNarrativeScoringEngine {
    * Calculate maximum metrics across all narratives for normalization
    */
   calculateMaxMetrics(narratives) {
-    const maxVolume = Math.max(1, ...narratives.map(n => this.extractTotalVolume(n)));
-    const maxLiquidity = Math.max(1, ...narratives.map(n => this.extractTotalLiquidity(n)));
-    const maxHolders = Math.max(1, ...narratives.map(n => this.extractTotalHolders(n)));
-    const maxPriceChange = Math.max(1, ...narratives.map(n => this.extractAvgPriceChange(n)));
-    const maxSocial = Math.max(1, ...narratives.map(n => this.extractSocialScore(n)));
+    const maxOf = extract => Math.max(1, ...narratives.map(n => extract(n)).filter(v => v !== null));
+
+    const maxVolume = maxOf(n => this.extractTotalVolume(n));
+    const maxLiquidity = maxOf(n => this.extractTotalLiquidity(n));
+    const maxHolders = maxOf(n => this.extractTotalHolders(n));
+    const maxPriceChange = maxOf(n => this.extractAvgPriceChange(n));
+    const maxSocial = maxOf(n => this.extractSocialScore(n));
 
     return { maxVolume, maxLiquidity, maxHolders, maxPriceChange, maxSocial };
   }
 
   /**
-   * Calculate volume score for a narrative
+   * Calculate volume score for a narrative (null when no token reports volume)
    */
   calculateVolumeScore(narrative, maxVolume) {
     const totalVolume = this.extractTotalVolume(narrative);
-    return Math.min(1, totalVolume / maxVolume);
+    return totalVolume === null ? null : Math.min(1, totalVolume / maxVolume);
   }
 
   /**
@@ -553,7 +568,7 @@ class AdaptiveNarrativeScoringEngine {
    */
   calculateSocialScore(narrative, maxSocial) {
     const socialScore = this.extractSocialScore(narrative);
-    return Math.min(1, socialScore / maxSocial);
+    return socialScore === null ? null : Math.min(1, socialScore / maxSocial);
   }
 
   /**
@@ -561,7 +576,7 @@ class AdaptiveNarrativeScoringEngine {
    */
   calculateLiquidityScore(narrative, maxLiquidity) {
     const totalLiquidity = this.extractTotalLiquidity(narrative);
-    return Math.min(1, totalLiquidity / maxLiquidity);
+    return totalLiquidity === null ? null : Math.min(1, totalLiquidity / maxLiquidity);
   }
 
   /**
@@ -569,7 +584,7 @@ class AdaptiveNarrativeScoringEngine {
    */
   calculateHoldersScore(narrative, maxHolders) {
     const totalHolders = this.extractTotalHolders(narrative);
-    return Math.min(1, totalHolders / maxHolders);
+    return totalHolders === null ? null : Math.min(1, totalHolders / maxHolders);
   }
 
   /**
@@ -577,6 +592,8 @@ class AdaptiveNarrativeScoringEngine {
    */
   calculateVolatilityScore(narrative, maxPriceChange) {
     const avgPriceChange = this.extractAvgPriceChange(narrative);
+    if (avgPriceChange === null) return null;
+
     // For meme coins, volatility is often positive (indicates "hype")
     const volatilityScore = Math.abs(avgPriceChange) / Math.max(1, maxPriceChange);
     return Math.min(1, volatilityScore);
@@ -587,12 +604,12 @@ class AdaptiveNarrativeScoringEngine {
    */
   extractTotalVolume(narrative) {
     if (!narrative.tokens || !Array.isArray(narrative.tokens)) {
-      return narrative.volume || 0;
+      return toMetric(narrative.volume);
     }
     
-    return narrative.tokens.reduce((total, token) => {
-      return total + (token.volume24h || token.onChainMetrics?.volume24h || 0);
-    }, 0);
+    return sumMetric(narrative.tokens.map(token =>
+      toMetric(token.volume24h ?? token.onChainMetrics?.volume24h)
+    ));
   }
 
   /**
@@ -600,12 +617,12 @@ class AdaptiveNarrativeScoringEngine {
    */
   extractTotalLiquidity(narrative) {
     if (!narrative.tokens || !Array.isArray(narrative.tokens)) {
-      return narrative.liquidity || 0;
+      return toMetric(narrative.liquidity);
     }
     
-    return narrative.tokens.reduce((total, token) => {
-      return total + (token.onChainMetrics?.liquidityUSD || 0);
-    }, 0);
+    return sumMetric(narrative.tokens.map(token =>
+      toMetric(token.liquidity ?? token.onChainMetrics?.liquidityUSD)
+    ));
   }
 
   /**
@@ -613,33 +630,27 @@ class AdaptiveNarrativeScoringEngine {
    */
   extractTotalHolders(narrative) {
     if (!narrative.tokens || !Array.isArray(narrative.tokens)) {
-      return narrative.holders || 0;
+      return toMetric(narrative.holders);
     }
     
-    return narrative.tokens.reduce((total, token) => {
-      return total + (token.holders || token.onChainMetrics?.uniqueWallets24h || 0);
-    }, 0);
+    return sumMetric(narrative.tokens.map(token =>
+      toMetric(token.holders ?? token.onChainMetrics?.uniqueWallets24h)
+    ));
   }
 
   /**
-   * Extract average price change from narrative tokens
+   * Extract average absolute price change from narrative tokens
    */
   extractAvgPriceChange(narrative) {
     if (!narrative.tokens || !Array.isArray(narrative.tokens)) {
-      return Math.abs(narrative.priceChange24h || 0);
+      const change = toMetric(narrative.priceChange24h);
+      return change === null ? null : Math.abs(change);
     }
     
-    const validTokens = narrative.tokens.filter(token => 
-      token.onChainMetrics?.priceChange24h !== undefined
-    );
-    
-    if (validTokens.length === 0) return 0;
-    
-    const avgChange = validTokens.reduce((sum, token) => {
-      return sum + Math.abs(token.onChainMetrics.priceChange24h);
-    }, 0) / validTokens.length;
-    
-    return avgChange;
+    return averageMetric(narrative.tokens.map(token => {
+      const change = toMetric(token.priceChange24h ?? token.onChainMetrics?.priceChange24h);
+      return change === null ? null : Math.abs(change);
+    }));
   }
 
   /**
@@ -647,13 +658,17 @@ class AdaptiveNarrativeScoringEngine {
    */
   extractSocialScore(narrative) {
     if (!narrative.tokens || !Array.isArray(narrative.tokens)) {
-      return narrative.mentions || 0;
+      return toMetric(narrative.mentions);
     }
     
-    return narrative.tokens.reduce((total, token) => {
+    return sumMetric(narrative.tokens.map(token => {
       const social = token.socialMetrics || {};
-      return total + (social.twitterFollowers || 0) + (social.telegramMembers || 0);
-    }, 0);
+      return sumMetric([
+        toMetric(token.socialMentions),
+        toMetric(social.twitterFollowers),
+        toMetric(social.telegramMembers)
+      ]);
+    }));
   }
 
   calculateMomentumScore(narrative) {
@@ -705,7 +720,7 @@ class AdaptiveNarrativeScoringEngine {
     }
     
     // Growth factor
-    if (community.growth !== undefined) {
+    if (Number.isFinite(community.growth)) {
       score += Math.max(0, community.growth) * 0.3;
     }
     
@@ -853,7 +868,9 @@ class AdaptiveNarrativeScoringEngine {
 
   updateScoreHistory(rankedNarratives) {
     rankedNarratives.forEach(narrative => {
-      this.lastScores.set(narrative.id, narrative.finalScore);
+      if (narrative.finalScore !== null) {
+        this.lastScores.set(narrative.id, narrative.finalScore);
+      }
     });
     
     this.lastRankedNarratives = rankedNarratives;
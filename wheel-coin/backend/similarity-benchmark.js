@@ -0,0 +1,174 @@
+/**
+ * Similarity Matrix Benchmark
+ *
+ * Measures how fast the narrative detection engine turns a batch of new
+ * tokens into a similarity matrix and clusters, on synthetic Pump.fun-like
+ * batches (themed names, log-normal market caps crowded at the bottom of the
+ * curve). For batches small enough to also compare exhaustively, it reports
+ * recall: the share of name-related pairs (text similarity at least
+ * NAME_RELATED) scoring above the clustering threshold that the pruned
+ * matrix kept. Pairs related only by price or volume are left out, since
+ * pruning deliberately skips them.
+ *
+ *   node backend/similarity-benchmark.js              # 500, 1000, 2500, 5000 tokens
+ *   node backend/similarity-benchmark.js 2000 10000   # custom batch sizes
+ */
+
+const { performance } = require('perf_hooks');
+const { NarrativeDetectionEngine } = require('./narrative-detection');
+const { NgramTfidfModel, tokenText } = require('./embeddings');
+const { findCandidatePairs } = require('./similarity');
+const { createRandom } = require('./reproducibility');
+
+const DEFAULT_SIZES = [500, 1000, 2500, 5000];
+const RECALL_LIMIT = 2500; // Largest batch also scored exhaustively
+const NAME_RELATED = 0.3;  // Text similarity that makes a pair name-related
+
+const THEME_WORDS = [
+  'doge', 'shiba', 'pepe', 'frog', 'cat', 'kitty', 'ai', 'agent', 'gpt', 'trump',
+  'moon', 'mars', 'rocket', 'pizza', 'burger', 'chad', 'wojak', 'based', 'baby', 'king',
+  'bonk', 'wif', 'hat', 'degen', 'pump', 'sol', 'goat', 'bull', 'bear', 'penguin'
+];
+const FILLER_WORDS = ['coin', 'token', 'inu', 'classic', 'official', '2.0', 'cto', 'fun', 'world', 'meme'];
+
+/**
+ * Synthetic batch of new tokens, the same for the same seed
+ * @param {number} count - Number of tokens
+ * @param {number} seed - PRNG seed
+ * @returns {Array<Object>}
+ */
+function generateTokens(count, seed = 42) {
+  const random = createRandom(seed);
+  const pick = list => list[Math.floor(random() * list.length)];
+
+  return Array.from({ length: count }, (_, i) => {
+    const words = [pick(THEME_WORDS)];
+    if (random() < 0.5) words.push(pick(THEME_WORDS));
+    if (random() < 0.4) words.push(pick(FILLER_WORDS));
+    const name = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+    // Most coins sit near the ~$5K launch cap; a few break out
+    const marketCap = Math.round(5000 * Math.exp(Math.abs(random() + random() + random() - 1.5) * 4));
+
+    return {
+      address: `bench${i}`,
+      name,
+      symbol: words.map(word => word.slice(0, 4)).join('').toUpperCase().slice(0, 10),
+      marketCap,
+      volume: random() < 0.3 ? 0 : Math.round(marketCap * random() * 2),
+      priceChange24h: (random() - 0.5) * 200,
+      holders: random() < 0.5 ? 0 : Math.round(marketCap / 100 * random()),
+      socialMentions: 0,
+      created: Date.now() - Math.round(random() * 3600 * 1000)
+    };
+  });
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+async function timeAsync(fn) {
+  const start = performance.now();
+  const result = await fn();
+  return { result, ms: performance.now() - start };
+}
+
+/**
+ * Share of the name-related above-threshold pairs the pruned matrix also holds
+ */
+function nameRelatedRecall(engine, tokens, pruned) {
+  const threshold = engine.config.similarityThreshold;
+  const exhaustive = new NarrativeDetectionEngine({ ...engine.config, exhaustiveLimit: Infinity, embeddingModel: engine.embeddingModel });
+  const matrix = exhaustive.buildSimilarityMatrix(tokens);
+  const { left, right } = findCandidatePairs(tokens, { exhaustiveLimit: Infinity });
+  const textSimilarities = engine.embeddingModel.pairwiseSimilarity(tokens.map(tokenText), left, right);
+
+  let expected = 0;
+  let kept = 0;
+  for (let p = 0; p < left.length; p++) {
+    if (textSimilarities[p] < NAME_RELATED || matrix.get(left[p], right[p]) < threshold) continue;
+    expected++;
+    if (pruned.get(left[p], right[p]) >= threshold) kept++;
+  }
+
+  return expected === 0 ? 1 : kept / expected;
+}
+
+/**
+ * Benchmark one batch size
+ * @param {number} size - Tokens in the batch
+ * @returns {Promise<Object>} Timings and counts
+ */
+async function benchmarkSize(size) {
+  const tokens = generateTokens(size);
+  const engine = new NarrativeDetectionEngine({ embeddingModel: new NgramTfidfModel() });
+
+  const prepare = await timeAsync(() => engine.embeddingModel.prepare(tokens.map(tokenText)));
+  const build = time(() => engine.buildSimilarityMatrix(tokens));
+  const matrix = build.result;
+  const clustering = time(() => engine.performClustering(tokens, matrix));
+
+  const result = {
+    size,
+    allPairs: size * (size - 1) / 2,
+    pairs: matrix.pairCount,
+    prepareMs: prepare.ms,
+    matrixMs: build.ms,
+    clusterMs: clustering.ms,
+    clusters: clustering.result.length,
+    recall: null
+  };
+
+  if (size > engine.config.exhaustiveLimit && size <= RECALL_LIMIT) {
+    result.recall = nameRelatedRecall(engine, tokens, matrix);
+  }
+
+  return result;
+}
+
+async function runSimilarityBenchmark(sizes = DEFAULT_SIZES) {
+  console.log('⏱️ Similarity matrix benchmark (tfidf embeddings, synthetic Pump.fun batches)\n');
+  console.log('tokens | pairs compared (of all)     | prepare | matrix  | cluster | tokens/s | pairs/s   | recall');
+  console.log('-'.repeat(104));
+
+  const results = [];
+  for (const size of sizes) {
+    const r = await benchmarkSize(size);
+    results.push(r);
+
+    const totalMs = r.prepareMs + r.matrixMs + r.clusterMs;
+    const share = `${(r.pairs / r.allPairs * 100).toFixed(1)}%`;
+    console.log([
+      String(r.size).padStart(6),
+      `${String(r.pairs).padStart(9)} (${share.padStart(6)} of ${String(r.allPairs).padStart(8)})`,
+      `${r.prepareMs.toFixed(0).padStart(5)}ms`,
+      `${r.matrixMs.toFixed(0).padStart(5)}ms`,
+      `${r.clusterMs.toFixed(0).padStart(5)}ms`,
+      String(Math.round(r.size / (totalMs / 1000))).padStart(8),
+      String(Math.round(r.pairs / (r.matrixMs / 1000))).padStart(9),
+      r.recall === null ? '     -' : `${(r.recall * 100).toFixed(1).padStart(5)}%`
+    ].join(' | '));
+  }
+
+  const rss = process.memoryUsage().rss / 1024 / 1024;
+  console.log(`\n📦 Peak-ish RSS: ${rss.toFixed(0)} MB`);
+  return results;
+}
+
+module.exports = {
+  generateTokens,
+  benchmarkSize,
+  runSimilarityBenchmark
+};
+
+// Run the benchmark if this file is executed directly
+if (require.main === module) {
+  const sizes = process.argv.slice(2).map(Number).filter(n => Number.isInteger(n) && n > 1);
+  runSimilarityBenchmark(sizes.length > 0 ? sizes : DEFAULT_SIZES).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,235 @@
+/**
+ * Test Suite for the Token Similarity Matrix
+ *
+ * Checks that the vectorized matrix agrees with the single-pair similarity,
+ * the sparse matrix API, candidate pruning on large batches, the sparse
+ * TF-IDF pairwise scoring, and clustering a large batch end to end.
+ */
+
+const { SimilarityMatrix, findCandidatePairs } = require('./similarity');
+const { NgramTfidfModel, tokenText } = require('./embeddings');
+const { NarrativeDetectionEngine } = require('./narrative-detection');
+const { generateTokens } = require('./similarity-benchmark');
+
+function createToken(name, symbol, overrides = {}) {
+  return {
+    address: `${symbol.toLowerCase()}${Math.round(Math.random() * 1e9)}`,
+    name,
+    symbol,
+    marketCap: 20000,
+    volume: 5000,
+    priceChange24h: 10,
+    holders: 100,
+    socialMentions: 0,
+    ...overrides
+  };
+}
+
+class SimilarityTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Similarity Matrix Test Suite\n');
+
+    const tests = [
+      { name: 'Matrix Matches Pairwise', test: () => this.testMatrixMatchesPairwise() },
+      { name: 'Sparse Matrix API', test: () => this.testSparseMatrixApi() },
+      { name: 'Candidate Pruning', test: () => this.testCandidatePruning() },
+      { name: 'TF-IDF Pairwise Scoring', test: () => this.testTfidfPairwise() },
+      { name: 'Large Batch Clustering', test: () => this.testLargeBatchClustering() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  /**
+   * Small batches compare every pair, symmetric, with the single-pair scores
+   */
+  async testMatrixMatchesPairwise() {
+    const engine = new NarrativeDetectionEngine();
+    const tokens = [
+      createToken('Doge King', 'DOGEKING', { priceChange24h: 40 }),
+      createToken('Baby Doge', 'BABYDOGE', { volume: 0 }),
+      createToken('GPT Agent', 'GPTA', { priceChange24h: -15, holders: 0 }),
+      createToken('AI Pepe', 'AIPEPE', { socialMentions: 12 }),
+      createToken('Pepe Classic', 'PEPEC', { marketCap: 900000 }),
+      createToken('Moon Rocket', 'MOONR', { priceChange24h: -60, volume: 120000 })
+    ];
+
+    const matrix = await engine.calculateSimilarityMatrix(tokens);
+    const mismatches = [];
+    let symmetric = true;
+
+    for (let i = 0; i < tokens.length; i++) {
+      for (let j = 0; j < tokens.length; j++) {
+        const expected = i === j ? 1 : engine.calculateTokenSimilarity(tokens[i], tokens[j]);
+        if (Math.abs(matrix.get(i, j) - expected) > 1e-9) mismatches.push(`${i},${j}`);
+        if (matrix.get(i, j) !== matrix.get(j, i)) symmetric = false;
+      }
+    }
+
+    const allPairs = tokens.length * (tokens.length - 1) / 2;
+    const passed = mismatches.length === 0 && symmetric && matrix.pairCount === allPairs;
+
+    return {
+      passed,
+      details: passed
+        ? `${matrix.pairCount} pairs match calculateTokenSimilarity, symmetric`
+        : `mismatches: ${mismatches.join(' ') || 'none'}, symmetric ${symmetric}, ${matrix.pairCount}/${allPairs} pairs`
+    };
+  }
+
+  /**
+   * get() answers both orders, 1 on the diagonal, 0 for pairs never compared
+   */
+  async testSparseMatrixApi() {
+    const matrix = SimilarityMatrix.fromPairs(
+      4,
+      Int32Array.from([0, 1, 0]),
+      Int32Array.from([3, 2, 1]),
+      Float64Array.from([0.9, 0.4, 0.2])
+    );
+
+    const passed = matrix.get(0, 3) === 0.9 && matrix.get(3, 0) === 0.9 &&
+      matrix.get(2, 1) === 0.4 &&
+      matrix.get(2, 2) === 1 &&
+      matrix.get(2, 3) === 0 &&
+      matrix.neighbors(0, 0.3).join(',') === '3' &&
+      matrix.neighbors(1, 0).join(',') === '0,2' &&
+      matrix.pairCount === 3 &&
+      JSON.stringify(matrix.toArray()[0]) === JSON.stringify([1, 0.2, 0, 0.9]);
+
+    return {
+      passed,
+      details: passed ? 'lookups, neighbors and dense copy agree' : JSON.stringify(matrix.toArray())
+    };
+  }
+
+  /**
+   * Large batches compare a fraction of all pairs but keep rare-keyword pairs
+   */
+  async testCandidatePruning() {
+    const tokens = generateTokens(2000);
+    // Same rare keyword, market caps three orders of magnitude apart
+    tokens.push(createToken('Quokka Moon', 'QMOON', { marketCap: 4000 }));
+    tokens.push(createToken('Quokka Club', 'QCLUB', { marketCap: 4500000 }));
+    const quokka = [tokens.length - 2, tokens.length - 1];
+
+    const { left, right } = findCandidatePairs(tokens);
+    const keys = new Set();
+    let ordered = true;
+    let keepsRarePair = false;
+    for (let p = 0; p < left.length; p++) {
+      if (left[p] >= right[p]) ordered = false;
+      keys.add(left[p] * tokens.length + right[p]);
+      if (left[p] === quokka[0] && right[p] === quokka[1]) keepsRarePair = true;
+    }
+
+    const allPairs = tokens.length * (tokens.length - 1) / 2;
+    const share = left.length / allPairs;
+    const passed = share < 0.25 && keepsRarePair && ordered && keys.size === left.length;
+
+    return {
+      passed,
+      details: `${left.length} of ${allPairs} pairs (${(share * 100).toFixed(1)}%), rare pair kept: ${keepsRarePair}, unique ordered: ${ordered && keys.size === left.length}`
+    };
+  }
+
+  /**
+   * The sparse pairwise path scores exactly like similarity()
+   */
+  async testTfidfPairwise() {
+    const model = new NgramTfidfModel();
+    const texts = generateTokens(60, 7).map(tokenText);
+    await model.prepare(texts);
+
+    const { left, right } = findCandidatePairs(texts.map(text => ({ name: text })));
+    const scores = model.pairwiseSimilarity(texts, left, right);
+
+    let maxError = 0;
+    for (let p = 0; p < left.length; p++) {
+      maxError = Math.max(maxError, Math.abs(scores[p] - model.similarity(texts[left[p]], texts[right[p]])));
+    }
+
+    return {
+      passed: left.length === 60 * 59 / 2 && maxError < 1e-9,
+      details: `${left.length} pairs, max error ${maxError.toExponential(1)}`
+    };
+  }
+
+  /**
+   * A rare theme in a large pruned batch still forms its own cluster
+   */
+  async testLargeBatchClustering() {
+    const engine = new NarrativeDetectionEngine({ similarityThreshold: 0.6 });
+    const tokens = generateTokens(1500);
+    const zebras = ['Zebra Stripes', 'Zebra Herd', 'Baby Zebra', 'Zebra Safari'].map((name, i) =>
+      createToken(name, `ZEB${i}`, { marketCap: 3000 * Math.pow(10, i), priceChange24h: 60 + i, volume: 20000 })
+    );
+    tokens.push(...zebras);
+
+    const matrix = await engine.calculateSimilarityMatrix(tokens);
+    const clusters = engine.performClustering(tokens, matrix);
+
+    const zebraClusters = clusters.filter(cluster => cluster.tokens.some(token => token.name.includes('Zebra')));
+    const zebrasTogether = zebraClusters.length === 1 &&
+      zebras.every(zebra => zebraClusters[0].tokens.includes(zebra));
+    const clustered = clusters.reduce((sum, cluster) => sum + cluster.tokens.length, 0);
+    const passed = zebrasTogether && clustered <= tokens.length;
+
+    return {
+      passed,
+      details: `${matrix.pairCount} pairs, ${clusters.length} clusters, all zebras in one cluster: ${zebrasTogether}`
+    };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 SIMILARITY MATRIX TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runSimilarityTests() {
+  const tester = new SimilarityTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  SimilarityTester,
+  runSimilarityTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runSimilarityTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
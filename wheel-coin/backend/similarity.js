@@ -0,0 +1,246 @@
+/**
+ * Token Similarity Matrix
+ *
+ * Sparse, symmetric token-to-token similarity for narrative detection.
+ * Comparing every pair is quadratic, so large batches are pruned to
+ * candidate pairs first: tokens that share a keyword (inverted index over
+ * tokenized names) or sit in the same market-cap band. Blocks too big to
+ * compare exhaustively (a keyword every other coin uses, the crowded
+ * sub-$10K band) fall back to a sorted-neighborhood window. Pairs that are
+ * never compared have similarity 0.
+ *
+ * The per-metric functions here are the ones the detection engine's
+ * single-pair methods use, so a matrix entry and calculateTokenSimilarity()
+ * always agree.
+ */
+
+const { tokenize } = require('./tokenizer');
+const { tokenText } = require('./embeddings');
+
+/**
+ * Price movement similarity from two 24h price changes (%)
+ */
+function priceSimilarity(change1, change2) {
+  // If both are positive or both are negative, they're more similar
+  if ((change1 > 0 && change2 > 0) || (change1 < 0 && change2 < 0)) {
+    const diff = Math.abs(change1 - change2);
+    return Math.max(0, 1 - diff / 200); // Normalize by max possible difference
+  }
+
+  return 0.1; // Low similarity for opposite movements
+}
+
+function volumeSimilarity(volume1, volume2) {
+  if (volume1 === 0 && volume2 === 0) return 1;
+  if (volume1 === 0 || volume2 === 0) return 0;
+  return Math.min(volume1, volume2) / Math.max(volume1, volume2);
+}
+
+function socialSimilarity(social1, social2) {
+  if (social1 === 0 && social2 === 0) return 0.5;
+  if (social1 === 0 || social2 === 0) return 0.2;
+  return Math.min(social1, social2) / Math.max(social1, social2);
+}
+
+function holderSimilarity(holders1, holders2) {
+  if (holders1 === 0 && holders2 === 0) return 0.5;
+  if (holders1 === 0 || holders2 === 0) return 0.1;
+  return Math.pow(Math.min(holders1, holders2) / Math.max(holders1, holders2), 0.5); // Square root to reduce the impact
+}
+
+/**
+ * Market-cap band of a token: one band per `bandWidth` orders of magnitude
+ */
+function marketCapBand(marketCap, bandWidth) {
+  return marketCap > 0 ? Math.floor(Math.log10(marketCap) / bandWidth) : 'none';
+}
+
+/**
+ * Pairs of token indices worth comparing
+ * @param {Array<Object>} tokens - Normalized tokens
+ * @param {Object} options - { exhaustiveLimit, maxBlockSize, blockWindow, marketCapBandWidth }
+ * @returns {Object} { left: Int32Array, right: Int32Array } with left[p] < right[p]
+ */
+function findCandidatePairs(tokens, {
+  exhaustiveLimit = 300,
+  maxBlockSize = 400,
+  blockWindow = 50,
+  marketCapBandWidth = 0.5
+} = {}) {
+  const n = tokens.length;
+
+  // Small batches: every pair, exactly as before pruning existed
+  if (n <= exhaustiveLimit) {
+    const count = n * (n - 1) / 2;
+    const left = new Int32Array(count);
+    const right = new Int32Array(count);
+    let p = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        left[p] = i;
+        right[p] = j;
+        p++;
+      }
+    }
+    return { left, right };
+  }
+
+  // Blocks: inverted index on keywords plus market-cap bands
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+
+  const marketCaps = Float64Array.from(tokens, token => token.marketCap || 0);
+  tokens.forEach((token, index) => {
+    new Set(tokenize(tokenText(token))).forEach(term => addToBlock(`term:${term}`, index));
+    addToBlock(`band:${marketCapBand(marketCaps[index], marketCapBandWidth)}`, index);
+  });
+
+  const seen = new Set();
+  const left = [];
+  const right = [];
+  const addPair = (a, b) => {
+    const [i, j] = a < b ? [a, b] : [b, a];
+    const key = i * n + j;
+    if (i === j || seen.has(key)) return;
+    seen.add(key);
+    left.push(i);
+    right.push(j);
+  };
+
+  blocks.forEach(members => {
+    if (members.length <= maxBlockSize) {
+      for (let a = 0; a < members.length; a++) {
+        for (let b = a + 1; b < members.length; b++) addPair(members[a], members[b]);
+      }
+      return;
+    }
+
+    // Sorted neighborhood: compare each token with the next few by market cap
+    const sorted = [...members].sort((a, b) => marketCaps[a] - marketCaps[b] || a - b);
+    for (let a = 0; a < sorted.length; a++) {
+      for (let b = a + 1; b <= a + blockWindow && b < sorted.length; b++) addPair(sorted[a], sorted[b]);
+    }
+  });
+
+  return { left: Int32Array.from(left), right: Int32Array.from(right) };
+}
+
+/**
+ * Symmetric sparse matrix in compressed-row form: row i lists the columns it
+ * was compared with (ascending) and their similarities
+ */
+class SimilarityMatrix {
+  /**
+   * @param {number} size - Number of tokens
+   * @param {Int32Array} rowOffsets - Row i spans columns[rowOffsets[i]..rowOffsets[i + 1])
+   * @param {Int32Array} columns
+   * @param {Float64Array} values
+   */
+  constructor(size, rowOffsets, columns, values) {
+    this.size = size;
+    this.rowOffsets = rowOffsets;
+    this.columns = columns;
+    this.values = values;
+  }
+
+  /**
+   * Build from upper-triangle pairs; each pair is stored in both rows
+   * @param {number} size - Number of tokens
+   * @param {Int32Array} left - First index of each pair
+   * @param {Int32Array} right - Second index of each pair
+   * @param {Float64Array} similarities - Similarity of each pair
+   * @returns {SimilarityMatrix}
+   */
+  static fromPairs(size, left, right, similarities) {
+    const rowOffsets = new Int32Array(size + 1);
+    for (let p = 0; p < left.length; p++) {
+      rowOffsets[left[p] + 1]++;
+      rowOffsets[right[p] + 1]++;
+    }
+    for (let i = 0; i < size; i++) rowOffsets[i + 1] += rowOffsets[i];
+
+    const fill = rowOffsets.slice(0, size);
+    const columns = new Int32Array(left.length * 2);
+    const values = new Float64Array(left.length * 2);
+    for (let p = 0; p < left.length; p++) {
+      const i = left[p];
+      const j = right[p];
+      columns[fill[i]] = j;
+      values[fill[i]++] = similarities[p];
+      columns[fill[j]] = i;
+      values[fill[j]++] = similarities[p];
+    }
+
+    // Sort each row by column so get() can binary search
+    for (let i = 0; i < size; i++) {
+      const start = rowOffsets[i];
+      const end = rowOffsets[i + 1];
+      const order = Array.from({ length: end - start }, (_, k) => start + k)
+        .sort((a, b) => columns[a] - columns[b]);
+      const rowColumns = order.map(k => columns[k]);
+      const rowValues = order.map(k => values[k]);
+      columns.set(rowColumns, start);
+      values.set(rowValues, start);
+    }
+
+    return new SimilarityMatrix(size, rowOffsets, columns, values);
+  }
+
+  /**
+   * Number of stored pairs (each counted once)
+   */
+  get pairCount() {
+    return this.columns.length / 2;
+  }
+
+  /**
+   * Similarity of tokens i and j: 1 on the diagonal, 0 for pairs never compared
+   */
+  get(i, j) {
+    if (i === j) return 1;
+
+    let low = this.rowOffsets[i];
+    let high = this.rowOffsets[i + 1] - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const column = this.columns[mid];
+      if (column === j) return this.values[mid];
+      if (column < j) low = mid + 1;
+      else high = mid - 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Indices of the tokens at least `threshold` similar to token i
+   */
+  neighbors(i, threshold) {
+    const result = [];
+    for (let k = this.rowOffsets[i]; k < this.rowOffsets[i + 1]; k++) {
+      if (this.values[k] >= threshold) result.push(this.columns[k]);
+    }
+    return result;
+  }
+
+  /**
+   * Dense copy as nested arrays (debugging and small inputs only)
+   */
+  toArray() {
+    return Array.from({ length: this.size }, (_, i) =>
+      Array.from({ length: this.size }, (_, j) => this.get(i, j))
+    );
+  }
+}
+
+module.exports = {
+  SimilarityMatrix,
+  findCandidatePairs,
+  marketCapBand,
+  priceSimilarity,
+  volumeSimilarity,
+  socialSimilarity,
+  holderSimilarity
+};
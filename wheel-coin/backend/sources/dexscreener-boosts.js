@@ -0,0 +1,42 @@
+/**
+ * DexScreener Boosts Source
+ *
+ * Reads the latest boosted tokens from DexScreener's public API.
+ */
+
+const TokenSourceAdapter = require('./source-adapter');
+
+class DexScreenerBoostsAdapter extends TokenSourceAdapter {
+  constructor(config = {}) {
+    super('dexscreener-boosts', {
+      baseUrl: 'https://api.dexscreener.com',
+      limit: 15,
+      ...config
+    });
+  }
+
+  async fetchRaw(cutoffTime, signal) {
+    const boostedTokens = await this.fetchJson(`${this.config.baseUrl}/token-boosts/latest/v1`, signal);
+    console.log(`✅ Found ${boostedTokens.length} boosted tokens`);
+    return boostedTokens;
+  }
+
+  normalize(token) {
+    if (!token.tokenAddress) return null;
+
+    // Boost records carry no holder, social or creation data - those stay missing
+    return this.createToken({
+      address: token.tokenAddress,
+      name: token.tokenName,
+      symbol: token.tokenSymbol,
+      price: token.priceUsd,
+      volume24h: token.volume24h,
+      marketCap: token.marketCap,
+      priceChange24h: token.priceChange24h,
+      holders: token.holders,
+      liquidity: token.liquidity
+    });
+  }
+}
+
+module.exports = DexScreenerBoostsAdapter;
@@ -0,0 +1,64 @@
+/**
+ * Token Sources
+ *
+ * Entry point for the ingestion layer. `createSourceRegistry()` builds a
+ * registry with every built-in adapter and enables the ones selected for
+ * this deployment (config `enabledSources` or the TOKEN_SOURCES env var).
+ */
+
+const TokenSourceAdapter = require('./source-adapter');
+const TokenSourceRegistry = require('./registry');
+const DexScreenerBoostsAdapter = require('./dexscreener-boosts');
+const PumpFunAdapter = require('./pumpfun');
+
+// Built-in adapter factories by name
+const BUILT_IN_SOURCES = {
+  'dexscreener-boosts': config => new DexScreenerBoostsAdapter(config),
+  'pumpfun-new': config => new PumpFunAdapter({ ...config, feed: 'new' }),
+  'pumpfun-trending': config => new PumpFunAdapter({ ...config, feed: 'trending' })
+};
+
+const DEFAULT_ENABLED_SOURCES = ['dexscreener-boosts', 'pumpfun-new', 'pumpfun-trending'];
+
+/**
+ * Parse a comma separated source list such as "dexscreener-boosts,pumpfun-new"
+ */
+function parseSourceList(value) {
+  if (!value) return null;
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Create a registry with the built-in adapters
+ * @param {Object} config - { enabledSources, sourceConfig: { [name]: adapterConfig }, sourceTimeout }
+ * @returns {TokenSourceRegistry}
+ */
+function createSourceRegistry(config = {}) {
+  const enabledSources = config.enabledSources
+    || parseSourceList(process.env.TOKEN_SOURCES)
+    || DEFAULT_ENABLED_SOURCES;
+  const sourceConfig = config.sourceConfig || {};
+
+  const registry = new TokenSourceRegistry({ sourceTimeout: config.sourceTimeout });
+
+  Object.entries(BUILT_IN_SOURCES).forEach(([name, createAdapter]) => {
+    registry.register(createAdapter(sourceConfig[name]), {
+      enabled: enabledSources.includes(name)
+    });
+  });
+
+  enabledSources
+    .filter(name => !BUILT_IN_SOURCES[name])
+    .forEach(name => console.warn(`⚠️ Unknown token source "${name}" ignored`));
+
+  return registry;
+}
+
+module.exports = {
+  TokenSourceAdapter,
+  TokenSourceRegistry,
+  DexScreenerBoostsAdapter,
+  PumpFunAdapter,
+  BUILT_IN_SOURCES,
+  createSourceRegistry
+};
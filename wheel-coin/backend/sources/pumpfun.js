@@ -0,0 +1,105 @@
+/**
+ * Pump.fun Source
+ *
+ * Reads new and trending coins from the Pump.fun frontend API, including the
+ * bonding-curve state that tells a graduated coin (migrated to Raydium) apart
+ * from one still trading on the curve.
+ */
+
+const TokenSourceAdapter = require('./source-adapter');
+const { toMetric } = require('../provenance');
+
+// Tokens sold through the curve before it completes (793.1M of 1B supply, 6 decimals)
+const INITIAL_REAL_TOKEN_RESERVES = 793100000 * 1e6;
+
+const FEED_PATHS = {
+  new: '/coins?offset=0&limit=50&sort=created_timestamp&order=DESC&includeNsfw=true',
+  trending: '/coins/trending'
+};
+
+class PumpFunAdapter extends TokenSourceAdapter {
+  /**
+   * @param {Object} config - { feed: 'new' | 'trending', baseUrl, excludeNsfw, tokenDecimals }
+   */
+  constructor(config = {}) {
+    const feed = config.feed || 'new';
+
+    if (!FEED_PATHS[feed]) {
+      throw new Error(`Unknown Pump.fun feed: ${feed}`);
+    }
+
+    super(`pumpfun-${feed}`, {
+      baseUrl: process.env.PUMPFUN_API_URL || 'https://frontend-api.pump.fun',
+      excludeNsfw: false,
+      tokenDecimals: 6,
+      ...config,
+      feed
+    });
+  }
+
+  async fetchRaw(cutoffTime, signal) {
+    const coins = await this.fetchJson(`${this.config.baseUrl}${FEED_PATHS[this.config.feed]}`, signal);
+
+    if (!Array.isArray(coins)) {
+      throw new Error('Unexpected Pump.fun response shape');
+    }
+
+    console.log(`✅ Retrieved ${coins.length} ${this.config.feed} coins from Pump.fun`);
+    return coins;
+  }
+
+  normalize(coin) {
+    if (!coin || !coin.mint) return null;
+    if (this.config.excludeNsfw && coin.nsfw) return null;
+
+    const marketCap = toMetric(coin.usd_market_cap);
+    const supply = toMetric(coin.total_supply) / Math.pow(10, this.config.tokenDecimals);
+
+    return this.createToken({
+      address: coin.mint,
+      name: coin.name,
+      symbol: coin.symbol,
+      price: marketCap !== null && supply > 0 ? marketCap / supply : null,
+      marketCap,
+      volume24h: coin.volume_24h_usd,
+      priceChange24h: coin.price_change_24h,
+      holders: coin.holder_count,
+      liquidity: coin.liquidity_usd,
+      created: coin.created_timestamp,
+      description: coin.description || '',
+      website: coin.website || null,
+      twitter: coin.twitter || null,
+      telegram: coin.telegram || null,
+      pumpFunData: this.extractBondingCurveState(coin)
+    }, ['price']);
+  }
+
+  /**
+   * Bonding-curve fields carried on every Pump.fun token
+   */
+  extractBondingCurveState(coin) {
+    const complete = Boolean(coin.complete);
+
+    return {
+      bondingCurveComplete: complete,
+      bondingCurveProgress: this.calculateBondingCurveProgress(coin, complete),
+      kingOfHill: coin.king_of_the_hill_timestamp || null,
+      raydiumPool: coin.raydium_pool || null,
+      nsfw: Boolean(coin.nsfw),
+      showName: coin.show_name !== false
+    };
+  }
+
+  /**
+   * Share of the curve sold, 0-100. Null when the API omits reserve data.
+   */
+  calculateBondingCurveProgress(coin, complete) {
+    if (complete) return 100;
+    if (coin.real_token_reserves === undefined || coin.real_token_reserves === null) return null;
+
+    const remaining = parseFloat(coin.real_token_reserves) / INITIAL_REAL_TOKEN_RESERVES;
+    return Math.round(Math.max(0, Math.min(1, 1 - remaining)) * 1000) / 10;
+  }
+}
+
+module.exports = PumpFunAdapter;
@@ -0,0 +1,122 @@
+/**
+ * Token Source Registry
+ *
+ * Holds every known token source adapter and the subset enabled for this
+ * deployment. Collection fans out to all enabled adapters in parallel so a
+ * slow or broken feed never blocks the others.
+ */
+
+class TokenSourceRegistry {
+  constructor(config = {}) {
+    this.config = {
+      ...config,
+      sourceTimeout: config.sourceTimeout || 15000 // Upper bound for a single adapter during fan-out
+    };
+
+    this.adapters = new Map();
+    this.enabled = new Set();
+  }
+
+  /**
+   * Register an adapter
+   * @param {TokenSourceAdapter} adapter - Adapter instance
+   * @param {Object} options - { enabled: boolean }
+   * @returns {TokenSourceRegistry} this, for chaining
+   */
+  register(adapter, { enabled = true } = {}) {
+    if (!adapter || !adapter.name) {
+      throw new Error('Token source adapters must have a name');
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    if (enabled) {
+      this.enabled.add(adapter.name);
+    } else {
+      this.enabled.delete(adapter.name);
+    }
+
+    return this;
+  }
+
+  unregister(name) {
+    this.enabled.delete(name);
+    return this.adapters.delete(name);
+  }
+
+  enable(name) {
+    if (!this.adapters.has(name)) {
+      throw new Error(`Unknown token source: ${name}`);
+    }
+    this.enabled.add(name);
+  }
+
+  disable(name) {
+    this.enabled.delete(name);
+  }
+
+  isEnabled(name) {
+    return this.enabled.has(name);
+  }
+
+  getAdapter(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  getEnabledAdapters() {
+    return Array.from(this.enabled).map(name => this.adapters.get(name));
+  }
+
+  /**
+   * Fetch tokens from every enabled adapter
+   * @param {number} cutoffTime - Only tokens created after this timestamp are kept
+   * @returns {Promise<Array>} Normalized tokens from all sources, tagged with `source`
+   */
+  async collectTokens(cutoffTime = 0) {
+    const adapters = this.getEnabledAdapters();
+
+    if (adapters.length === 0) {
+      console.warn('⚠️ No token sources enabled');
+      return [];
+    }
+
+    const results = await Promise.all(adapters.map(adapter =>
+      this.fetchWithTimeout(adapter, cutoffTime)
+    ));
+
+    const tokens = results.flat();
+    console.log(`📥 Collected ${tokens.length} tokens from ${adapters.length} source(s)`);
+    return tokens;
+  }
+
+  /**
+   * Health of every registered adapter
+   * @returns {Array} Health snapshots with an `enabled` flag
+   */
+  getHealth() {
+    return Array.from(this.adapters.values()).map(adapter => ({
+      ...adapter.getHealth(),
+      enabled: this.enabled.has(adapter.name)
+    }));
+  }
+
+  // A source that misses the deadline yields no tokens this cycle and counts as a failure in its
+  // health; its fetch is aborted, so an answer arriving later cannot report it healthy again
+  fetchWithTimeout(adapter, cutoffTime) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => {
+        const message = `Timed out after ${this.config.sourceTimeout}ms`;
+        controller.abort();
+        console.warn(`⚠️ Token source "${adapter.name}" ${message.toLowerCase()}`);
+        adapter.recordFailure(this.config.sourceTimeout, new Error(message));
+        resolve([]);
+      }, this.config.sourceTimeout);
+    });
+
+    return Promise.race([adapter.fetchTokens(cutoffTime, { signal: controller.signal }), timeout])
+      .finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = TokenSourceRegistry;
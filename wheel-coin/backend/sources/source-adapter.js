@@ -0,0 +1,169 @@
+/**
+ * Token Source Adapter
+ *
+ * Base class for every token feed used by the ingestion layer. An adapter
+ * knows how to fetch raw records from one upstream API, normalize them into
+ * the token shape expected by the narrative engines, and report its health.
+ */
+
+const fetch = require('node-fetch');
+const { TOKEN_METRICS, toMetric, tagTokenMetrics } = require('../provenance');
+
+class TokenSourceAdapter {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = {
+      baseUrl: null,
+      timeout: 8000,
+      limit: 50,
+      userAgent: 'TrendWheel/1.0',
+      ...config
+    };
+
+    this.health = {
+      status: 'unknown', // unknown, healthy, degraded, down
+      lastSuccess: null,
+      lastFailure: null,
+      lastError: null,
+      lastLatencyMs: null,
+      lastTokenCount: 0,
+      consecutiveFailures: 0,
+      totalRequests: 0,
+      totalFailures: 0
+    };
+  }
+
+  /**
+   * Fetch raw records from the upstream API
+   * @param {number} cutoffTime - Only records created after this timestamp are wanted
+   * @param {AbortSignal} signal - Aborted when the caller stops waiting (pass it to fetchJson)
+   * @returns {Promise<Array>} Raw upstream records
+   */
+  async fetchRaw(cutoffTime, signal) {
+    throw new Error(`Source adapter "${this.name}" does not implement fetchRaw()`);
+  }
+
+  /**
+   * Normalize one raw record into the engine token shape
+   * @param {Object} raw - Raw upstream record
+   * @returns {Object|null} Normalized token, or null to drop the record
+   */
+  normalize(raw) {
+    throw new Error(`Source adapter "${this.name}" does not implement normalize()`);
+  }
+
+  /**
+   * Fetch and normalize tokens, recording health along the way.
+   * Never throws - a failing source yields an empty list.
+   * @param {number} cutoffTime - Only tokens created after this timestamp are kept
+   * @param {Object} options - { signal }: once aborted, the fetch is abandoned
+   *   and its outcome left out of the health (the caller records it)
+   * @returns {Promise<Array>} Normalized tokens
+   */
+  async fetchTokens(cutoffTime = 0, { signal } = {}) {
+    const startTime = Date.now();
+    this.health.totalRequests++;
+
+    try {
+      const records = await this.fetchRaw(cutoffTime, signal);
+      if (signal?.aborted) return [];
+
+      const tokens = (Array.isArray(records) ? records : [])
+        .map(record => this.normalize(record))
+        .filter(Boolean)
+        .filter(token => !token.created || token.created >= cutoffTime)
+        .slice(0, this.config.limit)
+        .map(token => ({ ...token, source: this.name }));
+
+      this.recordSuccess(Date.now() - startTime, tokens.length);
+      return tokens;
+
+    } catch (error) {
+      if (signal?.aborted) return [];
+
+      console.error(`❌ Token source "${this.name}" failed:`, error.message);
+      this.recordFailure(Date.now() - startTime, error);
+      return [];
+    }
+  }
+
+  /**
+   * Report adapter health
+   * @returns {Object} Health snapshot
+   */
+  getHealth() {
+    return { name: this.name, ...this.health };
+  }
+
+  recordSuccess(latencyMs, tokenCount) {
+    this.health.status = tokenCount > 0 ? 'healthy' : 'degraded';
+    this.health.lastSuccess = new Date().toISOString();
+    this.health.lastLatencyMs = latencyMs;
+    this.health.lastTokenCount = tokenCount;
+    this.health.consecutiveFailures = 0;
+  }
+
+  recordFailure(latencyMs, error) {
+    this.health.consecutiveFailures++;
+    this.health.totalFailures++;
+    this.health.status = this.health.consecutiveFailures >= 3 ? 'down' : 'degraded';
+    this.health.lastFailure = new Date().toISOString();
+    this.health.lastError = error.message;
+    this.health.lastLatencyMs = latencyMs;
+    this.health.lastTokenCount = 0;
+  }
+
+  /**
+   * GET a JSON document from the upstream API
+   * @param {string} url
+   * @param {AbortSignal} signal - Aborts the request
+   */
+  async fetchJson(url, signal) {
+    const response = await fetch(url, {
+      timeout: this.config.timeout,
+      signal,
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': this.config.userAgent
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Build the engine token shape. Both `volume` and `volume24h` are set because
+   * the detection engine reads the former and the scorer reads the latter.
+   * Metrics the upstream API does not provide stay null and are tagged
+   * 'missing' in `token.provenance`.
+   * @param {Object} fields - Token fields from the upstream record
+   * @param {Array<string>} derivedFields - Metrics the adapter computed itself
+   */
+  createToken(fields, derivedFields = []) {
+    const provided = Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== undefined)
+    );
+
+    const metrics = {};
+    TOKEN_METRICS.forEach(metric => {
+      metrics[metric] = toMetric(metric === 'volume24h' ? provided.volume24h ?? provided.volume : provided[metric]);
+    });
+
+    const token = {
+      ...provided,
+      name: provided.name || 'Unknown Token',
+      symbol: provided.symbol || 'UNK',
+      ...metrics,
+      volume: metrics.volume24h
+    };
+
+    token.provenance = tagTokenMetrics(token, derivedFields);
+    return token;
+  }
+}
+
+module.exports = TokenSourceAdapter;
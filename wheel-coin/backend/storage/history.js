@@ -0,0 +1,139 @@
+/**
+ * Narrative History
+ *
+ * Time-series queries over stored wheel snapshots. Raw snapshots are taken
+ * once per aggregation cycle; history is returned in fixed 1m/5m/1h buckets
+ * so charts get an evenly spaced series regardless of compaction.
+ */
+
+const { averageMetric } = require('../provenance');
+const { buildLineageDag } = require('../lineage');
+const { selectBucketLast } = require('./snapshot-store');
+
+const RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+const DEFAULT_WINDOW = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 5000;
+
+/**
+ * Parse an ISO date or epoch milliseconds value
+ * @param {string|number} value
+ * @returns {number|null} Epoch milliseconds, or null when unparseable
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? parseInt(value, 10) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Validate history query parameters
+ * @param {Object} query - { from, to, resolution } from the request query string
+ * @returns {Object} { from, to, resolution, bucketMs } - throws on invalid input
+ */
+function parseHistoryQuery(query = {}, now = Date.now()) {
+  const to = query.to !== undefined ? parseTimestamp(query.to) : now;
+  const from = query.from !== undefined ? parseTimestamp(query.from) : to - DEFAULT_WINDOW;
+  const resolution = query.resolution || '5m';
+  const bucketMs = RESOLUTIONS[resolution];
+
+  if (from === null || to === null) {
+    throw new Error('from and to must be ISO dates or epoch milliseconds');
+  }
+  if (from > to) {
+    throw new Error('from must be before to');
+  }
+  if (!bucketMs) {
+    throw new Error(`resolution must be one of ${Object.keys(RESOLUTIONS).join(', ')}`);
+  }
+  if ((to - from) / bucketMs > MAX_BUCKETS) {
+    throw new Error(`Range spans more than ${MAX_BUCKETS} buckets - use a coarser resolution`);
+  }
+
+  return { from, to, resolution, bucketMs };
+}
+
+/**
+ * Score, volume, token count, lifecycle and rank of one narrative over time
+ * @param {SnapshotStore} store - Snapshot store
+ * @param {string} name - Narrative name (case-insensitive)
+ * @param {Object} query - Output of parseHistoryQuery()
+ * @returns {Promise<Array>} One point per bucket with data, oldest first
+ */
+async function getNarrativeHistory(store, name, { from, to, bucketMs }) {
+  const target = name.toUpperCase();
+  const snapshots = await store.getSnapshots({ from, to });
+  const buckets = new Map();
+
+  snapshots.forEach(snapshot => {
+    const narrative = snapshot.narratives.find(n => n.name.toUpperCase() === target);
+    if (!narrative) return;
+
+    const bucket = Math.floor(snapshot.time / bucketMs) * bucketMs;
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(narrative);
+  });
+
+  return Array.from(buckets.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([bucket, samples]) => summarizeBucket(bucket, samples));
+}
+
+/**
+ * Collapse every sample in a bucket into one point: numeric values are
+ * averaged, rank is the best rank held, lifecycle is the latest seen
+ */
+function summarizeBucket(bucket, samples) {
+  const latest = samples[samples.length - 1];
+  const tokenCount = averageMetric(samples.map(s => (s.tokens || []).length));
+
+  return {
+    timestamp: new Date(bucket).toISOString(),
+    score: roundMetric(averageMetric(samples.map(s => s.score))),
+    volume: roundMetric(averageMetric(samples.map(s => s.volume))),
+    tokenCount: Math.round(tokenCount),
+    lifecycle: latest.lifecycle,
+    rank: Math.min(...samples.map(s => s.rank)),
+    samples: samples.length
+  };
+}
+
+/**
+ * Lineage DAG of the wheel's narratives: one generation per bucket (the last
+ * snapshot in it), linked by token Jaccard between consecutive generations
+ * @param {SnapshotStore} store - Snapshot store
+ * @param {Object} query - Output of parseHistoryQuery()
+ * @param {Object} options - { minJaccard }
+ * @returns {Promise<Object>} { nodes, links, events }
+ */
+async function getNarrativeLineage(store, { from, to, bucketMs }, options = {}) {
+  const snapshots = selectBucketLast(await store.getSnapshots({ from, to }), bucketMs);
+
+  const generations = snapshots.map(snapshot => ({
+    time: snapshot.time,
+    groups: snapshot.narratives.map(narrative => ({
+      id: narrative.id || narrative.name,
+      name: narrative.name,
+      tokens: narrative.tokens || [],
+      score: narrative.score
+    }))
+  }));
+
+  return buildLineageDag(generations, options);
+}
+
+function roundMetric(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  RESOLUTIONS,
+  parseTimestamp,
+  parseHistoryQuery,
+  getNarrativeHistory,
+  getNarrativeLineage
+};
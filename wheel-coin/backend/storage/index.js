@@ -0,0 +1,98 @@
+/**
+ * Snapshot Storage
+ *
+ * Entry point for wheel history persistence. `createSnapshotStore()` picks the
+ * backend from config `store` or the SNAPSHOT_STORE env var (jsonl by default,
+ * sqlite, or none to disable persistence). `TokenMetricsStore` keeps the
+ * rolling per-token metric series the feature extractors read.
+ */
+
+const SnapshotStore = require('./snapshot-store');
+const JsonlSnapshotStore = require('./jsonl-store');
+const SqliteSnapshotStore = require('./sqlite-store');
+const TokenMetricsStore = require('./token-metrics');
+const {
+  RESOLUTIONS,
+  parseTimestamp,
+  parseHistoryQuery,
+  getNarrativeHistory,
+  getNarrativeLineage
+} = require('./history');
+
+const SNAPSHOT_STORES = {
+  jsonl: config => new JsonlSnapshotStore(config),
+  sqlite: config => new SqliteSnapshotStore(config)
+};
+
+/**
+ * Create the configured snapshot store
+ * @param {Object} config - { store, dataDir, dbPath, retentionDays, compactAfterHours, compactResolutionMinutes }
+ * @returns {SnapshotStore|null} Store, or null when persistence is disabled
+ */
+function createSnapshotStore(config = {}) {
+  const { store: storeName = process.env.SNAPSHOT_STORE || 'jsonl', ...storeConfig } = config;
+
+  if (storeName === 'none') return null;
+
+  if (!SNAPSHOT_STORES[storeName]) {
+    throw new Error(`Unknown snapshot store "${storeName}" (expected ${Object.keys(SNAPSHOT_STORES).join(', ')} or none)`);
+  }
+
+  if (process.env.SNAPSHOT_DIR && !storeConfig.dataDir) {
+    storeConfig.dataDir = process.env.SNAPSHOT_DIR;
+  }
+  if (process.env.SNAPSHOT_RETENTION_DAYS && !storeConfig.retentionDays) {
+    storeConfig.retentionDays = parseFloat(process.env.SNAPSHOT_RETENTION_DAYS);
+  }
+
+  return SNAPSHOT_STORES[storeName](storeConfig);
+}
+
+/**
+ * Build a snapshot record from the current wheel state
+ * @param {Object} state - wheelState from index.js
+ * @param {number} time - Snapshot time in epoch milliseconds
+ * @returns {Object} Snapshot with narratives ranked by score
+ */
+function buildSnapshot(state, time = Date.now()) {
+  const narratives = Object.values(state.narratives || {})
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+    .map((narrative, index) => ({
+      id: narrative.id ?? null,
+      name: narrative.name,
+      rank: index + 1,
+      score: narrative.score ?? null,
+      volume: narrative.volume ?? null,
+      liquidity: narrative.liquidity ?? null,
+      mentions: narrative.mentions ?? null,
+      socialScore: narrative.socialScore ?? null,
+      confidence: narrative.confidence ?? null,
+      lifecycle: narrative.lifecycle ?? null,
+      trending: narrative.trending ?? null,
+      tokens: (narrative.tokens || []).map(token => token.address)
+    }));
+
+  return {
+    time,
+    timestamp: new Date(time).toISOString(),
+    status: state.status,
+    dataSource: state.dataSource || null,
+    tokenData: state.tokenData || {},
+    narratives
+  };
+}
+
+module.exports = {
+  SnapshotStore,
+  JsonlSnapshotStore,
+  SqliteSnapshotStore,
+  TokenMetricsStore,
+  SNAPSHOT_STORES,
+  createSnapshotStore,
+  buildSnapshot,
+  RESOLUTIONS,
+  parseTimestamp,
+  parseHistoryQuery,
+  getNarrativeHistory,
+  getNarrativeLineage
+};
@@ -0,0 +1,147 @@
+/**
+ * JSONL Snapshot Store
+ *
+ * Append-only store with one JSON snapshot per line, partitioned into one
+ * file per UTC day (snapshots-YYYY-MM-DD.jsonl). Needs no extra dependencies.
+ * Retention deletes whole day files; compaction rewrites a day file through a
+ * temp file and rename so a crash never leaves it half written.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const SnapshotStore = require('./snapshot-store');
+
+const FILE_PATTERN = /^snapshots-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+class JsonlSnapshotStore extends SnapshotStore {
+  /**
+   * @param {Object} config - { dataDir, retentionDays, compactAfterHours, compactResolutionMinutes }
+   */
+  constructor(config = {}) {
+    super('jsonl', {
+      dataDir: path.join(__dirname, '../../data/snapshots'),
+      ...config
+    });
+  }
+
+  async init() {
+    await fs.mkdir(this.config.dataDir, { recursive: true });
+  }
+
+  async append(snapshot) {
+    await fs.appendFile(this.getFilePath(snapshot.time), JSON.stringify(snapshot) + '\n');
+  }
+
+  async getSnapshots({ from = 0, to = Date.now() } = {}) {
+    const snapshots = [];
+
+    for (const day of await this.listDays()) {
+      const dayStart = Date.parse(day);
+      if (dayStart > to || dayStart + DAY <= from) continue;
+
+      const daySnapshots = await this.readDay(day);
+      snapshots.push(...daySnapshots.filter(s => s.time >= from && s.time <= to));
+    }
+
+    return snapshots.sort((a, b) => a.time - b.time);
+  }
+
+  async getSnapshotAt(timestamp) {
+    // Newest day file first: only the first day holding an earlier snapshot is read
+    const days = (await this.listDays()).filter(day => Date.parse(day) <= timestamp).reverse();
+
+    for (const day of days) {
+      const latest = (await this.readDay(day))
+        .filter(s => s.time <= timestamp)
+        .reduce((best, s) => (!best || s.time >= best.time ? s : best), null);
+      if (latest) return latest;
+    }
+
+    return null;
+  }
+
+  async deleteBefore(cutoff) {
+    let removed = 0;
+
+    for (const day of await this.listDays()) {
+      const dayStart = Date.parse(day);
+      if (dayStart >= cutoff) continue;
+
+      const daySnapshots = await this.readDay(day);
+      const kept = daySnapshots.filter(s => s.time >= cutoff);
+      removed += daySnapshots.length - kept.length;
+
+      if (kept.length === 0) {
+        await fs.unlink(this.getFilePath(dayStart));
+      } else if (kept.length < daySnapshots.length) {
+        await this.writeDay(day, kept);
+      }
+    }
+
+    return removed;
+  }
+
+  async replaceRange({ from, to }, snapshots) {
+    for (const day of await this.listDays()) {
+      const dayStart = Date.parse(day);
+      if (dayStart > to || dayStart + DAY <= from) continue;
+
+      const outside = (await this.readDay(day)).filter(s => s.time < from || s.time > to);
+      const inside = snapshots.filter(s => s.time >= dayStart && s.time < dayStart + DAY);
+      await this.writeDay(day, [...outside, ...inside].sort((a, b) => a.time - b.time));
+    }
+  }
+
+  /**
+   * Days with a snapshot file, oldest first
+   * @returns {Promise<Array<string>>} YYYY-MM-DD strings
+   */
+  async listDays() {
+    let files;
+    try {
+      files = await fs.readdir(this.config.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return files
+      .map(file => FILE_PATTERN.exec(file))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+  }
+
+  async readDay(day) {
+    const content = await fs.readFile(this.getFilePath(Date.parse(day)), 'utf8');
+    const snapshots = [];
+
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        snapshots.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        console.warn(`⚠️ Skipping unreadable snapshot line ${index + 1} in ${day}`);
+      }
+    });
+
+    return snapshots;
+  }
+
+  async writeDay(day, snapshots) {
+    const filePath = this.getFilePath(Date.parse(day));
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.writeFile(tempPath, snapshots.map(s => JSON.stringify(s) + '\n').join(''));
+    await fs.rename(tempPath, filePath);
+  }
+
+  getFilePath(time) {
+    const day = new Date(time).toISOString().slice(0, 10);
+    return path.join(this.config.dataDir, `snapshots-${day}.jsonl`);
+  }
+}
+
+module.exports = JsonlSnapshotStore;
@@ -0,0 +1,140 @@
+/**
+ * Snapshot Store
+ *
+ * Base class for wheel snapshot persistence. Every aggregation cycle is
+ * recorded as one snapshot (status, narratives, scores and token membership)
+ * so wheel history survives restarts. Backends implement the storage
+ * primitives; retention and compaction policy lives here.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class SnapshotStore {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = {
+      retentionDays: 30,           // Drop snapshots older than this
+      compactAfterHours: 24,       // Downsample snapshots older than this
+      compactResolutionMinutes: 15, // Keep one snapshot per bucket once compacted
+      ...config
+    };
+  }
+
+  /**
+   * Prepare the backend (create files, tables, directories)
+   */
+  async init() {}
+
+  /**
+   * Persist one snapshot
+   * @param {Object} snapshot - Snapshot built by buildSnapshot()
+   */
+  async append(snapshot) {
+    throw new Error(`Snapshot store "${this.name}" does not implement append()`);
+  }
+
+  /**
+   * Read snapshots in a time range, oldest first
+   * @param {Object} range - { from, to } as epoch milliseconds (inclusive)
+   * @returns {Promise<Array>} Snapshots
+   */
+  async getSnapshots({ from = 0, to = Date.now() } = {}) {
+    throw new Error(`Snapshot store "${this.name}" does not implement getSnapshots()`);
+  }
+
+  /**
+   * Remove every snapshot older than the cutoff
+   * @param {number} cutoff - Epoch milliseconds
+   * @returns {Promise<number>} Number of snapshots removed
+   */
+  async deleteBefore(cutoff) {
+    throw new Error(`Snapshot store "${this.name}" does not implement deleteBefore()`);
+  }
+
+  /**
+   * Replace the snapshots in a time range with a reduced set
+   * @param {Object} range - { from, to } as epoch milliseconds (inclusive)
+   * @param {Array} snapshots - Snapshots to keep, oldest first
+   */
+  async replaceRange(range, snapshots) {
+    throw new Error(`Snapshot store "${this.name}" does not implement replaceRange()`);
+  }
+
+  async close() {}
+
+  /**
+   * Latest snapshot taken at or before a timestamp
+   * @param {number} timestamp - Epoch milliseconds
+   * @returns {Promise<Object|null>}
+   */
+  async getSnapshotAt(timestamp) {
+    throw new Error(`Snapshot store "${this.name}" does not implement getSnapshotAt()`);
+  }
+
+  /**
+   * Drop snapshots outside the retention window
+   * @returns {Promise<number>} Number of snapshots removed
+   */
+  async applyRetention(now = Date.now()) {
+    const removed = await this.deleteBefore(now - this.config.retentionDays * DAY);
+
+    if (removed > 0) {
+      console.log(`🗑️ Snapshot retention removed ${removed} snapshots older than ${this.config.retentionDays} days`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Downsample snapshots older than compactAfterHours to one per bucket,
+   * keeping the last snapshot of each bucket
+   * @returns {Promise<number>} Number of snapshots removed
+   */
+  async compact(now = Date.now()) {
+    const range = { from: 0, to: now - this.config.compactAfterHours * HOUR };
+    const snapshots = await this.getSnapshots(range);
+    const kept = selectBucketLast(snapshots, this.config.compactResolutionMinutes * 60 * 1000);
+    const removed = snapshots.length - kept.length;
+
+    if (removed > 0) {
+      await this.replaceRange(range, kept);
+      console.log(`🗜️ Snapshot compaction removed ${removed} snapshots (${kept.length} kept)`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Run retention then compaction. Never throws.
+   */
+  async runMaintenance(now = Date.now()) {
+    try {
+      const expired = await this.applyRetention(now);
+      const compacted = await this.compact(now);
+      return { expired, compacted };
+    } catch (error) {
+      console.error(`❌ Snapshot maintenance failed (${this.name}):`, error.message);
+      return { expired: 0, compacted: 0, error: error.message };
+    }
+  }
+}
+
+/**
+ * Keep the last snapshot of every time bucket
+ * @param {Array} snapshots - Snapshots sorted oldest first
+ * @param {number} bucketMs - Bucket width in milliseconds
+ * @returns {Array} Reduced snapshots, oldest first
+ */
+function selectBucketLast(snapshots, bucketMs) {
+  const buckets = new Map();
+
+  snapshots.forEach(snapshot => {
+    buckets.set(Math.floor(snapshot.time / bucketMs), snapshot);
+  });
+
+  return Array.from(buckets.values());
+}
+
+module.exports = SnapshotStore;
+module.exports.selectBucketLast = selectBucketLast;
@@ -0,0 +1,91 @@
+/**
+ * SQLite Snapshot Store
+ *
+ * Embedded SQLite backend built on better-sqlite3, which is loaded lazily so
+ * deployments on the default JSONL store do not need the native module. It
+ * is an optional dependency: `npm install` adds it wherever it builds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SnapshotStore = require('./snapshot-store');
+
+class SqliteSnapshotStore extends SnapshotStore {
+  /**
+   * @param {Object} config - { dbPath, retentionDays, compactAfterHours, compactResolutionMinutes }
+   */
+  constructor(config = {}) {
+    super('sqlite', {
+      dbPath: path.join(__dirname, '../../data/snapshots.db'),
+      ...config
+    });
+
+    this.db = null;
+  }
+
+  async init() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite snapshot store requires better-sqlite3 (an optional dependency that failed to install)');
+    }
+
+    fs.mkdirSync(path.dirname(this.config.dbPath), { recursive: true });
+
+    this.db = new Database(this.config.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS snapshots (
+        time INTEGER PRIMARY KEY,
+        status TEXT,
+        data TEXT NOT NULL
+      )
+    `);
+
+    this.statements = {
+      insert: this.db.prepare('INSERT OR REPLACE INTO snapshots (time, status, data) VALUES (?, ?, ?)'),
+      range: this.db.prepare('SELECT data FROM snapshots WHERE time BETWEEN ? AND ? ORDER BY time'),
+      latestAt: this.db.prepare('SELECT data FROM snapshots WHERE time <= ? ORDER BY time DESC LIMIT 1'),
+      deleteBefore: this.db.prepare('DELETE FROM snapshots WHERE time < ?'),
+      deleteRange: this.db.prepare('DELETE FROM snapshots WHERE time BETWEEN ? AND ?')
+    };
+  }
+
+  async append(snapshot) {
+    this.statements.insert.run(snapshot.time, snapshot.status, JSON.stringify(snapshot));
+  }
+
+  async getSnapshots({ from = 0, to = Date.now() } = {}) {
+    return this.statements.range.all(from, to).map(row => JSON.parse(row.data));
+  }
+
+  async getSnapshotAt(timestamp) {
+    const row = this.statements.latestAt.get(timestamp);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async deleteBefore(cutoff) {
+    return this.statements.deleteBefore.run(cutoff).changes;
+  }
+
+  async replaceRange({ from, to }, snapshots) {
+    const replace = this.db.transaction(() => {
+      this.statements.deleteRange.run(from, to);
+      snapshots.forEach(snapshot => {
+        this.statements.insert.run(snapshot.time, snapshot.status, JSON.stringify(snapshot));
+      });
+    });
+
+    replace();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteSnapshotStore;
@@ -0,0 +1,166 @@
+/**
+ * Token Metrics Store
+ *
+ * Keeps a rolling in-memory time series of price, volume, holders and
+ * liquidity for every token seen by the aggregation cycle. Each cycle records
+ * one sample per token; the feature extractors read rolling windows (1h, 6h,
+ * 24h) to compute growth, moving averages, spikes, volatility and RSI.
+ *
+ * Samples from the last hour are all kept; older ones are thinned to the
+ * latest per 15 minutes. With one-minute cycles a token holds at most
+ * 60 + 92 samples, so the default 5000 tokens stay under 800k samples
+ * (about 110 MB of heap in the worst case, every token seen every cycle
+ * for a day).
+ */
+
+const { toMetric } = require('../provenance');
+
+const HOUR = 60 * 60 * 1000;
+
+const METRIC_WINDOWS = {
+  '1h': HOUR,
+  '6h': 6 * HOUR,
+  '24h': 24 * HOUR
+};
+
+const TOKEN_SERIES_METRICS = ['price', 'volume', 'holders', 'liquidity'];
+
+class TokenMetricsStore {
+  constructor(config = {}) {
+    this.config = {
+      retentionMs: 24 * HOUR,         // Samples older than this are dropped
+      fullResolutionMs: HOUR,         // Samples newer than this are all kept
+      downsampleMs: 15 * 60 * 1000,   // Older samples: the latest per interval is kept
+      maxTokens: 5000,                // Tokens tracked at once; least recently seen go first
+      ...config
+    };
+
+    this.series = new Map(); // address -> samples, oldest first
+  }
+
+  /**
+   * Record one sample per token for this cycle
+   * @param {Array} tokens - Normalized tokens from the source registry
+   * @param {number} time - Cycle time in epoch milliseconds
+   * @returns {number} Number of tokens sampled
+   */
+  record(tokens, time = Date.now()) {
+    let recorded = 0;
+
+    tokens.forEach(token => {
+      if (!token.address) return;
+
+      const sample = {
+        time,
+        price: toMetric(token.price),
+        volume: toMetric(token.volume24h ?? token.volume),
+        holders: toMetric(token.holders),
+        liquidity: toMetric(token.liquidity)
+      };
+
+      // Re-insert so the map stays ordered by when a token was last seen
+      const samples = this.series.get(token.address) || [];
+      this.series.delete(token.address);
+      this.series.set(token.address, samples);
+
+      // A token reported twice in one cycle keeps a single sample
+      if (samples.length > 0 && samples[samples.length - 1].time === time) {
+        samples[samples.length - 1] = sample;
+      } else {
+        samples.push(sample);
+      }
+      recorded++;
+    });
+
+    this.prune(time);
+    return recorded;
+  }
+
+  /**
+   * Drop expired samples, thin out older ones and drop the least recently seen tokens over the cap
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.config.retentionMs;
+    const thinBefore = now - this.config.fullResolutionMs;
+
+    this.series.forEach((samples, address) => {
+      const firstKept = samples.findIndex(sample => sample.time >= cutoff);
+      if (firstKept === -1) {
+        this.series.delete(address);
+        return;
+      }
+      if (firstKept > 0) {
+        samples.splice(0, firstKept);
+      }
+      this.downsample(samples, thinBefore);
+    });
+
+    while (this.series.size > this.config.maxTokens) {
+      this.series.delete(this.series.keys().next().value);
+    }
+  }
+
+  /**
+   * Keep only the latest sample of each downsampleMs interval before `before`, in place
+   */
+  downsample(samples, before) {
+    const interval = this.config.downsampleMs;
+    let kept = 0;
+
+    samples.forEach((sample, index) => {
+      const next = samples[index + 1];
+      const superseded = next && next.time < before &&
+        Math.floor(next.time / interval) === Math.floor(sample.time / interval);
+      if (!superseded) samples[kept++] = sample;
+    });
+
+    samples.length = kept;
+  }
+
+  /**
+   * Samples of one token inside a rolling window, oldest first
+   * @param {string} address - Token address
+   * @param {string|number} window - '1h', '6h', '24h' or milliseconds
+   * @param {number} now - End of the window (default: the token's latest sample)
+   */
+  getWindow(address, window = '24h', now = null) {
+    const windowMs = typeof window === 'number' ? window : METRIC_WINDOWS[window];
+    if (!windowMs) {
+      throw new Error(`Unknown metrics window "${window}" (use ${Object.keys(METRIC_WINDOWS).join(', ')})`);
+    }
+
+    const samples = this.series.get(address) || [];
+    const end = now ?? (samples.length > 0 ? samples[samples.length - 1].time : 0);
+    return samples.filter(sample => sample.time > end - windowMs && sample.time <= end);
+  }
+
+  /**
+   * Reported values of one metric inside a rolling window, oldest first
+   * @param {string} address - Token address
+   * @param {string} metric - price, volume, holders or liquidity
+   * @param {string|number} window - '1h', '6h', '24h' or milliseconds
+   * @returns {Array<number>} Values, skipping cycles where the metric was missing
+   */
+  getSeries(address, metric, window = '24h', now = null) {
+    if (!TOKEN_SERIES_METRICS.includes(metric)) {
+      throw new Error(`Unknown token metric "${metric}" (use ${TOKEN_SERIES_METRICS.join(', ')})`);
+    }
+
+    return this.getWindow(address, window, now)
+      .map(sample => sample[metric])
+      .filter(value => value !== null);
+  }
+
+  getStats() {
+    let samples = 0;
+    this.series.forEach(series => {
+      samples += series.length;
+    });
+
+    return { tokens: this.series.size, samples };
+  }
+}
+
+module.exports = TokenMetricsStore;
+module.exports.METRIC_WINDOWS = METRIC_WINDOWS;
+module.exports.TOKEN_SERIES_METRICS = TOKEN_SERIES_METRICS;
@@ -0,0 +1,268 @@
+/**
+ * Taxonomy Admin API
+ *
+ * Authenticated endpoints under /api/admin/taxonomy for managing narrative
+ * themes at runtime: keywords, base strength, wheel display name and color,
+ * and naming templates.
+ * Every change is validated, saved to the taxonomy file, recorded in the
+ * audit log, and picked up by the engines on the next aggregation cycle.
+ *
+ * Requests need `Authorization: Bearer <ADMIN_API_TOKEN>`; the optional
+ * `X-Admin-User` header names the actor in the audit log.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+// Theme fields the API may set; null removes an optional field
+const EDITABLE_FIELDS = ['label', 'description', 'group', 'keywords', 'multipliers', 'displayName', 'color', 'strength', 'naming'];
+
+/**
+ * Express middleware checking the admin bearer token
+ * @param {string|null} token - Expected token; the API is disabled without one
+ */
+function requireAdminToken(token) {
+  const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({
+        success: false,
+        error: 'Admin API is disabled (set ADMIN_API_TOKEN)'
+      });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const given = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+    if (!match || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or missing admin token'
+      });
+    }
+
+    req.adminActor = req.get('x-admin-user') || 'admin';
+    next();
+  };
+}
+
+function normalizeKeywords(keywords) {
+  return Array.isArray(keywords)
+    ? keywords.map(keyword => (typeof keyword === 'string' ? keyword.trim().toLowerCase() : keyword))
+    : keywords;
+}
+
+function unknownFields(body) {
+  return Object.keys(body).filter(field =>
+    !EDITABLE_FIELDS.includes(field) && !['id', 'addKeywords', 'removeKeywords'].includes(field)
+  );
+}
+
+/**
+ * Apply a request body to a raw theme object
+ * @param {Object} theme - Theme from the taxonomy document (edited in place)
+ * @param {Object} body - { ...EDITABLE_FIELDS, addKeywords, removeKeywords }
+ */
+function applyThemeChanges(theme, body) {
+  EDITABLE_FIELDS.forEach(field => {
+    if (!(field in body)) return;
+    if (body[field] === null) {
+      delete theme[field];
+    } else {
+      theme[field] = field === 'keywords' ? normalizeKeywords(body[field]) : body[field];
+    }
+  });
+
+  if (Array.isArray(body.addKeywords)) {
+    const added = normalizeKeywords(body.addKeywords).filter(keyword => !(theme.keywords || []).includes(keyword));
+    theme.keywords = [...(theme.keywords || []), ...added];
+  }
+  if (Array.isArray(body.removeKeywords)) {
+    const removed = new Set(normalizeKeywords(body.removeKeywords));
+    theme.keywords = (theme.keywords || []).filter(keyword => !removed.has(keyword));
+  }
+}
+
+/**
+ * Router for /api/admin/taxonomy
+ * @param {Object} options - { store: TaxonomyStore, auditLog: TaxonomyAuditLog, token }
+ * @returns {express.Router}
+ */
+function createTaxonomyAdminRouter({ store, auditLog, token = process.env.ADMIN_API_TOKEN || null }) {
+  const router = express.Router();
+  router.use(requireAdminToken(token));
+
+  const rawTheme = id => (Object.prototype.hasOwnProperty.call(store.document?.themes || {}, id)
+    ? JSON.parse(JSON.stringify(store.document.themes[id]))
+    : null);
+
+  // Save a change and audit it; responds 400 with the validation errors when it is rejected.
+  // A failed audit append does not undo the saved change, so it answers success with a warning
+  async function commit(req, res, { action, id, mutate, status = 200 }) {
+    const unknown = unknownFields(req.body || {});
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown theme fields: ${unknown.join(', ')} (expected ${EDITABLE_FIELDS.join(', ')}, addKeywords, removeKeywords)`
+      });
+    }
+
+    const before = rawTheme(id);
+
+    let taxonomy;
+    try {
+      taxonomy = store.update(mutate);
+    } catch (error) {
+      if (!error.validationErrors) throw error;
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid taxonomy change',
+        details: error.validationErrors
+      });
+    }
+
+    const after = rawTheme(id);
+    console.log(`🗂️ Taxonomy theme "${id}" ${action}d by ${req.adminActor} (v${taxonomy.version})`);
+
+    let auditWarning = null;
+    try {
+      await auditLog.record({ actor: req.adminActor, action, theme: id, before, after, version: taxonomy.version });
+    } catch (error) {
+      console.error(`Failed to audit taxonomy change to "${id}" (v${taxonomy.version}):`, error);
+      auditWarning = `Change saved but not written to the audit log: ${error.message}`;
+    }
+
+    res.status(status).json({
+      success: true,
+      data: {
+        version: taxonomy.version,
+        theme: taxonomy.getTheme(id)
+      },
+      ...(auditWarning && { warning: auditWarning }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Wrap async handlers so failures answer 500 instead of hanging the request
+  const handle = (description, handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Failed to ${description}:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${description}`
+      });
+    }
+  };
+
+  router.get('/themes', (req, res) => {
+    const taxonomy = store.current;
+    res.json({
+      success: true,
+      data: {
+        version: taxonomy.version,
+        revision: taxonomy.revision,
+        loadedAt: taxonomy.loadedAt,
+        groups: taxonomy.toJSON().groups,
+        themes: [...taxonomy.themes.values()]
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.get('/themes/:id', (req, res) => {
+    const theme = store.current.getTheme(req.params.id);
+    if (!theme) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown theme "${req.params.id}"`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: theme,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.post('/themes', handle('create taxonomy theme', async (req, res) => {
+    const body = req.body || {};
+    const id = typeof body.id === 'string' ? body.id.trim() : '';
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Theme id is required'
+      });
+    }
+    if (store.current.getTheme(id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Theme "${id}" already exists`
+      });
+    }
+
+    await commit(req, res, {
+      action: 'create',
+      id,
+      status: 201,
+      mutate: doc => {
+        doc.themes[id] = {};
+        applyThemeChanges(doc.themes[id], body);
+      }
+    });
+  }));
+
+  router.put('/themes/:id', handle('update taxonomy theme', async (req, res) => {
+    const { id } = req.params;
+    if (!store.current.getTheme(id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown theme "${id}"`
+      });
+    }
+
+    await commit(req, res, {
+      action: 'update',
+      id,
+      mutate: doc => applyThemeChanges(doc.themes[id], req.body || {})
+    });
+  }));
+
+  router.delete('/themes/:id', handle('delete taxonomy theme', async (req, res) => {
+    const { id } = req.params;
+    if (!store.current.getTheme(id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown theme "${id}"`
+      });
+    }
+
+    await commit(req, res, {
+      action: 'delete',
+      id,
+      mutate: doc => {
+        delete doc.themes[id];
+      }
+    });
+  }));
+
+  router.get('/audit', (req, res) => {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    res.json({
+      success: true,
+      data: auditLog.getEntries({ limit, theme: req.query.theme || null }),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  requireAdminToken,
+  applyThemeChanges,
+  createTaxonomyAdminRouter
+};
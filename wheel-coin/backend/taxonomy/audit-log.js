@@ -0,0 +1,99 @@
+/**
+ * Taxonomy Audit Log
+ *
+ * Append-only JSONL record of every change made to the narrative taxonomy
+ * through the admin API: who changed which theme, when, and the theme
+ * before and after. Recent entries are also kept in memory for
+ * GET /api/admin/taxonomy/audit, reloaded from the file on startup.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+class TaxonomyAuditLog {
+  /**
+   * @param {Object} config - { filePath, maxEntries }; filePath null keeps entries in memory only
+   */
+  constructor(config = {}) {
+    this.config = {
+      filePath: process.env.TAXONOMY_AUDIT_LOG || path.join(__dirname, '../../data/taxonomy-audit.jsonl'),
+      maxEntries: 200, // Entries kept in memory
+      ...config
+    };
+
+    this.entries = this.load();
+  }
+
+  /**
+   * Read the last maxEntries entries back from the file; unreadable lines are skipped
+   * @returns {Array} Entries, oldest first
+   */
+  load() {
+    if (!this.config.filePath) return [];
+
+    let text;
+    try {
+      text = fsSync.readFileSync(this.config.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      console.warn(`⚠️ Could not read taxonomy audit log ${this.config.filePath}: ${error.message}`);
+      return [];
+    }
+
+    const entries = [];
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        console.warn(`⚠️ Skipping unreadable taxonomy audit line ${index + 1}`);
+      }
+    });
+
+    return entries.slice(-this.config.maxEntries);
+  }
+
+  /**
+   * Record one change
+   * @param {Object} change - { actor, action, theme, before, after, version }
+   * @returns {Promise<Object>} The stored entry
+   */
+  async record(change) {
+    const entry = {
+      time: new Date().toISOString(),
+      actor: change.actor || 'unknown',
+      action: change.action,
+      theme: change.theme,
+      version: change.version ?? null,
+      before: change.before ?? null,
+      after: change.after ?? null
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.config.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.config.maxEntries);
+    }
+
+    if (this.config.filePath) {
+      await fs.mkdir(path.dirname(this.config.filePath), { recursive: true });
+      await fs.appendFile(this.config.filePath, JSON.stringify(entry) + '\n');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Most recent entries, newest first
+   * @param {Object} options - { limit, theme }
+   */
+  getEntries({ limit = 50, theme = null } = {}) {
+    return this.entries
+      .filter(entry => !theme || entry.theme === theme)
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+module.exports = TaxonomyAuditLog;
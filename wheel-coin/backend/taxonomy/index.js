@@ -0,0 +1,217 @@
+/**
+ * Narrative Taxonomy Store
+ *
+ * Entry point for the theme vocabulary shared by narrative detection,
+ * characterization, clustering and scoring. The taxonomy lives in one
+ * versioned JSON file (taxonomy/narratives.json, or the TAXONOMY_PATH env
+ * var) that is validated on load. `watch()` reloads it when the file
+ * changes; an invalid edit is logged and the last good taxonomy stays live,
+ * so analysts can add a meta without a deploy or a restart. `update()`
+ * applies admin API changes and saves them back to the same file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NarrativeTaxonomy = require('./taxonomy');
+const TaxonomyAuditLog = require('./audit-log');
+const { createTaxonomyAdminRouter } = require('./admin-routes');
+const { MULTIPLIER_KEYS, THEME_FIELDS, TEMPLATE_SLOTS, validateTaxonomy } = require('./validate');
+
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, 'narratives.json');
+
+// A JSON string (which may hold naming template slots like {Keyword}) or a bare number/literal
+const SCALAR = String.raw`(?:"(?:[^"\\\n]|\\.)*"|[^\n"[\]{},]+)`;
+const FLAT_OBJECT = new RegExp(String.raw`\{\n\s+((?:"[^"\n]+": ${SCALAR},\n\s+)*"[^"\n]+": ${SCALAR})\n\s+\}`, 'g');
+const FLAT_ARRAY = new RegExp(String.raw`\[\n\s+(${SCALAR}(?:,\n\s+${SCALAR})*)\n\s+\]`, 'g');
+
+/**
+ * Serialize a taxonomy document the way narratives.json is laid out by hand:
+ * keyword lists and flat objects (groups, multipliers) on one line
+ * @param {Object} doc - Taxonomy document
+ * @param {string} newline - '\n' or '\r\n'
+ * @returns {string}
+ */
+function formatTaxonomy(doc, newline = '\n') {
+  const json = JSON.stringify(doc, null, 2)
+    .replace(FLAT_OBJECT, (match, body) => `{ ${body.split(/,\n\s+/).join(', ')} }`)
+    .replace(FLAT_ARRAY, (match, body) => `[${body.split(/,\n\s+/).join(', ')}]`);
+
+  return (json + '\n').replace(/\n/g, newline);
+}
+
+class TaxonomyStore {
+  constructor(config = {}) {
+    this.config = {
+      path: config.path || process.env.TAXONOMY_PATH || DEFAULT_TAXONOMY_PATH,
+      watchInterval: config.watchInterval || 2000, // How often watch() polls the file
+      ...config
+    };
+
+    this.taxonomy = null;
+    this.document = null;   // Parsed file behind the current taxonomy
+    this.loadedText = null; // Raw file contents, to skip reloads when nothing changed
+    this.revision = 0;
+    this.lastError = null;
+    this.watching = false;
+    this.onFileChange = null;
+  }
+
+  /**
+   * Taxonomy the engines should use right now; loads on first access
+   * @returns {NarrativeTaxonomy}
+   */
+  get current() {
+    if (!this.taxonomy) this.load();
+    return this.taxonomy;
+  }
+
+  /**
+   * Read, validate and swap in the taxonomy file
+   * @returns {NarrativeTaxonomy}
+   * @throws {Error} When the file cannot be read, parsed or validated
+   */
+  load() {
+    const file = path.resolve(this.config.path);
+    let text;
+    let doc;
+
+    try {
+      text = fs.readFileSync(file, 'utf8');
+      doc = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Cannot read narrative taxonomy ${file}: ${error.message}`);
+    }
+
+    const errors = validateTaxonomy(doc);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid narrative taxonomy ${file}:\n  - ${errors.join('\n  - ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    this.apply(doc, text);
+    return this.taxonomy;
+  }
+
+  apply(doc, text) {
+    this.revision++;
+    this.taxonomy = new NarrativeTaxonomy(doc, { source: path.resolve(this.config.path), revision: this.revision });
+    this.document = doc;
+    this.loadedText = text;
+    this.lastError = null;
+  }
+
+  /**
+   * Change the taxonomy, bump its version and save it back to the file
+   * @param {Function} mutate - Edits a copy of the document in place
+   * @returns {NarrativeTaxonomy} The new taxonomy
+   * @throws {Error} With `validationErrors` when the result is invalid; nothing is saved
+   */
+  update(mutate) {
+    const current = this.current;
+    const doc = JSON.parse(JSON.stringify(this.document));
+    mutate(doc);
+    doc.version = current.version + 1;
+
+    const errors = validateTaxonomy(doc);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid taxonomy change:\n  - ${errors.join('\n  - ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    // Write then rename so the watcher (and other readers) never see half a file
+    const file = path.resolve(this.config.path);
+    const text = formatTaxonomy(doc, this.loadedText?.includes('\r\n') ? '\r\n' : '\n');
+    const tempPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, text);
+    fs.renameSync(tempPath, file);
+
+    this.apply(doc, text);
+    return this.taxonomy;
+  }
+
+  /**
+   * Reload the file, keeping the current taxonomy if the new one is invalid
+   * @returns {boolean} Whether the new taxonomy was applied
+   */
+  reload() {
+    const previous = this.taxonomy;
+
+    try {
+      const taxonomy = this.load();
+      console.log(`🗂️ Narrative taxonomy v${taxonomy.version} loaded (${taxonomy.themes.size} themes, ${taxonomy.groups.size} groups)`);
+      return true;
+    } catch (error) {
+      this.taxonomy = previous;
+      this.lastError = { message: error.message, errors: error.validationErrors || null, at: new Date().toISOString() };
+      console.error(`❌ ${error.message}`);
+      if (previous) console.log(`🔄 Keeping narrative taxonomy v${previous.version}`);
+      return false;
+    }
+  }
+
+  /**
+   * Reload whenever the file changes on disk
+   */
+  watch() {
+    if (this.watching) return;
+
+    this.onFileChange = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+      // Our own update() writes land here too; only reload what actually changed
+      try {
+        if (fs.readFileSync(this.config.path, 'utf8') === this.loadedText) return;
+      } catch (error) {
+        // Missing or unreadable: let reload() report it
+      }
+      this.reload();
+    };
+    // Polling also catches editors that replace the file instead of writing in place
+    fs.watchFile(this.config.path, { interval: this.config.watchInterval, persistent: false }, this.onFileChange);
+    this.watching = true;
+  }
+
+  close() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.config.path, this.onFileChange);
+    this.watching = false;
+  }
+
+  getStatus() {
+    return {
+      path: path.resolve(this.config.path),
+      watching: this.watching,
+      version: this.taxonomy?.version ?? null,
+      revision: this.revision,
+      loadedAt: this.taxonomy?.loadedAt ?? null,
+      lastError: this.lastError
+    };
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Store shared by engines that were not given one (TAXONOMY_PATH or the bundled file)
+ * @returns {TaxonomyStore}
+ */
+function getDefaultTaxonomyStore() {
+  if (!defaultStore) defaultStore = new TaxonomyStore();
+  return defaultStore;
+}
+
+module.exports = {
+  TaxonomyStore,
+  NarrativeTaxonomy,
+  TaxonomyAuditLog,
+  DEFAULT_TAXONOMY_PATH,
+  MULTIPLIER_KEYS,
+  THEME_FIELDS,
+  TEMPLATE_SLOTS,
+  formatTaxonomy,
+  validateTaxonomy,
+  createTaxonomyAdminRouter,
+  matchesKeyword: NarrativeTaxonomy.matchesKeyword,
+  getDefaultTaxonomyStore
+};
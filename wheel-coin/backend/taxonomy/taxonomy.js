@@ -0,0 +1,136 @@
+/**
+ * Narrative Taxonomy
+ *
+ * Read-only view of a validated taxonomy document. Themes are the fine-grained
+ * categories narrative detection emits (`dog`, `perp`, `rwa`) and carry the
+ * scorer's multipliers; groups are the broad themes characterization profiles
+ * and clustering features use (`animals`, `defi`), each holding the union of
+ * its themes' keywords.
+ */
+
+/**
+ * Whether a tokenized term matches a taxonomy keyword; short words such as
+ * 'ai' must match exactly so they do not hit every word containing them
+ * @param {string} term - Tokenized term
+ * @param {string} keyword - Taxonomy keyword
+ * @returns {boolean}
+ */
+function matchesKeyword(term, keyword) {
+  if (term.length < 3 || keyword.length < 3) return term === keyword;
+  return term.includes(keyword) || keyword.includes(term);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+class NarrativeTaxonomy {
+  /**
+   * @param {Object} doc - Taxonomy document that passed validateTaxonomy()
+   * @param {Object} meta - { source, revision, loadedAt }
+   */
+  constructor(doc, meta = {}) {
+    this.version = doc.version;
+    this.description = doc.description || null;
+    this.source = meta.source || null;
+    this.revision = meta.revision || 1; // Bumped on every successful (re)load
+    this.loadedAt = meta.loadedAt || new Date().toISOString();
+
+    // Document order is kept: earlier themes win ties in categorization
+    this.themes = new Map(Object.entries(doc.themes).map(([id, theme]) => [id, {
+      id,
+      label: theme.label || capitalize(id),
+      group: theme.group || null,
+      keywords: [...theme.keywords],
+      multipliers: theme.multipliers ? { ...theme.multipliers } : null,
+      displayName: theme.displayName || null, // Wheel name for narratives of this theme
+      color: theme.color || null,             // Wheel segment color
+      strength: theme.strength ?? null,       // Base strength blended into detected narratives
+      naming: {                               // Name rules and templates (see ../naming.js)
+        rules: { ...theme.naming?.rules },
+        templates: [...(theme.naming?.templates || [])]
+      }
+    }]));
+
+    this.groups = new Map(Object.entries(doc.groups || {}).map(([id, group]) => {
+      const themes = [...this.themes.values()].filter(theme => theme.group === id);
+      const keywords = [...new Set(themes.flatMap(theme => theme.keywords))];
+
+      return [id, {
+        id,
+        label: group.label,
+        weight: group.weight,
+        themes: themes.map(theme => theme.id),
+        keywords,
+        pattern: new RegExp(`\\b(${keywords.map(escapeRegExp).join('|')})\\b`, 'i')
+      }];
+    }));
+  }
+
+  getTheme(id) {
+    return this.themes.get(id) || null;
+  }
+
+  getGroup(id) {
+    return this.groups.get(id) || null;
+  }
+
+  /**
+   * Scorer multipliers for a theme
+   * @param {string} themeId - Theme id (a narrative's category)
+   * @returns {Object|null} { social, volume, ... } or null when the theme has none
+   */
+  getMultipliers(themeId) {
+    return this.themes.get(themeId)?.multipliers || null;
+  }
+
+  /**
+   * Which groups a token's terms fall into; a term matches a keyword it
+   * equals or contains (doggo -> dog), but not one it is part of (chain -/-> blockchain)
+   * @param {Array<string>} terms - Tokenized name and symbol
+   * @returns {Object} { [groupId]: boolean } in document order
+   */
+  matchGroups(terms) {
+    const matches = {};
+    Object.entries(this.matchKeywords(terms)).forEach(([id, keywords]) => {
+      matches[id] = keywords.length > 0;
+    });
+    return matches;
+  }
+
+  /**
+   * The keywords of each group that a token's terms match (see matchGroups)
+   * @param {Array<string>} terms - Tokenized name and symbol
+   * @returns {Object} { [groupId]: Array<string> } in document order
+   */
+  matchKeywords(terms) {
+    const matches = {};
+    this.groups.forEach((group, id) => {
+      matches[id] = group.keywords.filter(keyword => terms.some(term =>
+        keyword.length < 3 ? term === keyword : term.includes(keyword)
+      ));
+    });
+    return matches;
+  }
+
+  /**
+   * Summary for logs and admin endpoints
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      revision: this.revision,
+      source: this.source,
+      loadedAt: this.loadedAt,
+      groups: [...this.groups.values()].map(({ id, label, weight, themes }) => ({ id, label, weight, themes })),
+      themes: [...this.themes.values()]
+    };
+  }
+}
+
+module.exports = NarrativeTaxonomy;
+module.exports.matchesKeyword = matchesKeyword;
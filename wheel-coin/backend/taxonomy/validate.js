@@ -0,0 +1,247 @@
+/**
+ * Narrative Taxonomy Validation
+ *
+ * Checks a parsed taxonomy document before any engine sees it. Errors name
+ * the offending path (`themes.dog.keywords[3]`) so an analyst editing the
+ * file can fix it without reading code. Run directly to check a file:
+ *
+ *   node taxonomy/validate.js [path/to/narratives.json]
+ */
+
+const { tokenize } = require('../tokenizer');
+
+const ID_PATTERN = /^[a-z0-9_-]+$/;
+
+// Scorer adjustments a theme may scale (see AdaptiveNarrativeScoringEngine.applyThemeAdjustments)
+const MULTIPLIER_KEYS = ['social', 'volume', 'community', 'volatility', 'novelty', 'growth'];
+
+const DOCUMENT_FIELDS = ['version', 'description', 'groups', 'themes'];
+const GROUP_FIELDS = ['label', 'description', 'weight'];
+const THEME_FIELDS = ['label', 'description', 'group', 'keywords', 'multipliers', 'displayName', 'color', 'strength', 'naming'];
+const NAMING_FIELDS = ['rules', 'templates'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Slots a naming template may fill (see NarrativeNamingEngine.renderTemplate)
+const TEMPLATE_SLOTS = ['Keyword', 'Keywords', 'Theme', 'Stage'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkFields(object, allowed, path, errors) {
+  Object.keys(object).forEach(field => {
+    if (!allowed.includes(field)) {
+      errors.push(`${path}.${field}: unknown field (expected ${allowed.join(', ')})`);
+    }
+  });
+}
+
+function checkOptionalString(value, path, errors) {
+  if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+    errors.push(`${path}: must be a non-empty string`);
+  }
+}
+
+function validateGroup(group, path, errors) {
+  if (!isPlainObject(group)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  checkFields(group, GROUP_FIELDS, path, errors);
+  if (typeof group.label !== 'string' || !group.label.trim()) {
+    errors.push(`${path}.label: must be a non-empty string`);
+  }
+  checkOptionalString(group.description, `${path}.description`, errors);
+  if (typeof group.weight !== 'number' || !(group.weight > 0)) {
+    errors.push(`${path}.weight: must be a positive number`);
+  }
+}
+
+// Names are matched as tokenized terms, so a keyword the tokenizer
+// would split or rewrite could never match
+function checkTerm(keyword, path, errors) {
+  const terms = tokenize(keyword, { minLength: 1 });
+  if (terms.length !== 1 || terms[0] !== keyword) {
+    errors.push(`${path}: "${keyword}" is not a single lowercase term (tokenizes to "${terms.join(' ')}")`);
+  }
+}
+
+function validateKeywords(keywords, path, errors) {
+  if (!Array.isArray(keywords) || keywords.length === 0) {
+    errors.push(`${path}: must be a non-empty array`);
+    return;
+  }
+
+  const seen = new Set();
+  keywords.forEach((keyword, index) => {
+    const keywordPath = `${path}[${index}]`;
+    if (typeof keyword !== 'string' || !keyword) {
+      errors.push(`${keywordPath}: must be a non-empty string`);
+      return;
+    }
+    if (seen.has(keyword)) {
+      errors.push(`${keywordPath}: duplicate keyword "${keyword}"`);
+    }
+    seen.add(keyword);
+    checkTerm(keyword, keywordPath, errors);
+  });
+}
+
+function validateTemplate(template, path, errors) {
+  if (typeof template !== 'string' || !template.trim()) {
+    errors.push(`${path}: must be a non-empty string`);
+    return;
+  }
+
+  const slots = template.match(/\{[^{}]*\}/g) || [];
+  slots.forEach(slot => {
+    if (!TEMPLATE_SLOTS.includes(slot.slice(1, -1))) {
+      errors.push(`${path}: unknown slot ${slot} (expected ${TEMPLATE_SLOTS.map(name => `{${name}}`).join(', ')})`);
+    }
+  });
+  if (/[{}]/.test(template.replace(/\{[^{}]*\}/g, ''))) {
+    errors.push(`${path}: unbalanced braces in "${template}"`);
+  }
+}
+
+function validateNaming(naming, path, errors) {
+  if (!isPlainObject(naming)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  checkFields(naming, NAMING_FIELDS, path, errors);
+  if (naming.rules !== undefined) {
+    if (!isPlainObject(naming.rules)) {
+      errors.push(`${path}.rules: must be an object of keyword -> name template`);
+    } else {
+      Object.entries(naming.rules).forEach(([keyword, template]) => {
+        checkTerm(keyword, `${path}.rules.${keyword}`, errors);
+        validateTemplate(template, `${path}.rules.${keyword}`, errors);
+      });
+    }
+  }
+  if (naming.templates !== undefined) {
+    if (!Array.isArray(naming.templates) || naming.templates.length === 0) {
+      errors.push(`${path}.templates: must be a non-empty array`);
+    } else {
+      naming.templates.forEach((template, index) => validateTemplate(template, `${path}.templates[${index}]`, errors));
+    }
+  }
+}
+
+function validateMultipliers(multipliers, path, errors) {
+  if (!isPlainObject(multipliers)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  Object.entries(multipliers).forEach(([key, value]) => {
+    if (!MULTIPLIER_KEYS.includes(key)) {
+      errors.push(`${path}.${key}: unknown multiplier (expected ${MULTIPLIER_KEYS.join(', ')})`);
+    } else if (typeof value !== 'number' || !(value > 0)) {
+      errors.push(`${path}.${key}: must be a positive number`);
+    }
+  });
+}
+
+function validateTheme(theme, path, groups, errors) {
+  if (!isPlainObject(theme)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  checkFields(theme, THEME_FIELDS, path, errors);
+  checkOptionalString(theme.label, `${path}.label`, errors);
+  checkOptionalString(theme.description, `${path}.description`, errors);
+  if (theme.group !== undefined && !Object.prototype.hasOwnProperty.call(groups, theme.group)) {
+    errors.push(`${path}.group: unknown group "${theme.group}"`);
+  }
+  checkOptionalString(theme.displayName, `${path}.displayName`, errors);
+  if (theme.color !== undefined && (typeof theme.color !== 'string' || !COLOR_PATTERN.test(theme.color))) {
+    errors.push(`${path}.color: must be a hex color like #ff6b6b`);
+  }
+  if (theme.strength !== undefined && (typeof theme.strength !== 'number' || !(theme.strength >= 0 && theme.strength <= 100))) {
+    errors.push(`${path}.strength: must be a number from 0 to 100`);
+  }
+  validateKeywords(theme.keywords, `${path}.keywords`, errors);
+  if (theme.multipliers !== undefined) {
+    validateMultipliers(theme.multipliers, `${path}.multipliers`, errors);
+  }
+  if (theme.naming !== undefined) {
+    validateNaming(theme.naming, `${path}.naming`, errors);
+  }
+}
+
+/**
+ * Validate a parsed taxonomy document
+ * @param {Object} doc - Parsed narratives.json
+ * @returns {Array<string>} Errors; empty when the document is valid
+ */
+function validateTaxonomy(doc) {
+  const errors = [];
+
+  if (!isPlainObject(doc)) {
+    return ['taxonomy: must be a JSON object'];
+  }
+
+  checkFields(doc, DOCUMENT_FIELDS, 'taxonomy', errors);
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    errors.push('version: must be a positive integer');
+  }
+  checkOptionalString(doc.description, 'description', errors);
+
+  const groups = isPlainObject(doc.groups) ? doc.groups : {};
+  if (!isPlainObject(doc.groups)) {
+    errors.push('groups: must be an object');
+  }
+  Object.entries(groups).forEach(([id, group]) => {
+    if (!ID_PATTERN.test(id)) errors.push(`groups.${id}: id must match ${ID_PATTERN}`);
+    validateGroup(group, `groups.${id}`, errors);
+  });
+
+  if (!isPlainObject(doc.themes) || Object.keys(doc.themes).length === 0) {
+    errors.push('themes: must be a non-empty object');
+  } else {
+    Object.entries(doc.themes).forEach(([id, theme]) => {
+      if (!ID_PATTERN.test(id)) errors.push(`themes.${id}: id must match ${ID_PATTERN}`);
+      validateTheme(theme, `themes.${id}`, groups, errors);
+    });
+  }
+
+  Object.keys(groups).forEach(id => {
+    const used = isPlainObject(doc.themes) && Object.values(doc.themes).some(theme => theme?.group === id);
+    if (!used) errors.push(`groups.${id}: no theme belongs to this group`);
+  });
+
+  return errors;
+}
+
+module.exports = {
+  MULTIPLIER_KEYS,
+  THEME_FIELDS,
+  TEMPLATE_SLOTS,
+  validateTaxonomy
+};
+
+// Check a taxonomy file from the command line
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  const file = path.resolve(process.argv[2] || path.join(__dirname, 'narratives.json'));
+
+  try {
+    const errors = validateTaxonomy(JSON.parse(fs.readFileSync(file, 'utf8')));
+    if (errors.length > 0) {
+      console.error(`❌ ${file}: ${errors.length} error(s)`);
+      errors.forEach(error => console.error(`   - ${error}`));
+      process.exitCode = 1;
+    } else {
+      console.log(`✅ ${file} is valid`);
+    }
+  } catch (error) {
+    console.error(`❌ ${file}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
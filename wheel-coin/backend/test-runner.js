@@ -0,0 +1,37 @@
+/**
+ * Test Runner
+ *
+ * Runs every backend/*-tests.js suite in its own Node process, one after
+ * another, and fails when any suite exits non-zero. Used by `npm test`.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+function runAllSuites() {
+  const suites = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('-tests.js'))
+    .sort();
+
+  const results = suites.map(file => {
+    console.log(`\n▶️ ${file}`);
+    const run = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+    return { file, passed: run.status === 0 };
+  });
+
+  const failed = results.filter(result => !result.passed);
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`🎯 TEST SUITES: ${results.length - failed.length}/${results.length} passed`);
+  failed.forEach(result => console.log(`   ❌ ${result.file}`));
+  console.log('='.repeat(60));
+
+  return failed.length === 0;
+}
+
+if (require.main === module) {
+  if (!runAllSuites()) process.exitCode = 1;
+}
+
+module.exports = { runAllSuites };
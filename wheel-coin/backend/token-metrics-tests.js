@@ -0,0 +1,257 @@
+/**
+ * Test Suite for the Token Metrics Store
+ *
+ * Records scripted cycles of token metrics and checks the rolling windows,
+ * pruning, and the history-based features the clustering engine derives
+ * from them (holder growth, volume moving average and spikes, volatility, RSI).
+ */
+
+const { TokenMetricsStore } = require('./storage');
+const TokenClusteringEngine = require('./clustering');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.parse('2025-10-21T12:00:00.000Z');
+
+class TokenMetricsTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Token Metrics Test Suite\n');
+
+    const tests = [
+      { name: 'Rolling Windows', test: () => this.testRollingWindows() },
+      { name: 'Missing Metrics', test: () => this.testMissingMetrics() },
+      { name: 'Retention and Token Cap', test: () => this.testPruning() },
+      { name: 'Downsampled History', test: () => this.testDownsampling() },
+      { name: 'History Features', test: () => this.testHistoryFeatures() },
+      { name: 'Features Without History', test: () => this.testFeaturesWithoutHistory() },
+      { name: 'Deterministic Vectors', test: () => this.testDeterministicVectors() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  /**
+   * One sample per hour for `hours` hours ending at START
+   */
+  recordHourly(store, hours, metricsAt) {
+    for (let i = hours - 1; i >= 0; i--) {
+      store.record([{ address: 'tok', ...metricsAt(hours - 1 - i) }], START - i * HOUR);
+    }
+  }
+
+  /**
+   * Windows end at the token's latest sample and include only newer samples
+   */
+  async testRollingWindows() {
+    const store = new TokenMetricsStore();
+    this.recordHourly(store, 30, index => ({ price: index, volume24h: 100 * index }));
+
+    const lastHour = store.getSeries('tok', 'price', '1h');
+    const sixHours = store.getSeries('tok', 'price', '6h');
+    const day = store.getSeries('tok', 'volume', '24h');
+
+    let rejected = false;
+    try {
+      store.getWindow('tok', '2h');
+    } catch (error) {
+      rejected = true;
+    }
+
+    // 30 hourly samples recorded; the 24h window holds the last 24
+    const passed = JSON.stringify(lastHour) === '[29]' &&
+      JSON.stringify(sixHours) === '[24,25,26,27,28,29]' &&
+      day.length === 24 && day[day.length - 1] === 2900 &&
+      store.getWindow('tok', '24h').length === 24 &&
+      rejected && store.getSeries('missing', 'price').length === 0;
+
+    return { passed, details: `1h=${lastHour.length}, 6h=${sixHours.length}, 24h=${day.length} samples` };
+  }
+
+  /**
+   * Missing metrics are skipped rather than read as zero
+   */
+  async testMissingMetrics() {
+    const store = new TokenMetricsStore();
+    store.record([{ address: 'tok', price: 1, holders: null }], START - 2 * MINUTE);
+    store.record([{ address: 'tok', price: '2', holders: 10 }], START - MINUTE);
+    store.record([{ address: 'tok', price: 3 }, { address: 'tok', price: 4 }], START);
+
+    const prices = store.getSeries('tok', 'price', '1h');
+    const holders = store.getSeries('tok', 'holders', '1h');
+
+    const passed = JSON.stringify(prices) === '[1,2,4]' && JSON.stringify(holders) === '[10]';
+    return { passed, details: `prices ${prices.join(', ')}; holders ${holders.join(', ')}` };
+  }
+
+  /**
+   * Old samples expire and the least recently seen tokens go first
+   */
+  async testPruning() {
+    const store = new TokenMetricsStore({ retentionMs: HOUR, maxTokens: 2 });
+    store.record([{ address: 'old', price: 1 }], START - 2 * HOUR);
+    store.record([{ address: 'a', price: 1 }, { address: 'b', price: 1 }], START - 10 * MINUTE);
+    store.record([{ address: 'a', price: 2 }, { address: 'c', price: 1 }], START);
+
+    const stats = store.getStats();
+    const passed = stats.tokens === 2 && stats.samples === 3 &&
+      store.getSeries('a', 'price', '1h').length === 2 &&
+      store.getSeries('b', 'price', '1h').length === 0 &&
+      store.getSeries('old', 'price', '24h').length === 0;
+
+    return { passed, details: `${stats.tokens} tokens, ${stats.samples} samples kept` };
+  }
+
+  /**
+   * Older samples thin to one per 15 minutes; the last hour stays whole
+   */
+  async testDownsampling() {
+    const store = new TokenMetricsStore();
+    const minutes = 3 * 60;
+    for (let i = minutes - 1; i >= 0; i--) {
+      store.record([{ address: 'tok', price: minutes - 1 - i }], START - i * MINUTE);
+    }
+
+    const lastHour = store.getSeries('tok', 'price', '1h');
+    const day = store.getSeries('tok', 'price', '24h');
+    const older = day.slice(0, day.length - lastHour.length);
+    const passed = lastHour.length === 60 &&
+      older.length <= 2 * 60 / 15 + 1 &&
+      older.length >= 2 * 60 / 15 &&
+      day.every((price, index) => index === 0 || price > day[index - 1]) &&
+      store.getStats().samples === day.length;
+
+    return { passed, details: `${lastHour.length} samples in the last hour, ${older.length} before it` };
+  }
+
+  /**
+   * Features read the recorded series
+   */
+  async testHistoryFeatures() {
+    const store = new TokenMetricsStore();
+    const engine = new TokenClusteringEngine({ metricsStore: store });
+    const prices = [10, 11, 10, 12, 12, 15];
+
+    prices.forEach((price, index) => {
+      store.record([{
+        address: 'tok',
+        price,
+        volume24h: index === prices.length - 1 ? 4000 : 1000,
+        holders: 100 + index * 10,
+        liquidity: 5000
+      }], START - (prices.length - 1 - index) * 10 * MINUTE);
+    });
+
+    const token = { address: 'tok', price: 15, volume: 4000, holders: 150, liquidity: 5000 };
+    const holderGrowth = engine.calculateHolderGrowth(token);
+    const volumeMA = engine.calculateVolumeMA(token);
+    const spike = engine.detectVolumeSpike(token);
+    const volatility = engine.calculatePriceVolatility(token);
+    const rsi = engine.calculateRSI(token);
+    const liquidityStability = engine.calculateLiquidityStability(token);
+
+    // Gains 1 + 2 + 3 = 6, losses 1: RSI = 600 / 7
+    const passed = holderGrowth === 0.5 && volumeMA === 1500 && spike === 4000 / 1500 &&
+      Math.abs(volatility - 5 / 11.666666666666666) < 1e-9 &&
+      Math.abs(rsi - 600 / 7) < 1e-9 && liquidityStability === 1;
+
+    return {
+      passed,
+      details: `holderGrowth ${holderGrowth}, volumeMA ${volumeMA}, spike ${spike.toFixed(2)}, ` +
+        `volatility ${volatility.toFixed(3)}, RSI ${rsi.toFixed(1)}`
+    };
+  }
+
+  /**
+   * Without a store the features fall back to the token's own fields, not random values
+   */
+  async testFeaturesWithoutHistory() {
+    const engine = new TokenClusteringEngine();
+    const token = { address: 'tok', volume: 1000, priceChange24h: 30 };
+
+    const passed = engine.calculateHolderGrowth(token) === 0 &&
+      engine.calculateVolumeMA(token) === 1000 &&
+      engine.detectVolumeSpike(token) === 1 &&
+      engine.calculatePriceVolatility(token) === 0.3 &&
+      engine.calculateRSI(token) === 60 &&
+      engine.calculateHolderStability(token) === 1;
+
+    return { passed, details: `RSI ${engine.calculateRSI(token)}, volatility ${engine.calculatePriceVolatility(token)}` };
+  }
+
+  /**
+   * On-chain and market features are identical across extractions
+   */
+  async testDeterministicVectors() {
+    const store = new TokenMetricsStore();
+    const engine = new TokenClusteringEngine({ metricsStore: store });
+    const token = { address: 'tok', name: 'Cat Coin', symbol: 'CAT', price: 2, volume: 500, holders: 40, liquidity: 900 };
+
+    store.record([{ ...token, price: 1, holders: 20 }], START - 30 * MINUTE);
+    store.record([token], START);
+
+    const first = { onchain: engine.extractOnChainFeatures(token), market: engine.extractMarketFeatures(token) };
+    const second = { onchain: engine.extractOnChainFeatures(token), market: engine.extractMarketFeatures(token) };
+    // Token age follows the wall clock and the spread has no data source yet
+    delete first.onchain.tokenAge;
+    delete second.onchain.tokenAge;
+    delete first.market.bidAskSpread;
+    delete second.market.bidAskSpread;
+
+    const passed = JSON.stringify(first) === JSON.stringify(second) &&
+      first.onchain.holderGrowthRate === 1 && first.market.rsi === 100;
+
+    return { passed, details: `holderGrowthRate ${first.onchain.holderGrowthRate}, RSI ${first.market.rsi}` };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 TOKEN METRICS TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runTokenMetricsTests() {
+  const tester = new TokenMetricsTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  TokenMetricsTester,
+  runTokenMetricsTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTokenMetricsTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
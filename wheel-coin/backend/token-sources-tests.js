@@ -0,0 +1,215 @@
+/**
+ * Test Suite for Token Source Adapters
+ *
+ * Exercises the source adapters against recorded API fixtures served by a
+ * local stub server, so no test touches the real upstream APIs.
+ */
+
+const { PumpFunAdapter, TokenSourceRegistry, TokenSourceAdapter } = require('./sources');
+const { startStubServer } = require('./fixtures/stub-server');
+
+class TokenSourceTester {
+  constructor() {
+    this.testResults = [];
+    this.stub = null;
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Token Source Adapter Test Suite\n');
+
+    this.stub = await startStubServer();
+
+    const tests = [
+      { name: 'Pump.fun New Coins', test: () => this.testPumpFunNewCoins() },
+      { name: 'Pump.fun Bonding Curve Fields', test: () => this.testBondingCurveFields() },
+      { name: 'Pump.fun NSFW Filter', test: () => this.testNsfwFilter() },
+      { name: 'Registry Fan-out', test: () => this.testRegistryFanOut() },
+      { name: 'Failing Source Health', test: () => this.testFailingSourceHealth() },
+      { name: 'Timed Out Source Health', test: () => this.testTimedOutSourceHealth() }
+    ];
+
+    try {
+      for (const { name, test } of tests) {
+        try {
+          const result = await test();
+          this.testResults.push({ name, ...result });
+          console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+        } catch (error) {
+          this.testResults.push({ name, passed: false, details: error.message });
+          console.error(`❌ ${name}: ERROR - ${error.message}`);
+        }
+      }
+    } finally {
+      await this.stub.close();
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  createPumpFunAdapter(feed, config = {}) {
+    return new PumpFunAdapter({ feed, baseUrl: `${this.stub.url}/pumpfun`, ...config });
+  }
+
+  /**
+   * New coin feed is normalized into the engine token shape
+   */
+  async testPumpFunNewCoins() {
+    const tokens = await this.createPumpFunAdapter('new').fetchTokens(0);
+    const aiPepe = tokens.find(t => t.symbol === 'AIPEPE');
+
+    const passed = tokens.length === 3 &&
+      aiPepe.address === '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr' &&
+      aiPepe.source === 'pumpfun-new' &&
+      aiPepe.holders === 41 &&
+      Math.abs(aiPepe.price - 8432.17 / 1e9) < 1e-12 &&
+      aiPepe.volume === aiPepe.volume24h;
+
+    return { passed, details: `Normalized ${tokens.length} new coins` };
+  }
+
+  /**
+   * Graduated and on-curve coins are told apart
+   */
+  async testBondingCurveFields() {
+    const tokens = await this.createPumpFunAdapter('trending').fetchTokens(0);
+    const graduated = tokens.find(t => t.symbol === 'NCAT');
+    const onCurve = tokens.find(t => t.symbol === 'TRENCH');
+
+    const passed = graduated.pumpFunData.bondingCurveComplete === true &&
+      graduated.pumpFunData.bondingCurveProgress === 100 &&
+      graduated.pumpFunData.raydiumPool === '58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2' &&
+      graduated.pumpFunData.kingOfHill === 1792270000000 &&
+      onCurve.pumpFunData.bondingCurveComplete === false &&
+      onCurve.pumpFunData.raydiumPool === null &&
+      onCurve.pumpFunData.bondingCurveProgress === 86.9;
+
+    return {
+      passed,
+      details: `NCAT complete=${graduated.pumpFunData.bondingCurveComplete}, TRENCH progress=${onCurve.pumpFunData.bondingCurveProgress}%`
+    };
+  }
+
+  /**
+   * NSFW coins are flagged by default and dropped on request
+   */
+  async testNsfwFilter() {
+    const flagged = await this.createPumpFunAdapter('new').fetchTokens(0);
+    const filtered = await this.createPumpFunAdapter('new', { excludeNsfw: true }).fetchTokens(0);
+
+    const passed = flagged.find(t => t.symbol === 'SPICY').pumpFunData.nsfw === true &&
+      filtered.length === 2 &&
+      !filtered.some(t => t.symbol === 'SPICY');
+
+    return { passed, details: `${flagged.length} coins flagged, ${filtered.length} after NSFW filter` };
+  }
+
+  /**
+   * Registry merges every enabled source and skips disabled ones
+   */
+  async testRegistryFanOut() {
+    const registry = new TokenSourceRegistry()
+      .register(this.createPumpFunAdapter('new'))
+      .register(this.createPumpFunAdapter('trending'), { enabled: false });
+
+    const newOnly = await registry.collectTokens(0);
+    registry.enable('pumpfun-trending');
+    const both = await registry.collectTokens(0);
+
+    const passed = newOnly.length === 3 && both.length === 5 &&
+      both.some(t => t.source === 'pumpfun-trending');
+
+    return { passed, details: `${newOnly.length} tokens with one source, ${both.length} with two` };
+  }
+
+  /**
+   * A broken source reports its health instead of throwing
+   */
+  async testFailingSourceHealth() {
+    const adapter = this.createPumpFunAdapter('new', { baseUrl: `${this.stub.url}/missing` });
+
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await adapter.fetchTokens(0));
+    }
+
+    const health = adapter.getHealth();
+    const base = new TokenSourceAdapter('bare');
+    const bareTokens = await base.fetchTokens(0);
+
+    const passed = results.every(r => r.length === 0) &&
+      health.status === 'down' &&
+      health.consecutiveFailures === 3 &&
+      bareTokens.length === 0 &&
+      base.getHealth().lastError.includes('fetchRaw');
+
+    return { passed, details: `Health after 3 failures: ${health.status} (${health.lastError})` };
+  }
+
+  /**
+   * A source that misses the registry's deadline is reported as failing, even
+   * when its answer arrives later; timing out every cycle takes it down
+   */
+  async testTimedOutSourceHealth() {
+    const slow = new TokenSourceAdapter('slow');
+    const releases = [];
+    slow.fetchRaw = () => new Promise(resolve => releases.push(resolve));
+    slow.normalize = record => slow.createToken(record);
+
+    const registry = new TokenSourceRegistry({ sourceTimeout: 50 });
+    registry.register(slow);
+
+    const collected = [];
+    const statuses = [];
+    for (let cycle = 0; cycle < 3; cycle++) {
+      collected.push(...await registry.collectTokens(0));
+      releases[cycle]([{ name: 'Late Coin', symbol: 'LATE' }]);
+      await new Promise(resolve => setImmediate(resolve));
+      statuses.push(registry.getHealth()[0].status);
+    }
+    const health = registry.getHealth()[0];
+
+    const passed = collected.length === 0 &&
+      JSON.stringify(statuses) === '["degraded","degraded","down"]' &&
+      health.consecutiveFailures === 3 && health.lastSuccess === null &&
+      health.lastError === 'Timed out after 50ms';
+
+    return { passed, details: `Health after each late answer: ${statuses.join(', ')} (${health.lastError})` };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 TOKEN SOURCE TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runTokenSourceTests() {
+  const tester = new TokenSourceTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  TokenSourceTester,
+  runTokenSourceTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTokenSourceTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
@@ -0,0 +1,168 @@
+/**
+ * Test Suite for the Token Name Tokenizer
+ *
+ * Runs the tokenizer over recorded real-looking token names
+ * (fixtures/token-names.json), grouped by the convention each exercises, and
+ * checks that the detection, characterization and clustering engines read
+ * names through it.
+ */
+
+const { tokenize, tokenizeToken, normalizeLeetspeak } = require('./tokenizer');
+const { NarrativeDetectionEngine } = require('./narrative-detection');
+const NarrativeCharacterizationEngine = require('./characterization');
+const TokenClusteringEngine = require('./clustering');
+const { matchesKeyword } = require('./taxonomy');
+const tokenNames = require('./fixtures/token-names.json');
+
+class TokenizerTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * Run all test suites
+   */
+  async runAllTests() {
+    console.log('🧪 Starting Tokenizer Test Suite\n');
+
+    const tests = [
+      { name: 'Concatenated Tickers', test: () => this.testFixtureCase('concatenated') },
+      { name: 'Emoji Names', test: () => this.testFixtureCase('emoji') },
+      { name: 'Leetspeak', test: () => this.testFixtureCase('leetspeak') },
+      { name: 'Tickers and Short Words', test: () => this.testFixtureCase('tickers') },
+      { name: 'CJK Names', test: () => this.testFixtureCase('cjk') },
+      { name: 'Options', test: () => this.testOptions() },
+      { name: 'Keyword Extraction', test: () => this.testKeywordExtraction() },
+      { name: 'Theme Matching', test: () => this.testThemeMatching() },
+      { name: 'Clustering Keywords', test: () => this.testClusteringKeywords() }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        const result = await test();
+        this.testResults.push({ name, ...result });
+        console.log(`${result.passed ? '✅' : '❌'} ${name}: ${result.details}`);
+      } catch (error) {
+        this.testResults.push({ name, passed: false, details: error.message });
+        console.error(`❌ ${name}: ERROR - ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+    return this.testResults;
+  }
+
+  /**
+   * Every fixture of one case tokenizes (name, then symbol) to its recorded terms
+   */
+  async testFixtureCase(fixtureCase) {
+    const fixtures = tokenNames.filter(fixture => fixture.case === fixtureCase);
+    const failures = fixtures
+      .map(fixture => ({ fixture, terms: tokenizeToken(fixture) }))
+      .filter(({ fixture, terms }) => JSON.stringify(terms) !== JSON.stringify(fixture.terms))
+      .map(({ fixture, terms }) => `${fixture.name} / ${fixture.symbol} -> ${terms.join(' ')}`);
+
+    return {
+      passed: fixtures.length > 0 && failures.length === 0,
+      details: failures.length === 0 ? `${fixtures.length} names tokenized as recorded` : failures.join('; ')
+    };
+  }
+
+  /**
+   * Stopwords, numbers and minimum length can be tuned per caller
+   */
+  async testOptions() {
+    const text = 'The PEPE2 of X';
+    const defaults = tokenize(text);
+    const tuned = tokenize(text, { stopwords: ['the', 'of'], numbers: false, minLength: 1 });
+
+    const passed = JSON.stringify(defaults) === '["the","pepe","2","of"]' &&
+      JSON.stringify(tuned) === '["pepe","x"]' &&
+      normalizeLeetspeak('PEP3') === 'pepe' && normalizeLeetspeak('GPT4') === null &&
+      normalizeLeetspeak('pepe') === null && tokenize('').length === 0 && tokenize(null).length === 0;
+
+    return { passed, details: `defaults [${defaults}], tuned [${tuned}]` };
+  }
+
+  /**
+   * extractKeywords() keeps 'ai', splits tickers and reads emoji
+   */
+  async testKeywordExtraction() {
+    const engine = new NarrativeDetectionEngine();
+    const keywords = engine.extractKeywords('AI Pepe AIPEPE 🐸 Frog Coin PEP3');
+
+    const passed = keywords[0] === 'pepe' && keywords.includes('ai') && keywords.includes('frog') &&
+      !keywords.includes('coin') && !keywords.includes('aipepe') &&
+      matchesKeyword('ai', 'ai') && !matchesKeyword('chain', 'ai') && matchesKeyword('doge', 'dog');
+
+    return { passed, details: `keywords [${keywords.join(', ')}]` };
+  }
+
+  /**
+   * Characterization scores themes from emoji, leetspeak and CJK names
+   */
+  async testThemeMatching() {
+    const engine = new NarrativeCharacterizationEngine();
+    const analysis = engine.analyzeClusterContent({
+      tokens: [
+        { name: '🐸', symbol: 'FRG' },
+        { name: 'D0G3', symbol: 'D0G3' },
+        { name: '狗狗币', symbol: 'GOU' },
+        { name: 'Chain Link', symbol: 'CHAIN' }
+      ]
+    });
+
+    const animals = analysis.keywordMatches.animals || [];
+    const passed = animals.includes('frog') && animals.includes('doge') && animals.includes('dog') &&
+      !analysis.keywordMatches.ai;
+
+    return { passed, details: `animal keywords [${animals.join(', ')}], ai ${analysis.keywordMatches.ai ? 'matched' : 'not matched'}` };
+  }
+
+  /**
+   * Clustering keyword flags read tokenized names
+   */
+  async testClusteringKeywords() {
+    const engine = new TokenClusteringEngine();
+    const dog = engine.extractTextualFeatures({ name: '🐶', symbol: 'WOOF' }).keywords;
+    const ai = engine.extractTextualFeatures({ name: 'AIPEPE', symbol: 'AIPEPE' }).keywords;
+    const chain = engine.extractTextualFeatures({ name: 'Chain Link', symbol: 'CHAIN' }).keywords;
+
+    // One flag per taxonomy group
+    const passed = dog.animals && !dog.ai && ai.ai && ai.animals && !chain.ai && chain.defi;
+    return { passed, details: `🐶 animals ${dog.animals}, AIPEPE ai ${ai.ai}, Chain Link ai ${chain.ai}` };
+  }
+
+  /**
+   * Print test summary
+   */
+  printSummary() {
+    const passedTests = this.testResults.filter(r => r.passed).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`🎯 TOKENIZER TESTS: ${passedTests}/${this.testResults.length} passed`);
+    console.log('='.repeat(60));
+  }
+}
+
+/**
+ * Main test runner function
+ */
+async function runTokenizerTests() {
+  const tester = new TokenizerTester();
+  return await tester.runAllTests();
+}
+
+module.exports = {
+  TokenizerTester,
+  runTokenizerTests
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTokenizerTests()
+    .then(results => {
+      if (results.some(r => !r.passed)) process.exitCode = 1;
+    })
+    .catch(console.error);
+}
@@ -0,0 +1,284 @@
+/**
+ * Token Name Tokenizer
+ *
+ * Turns memecoin names, tickers and descriptions into lowercase terms for
+ * keyword extraction, theme matching and embeddings. Token names rarely
+ * look like prose, so on top of splitting words it:
+ *
+ * - maps emoji to keywords (🐸 -> frog, 🐶 -> dog)
+ * - splits concatenated tickers at case, digit and vocabulary boundaries
+ *   (AIPEPE -> ai pepe, BabyDoge2 -> baby doge 2)
+ * - undoes leetspeak when that yields known words (PEP3 -> pepe, B0NK -> bonk)
+ * - strips `$` ticker prefixes, accents and full-width forms
+ * - segments CJK names, translating common words (狗狗币 -> dog coin)
+ *
+ * Short words such as `ai` survive; only stray single letters are dropped.
+ */
+
+const MEME_VOCABULARY = [
+  // AI and tech
+  'ai', 'agi', 'agent', 'agents', 'gpt', 'bot', 'bots', 'robot', 'neural', 'brain', 'mind', 'chat',
+  'data', 'tech', 'labs', 'protocol', 'network', 'chain', 'link', 'web', 'defi', 'swap', 'dex', 'dao',
+  'meta', 'verse', 'quantum', 'cyber', 'pixel',
+  // Animals
+  'dog', 'dogs', 'doge', 'shib', 'shiba', 'inu', 'pup', 'puppy', 'pug', 'corgi', 'cat', 'cats',
+  'kitty', 'kitten', 'meow', 'frog', 'toad', 'ape', 'apes', 'monkey', 'bear', 'bull', 'pig', 'duck',
+  'fish', 'bird', 'owl', 'fox', 'wolf', 'lion', 'tiger', 'panda', 'penguin', 'hamster', 'goat', 'cow',
+  'horse', 'rabbit', 'bunny', 'mouse', 'rat', 'shark', 'whale', 'snake', 'dragon', 'unicorn',
+  // Meme culture
+  'pepe', 'wojak', 'chad', 'bonk', 'wif', 'hat', 'meme', 'memes', 'based', 'degen', 'punk', 'pump',
+  'dump', 'moon', 'rocket', 'lambo', 'diamond', 'hands', 'hodl', 'wagmi', 'gm', 'fomo', 'rekt', 'giga',
+  'sigma', 'cope', 'fren', 'frens', 'vibe', 'vibes', 'fun', 'lol',
+  // Titles and people
+  'king', 'queen', 'prince', 'princess', 'lord', 'god', 'boss', 'baby', 'mini', 'mega', 'super', 'big',
+  'lil', 'little', 'fat', 'mr', 'bro', 'boy', 'girl', 'man', 'mom', 'dad', 'wife', 'dude', 'trump', 'maga',
+  'elon', 'musk', 'biden', 'president',
+  // Food
+  'pizza', 'burger', 'taco', 'sushi', 'cake', 'cookie', 'bread', 'banana', 'cheese', 'beer', 'coffee',
+  // Money and Solana
+  'coin', 'token', 'cash', 'money', 'gold', 'sol', 'solana', 'usd', 'bank', 'yield', 'stake',
+  // Common words
+  'the', 'my', 'of', 'on', 'in', 'to', 'and', 'sun', 'star', 'mars', 'space', 'fire', 'ice', 'world',
+  'land', 'city', 'club', 'game', 'play', 'shot', 'one', 'zero', 'red', 'blue', 'green', 'black',
+  'white', 'pink', 'dark', 'happy', 'sad', 'angry', 'crazy', 'cute', 'smart', 'wild', 'magic', 'cartoon',
+  'universe', 'metaverse'
+];
+
+const EMOJI_KEYWORDS = {
+  // Animals
+  '🐸': 'frog', '🐶': 'dog', '🐕': 'dog', '🦮': 'dog', '🐩': 'dog', '🐱': 'cat', '🐈': 'cat', '😺': 'cat',
+  '😸': 'cat', '🐒': 'monkey', '🐵': 'monkey', '🦍': 'ape', '🐻': 'bear', '🐂': 'bull', '🐃': 'bull',
+  '🐷': 'pig', '🐖': 'pig', '🦆': 'duck', '🐟': 'fish', '🐠': 'fish', '🐦': 'bird', '🐤': 'bird',
+  '🦉': 'owl', '🦅': 'eagle', '🦜': 'parrot', '🦊': 'fox', '🐺': 'wolf', '🦁': 'lion', '🐯': 'tiger',
+  '🐅': 'tiger', '🐼': 'panda', '🐧': 'penguin', '🐹': 'hamster', '🐐': 'goat', '🐮': 'cow', '🐄': 'cow',
+  '🐴': 'horse', '🐎': 'horse', '🐰': 'rabbit', '🐇': 'rabbit', '🐭': 'mouse', '🐁': 'mouse', '🐀': 'rat',
+  '🦈': 'shark', '🐋': 'whale', '🐳': 'whale', '🐍': 'snake', '🐉': 'dragon', '🐲': 'dragon',
+  '🦄': 'unicorn', '🐿': 'squirrel', '🐢': 'turtle', '🐙': 'octopus', '🦀': 'crab', '🐝': 'bee',
+  '🦋': 'butterfly', '🦖': 'dino', '🦕': 'dino',
+  // Meme culture and tech
+  '🚀': 'rocket', '🌙': 'moon', '🌕': 'moon', '🌚': 'moon', '💎': 'diamond', '🙌': 'hands', '🔥': 'fire',
+  '🤖': 'robot', '🧠': 'brain', '👽': 'alien', '💀': 'skull', '🤡': 'clown', '👑': 'king', '🎩': 'hat',
+  '🧢': 'hat', '🎮': 'game', '🎰': 'casino', '📈': 'pump', '📉': 'dump',
+  // Food and drink
+  '🍕': 'pizza', '🍔': 'burger', '🌮': 'taco', '🍣': 'sushi', '🎂': 'cake', '🍰': 'cake',
+  '🍪': 'cookie', '🍞': 'bread', '🍌': 'banana', '🧀': 'cheese', '🍺': 'beer', '🍻': 'beer',
+  '☕': 'coffee', '🍄': 'mushroom',
+  // Money and places
+  '💰': 'money', '💵': 'cash', '💸': 'money', '🪙': 'coin', '🏦': 'bank', '☀': 'sun', '🌞': 'sun',
+  '⭐': 'star', '🌟': 'star', '🌍': 'world', '🌎': 'world', '🌏': 'world', '🇺🇸': 'usa'
+};
+
+// Digits read as letters in leetspeak names
+const LEET_LETTERS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't' };
+
+// Common CJK words in token names, matched longest first
+const CJK_KEYWORDS = {
+  // Chinese
+  '狗': 'dog', '狗狗': 'dog', '犬': 'dog', '柴犬': 'shiba', '猫': 'cat', '貓': 'cat', '猫咪': 'cat',
+  '喵': 'meow', '青蛙': 'frog', '蛙': 'frog', '龙': 'dragon', '龍': 'dragon', '币': 'coin', '幣': 'coin',
+  '月亮': 'moon', '火箭': 'rocket', '国王': 'king', '王': 'king', '人工智能': 'ai', '智能': 'ai',
+  '机器人': 'robot', '熊': 'bear', '牛': 'bull', '猪': 'pig', '老虎': 'tiger', '虎': 'tiger',
+  '熊猫': 'panda', '鱼': 'fish', '鸟': 'bird', '黄金': 'gold', '金': 'gold', '宝宝': 'baby',
+  '川普': 'trump', '特朗普': 'trump', '马斯克': 'musk', '迷因': 'meme', '模因': 'meme',
+  // Japanese
+  'ねこ': 'cat', 'ネコ': 'cat', '猫ちゃん': 'cat', 'いぬ': 'dog', 'イヌ': 'dog', 'カエル': 'frog',
+  'ドージ': 'doge', 'ペペ': 'pepe', 'ミーム': 'meme', 'コイン': 'coin',
+  // Korean
+  '고양이': 'cat', '강아지': 'dog', '개': 'dog', '개구리': 'frog', '코인': 'coin', '밈': 'meme'
+};
+
+const DEFAULT_VOCABULARY = new Set(MEME_VOCABULARY);
+
+const EMOJI_PATTERN = /(?:\p{Regional_Indicator}{2}|\p{Extended_Pictographic})\uFE0F?/gu;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]+/gu;
+const CJK_TEST = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const MAX_CJK_KEYWORD_LENGTH = Math.max(...Object.keys(CJK_KEYWORDS).map(word => word.length));
+
+// Runs shorter than this are left alone ('cat', 'aim', 'pepe')
+const MIN_SEGMENT_LENGTH = 5;
+
+// Unknown letters cost more than a known word, so known words win where they fit
+const UNKNOWN_CHAR_COST = 2;
+
+/**
+ * Segment one lowercase run of letters into vocabulary words
+ * @param {string} run - Lowercase letters only
+ * @param {Set<string>} vocabulary - Known words
+ * @returns {Array<string>} Segments, or [run] when no confident split exists
+ */
+function segmentRun(run, vocabulary = DEFAULT_VOCABULARY) {
+  if (run.length < MIN_SEGMENT_LENGTH || vocabulary.has(run)) return [run];
+
+  const n = run.length;
+  const best = [{ cost: 0, parts: [], known: 0 }];
+
+  for (let end = 1; end <= n; end++) {
+    let candidate = null;
+
+    for (let start = 0; start < end; start++) {
+      const previous = best[start];
+      const word = run.slice(start, end);
+
+      if (vocabulary.has(word)) {
+        const cost = previous.cost + 1;
+        if (!candidate || cost < candidate.cost) {
+          candidate = { cost, parts: [...previous.parts, { word, known: true }], known: previous.known + word.length };
+        }
+      }
+    }
+
+    // One unknown letter, glued to a preceding unknown chunk
+    const previous = best[end - 1];
+    const last = previous.parts[previous.parts.length - 1];
+    const letter = run[end - 1];
+    const cost = previous.cost + UNKNOWN_CHAR_COST + (last && !last.known ? 0 : 1);
+
+    if (!candidate || cost < candidate.cost) {
+      const parts = last && !last.known
+        ? [...previous.parts.slice(0, -1), { word: last.word + letter, known: false }]
+        : [...previous.parts, { word: letter, known: false }];
+      candidate = { cost, parts, known: previous.known };
+    }
+
+    best[end] = candidate;
+  }
+
+  // Only trust splits that are mostly vocabulary and leave no stray letters
+  // ('catalyst' and 'online' stay whole)
+  const result = best[n];
+  const strayLetters = result.parts.some(part => !part.known && part.word.length < 3);
+  if (result.parts.length < 2 || strayLetters || result.known <= n - result.known) return [run];
+
+  return result.parts.map(part => part.word);
+}
+
+/**
+ * Read digits as letters when that spells known words
+ * @param {string} word - One word mixing letters and digits, e.g. 'PEP3'
+ * @returns {string|null} Lowercase word ('pepe'), or null when it is not leetspeak
+ */
+function normalizeLeetspeak(word, vocabulary = DEFAULT_VOCABULARY) {
+  if (!/\d/.test(word) || !/[a-z]/i.test(word)) return null;
+
+  const decoded = word.toLowerCase().replace(/\d/g, digit => LEET_LETTERS[digit] || digit);
+  if (!/^[a-z]+$/.test(decoded)) return null;
+
+  return vocabulary.has(decoded) || segmentRun(decoded, vocabulary).length > 1 ? decoded : null;
+}
+
+/**
+ * Split a CJK run into translated keywords and untranslated chunks
+ * @param {string} run - Han, kana or Hangul characters
+ * @returns {Array<string>} e.g. '狗狗币' -> ['dog', 'coin'], '小猫' -> ['小', 'cat']
+ */
+function segmentCjk(run) {
+  const terms = [];
+  let unknown = '';
+
+  for (let i = 0; i < run.length;) {
+    let match = null;
+    for (let length = Math.min(MAX_CJK_KEYWORD_LENGTH, run.length - i); length > 0; length--) {
+      const candidate = run.slice(i, i + length);
+      if (CJK_KEYWORDS[candidate]) {
+        match = candidate;
+        break;
+      }
+    }
+
+    if (match) {
+      if (unknown) terms.push(unknown);
+      unknown = '';
+      terms.push(CJK_KEYWORDS[match]);
+      i += match.length;
+    } else {
+      unknown += run[i];
+      i++;
+    }
+  }
+
+  if (unknown) terms.push(unknown);
+  return terms;
+}
+
+/**
+ * Split one Latin/Cyrillic/etc. word at case, digit and vocabulary boundaries
+ */
+function splitWord(word, vocabulary) {
+  const leet = normalizeLeetspeak(word, vocabulary);
+  if (leet) return segmentRun(leet, vocabulary);
+
+  return word
+    // Case and digit boundaries: BabyDoge, PEPECoin, PEPE2
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+    .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2')
+    .replace(/(\p{L})(\p{N})/gu, '$1 $2')
+    .replace(/(\p{N})(\p{L})/gu, '$1 $2')
+    .toLowerCase()
+    .split(' ')
+    .filter(Boolean)
+    .flatMap(part => (/^[a-z]+$/.test(part) ? segmentRun(part, vocabulary) : [part]));
+}
+
+/**
+ * Split a token name, ticker or description into lowercase terms
+ * @param {string} text - Free text, e.g. '$AIPEPE 🐸' or 'BabyDoge2'
+ * @param {Object} options - { vocabulary, minLength, numbers, stopwords }
+ * @returns {Array<string>} Terms in order of appearance (repeats kept)
+ */
+function tokenize(text, options = {}) {
+  if (!text) return [];
+
+  const {
+    vocabulary = DEFAULT_VOCABULARY,
+    minLength = 2,        // Shorter Latin terms are dropped (CJK and numbers are exempt)
+    numbers = true,       // Keep purely numeric terms ('2' in PEPE2)
+    stopwords = null      // Iterable of terms to drop
+  } = options;
+  const vocab = vocabulary instanceof Set ? vocabulary : new Set(vocabulary);
+  const stop = stopwords ? new Set(stopwords) : null;
+
+  const normalized = String(text)
+    // Full-width forms to ASCII, accents off Latin letters (Pépé -> Pepe)
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .normalize('NFC')
+    .replace(EMOJI_PATTERN, emoji => ` ${EMOJI_KEYWORDS[emoji.replace(/\uFE0F/g, '')] || ''} `)
+    // CJK runs become separate words so mixed names like 'Pepe青蛙' split
+    .replace(CJK_PATTERN, run => ` ${run} `);
+
+  const terms = normalized
+    .split(/[^\p{L}\p{N}ー]+/u)
+    .filter(Boolean)
+    .flatMap(word => (CJK_TEST.test(word) ? segmentCjk(word) : splitWord(word, vocab)));
+
+  return terms.filter(term => {
+    if (stop && stop.has(term)) return false;
+    if (/^\p{N}+$/u.test(term)) return numbers;
+    return term.length >= minLength || CJK_TEST.test(term);
+  });
+}
+
+/**
+ * Terms for a token's name and symbol (and description when asked)
+ * @param {Object} token - Normalized token
+ * @param {Object} options - tokenize() options plus { description }
+ */
+function tokenizeToken(token, options = {}) {
+  const { description = false, ...tokenizeOptions } = options;
+  const parts = [token.name, token.symbol];
+  if (description) parts.push(token.description);
+
+  return tokenize(parts.filter(part => typeof part === 'string').join(' '), tokenizeOptions);
+}
+
+module.exports = {
+  MEME_VOCABULARY,
+  EMOJI_KEYWORDS,
+  CJK_KEYWORDS,
+  LEET_LETTERS,
+  tokenize,
+  tokenizeToken,
+  segmentRun,
+  segmentCjk,
+  normalizeLeetspeak
+};
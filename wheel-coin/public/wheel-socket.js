@@ -0,0 +1,162 @@
+/**
+ * Wheel Socket Client
+ *
+ * Tiny client for the /api/ws topic API. Reconnects with backoff and
+ * re-subscribes on its own.
+ *
+ *   const socket = WheelSocket.connect({
+ *       topics: ['narrative:CAT META RISE', 'alerts'],
+ *       onEvent: message => console.log(message.topic, message.event, message.data)
+ *   });
+ *   socket.subscribe('token:So11111111111111111111111111111111111111112');
+ *
+ * WheelSocket.syncWheel() keeps a full wheel state in sync over the `wheel`
+ * topic and hands over to WheelStream (wheel-stream.js: SSE, then polling)
+ * when WebSockets cannot connect.
+ */
+(function (global) {
+    const DEFAULTS = {
+        url: null, // Defaults to ws(s)://<host>/api/ws
+        topics: [],
+        minReconnectDelay: 1000,
+        maxReconnectDelay: 30000,
+        maxFailedConnects: 3
+    };
+
+    function defaultUrl() {
+        const protocol = global.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${global.location.host}/api/ws`;
+    }
+
+    /**
+     * Open a topic connection
+     * @param {Object} options - { url, topics, onEvent(message), onOpen(), onGiveUp(), maxFailedConnects }
+     * @returns {Object} { subscribe(topics), unsubscribe(topics), close() }
+     */
+    function connect(options) {
+        const config = Object.assign({}, DEFAULTS, options);
+        const topics = new Set(config.topics);
+        let socket = null;
+        let closed = false;
+        let opened = false;
+        let failedConnects = 0;
+        let reconnectDelay = config.minReconnectDelay;
+
+        function send(message) {
+            if (socket && socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        }
+
+        function open() {
+            socket = new WebSocket(config.url || defaultUrl());
+
+            socket.addEventListener('open', () => {
+                opened = true;
+                failedConnects = 0;
+                reconnectDelay = config.minReconnectDelay;
+                if (topics.size > 0) send({ type: 'subscribe', topics: Array.from(topics) });
+                if (config.onOpen) config.onOpen();
+            });
+
+            socket.addEventListener('message', event => {
+                const message = JSON.parse(event.data);
+                if (message.type === 'event' && config.onEvent) {
+                    config.onEvent(message);
+                } else if (message.type === 'error') {
+                    console.warn('⚠️ Wheel socket:', message.error);
+                }
+            });
+
+            socket.addEventListener('close', () => {
+                if (closed) return;
+
+                // Never connected at all: let the caller fall back after a few tries
+                if (!opened && ++failedConnects >= config.maxFailedConnects && config.onGiveUp) {
+                    closed = true;
+                    config.onGiveUp();
+                    return;
+                }
+
+                setTimeout(open, reconnectDelay);
+                reconnectDelay = Math.min(reconnectDelay * 2, config.maxReconnectDelay);
+            });
+        }
+
+        function toList(value) {
+            return Array.isArray(value) ? value : [value];
+        }
+
+        open();
+
+        return {
+            subscribe(value) {
+                toList(value).forEach(topic => topics.add(topic));
+                send({ type: 'subscribe', topics: toList(value) });
+            },
+            unsubscribe(value) {
+                toList(value).forEach(topic => topics.delete(topic));
+                send({ type: 'unsubscribe', topics: toList(value) });
+            },
+            close() {
+                closed = true;
+                if (socket) socket.close();
+            }
+        };
+    }
+
+    /**
+     * Keep a full wheel state in sync
+     * @param {Object} options - { onUpdate(wheelData, changes), onAlert(alert), onError(error), pollInterval }
+     */
+    function syncWheel(options) {
+        let wheelData = null;
+        const topics = options.onAlert ? ['wheel', 'alerts'] : ['wheel'];
+
+        function fallBack() {
+            console.log('🔁 WebSocket unavailable, using the event stream');
+            global.WheelStream.connect(options);
+        }
+
+        if (typeof WebSocket === 'undefined') {
+            fallBack();
+            return;
+        }
+
+        // Render right away; the socket only pushes once the server has state
+        fetch('/api/wheel-state')
+            .then(response => response.json())
+            .then(data => {
+                if (data.success && data.data && !wheelData) {
+                    wheelData = data.data;
+                    options.onUpdate(wheelData, null);
+                }
+            })
+            .catch(error => {
+                if (options.onError) options.onError(error);
+            });
+
+        connect({
+            topics,
+            onGiveUp: fallBack,
+            onEvent: message => {
+                if (message.topic === 'alerts') {
+                    options.onAlert(message.data);
+                } else if (message.event === 'state') {
+                    wheelData = message.data;
+                    options.onUpdate(wheelData, null);
+                } else if (message.event === 'diff' && wheelData) {
+                    global.WheelStream.applyChanges(wheelData.narratives, message.data.changes);
+                    wheelData.lastUpdate = message.data.lastUpdate;
+                    wheelData.status = message.data.status;
+                    wheelData.dataSource = message.data.dataSource;
+                    wheelData.tokenData = message.data.tokenData;
+                    wheelData.clusters = message.data.clusters;
+                    options.onUpdate(wheelData, message.data.changes);
+                }
+            }
+        });
+    }
+
+    global.WheelSocket = { connect, syncWheel };
+})(window);
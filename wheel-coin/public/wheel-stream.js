@@ -0,0 +1,129 @@
+/**
+ * Wheel Stream Client
+ *
+ * Keeps a local copy of the wheel state in sync with GET /api/stream and
+ * falls back to polling /api/wheel-state when server-sent events are not
+ * available (old browser, proxy stripping the stream, repeated errors).
+ *
+ *   WheelStream.connect({ onUpdate: wheelData => render(wheelData) });
+ */
+(function (global) {
+    const DEFAULTS = {
+        streamUrl: '/api/stream',
+        pollUrl: '/api/wheel-state',
+        pollInterval: 30000,
+        maxStreamErrors: 3
+    };
+
+    function applyChanges(narratives, changes) {
+        changes.forEach(change => {
+            if (change.type === 'narrative_removed') {
+                delete narratives[change.name];
+            } else {
+                narratives[change.name] = change.narrative;
+            }
+        });
+    }
+
+    /**
+     * Start receiving wheel updates
+     * @param {Object} options - { onUpdate(wheelData, changes), onError(error), streamUrl, pollUrl, pollInterval }
+     * @returns {Object} { close(), mode() }
+     */
+    function connect(options) {
+        const config = Object.assign({}, DEFAULTS, options);
+        let wheelData = null;
+        let source = null;
+        let pollTimer = null;
+        let streamErrors = 0;
+        let mode = 'connecting';
+
+        async function poll() {
+            try {
+                const response = await fetch(config.pollUrl);
+                const data = await response.json();
+
+                if (data.success && data.data) {
+                    wheelData = data.data;
+                    config.onUpdate(wheelData, null);
+                } else if (config.onError) {
+                    config.onError(new Error('Invalid wheel state response'));
+                }
+            } catch (error) {
+                if (config.onError) config.onError(error);
+            }
+        }
+
+        function startPolling() {
+            if (pollTimer) return;
+
+            console.log('🔁 Wheel stream unavailable, polling instead');
+            mode = 'polling';
+            poll();
+            pollTimer = setInterval(poll, config.pollInterval);
+        }
+
+        function startStream() {
+            source = new EventSource(config.streamUrl);
+
+            source.addEventListener('open', () => {
+                streamErrors = 0;
+                mode = 'stream';
+            });
+
+            source.addEventListener('state', event => {
+                wheelData = JSON.parse(event.data);
+                config.onUpdate(wheelData, null);
+            });
+
+            source.addEventListener('diff', event => {
+                const diff = JSON.parse(event.data);
+
+                // A diff without a base state cannot be applied - fetch one
+                if (!wheelData) {
+                    poll();
+                    return;
+                }
+
+                applyChanges(wheelData.narratives, diff.changes);
+                wheelData.lastUpdate = diff.lastUpdate;
+                wheelData.status = diff.status;
+                wheelData.dataSource = diff.dataSource;
+                wheelData.tokenData = diff.tokenData;
+                wheelData.clusters = diff.clusters;
+                config.onUpdate(wheelData, diff.changes);
+            });
+
+            // EventSource reconnects by itself (sending Last-Event-ID);
+            // give up on the stream only after repeated failures
+            source.addEventListener('error', () => {
+                streamErrors++;
+                if (source.readyState === EventSource.CLOSED || streamErrors >= config.maxStreamErrors) {
+                    source.close();
+                    source = null;
+                    startPolling();
+                }
+            });
+        }
+
+        if (typeof EventSource === 'undefined') {
+            startPolling();
+        } else {
+            // Render immediately; the stream only pushes once the server has state
+            poll();
+            startStream();
+        }
+
+        return {
+            close() {
+                if (source) source.close();
+                clearInterval(pollTimer);
+            },
+            mode() {
+                return mode;
+            }
+        };
+    }
+
+    global.WheelStream = { connect, applyChanges };
+})(window);